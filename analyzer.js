@@ -12,16 +12,72 @@
  */
 
 class CAnalyzer {
-    constructor() {
+    // options.entryPoints: functions besides main() that are called from outside
+    // the program (interrupt handlers, callbacks registered by a framework)
+    // options.resourcePairs: more acquire/release pairs to track, in the form of
+    // C_RESOURCE_PAIRS, e.g. { acquire: ['db_connect'], release: ['db_close'], resource: 'connection' }
+    // options.checkedFunctions: more functions whose result must not be ignored, in the
+    // form of C_CHECKED_RESULT_FUNCTIONS, e.g. { db_commit: 'non-zero when the commit failed' }
+    // options.largeStructSize: bytes above which a struct parameter passed by value is reported (64)
+    // options.bannedFunctions: more functions to report, or other guidance for the built-in ones, in the
+    // form of C_UNSAFE_FUNCTIONS, e.g. { strtok: { reason: 'it is not reentrant', replacement: 'strtok_r()' } };
+    // false allows a built-in one again ({ rand: false })
+    // options.taintSources, options.taintSinks: more functions that read untrusted input or must not
+    // receive it, in the form of C_TAINT_SOURCES and C_TAINT_SINKS, e.g. { db_query: { args: [1], kind: 'command' } }
+    // options.sanitizers: functions that validate their arguments, so input passed to them is trusted afterwards
+    constructor(options = {}) {
         this.bugs = [];
+        this.entryPoints = ['main'].concat(options.entryPoints || []);
+        this.resourcePairs = C_RESOURCE_PAIRS.concat(options.resourcePairs || []);
+        this.checkedFunctions = Object.assign({}, C_CHECKED_RESULT_FUNCTIONS, options.checkedFunctions);
+        this.largeStructSize = options.largeStructSize || 64;
+        this.unsafeFunctions = new CUnsafeFunctions(options.bannedFunctions);
+        this.taintSources = Object.assign({}, C_TAINT_SOURCES, options.taintSources);
+        this.taintSinks = Object.assign({}, C_TAINT_SINKS, options.taintSinks);
+        this.sanitizers = new Set(options.sanitizers || []);
         
         // Phase 3: Symbol Table Management
         this.variables = new Map();
         this.arrays = new Map();
         this.functions = new Map();
+        this.functionPrototypes = new Map();
         this.functionCalls = new Set();
+        this.functionCallSites = new Map();
+        this.globals = new Map();
+        this.project = null;     // Project-wide symbol table (analyzeProject only)
+        this.callGraph = null;
         
         this.lines = [];
+        this.tokens = [];
+        this.codeTokens = [];
+        this.ppTokens = [];
+        this.macros = new Map();
+        this.includes = [];
+        this.preprocessorErrors = [];
+        this.files = {};
+        this.defines = {};
+        this.currentFile = 'main.c';
+        this.codeLines = [];
+        this.maskedLines = [];
+        this.ast = null;
+        this.parseErrors = [];
+        this.symbolTable = null;
+        this.types = null;
+        this.cfgs = new Map();
+        this.noreturnFunctions = new Set();
+        this.unreachableStatements = [];
+        this.deadStores = [];
+        this.infiniteLoops = [];  // loop statements that never end - Change Code removes them
+        this.nullGuards = [];     // { line, name, exit } - NULL checks Change Code inserts
+        this.missingBreaks = [];  // { line } - 'break;' Change Code inserts after a case that falls through
+        this.fallthroughCases = [];  // { start, end } - lines of the case sections reported as falling through
+        this.memberFixes = [];    // { line, object, member, arrow } - '.' and '->' Change Code swaps
+        this.floatFixes = [];     // { line, text, replacement, math } - floating-point rewrites Change Code applies
+        this.unsafeFixes = [];    // { line, text, replacement, before, after, headers } - safe calls Change Code substitutes
+        this.sourceEdits = [];    // { line, col, endCol, text, stat } - replacements at a node's own columns
+        this.missingIncludes = new Set();    // standard headers Change Code adds
+        this.duplicateIncludes = new Set();  // lines of repeated #include lines Change Code removes
+        this.ranges = new Map();
         this.originalCode = '';
         this.refactoredCode = '';
         this.currentFunction = null;
@@ -34,7 +90,11 @@ class CAnalyzer {
             conditionsFixed: 0,       // Wrong conditions corrected
             unusedRemoved: 0,         // Unused variables/functions removed
             functionsAdded: 0,        // Missing function calls added
-            variablesRenamed: 0       // Variables renamed for clarity
+            variablesRenamed: 0,      // Variables renamed for clarity
+            nullChecksAdded: 0,       // NULL checks inserted after allocations
+            breaksAdded: 0,           // 'break;' inserted at the end of fallthrough cases
+            includesAdded: 0,         // Missing #include lines inserted
+            unsafeCallsReplaced: 0    // Banned library calls rewritten to their safe form
         };
         
         // For code generation - variable renaming
@@ -47,18 +107,130 @@ class CAnalyzer {
     }
 
     // Analyze Code - detect bugs only
-    analyzeOnly(code) {
+    // options.files: virtual headers for #include "x.h" ({ 'x.h': source })
+    // options.defines: predefined macros ({ DEBUG: 1 })
+    analyzeOnly(code, options = {}) {
+        this.resetState(code, options);
+        this.runDetectors();
+
+        // Sort bugs by line number
+        this.bugs.sort((a, b) => a.line - b.line);
+
+        return { bugs: this.bugs, callGraph: this.callGraph };
+    }
+
+    // Analyze Project - detect bugs across several files
+    // files: { 'main.c': source, 'util.c': source, 'util.h': source }
+    // Every .c file is a translation unit, and its declarations include those of the headers
+    // it includes; the code in each header (inline functions) is analyzed once, on its own
+    analyzeProject(files, options = {}) {
+        const units = Object.keys(files).filter(name => /\.c$/i.test(name));
+        const headers = Object.keys(files).filter(name => /\.h$/i.test(name));
+        this.project = {
+            functions: new Map(),    // name -> [definition info]
+            prototypes: new Map(),   // name -> [prototype info]
+            callGraph: new CCallGraph(),
+            globals: new Map(),      // name -> [file-scope variable info]
+            references: new Map()    // name -> Set of files using the identifier
+        };
+        const unitOptions = (name) => ({ files, fileName: name, defines: options.defines, project: this.project });
+
+        // Pass 1: collect every unit's functions, globals and references
+        units.concat(headers).forEach(name => {
+            this.resetState(files[name], unitOptions(name));
+            this.tokenize();
+            this.parse();
+            this.buildSymbolTable();
+            this.detectFunctions();
+            this.collectGlobals();
+            this.recordProjectSymbols();
+        });
+
+        // Pass 2: run the detectors on each unit against the project table; the units
+        // report linkage errors of the headers' declarations, as each has its own copy
+        const bugs = [];
+        units.concat(headers).forEach(name => {
+            this.resetState(files[name], unitOptions(name));
+            this.runDetectors();
+            if (!headers.includes(name)) this.detectLinkageErrors();
+            bugs.push(...this.bugs);
+        });
+
+        const order = Object.keys(files);
+        bugs.sort((a, b) => order.indexOf(a.file) - order.indexOf(b.file) || a.line - b.line);
+        this.bugs = bugs;
+
+        return { bugs: this.bugs, symbols: this.project };
+    }
+
+    // Change Code - detect bugs and generate refactored code
+    analyzeAndRefactor(code, options = {}) {
+        this.resetState(code, options);
+        this.refactoredCode = code;
+        this.variableRenameMap = new Map();
+        this.stats = { constantsFolded: 0, deadCodeRemoved: 0, expressionsSimplified: 0, 
+                       conditionsFixed: 0, unusedRemoved: 0, functionsAdded: 0, variablesRenamed: 0,
+                       nullChecksAdded: 0, breaksAdded: 0, includesAdded: 0, unsafeCallsReplaced: 0 };
+
+        // Phases 1-5: Detection
+        this.runDetectors();
+
+        // Phase 6 & 7: Optimization and Code Generation
+        this.generateRefactoredCode();
+
+        this.bugs.sort((a, b) => a.line - b.line);
+
+        return {
+            bugs: this.bugs,
+            refactoredCode: this.refactoredCode,
+            stats: this.stats,
+            callGraph: this.callGraph
+        };
+    }
+
+    // Clear per-run state before analyzing new code
+    resetState(code, options = {}) {
         this.bugs = [];
+        this.files = options.files || {};
+        this.defines = options.defines || {};
+        this.currentFile = options.fileName || 'main.c';
+        this.project = options.project || null;
         this.variables = new Map();
         this.arrays = new Map();
         this.functions = new Map();
+        this.functionPrototypes = new Map();
         this.functionCalls = new Set();
+        this.functionCallSites = new Map();
+        this.globals = new Map();
         this.undefinedFunctions = new Set();
         this.unusedVariables = new Set();
         this.uninitializedVariables = new Map();
         this.unusedFunctions = new Set();
+        this.cfgs = new Map();
+        this.noreturnFunctions = new Set();
+        this.unreachableStatements = [];
+        this.deadStores = [];
+        this.infiniteLoops = [];
+        this.nullGuards = [];
+        this.missingBreaks = [];
+        this.fallthroughCases = [];
+        this.memberFixes = [];
+        this.floatFixes = [];
+        this.unsafeFixes = [];
+        this.sourceEdits = [];
+        this.missingIncludes = new Set();
+        this.duplicateIncludes = new Set();
+        this.ranges = new Map();
+        this.callGraph = null;
         this.lines = code.split('\n');
         this.originalCode = code;
+    }
+
+    // Run every detection phase in order
+    runDetectors() {
+        // Phase 1: Lexical Analysis
+        this.tokenize();
+        this.detectPreprocessorErrors();
 
         // Phase 2: Syntax Analysis
         this.detectMissingSemicolons();
@@ -66,546 +238,1545 @@ class CAnalyzer {
         this.detectMismatchedParentheses();
         this.detectMismatchedBraces();
         this.detectMalformedControlStructures();
+        this.parse();
+        this.detectParseErrors();
+
+        // Phase 3: Symbol Table Management
+        this.buildSymbolTable();
+
+        // Phase 5: Control Flow Analysis
+        this.buildControlFlowGraphs();
+        this.buildCallGraph();
+        this.computeRanges();
         
         // Phase 1, 3, 4: Lexical, Symbol Table, Semantic
         this.detectFunctions();
+        this.collectGlobals();
+        this.detectIncludeErrors();
         this.detectFunctionErrors();
+        this.detectMemberAccess();
+        this.detectLargeStructParameters();
         this.detectAssignmentInCondition();
+        this.detectOperatorPrecedence();
         this.detectVariableIssues();
         
         // Phase 5: Control Flow Analysis
         this.detectUnreachableCode();
+        this.detectSwitchStatements();
+        this.detectDeadStores();
+        this.detectHeapErrors();
+        this.detectResourceLeaks();
+        this.detectUncheckedNull();
+        this.detectUnsafeRealloc();
+        this.detectTaintedData();
         this.detectInfiniteLoops();
         this.detectEmptyBodies();
         
         // Phase 4: Additional Semantic Checks
         this.detectRedundantExpressions();
         this.detectDivisionByZero();
+        this.detectIntegerConversions();
+        this.detectFloatingPoint();
         this.detectConstantConditions();
         this.detectSelfAssignment();
         this.detectPrintfScanfErrors();
         this.detectArrayOutOfBounds();
+        this.detectBufferOverflows();
+        this.detectUnsafeFunctions();
+        this.detectSizeofMisuse();
         this.detectUnusedFunctions();
+        this.detectInfiniteRecursion();
+        this.detectIgnoredReturnValues();
         this.detectMissingReturn();
+    }
 
-        // Sort bugs by line number
-        this.bugs.sort((a, b) => a.line - b.line);
+    // Phase 1: Lexical Analysis - Tokenize, preprocess and build comment-free views of the lines
+    tokenize() {
+        this.tokens = new CLexer(this.originalCode, this.currentFile).tokenize();
+
+        // The parser sees the preprocessed stream; the token-level syntax
+        // checks see what the user wrote, minus code disabled by #if
+        const preprocessor = new CPreprocessor({ files: this.files, defines: this.defines });
+        this.ppTokens = preprocessor.preprocess(this.originalCode, this.currentFile);
+        this.macros = preprocessor.macros;
+        this.includes = preprocessor.includes;
+        this.preprocessorErrors = preprocessor.errors;
+        const inactive = preprocessor.inactiveLines.get(this.currentFile) || new Set();
+        const isCode = t => t.type !== 'comment' && t.type !== 'preprocessor';
+        this.codeTokens = this.tokens.filter(t => isCode(t) && !inactive.has(t.line));
+
+        // codeLines: comments, preprocessor directives and disabled code blanked out
+        // maskedLines: additionally blanks the contents of string/char literals
+        // Both keep every column in place so line-based checks stay aligned
+        const chars = this.originalCode.split('');
+        const blank = (from, to) => {
+            for (let i = from; i < to; i++) {
+                if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+            }
+        };
+        this.tokens.forEach(t => {
+            if (!isCode(t) || inactive.has(t.line)) blank(t.start, t.end);
+        });
+        this.codeLines = chars.join('').split('\n');
 
-        return { bugs: this.bugs };
+        this.tokens.forEach(t => {
+            if (t.type === 'string' || t.type === 'char') {
+                const quote = t.value.search(/["']/);
+                blank(t.start + quote + 1, t.unterminated ? t.end : t.end - 1);
+            }
+        });
+        this.maskedLines = chars.join('').split('\n');
     }
 
-    // Change Code - detect bugs and generate refactored code
-    analyzeAndRefactor(code) {
-        this.bugs = [];
-        this.variables = new Map();
-        this.arrays = new Map();
-        this.functions = new Map();
-        this.functionCalls = new Set();
-        this.undefinedFunctions = new Set();
-        this.unusedVariables = new Set();
-        this.uninitializedVariables = new Map();
-        this.unusedFunctions = new Set();
-        this.lines = code.split('\n');
-        this.originalCode = code;
-        this.refactoredCode = code;
-        this.variableRenameMap = new Map();
-        this.stats = { constantsFolded: 0, deadCodeRemoved: 0, expressionsSimplified: 0, 
-                       conditionsFixed: 0, unusedRemoved: 0, functionsAdded: 0, variablesRenamed: 0 };
+    // Phase 1: Lexical Analysis - #error, bad directives and unbalanced #if/#endif
+    detectPreprocessorErrors() {
+        this.preprocessorErrors.forEach(err => {
+            if (err.file !== this.currentFile) return;
+            this.addBug('PreprocessorError', err.severity, err.line,
+                err.message,
+                `Fix the preprocessor directive on line ${err.line}`,
+                `The preprocessor runs before compilation; errors here stop the build or hide code.`);
+        });
+    }
 
-        // Phases 1-5: Detection
-        this.detectMissingSemicolons();
-        this.detectMismatchedBrackets();
-        this.detectMismatchedParentheses();
-        this.detectMismatchedBraces();
-        this.detectMalformedControlStructures();
-        this.detectFunctions();
-        this.detectFunctionErrors();
-        this.detectAssignmentInCondition();
-        this.detectVariableIssues();
-        this.detectUnreachableCode();
-        this.detectRedundantExpressions();
-        this.detectDivisionByZero();
-        this.detectInfiniteLoops();
-        this.detectEmptyBodies();
-        this.detectConstantConditions();
-        this.detectSelfAssignment();
-        this.detectPrintfScanfErrors();
-        this.detectArrayOutOfBounds();
-        this.detectUnusedFunctions();
-        this.detectMissingReturn();
+    // Phase 1: Token helper - index of the bracket closing the one at openIdx (-1 if none)
+    findClosing(tokens, openIdx) {
+        const open = tokens[openIdx].value;
+        const close = { '(': ')', '[': ']', '{': '}' }[open];
+        let depth = 0;
+        for (let i = openIdx; i < tokens.length; i++) {
+            if (tokens[i].value === open) depth++;
+            else if (tokens[i].value === close && --depth === 0) return i;
+        }
+        return -1;
+    }
 
-        // Phase 6 & 7: Optimization and Code Generation
-        this.generateRefactoredCode();
+    // Phase 1: Token helper - map every closing bracket index to its opening index
+    matchBrackets(tokens) {
+        const pairs = new Map();
+        const stacks = { ')': [], ']': [], '}': [] };
+        const closers = { '(': ')', '[': ']', '{': '}' };
+        tokens.forEach((tok, i) => {
+            if (closers[tok.value]) stacks[closers[tok.value]].push(i);
+            else if (stacks[tok.value] && stacks[tok.value].length > 0) pairs.set(i, stacks[tok.value].pop());
+        });
+        return pairs;
+    }
 
-        this.bugs.sort((a, b) => a.line - b.line);
+    // Phase 1: Token helper - is the ':' at idx a case/default/goto label (not a ternary or bit-field)
+    isLabelColon(tokens, idx) {
+        let count = 0;
+        for (let i = idx - 1; i >= 0; i--) {
+            const value = tokens[i].value;
+            if (value === '?') return false;
+            if (value === 'case' || value === 'default') return true;
+            if (value === ';' || value === '{' || value === '}') break;
+            count++;
+        }
+        return count === 1 && tokens[idx - 1].type === 'identifier';
+    }
 
-        return {
-            bugs: this.bugs,
-            refactoredCode: this.refactoredCode,
-            stats: this.stats
-        };
+    // Phase 1: Token helper - rebuild source text from tokens, keeping original spacing
+    joinTokens(tokens) {
+        return tokens.map((t, i) => (i > 0 && t.spaceBefore ? ' ' : '') + t.value).join('');
     }
 
     // Add bug to collection
-    addBug(type, severity, line, message, suggestion = null, explanation = null) {
-        const exists = this.bugs.some(b => b.line === line && b.type === type && b.message === message);
+    // extra: additional fields, e.g. { file } for a bug located in another file, or
+    // { related: [{ file, line, message }] } for other lines involved in the bug
+    addBug(type, severity, line, message, suggestion = null, explanation = null, extra = null) {
+        const bug = Object.assign({ type, severity, file: this.currentFile, line, message, suggestion, explanation }, extra);
+        const exists = this.bugs.some(b => b.file === bug.file && b.line === line && b.type === type && b.message === message);
         if (!exists) {
-            this.bugs.push({ type, severity, line, message, suggestion, explanation });
+            this.bugs.push(bug);
         }
     }
 
-    // Phase 2: Syntax Analysis - Missing Semicolons
-    detectMissingSemicolons() {
-        const needsSemicolon = [
-            /^\s*(int|float|char|double|long|short|void)\s+\w+\s*(=\s*[^;{]+)?$/,  // Variable declaration
-            /^\s*\w+\s*=\s*[^;{]+$/,  // Assignment
-            /^\s*\w+\s*\([^)]*\)\s*$/,  // Function call without semicolon
-            /^\s*(return)\s+[^;]+$/,  // Return statement
-            /^\s*(break|continue)\s*$/,  // break/continue
-            /^\s*\w+\s*(\+\+|--)\s*$/,  // Increment/decrement
-            /^\s*(\+\+|--)\s*\w+\s*$/,  // Pre-increment/decrement
-        ];
+    // Phase 2: Syntax Analysis - Build the AST (recovers from errors)
+    parse() {
+        const parser = new CParser(this.ppTokens);
+        this.ast = parser.parse();
+        this.parseErrors = parser.errors;
+    }
 
-        const exceptions = [
-            /^\s*\/\//,  // Comments
-            /^\s*\/\*/,  // Multi-line comment start
-            /^\s*\*/,    // Multi-line comment
-            /^\s*#/,     // Preprocessor
-            /^\s*$/,     // Empty line
-            /\{\s*$/,    // Opening brace
-            /^\s*\}/,    // Closing brace
-            /^\s*(if|else|while|for|switch|do)\s*[\({]/,  // Control structures
-            /^\s*else\s*$/,  // else keyword
-            /^\s*(int|float|char|double|void|long|short)\s+\w+\s*\([^)]*\)\s*\{?$/,  // Function definition
-        ];
+    // Phase 2: Syntax Analysis - Parse errors the token-level checks did not explain
+    detectParseErrors() {
+        const syntaxTypes = ['MissingSemicolon', 'MismatchedBracket', 'MismatchedParenthesis',
+                             'MismatchedBrace', 'MalformedSyntax'];
+        this.parseErrors.forEach(err => {
+            if (err.file !== this.currentFile) return;
+            const explained = this.bugs.some(b => b.line === err.line && syntaxTypes.includes(b.type));
+            if (explained) return;
+            this.addBug('SyntaxError', 'error', err.line,
+                `Syntax error: ${err.message}`,
+                `Check the code near line ${err.line}, column ${err.col}`,
+                `The parser could not understand this part of the program.`);
+        });
+    }
 
-        this.lines.forEach((line, idx) => {
-            const trimmed = line.trim();
-            if (trimmed === '') return;
+    // Phase 3: Symbol Table Management - Scopes and declarations, with every identifier resolved
+    buildSymbolTable() {
+        this.types = new CTypes({ evaluate: (expr) => this.evaluateConstant(expr) });
+        this.symbolTable = new CSymbolTable({ types: this.types }).build(this.ast);
+    }
+
+    // Phase 5: Control Flow Analysis - One graph per function defined in this file
+    buildControlFlowGraphs() {
+        const options = {
+            evaluate: (expr) => this.evaluateConstant(expr),
+            isNoreturn: (name) => this.isNoreturnFunction(name)
+        };
+        // A function whose end no path reaches never returns either, like die() calling
+        // exit(); its callers may come first, so build again until no new one turns up
+        this.noreturnFunctions = new Set();
+        let found;
+        do {
+            found = this.noreturnFunctions.size;
+            this.cfgs = new Map();
+            this.visit({
+                FunctionDef: (node) => {
+                    if (node.name && node.body) this.cfgs.set(node.name, new CControlFlowGraph(node, options));
+                }
+            });
+            this.cfgs.forEach((cfg, name) => {
+                if (!cfg.reachable.has(cfg.exit)) this.noreturnFunctions.add(name);
+            });
+        } while (this.noreturnFunctions.size !== found);
+    }
+
+    // Phase 5: Library functions that never return, functions declared _Noreturn, and
+    // functions of this file that cannot reach their end
+    isNoreturnFunction(name) {
+        if (C_NORETURN_FUNCTIONS.has(name) || this.noreturnFunctions.has(name)) return true;
+        const symbol = this.symbolTable.fileScope.symbols.get(name);
+        if (!symbol || symbol.kind !== 'function') return false;
+        const specifiers = symbol.node.kind === 'FunctionDef' ? symbol.node.specifiers
+            : symbol.declaration && symbol.declaration.specifiers;
+        return !!specifiers && specifiers.functionSpecifiers.includes('_Noreturn');
+    }
+
+    // Phase 5: Value-range analysis of every function; ranges maps expression -> CInterval
+    computeRanges() {
+        const options = {
+            evaluate: (expr) => this.evaluateConstant(expr),
+            typeOf: (expr) => this.typeOf(expr)
+        };
+        this.cfgs.forEach(cfg => {
+            const analysis = new CIntervalAnalysis(cfg, options).solve();
+            cfg.blocks.forEach(block => {
+                analysis.replay(block, analysis.in.get(block), (expr, interval) => {
+                    const seen = this.ranges.get(expr);
+                    this.ranges.set(expr, seen ? seen.join(interval) : interval);
+                });
+            });
+        });
+    }
 
-            // Skip exceptions
-            for (const exc of exceptions) {
-                if (exc.test(trimmed)) return;
+    // Phase 5: Range of an integer expression: its constant value, or what the
+    // value-range analysis computed (null if nothing is known)
+    rangeOf(expr) {
+        const value = this.evaluateConstant(expr);
+        if (Number.isInteger(value)) return CInterval.constant(value);
+        return this.ranges.get(expr) || null;
+    }
+
+    // Phase 5: Call graph of this file, or of the whole project in analyzeProject
+    buildCallGraph() {
+        if (this.project) {
+            this.callGraph = this.project.callGraph;
+            return;
+        }
+        this.callGraph = new CCallGraph();
+        this.recordCalls(this.callGraph);
+    }
+
+    // Phase 5: Call-graph key of a function: its name, qualified by the file declaring it for a
+    // static one, so the units calling a static function of a header meet its definition there
+    functionKey(name) {
+        const symbol = this.symbolTable.fileScope.symbols.get(name);
+        return symbol && symbol.kind === 'function' && symbol.storage.includes('static') ? `${symbol.file}:${name}` : name;
+    }
+
+    // Phase 5: Add this file's function definitions, call sites and function-pointer uses to a call graph
+    recordCalls(graph) {
+        const isFunction = (id) => !id.symbol || id.symbol.kind === 'function';
+        let caller = null;
+        this.visit({
+            FunctionDef: (fn) => {
+                if (!fn.name) return false;
+                caller = this.functionKey(fn.name);
+                graph.addFunction(caller, {
+                    name: fn.name,
+                    file: this.currentFile,
+                    line: this.functionLine(fn),
+                    isStatic: fn.specifiers.storage.includes('static'),
+                    node: fn
+                });
+            },
+            CallExpr: (call, ancestors) => {
+                if (!caller || call.callee.kind !== 'Identifier' || !isFunction(call.callee)) return;
+                graph.addCall(caller, this.functionKey(call.callee.name),
+                    { node: call, file: this.currentFile, line: this.lineOf(call), result: this.resultUse(call, ancestors) });
+            },
+            Identifier: (node, ancestors) => {
+                const parent = ancestors[ancestors.length - 1];
+                if (!node.symbol || node.symbol.kind !== 'function' || (parent.kind === 'CallExpr' && parent.callee === node)) return;
+                graph.addressTaken.add(this.functionKey(node.name));
+            },
+            leave: (node) => {
+                if (node.kind === 'FunctionDef') caller = null;
             }
+        });
+    }
 
-            // Check if line needs semicolon but doesn't have one
-            for (const pattern of needsSemicolon) {
-                if (pattern.test(trimmed) && !trimmed.endsWith(';') && !trimmed.endsWith('{') && !trimmed.endsWith('}')) {
-                    this.addBug(
-                        'MissingSemicolon',
-                        'error',
-                        idx + 1,
-                        `Missing semicolon at end of statement`,
-                        `Add ';' at the end of line ${idx + 1}`,
-                        `Every statement in C must end with a semicolon.`
-                    );
+    // Phase 5: What the caller does with a call's value: 'used', 'ignored' or 'void' (cast away)
+    resultUse(call, ancestors) {
+        const parent = ancestors[ancestors.length - 1];
+        switch (parent.kind) {
+            case 'ExprStmt':
+                return 'ignored';
+            case 'ForStmt':
+                return parent.test === call ? 'used' : 'ignored';
+            case 'CommaExpr':
+                return parent.expressions[parent.expressions.length - 1] === call
+                    ? this.resultUse(parent, ancestors.slice(0, -1)) : 'ignored';
+            case 'CastExpr':
+                return this.typeOf(parent).isVoid() ? 'void' : 'used';
+            default:
+                return 'used';
+        }
+    }
+
+    // Phase 4: Semantic Analysis - Type of an expression (see CTypes.typeOf)
+    typeOf(expr) {
+        return this.types.typeOf(expr);
+    }
+
+    // Phase 2: AST helper - walk the tree with a visitor (see CParser.walk),
+    // skipping declarations that came from included headers
+    visit(visitor) {
+        this.ast.body
+            .filter(node => node.file === this.currentFile)
+            .forEach(node => CParser.walk(node, visitor, [this.ast]));
+    }
+
+    // Phase 2: AST helper - line where a node starts
+    lineOf(node) {
+        return node.range.start.line;
+    }
+
+    // Phase 2: AST helper - line of a function's name
+    functionLine(fn) {
+        return fn.declarator.nameRange ? fn.declarator.nameRange.start.line : this.lineOf(fn);
+    }
+
+    // Phase 4: Value of a constant expression, or null if it is not constant
+    evaluateConstant(expr) {
+        if (!expr) return null;
+        switch (expr.kind) {
+            case 'NumberLiteral':
+            case 'CharLiteral':
+                return expr.value;
+            case 'UnaryExpr': {
+                const v = this.evaluateConstant(expr.argument);
+                if (v === null) return null;
+                switch (expr.operator) {
+                    case '-': return -v;
+                    case '+': return v;
+                    case '!': return v ? 0 : 1;
+                    case '~': return ~v;
+                    default: return null;
+                }
+            }
+            case 'BinaryExpr': {
+                const l = this.evaluateConstant(expr.left);
+                const r = this.evaluateConstant(expr.right);
+                if (l === null || r === null) return null;
+                const isInt = Number.isInteger(l) && Number.isInteger(r);
+                switch (expr.operator) {
+                    case '+': return l + r;
+                    case '-': return l - r;
+                    case '*': return l * r;
+                    case '/': return r === 0 ? null : (isInt ? Math.trunc(l / r) : l / r);
+                    case '%': return r === 0 || !isInt ? null : l % r;
+                    case '<<': return l << r;
+                    case '>>': return l >> r;
+                    case '&': return l & r;
+                    case '|': return l | r;
+                    case '^': return l ^ r;
+                    case '<': return l < r ? 1 : 0;
+                    case '>': return l > r ? 1 : 0;
+                    case '<=': return l <= r ? 1 : 0;
+                    case '>=': return l >= r ? 1 : 0;
+                    case '==': return l === r ? 1 : 0;
+                    case '!=': return l !== r ? 1 : 0;
+                    case '&&': return l && r ? 1 : 0;
+                    case '||': return l || r ? 1 : 0;
+                    default: return null;
                 }
             }
+            case 'ConditionalExpr': {
+                const test = this.evaluateConstant(expr.test);
+                if (test === null) return null;
+                return this.evaluateConstant(test ? expr.consequent : expr.alternate);
+            }
+            case 'CastExpr':
+                return this.evaluateConstant(expr.argument);
+            case 'Identifier':
+                return expr.symbol && expr.symbol.kind === 'enumerator' ? expr.symbol.value : null;
+            case 'SizeofExpr': {
+                if (expr.operator !== 'sizeof' || !this.types) return null;
+                const type = expr.argument.kind === 'TypeName'
+                    ? this.types.fromTypeName(expr.argument) : this.typeOf(expr.argument);
+                return type.size();
+            }
+            default:
+                return null;
+        }
+    }
 
-            // Specific check: statement that looks complete but missing semicolon
-            if (/^\s*(int|float|char|double)\s+\w+\s*=\s*[\w\d+\-*\/\s()]+$/.test(trimmed) && !trimmed.endsWith(';')) {
-                this.addBug(
-                    'MissingSemicolon',
-                    'error',
-                    idx + 1,
-                    `Missing semicolon after variable initialization`,
-                    `Add ';' at the end: ${trimmed};`,
-                    `Variable declarations must end with semicolon.`
-                );
+    // Phase 2: Syntax Analysis - Missing Semicolons
+    detectMissingSemicolons() {
+        const tokens = this.codeTokens;
+        const pairs = this.matchBrackets(tokens);
+        // Only brackets that are closed count towards the depth: one unclosed '(' must not
+        // hide every later statement
+        const closedOpeners = new Set(pairs.values());
+        const braceKinds = [];          // 'block' | 'init' | 'enum' for each open '{'
+        const closedInit = new Set();   // indices of '}' that close an initializer
+        const closedDo = new Set();     // indices of '}' that close a do-body
+        let parenDepth = 0;
+        let statementFloor = 0;         // a statement already flagged ends just before this index
+
+        const statementEnders = ['break', 'continue', 'return'];
+        const controlKeywords = ['if', 'while', 'for', 'switch'];
+        const typeKeywords = ['int', 'float', 'char', 'double', 'long', 'short', 'unsigned', 'signed',
+                              'const', 'static', 'struct', 'enum', 'union', 'void', '_Bool'];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const tok = tokens[i];
+            const prev = tokens[i - 1];
+
+            if ((tok.value === '(' || tok.value === '[') && closedOpeners.has(i)) parenDepth++;
+            if ((tok.value === ')' || tok.value === ']') && pairs.has(i)) parenDepth--;
+            if (tok.value === '{') {
+                const outer = braceKinds[braceKinds.length - 1];
+                let kind = 'block';
+                if (prev && (prev.value === '=' || (outer && outer.kind === 'init' && prev.value !== ')'))) kind = 'init';
+                if (prev && (prev.value === 'enum' || (tokens[i - 2] && tokens[i - 2].value === 'enum'))) kind = 'enum';
+                braceKinds.push({ kind, isDo: !!prev && prev.value === 'do' });
+            }
+            if (tok.value === '}') {
+                const closed = braceKinds.pop();
+                if (closed && closed.kind === 'init') closedInit.add(i);
+                if (closed && closed.isDo) closedDo.add(i);
             }
 
-            // Check for return without semicolon
-            if (/^\s*return\s+[\w\d+\-*\/\s()]+$/.test(trimmed) && !trimmed.endsWith(';')) {
-                this.addBug(
-                    'MissingSemicolon',
-                    'error',
-                    idx + 1,
-                    `Missing semicolon after return statement`,
-                    `Add ';' at the end`,
-                    `Return statements must end with semicolon.`
-                );
+            // Only statements that end at a line break are candidates
+            const next = tokens[i + 1];
+            if (!next || next.line === tok.endLine || parenDepth > 0) continue;
+            const enclosing = braceKinds[braceKinds.length - 1];
+            if (enclosing && enclosing.kind !== 'block') continue;
+
+            const endsStatement = ['identifier', 'number', 'char', 'string'].includes(tok.type) ||
+                [')', ']', '++', '--'].includes(tok.value) ||
+                (tok.type === 'keyword' && statementEnders.includes(tok.value)) ||
+                closedInit.has(i);
+            if (!endsStatement) continue;
+
+            // Next line continues the expression or opens a body
+            if ((next.type === 'operator' && next.value !== '++' && next.value !== '--') ||
+                ['(', ')', '[', ']', ',', ';', '{'].includes(next.value) ||
+                (tok.type === 'string' && next.type === 'string')) {
+                continue;
             }
-        });
+
+            // Find where this statement starts, stepping over parenthesized parts: the ';' of a for header does not end it
+            let first = pairs.has(i) ? pairs.get(i) : i;
+            while (first > statementFloor && !([';', '{', '}'].includes(tokens[first - 1].value) ||
+                   (tokens[first - 1].value === ':' && this.isLabelColon(tokens, first - 1)))) {
+                first--;
+                if ([')', ']'].includes(tokens[first].value) && pairs.has(first)) first = pairs.get(first);
+            }
+            let headIdx = first;
+            if (tokens[first].value === 'else' && tokens[first + 1] && tokens[first + 1].value === 'if') headIdx++;
+            const head = tokens[headIdx];
+
+            // A control header like 'if (x)' continues on the next line - unless it ends a do-while
+            if (controlKeywords.includes(head.value) && tok.value === ')' && pairs.get(i) === headIdx + 1) {
+                const isDoWhile = head.value === 'while' && closedDo.has(headIdx - 1);
+                if (!isDoWhile) continue;
+            }
+            // At file scope a line ending in ')' is a function header or macro use
+            if (braceKinds.length === 0 && tok.value === ')') continue;
+
+            const stmtTokens = tokens.slice(first, i + 1);
+            let message = `Missing semicolon at end of statement`;
+            let suggestion = `Add ';' at the end of line ${tok.endLine}`;
+            let explanation = `Every statement in C must end with a semicolon.`;
+            if (head.value === 'return') {
+                message = `Missing semicolon after return statement`;
+                suggestion = `Add ';' at the end`;
+                explanation = `Return statements must end with semicolon.`;
+            } else if (typeKeywords.includes(head.value) && stmtTokens.some(t => t.value === '=')) {
+                message = `Missing semicolon after variable initialization`;
+                suggestion = `Add ';' at the end: ${this.joinTokens(stmtTokens)};`;
+                explanation = `Variable declarations must end with semicolon.`;
+            }
+            this.addBug('MissingSemicolon', 'error', tok.endLine, message, suggestion, explanation);
+            statementFloor = i + 1;
+        }
     }
 
     // Phase 2: Syntax Analysis - Mismatched Brackets []
     detectMismatchedBrackets() {
-        let bracketStack = [];
-        
-        this.lines.forEach((line, idx) => {
-            // Skip comments
-            if (line.trim().startsWith('//')) return;
-            
-            for (let i = 0; i < line.length; i++) {
-                if (line[i] === '[') {
-                    bracketStack.push({ line: idx + 1, col: i + 1 });
-                } else if (line[i] === ']') {
-                    if (bracketStack.length === 0) {
-                        this.addBug(
-                            'MismatchedBracket',
-                            'error',
-                            idx + 1,
-                            `Unexpected closing bracket ']' without matching '['`,
-                            `Remove the extra ']' or add matching '['`,
-                            `Every ']' must have a corresponding '['.`
-                        );
-                    } else {
-                        bracketStack.pop();
-                    }
-                }
-            }
-        });
-
-        // Check for unclosed brackets
-        bracketStack.forEach(bracket => {
-            this.addBug(
-                'MismatchedBracket',
-                'error',
-                bracket.line,
-                `Unclosed bracket '[' - missing ']'`,
-                `Add matching ']' for the '[' on line ${bracket.line}`,
-                `Every '[' must have a corresponding ']'.`
-            );
-        });
+        this.checkBracketPairs('[', ']', 'MismatchedBracket', 'bracket');
     }
 
     // Phase 2: Syntax Analysis - Mismatched Parentheses ()
     detectMismatchedParentheses() {
-        let parenStack = [];
-        let inString = false;
-        let inChar = false;
-        
-        this.lines.forEach((line, idx) => {
-            // Skip comments
-            if (line.trim().startsWith('//')) return;
-            
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                const prevChar = i > 0 ? line[i-1] : '';
-                
-                // Track string literals
-                if (char === '"' && prevChar !== '\\') inString = !inString;
-                if (char === "'" && prevChar !== '\\') inChar = !inChar;
-                
-                if (inString || inChar) continue;
-                
-                if (char === '(') {
-                    parenStack.push({ line: idx + 1, col: i + 1 });
-                } else if (char === ')') {
-                    if (parenStack.length === 0) {
-                        this.addBug(
-                            'MismatchedParenthesis',
-                            'error',
-                            idx + 1,
-                            `Unexpected closing parenthesis ')' without matching '('`,
-                            `Remove the extra ')' or add matching '('`,
-                            `Every ')' must have a corresponding '('.`
-                        );
-                    } else {
-                        parenStack.pop();
-                    }
-                }
-            }
-        });
-
-        parenStack.forEach(paren => {
-            this.addBug(
-                'MismatchedParenthesis',
-                'error',
-                paren.line,
-                `Unclosed parenthesis '(' - missing ')'`,
-                `Add matching ')' for the '(' on line ${paren.line}`,
-                `Every '(' must have a corresponding ')'.`
-            );
-        });
+        this.checkBracketPairs('(', ')', 'MismatchedParenthesis', 'parenthesis');
     }
 
     // Phase 2: Syntax Analysis - Mismatched Braces {}
     detectMismatchedBraces() {
-        let braceStack = [];
-        let inString = false;
-        
-        this.lines.forEach((line, idx) => {
-            // Skip comments
-            if (line.trim().startsWith('//')) return;
-            
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                const prevChar = i > 0 ? line[i-1] : '';
-                
-                if (char === '"' && prevChar !== '\\') inString = !inString;
-                if (inString) continue;
-                
-                if (char === '{') {
-                    braceStack.push({ line: idx + 1, col: i + 1 });
-                } else if (char === '}') {
-                    if (braceStack.length === 0) {
-                        this.addBug(
-                            'MismatchedBrace',
-                            'error',
-                            idx + 1,
-                            `Unexpected closing brace '}' without matching '{'`,
-                            `Remove the extra '}' or add matching '{'`,
-                            `Every '}' must have a corresponding '{'.`
-                        );
-                    } else {
-                        braceStack.pop();
-                    }
+        this.checkBracketPairs('{', '}', 'MismatchedBrace', 'brace');
+    }
+
+    // Phase 2: Match one kind of bracket over the token stream, so brackets
+    // inside comments, strings and char literals are never counted
+    checkBracketPairs(open, close, bugType, name) {
+        const stack = [];
+
+        this.codeTokens.forEach(tok => {
+            if (tok.value === open) {
+                stack.push(tok);
+            } else if (tok.value === close) {
+                if (stack.length === 0) {
+                    this.addBug(
+                        bugType,
+                        'error',
+                        tok.line,
+                        `Unexpected closing ${name} '${close}' without matching '${open}'`,
+                        `Remove the extra '${close}' or add matching '${open}'`,
+                        `Every '${close}' must have a corresponding '${open}'.`
+                    );
+                } else {
+                    stack.pop();
                 }
             }
         });
 
-        braceStack.forEach(brace => {
+        stack.forEach(tok => {
             this.addBug(
-                'MismatchedBrace',
+                bugType,
                 'error',
-                brace.line,
-                `Unclosed brace '{' - missing '}'`,
-                `Add matching '}' for the '{' on line ${brace.line}`,
-                `Every '{' must have a corresponding '}'.`
+                tok.line,
+                `Unclosed ${name} '${open}' - missing '${close}'`,
+                `Add matching '${close}' for the '${open}' on line ${tok.line}`,
+                `Every '${open}' must have a corresponding '${close}'.`
             );
         });
     }
 
     // Phase 2: Syntax Analysis - Malformed Control Structures
     detectMalformedControlStructures() {
-        this.lines.forEach((line, idx) => {
-            const trimmed = line.trim();
-            
-            // Detect } used instead of ) in conditions like (x > 0}
-            if (/\([^()]*\}/.test(trimmed)) {
-                this.addBug('MalformedSyntax', 'error', idx + 1,
-                    `'}' used instead of ')' to close condition/expression`,
-                    `Replace '}' with ')' to close the parenthesis`,
-                    `Parentheses () must be closed with ')' not '}'.`);
-            }
-            
-            // Detect while/if/for with malformed parentheses (like "while(x}{")
-            // Check for brace inside what should be a condition
-            if (/\b(while|if|for)\s*\([^)]*\{/.test(trimmed)) {
-                this.addBug('MalformedSyntax', 'error', idx + 1,
-                    `Malformed control structure: '{' found inside condition parentheses`,
-                    `Check for missing ')' before '{'`,
-                    `Control structures like while(condition) must have proper parentheses before the body.`);
-            }
-            
-            // Detect closing brace inside condition
-            if (/\b(while|if|for)\s*\([^)]*\}/.test(trimmed)) {
-                this.addBug('MalformedSyntax', 'error', idx + 1,
-                    `Malformed control structure: '}' found instead of ')' in condition`,
-                    `Change '}' to ')' to properly close the condition`,
-                    `Conditions cannot contain braces. Use ')' to close.`);
-            }
-            
-            // Detect while/if/for without opening parenthesis
-            if (/\b(while|if)\s+[^(]\w/.test(trimmed) && !/\b(while|if)\s*\(/.test(trimmed)) {
-                this.addBug('MalformedSyntax', 'error', idx + 1,
-                    `Control structure missing '(' after keyword`,
-                    `Add '(' after while/if keyword`,
-                    `Syntax: while(condition) or if(condition).`);
-            }
-            
-            // Detect for loop with wrong number of semicolons
-            const forMatch = trimmed.match(/\bfor\s*\(([^)]*)\)/);
-            if (forMatch) {
-                const forContent = forMatch[1];
-                const semicolonCount = (forContent.match(/;/g) || []).length;
-                if (semicolonCount !== 2) {
-                    this.addBug('MalformedSyntax', 'error', idx + 1,
-                        `for loop must have exactly 2 semicolons, found ${semicolonCount}`,
-                        `Use format: for(init; condition; update)`,
-                        `for loops require: initialization; condition; update.`);
+        const tokens = this.codeTokens;
+        const controlKeywords = ['while', 'if', 'for'];
+        const stack = [];   // open brackets with the keyword that owns them
+
+        tokens.forEach((tok, i) => {
+            const prev = tokens[i - 1];
+            const next = tokens[i + 1];
+            const top = stack[stack.length - 1];
+
+            // Detect while/if/for/switch without opening parenthesis
+            if (tok.type === 'keyword' && (controlKeywords.includes(tok.value) || tok.value === 'switch') &&
+                (!next || next.value !== '(')) {
+                if (tok.value === 'switch') {
+                    this.addBug('MalformedSyntax', 'error', tok.line,
+                        `switch statement missing '(' after keyword`,
+                        `Add '(' after switch keyword`,
+                        `Syntax: switch(expression).`);
+                } else {
+                    this.addBug('MalformedSyntax', 'error', tok.line,
+                        `Control structure missing '(' after keyword`,
+                        `Add '(' after ${tok.value} keyword`,
+                        `Syntax: while(condition) or if(condition).`);
                 }
             }
-            
-            // Detect switch without parentheses
-            if (/\bswitch\s+[^(]/.test(trimmed) && !/\bswitch\s*\(/.test(trimmed)) {
-                this.addBug('MalformedSyntax', 'error', idx + 1,
-                    `switch statement missing '(' after keyword`,
-                    `Add '(' after switch keyword`,
-                    `Syntax: switch(expression).`);
+
+            if (tok.value === '(' || tok.value === '[') {
+                const owner = prev && prev.type === 'keyword' ? prev.value : null;
+                stack.push({ token: tok, owner, semicolons: 0 });
+            } else if (tok.value === ';') {
+                if (top && top.owner === 'for') top.semicolons++;
+            } else if (tok.value === '{') {
+                // Detect brace inside what should be a condition (like "while(x{")
+                if (top && top.token.value === '(' && controlKeywords.includes(top.owner)) {
+                    this.addBug('MalformedSyntax', 'error', tok.line,
+                        `Malformed control structure: '{' found inside condition parentheses`,
+                        `Check for missing ')' before '{'`,
+                        `Control structures like while(condition) must have proper parentheses before the body.`);
+                    stack.pop();
+                }
+                stack.push({ token: tok, owner: null });
+            } else if (tok.value === '}') {
+                // Detect } used instead of ) in conditions like (x > 0}
+                if (top && top.token.value === '(' && top.token.line === tok.line) {
+                    this.addBug('MalformedSyntax', 'error', tok.line,
+                        `'}' used instead of ')' to close condition/expression`,
+                        `Replace '}' with ')' to close the parenthesis`,
+                        `Parentheses () must be closed with ')' not '}'.`);
+                    if (controlKeywords.includes(top.owner)) {
+                        this.addBug('MalformedSyntax', 'error', tok.line,
+                            `Malformed control structure: '}' found instead of ')' in condition`,
+                            `Change '}' to ')' to properly close the condition`,
+                            `Conditions cannot contain braces. Use ')' to close.`);
+                    }
+                    stack.pop();
+                } else {
+                    // Brackets left open on earlier lines are reported by the mismatch checks
+                    while (stack.length > 0 && stack[stack.length - 1].token.value !== '{') stack.pop();
+                    stack.pop();
+                }
+            } else if (tok.value === ')' || tok.value === ']') {
+                const open = tok.value === ')' ? '(' : '[';
+                if (top && top.token.value === open) {
+                    stack.pop();
+                    // Detect for loop with wrong number of semicolons
+                    if (top.owner === 'for' && top.semicolons !== 2) {
+                        this.addBug('MalformedSyntax', 'error', top.token.line,
+                            `for loop must have exactly 2 semicolons, found ${top.semicolons}`,
+                            `Use format: for(init; condition; update)`,
+                            `for loops require: initialization; condition; update.`);
+                    }
+                }
             }
         });
     }
 
     // Phase 1 & 3: Lexical Analysis & Symbol Table - Function Detection
     detectFunctions() {
-        const funcDefPattern = /\b(int|float|char|double|void|long|short)\s+(\w+)\s*\(([^)]*)\)\s*\{?/g;
-        const funcCallPattern = /\b(\w+)\s*\(/g;
-        
+        // Preprocessed tokens: macros are expanded and included headers spliced in
+        const tokens = this.ppTokens;
         const keywords = ['if', 'while', 'for', 'switch', 'return', 'int', 'float', 'char', 
                           'double', 'void', 'printf', 'scanf', 'sizeof', 'malloc', 'free', 'strlen'];
-
-        // Find function definitions first
-        this.lines.forEach((line, idx) => {
-            funcDefPattern.lastIndex = 0;
-            let match;
-            while ((match = funcDefPattern.exec(line)) !== null) {
-                const funcName = match[2];
-                const params = match[3];
+        const storageClasses = ['static', 'extern', 'inline', 'register', 'auto'];
+        let depth = 0;
+        let declStart = 0;   // first token of the current file-scope declaration
+
+        for (let i = 0; i < tokens.length; i++) {
+            const tok = tokens[i];
+            if (tok.value === '{') { depth++; continue; }
+            if (tok.value === '}') {
+                depth = Math.max(0, depth - 1);
+                if (depth === 0) declStart = i + 1;
+                continue;
+            }
+            if (depth === 0 && tok.value === ';') { declStart = i + 1; continue; }
+            if (tok.type !== 'identifier' || !tokens[i + 1] || tokens[i + 1].value !== '(') continue;
+
+            const funcName = tok.value;
+            const specifiers = tokens.slice(declStart, i);
+            const inInitializer = specifiers.some(t => t.value === '=');
+
+            if (depth === 0 && !inInitializer) {
+                // File scope: the declarator of a function definition or prototype
+                const close = this.findClosing(tokens, i + 1);
+                if (close === -1 || specifiers.length === 0 || specifiers.some(t => t.value === 'typedef')) continue;
+                const after = tokens[close + 1];
+                const returnType = specifiers.filter(t => !storageClasses.includes(t.value)).map(t => t.value).join(' ');
+                const info = {
+                    file: tok.file,
+                    line: tok.line,
+                    returnType: returnType,
+                    params: this.joinTokens(tokens.slice(i + 2, close)),
+                    hasBody: !!after && after.value === '{',
+                    isStatic: specifiers.some(t => t.value === 'static')
+                };
+                i = close;
+
+                if (after && [';', ','].includes(after.value)) {
+                    this.functionPrototypes.set(funcName, info);
+                    continue;
+                }
+                // Function pointers, arrays of them and initializers are not functions
+                if (after && ['(', '[', '=', ')'].includes(after.value)) continue;
                 if (!keywords.includes(funcName)) {
-                    this.functions.set(funcName, {
-                        line: idx + 1,
-                        returnType: match[1],
-                        params: params,
-                        hasBody: line.includes('{') || (idx + 1 < this.lines.length && this.lines[idx + 1].trim().startsWith('{'))
-                    });
+                    // Functions defined in a header are only declarations as far as this file goes
+                    const table = tok.file === this.currentFile ? this.functions : this.functionPrototypes;
+                    table.set(funcName, info);
                 }
+            } else if (!keywords.includes(funcName)) {
+                // Inside a body (or a file-scope initializer): a call
+                this.functionCalls.add(funcName);
+                if (tok.file !== this.currentFile) continue;
+                if (!this.functionCallSites.has(funcName)) this.functionCallSites.set(funcName, []);
+                this.functionCallSites.get(funcName).push(tok.line);
             }
+        }
+    }
+
+    // Phase 1 & 3: Preprocessing & Symbol Table - #include lines: library names used without
+    // their header, standard headers nothing is used from, and headers included twice
+    detectIncludeErrors() {
+        const isStandard = (inc) => inc.system || CStandardLibrary.isKnownHeader(inc.path);
+        const userTypedefs = new Set(this.symbolTable.symbols.filter(s => s.kind === 'typedef').map(s => s.name));
+
+        // Library names this file uses, with the line of their first use; names the file
+        // declares itself resolve to a symbol and are not the library's
+        const uses = new Map();
+        const use = (name, line) => {
+            if (!uses.has(name) && CStandardLibrary.headersOf(name).length) uses.set(name, line);
+        };
+        this.visit({
+            Identifier: (node) => { if (!node.symbol) use(node.name, this.lineOf(node)); },
+            DeclSpec: (spec) => { if (spec.typedefName && !userTypedefs.has(spec.typedefName)) use(spec.typedefName, this.lineOf(spec)); }
+        });
+        // Library macros the preprocessor expanded (e.g. PRId64) left their name on the tokens
+        this.ppTokens.forEach(tok => { if (tok.macro && tok.file === this.currentFile) use(tok.macro, tok.line); });
+        // Macro bodies use names too, even when the macro is never expanded
+        const mentioned = new Set(uses.keys());
+        this.macros.forEach(macro => {
+            if (macro.file === this.currentFile) macro.body.forEach(tok => { if (tok.type === 'identifier') mentioned.add(tok.value); });
         });
 
-        // Find function calls (exclude function definitions)
-        this.lines.forEach((line, idx) => {
-            // Skip if this line is a function definition
-            const isFuncDef = /^\s*(int|float|char|double|void|long|short)\s+\w+\s*\([^)]*\)\s*\{?\s*(\/\/.*)?$/.test(line);
-            if (isFuncDef) return;
-            
-            funcCallPattern.lastIndex = 0;
-            let match;
-            while ((match = funcCallPattern.exec(line)) !== null) {
-                const funcName = match[1];
-                if (!keywords.includes(funcName)) {
-                    this.functionCalls.add(funcName);
-                }
+        // Duplicates: the second #include of the same header in this file
+        const own = this.includes.filter(inc => inc.file === this.currentFile);
+        const seen = new Map();
+        own.forEach(inc => {
+            const first = seen.get(inc.path);
+            if (!first) {
+                seen.set(inc.path, inc);
+                return;
             }
+            const spelled = inc.system ? `<${inc.path}>` : `"${inc.path}"`;
+            this.duplicateIncludes.add(inc.line);
+            this.addBug(
+                'DuplicateInclude',
+                'warning',
+                inc.line,
+                `${spelled} is already included at line ${first.line}`,
+                `Remove this #include`,
+                `Including a header twice adds nothing; without include guards it even redefines its declarations.`,
+                { related: [{ file: this.currentFile, line: first.line, message: `${spelled} first included here` }] }
+            );
+        });
+
+        // Unused: a standard header none of whose names appears in this file
+        seen.forEach(inc => {
+            if (!isStandard(inc) || !CStandardLibrary.isKnownHeader(inc.path)) return;
+            const provided = CStandardLibrary.provided(inc.path);
+            if ([...mentioned].some(name => CStandardLibrary.headersOf(name).some(header => provided.has(header)))) return;
+            this.addBug(
+                'UnusedInclude',
+                'info',
+                inc.line,
+                `#include <${inc.path}> is not needed: nothing declared in it is used`,
+                `Remove the #include`,
+                `Unneeded includes slow down compilation and hide which headers the file really depends on.`
+            );
+        });
+
+        // Missing: a library name none of whose headers is included. A header that could
+        // not be read may include any of them, so then nothing is reported.
+        if (this.includes.some(inc => !isStandard(inc) && inc.resolved === null)) return;
+        const available = new Set();
+        this.includes.filter(isStandard).forEach(inc => CStandardLibrary.provided(inc.path).forEach(h => available.add(h)));
+        const needed = [...uses].filter(([name]) => !CStandardLibrary.headersOf(name).some(header => available.has(header)));
+        // Names found in several headers (NULL, size_t) go with a header that is added anyway
+        const missing = new Map();   // header -> [{ name, line }]
+        const add = (header, name, line) => {
+            if (!missing.has(header)) missing.set(header, []);
+            missing.get(header).push({ name, line });
+        };
+        needed.filter(([name]) => CStandardLibrary.headersOf(name).length === 1).forEach(([name, line]) => add(CStandardLibrary.headerFor(name), name, line));
+        needed.filter(([name]) => CStandardLibrary.headersOf(name).length > 1).forEach(([name, line]) => {
+            add(CStandardLibrary.headersOf(name).find(header => missing.has(header)) || CStandardLibrary.headerFor(name), name, line);
+        });
+
+        missing.forEach((names, header) => {
+            this.missingIncludes.add(header);
+            const list = names.map(n => `'${n.name}'`).join(', ');
+            const functions = names.filter(n => CStandardLibrary.isFunction(n.name));
+            this.addBug(
+                'MissingInclude',
+                'error',
+                Math.min(...names.map(n => n.line)),
+                `${list} ${names.length > 1 ? 'are' : 'is'} used without #include <${header}>`,
+                `Add '#include <${header}>' at the top of the file`,
+                functions.length
+                    ? `Without a declaration the compiler rejects the call or assumes '${functions[0].name}' returns int, which breaks functions returning pointers or floating values.`
+                    : `<${header}> defines ${names.length > 1 ? 'these names' : 'this name'}; without it the compiler reports an undeclared identifier.`
+            );
         });
     }
 
     // Phase 4: Semantic Analysis - Function Errors
     detectFunctionErrors() {
+        // Calls through a function pointer (a variable, a parameter or a member) call
+        // whatever it points to, so the name needs no function of its own
+        const pointerCalls = new Set();   // 'name:line'
+        const isFunctionPointer = (type) => {
+            const decayed = type.decay();
+            return decayed.isPointer() && !!decayed.pointee() && decayed.pointee().isFunction();
+        };
+        this.visit({
+            CallExpr: (call) => {
+                const callee = call.callee;
+                if (callee.kind === 'Identifier' && callee.symbol && ['variable', 'parameter'].includes(callee.symbol.kind) &&
+                    isFunctionPointer(callee.symbol.type)) {
+                    pointerCalls.add(`${callee.name}:${this.lineOf(call)}`);
+                } else if (callee.kind === 'MemberExpr' && isFunctionPointer(this.typeOf(callee))) {
+                    pointerCalls.add(`${callee.member}:${this.lineOf(call)}`);
+                }
+            }
+        });
+
         // Detect function calls to undefined functions
-        this.functionCalls.forEach(funcName => {
-            if (!this.functions.has(funcName) && !this.isStandardFunction(funcName)) {
-                this.undefinedFunctions.add(funcName);  // Track for removal
-                // Find where it's called
-                this.lines.forEach((line, idx) => {
-                    if (new RegExp(`\\b${funcName}\\s*\\(`).test(line)) {
-                        this.addBug(
-                            'UndefinedFunction',
-                            'error',
-                            idx + 1,
-                            `Function '${funcName}' is called but not defined`,
-                            `Remove the call or define the function '${funcName}'`,
-                            `Functions must be defined before they can be called.`
-                        );
-                    }
+        this.functionCallSites.forEach((sites, funcName) => {
+            const lines = sites.filter(line => !pointerCalls.has(`${funcName}:${line}`));
+            if (lines.length === 0 || this.functions.has(funcName) || this.isStandardFunction(funcName) ||
+                this.isDefinedInProject(funcName)) return;
+
+            const prototype = this.functionPrototypes.get(funcName);
+            if (prototype) {
+                // A prototype is enough for a single file (the body may be in a library),
+                // but in a project some file is expected to define it
+                if (!this.project || prototype.hasBody) return;
+                lines.forEach(line => {
+                    this.addBug(
+                        'UndefinedFunction',
+                        'warning',
+                        line,
+                        `Function '${funcName}' is declared but not defined in any project file`,
+                        `Add the file that defines '${funcName}' or define it`,
+                        `The program will fail to link unless a library provides this function.`
+                    );
                 });
+                return;
             }
+
+            this.undefinedFunctions.add(funcName);  // Track for removal
+            lines.forEach(line => {
+                this.addBug(
+                    'UndefinedFunction',
+                    'error',
+                    line,
+                    `Function '${funcName}' is called but not defined`,
+                    `Remove the call or define the function '${funcName}'`,
+                    `Functions must be defined before they can be called.`
+                );
+            });
         });
 
         // Detect function definition issues
         this.functions.forEach((info, funcName) => {
             // Check for missing function body
             if (!info.hasBody) {
-                let hasBodyBelow = false;
-                for (let i = info.line; i < Math.min(info.line + 2, this.lines.length); i++) {
-                    if (this.lines[i] && this.lines[i].includes('{')) {
-                        hasBodyBelow = true;
-                        break;
+                this.addBug(
+                    'MissingFunctionBody',
+                    'error',
+                    info.line,
+                    `Function '${funcName}' is declared but has no body '{}'`,
+                    `Add function body with '{' and '}' or add ';' for declaration`,
+                    `Functions need a body to be defined.`
+                );
+            }
+        });
+
+        // Check parameter syntax: each parameter of a definition needs a type and a name
+        this.visit({
+            FunctionDef: (fn) => {
+                const derivation = fn.declarator.derived.find(d => d.kind === 'FunctionDerivation');
+                if (!derivation) return false;
+                const params = derivation.params;
+                params.forEach(param => {
+                    if (param.specifiers && param.name) return;
+                    // "(void)" is an empty parameter list
+                    if (params.length === 1 && param.specifiers && !param.declarator &&
+                        this.types.fromSpecifiers(param.specifiers).isVoid()) return;
+                    const text = param.macro ? param.name : this.originalCode.slice(param.start, param.end).trim();
+                    this.addBug(
+                        'InvalidParameter',
+                        'error',
+                        this.lineOf(param),
+                        `Invalid parameter '${text}' in function '${fn.name}'`,
+                        `Parameters should be: type name (e.g., 'int x')`,
+                        `Function parameters need both type and name.`
+                    );
+                });
+                return false;
+            }
+        });
+    }
+
+    // Phase 4: Semantic Analysis - Member Access: '.' on a pointer, '->' on a struct,
+    // and members the struct or union does not have
+    detectMemberAccess() {
+        this.visit({
+            MemberExpr: (node) => {
+                const object = this.typeOf(node.object).decay();
+                const name = CParser.print(node.object);
+                const written = `${name}${node.arrow ? '->' : '.'}${node.member}`;
+                const swap = (arrow) => {
+                    // Change Code can swap the operator when the object is a plain variable
+                    if (node.object.kind === 'Identifier') {
+                        this.memberFixes.push({ line: this.lineOf(node), object: name, member: node.member, arrow });
                     }
+                };
+                let record = node.arrow ? object.pointee() : object;
+                if (!node.arrow && object.isPointer() && object.pointee() && object.pointee().isRecord()) {
+                    record = object.pointee();
+                    swap(true);
+                    this.addBug(
+                        'InvalidMemberAccess',
+                        'error',
+                        this.lineOf(node),
+                        `'${name}' is a pointer to ${record}, so '${written}' needs '->'`,
+                        `Write '${name}->${node.member}' (or '(*${name}).${node.member}')`,
+                        `The '.' operator takes a struct or union itself; through a pointer the member is reached with '->', which dereferences it first.`
+                    );
+                } else if (node.arrow && object.isRecord()) {
+                    record = object;
+                    swap(false);
+                    this.addBug(
+                        'InvalidMemberAccess',
+                        'error',
+                        this.lineOf(node),
+                        `'${name}' is a ${record}, not a pointer, so '${written}' needs '.'`,
+                        `Write '${name}.${node.member}'`,
+                        `The '->' operator dereferences a pointer before selecting the member; a struct or union value is used with '.' directly.`
+                    );
                 }
-                if (!hasBodyBelow) {
+
+                // Anonymous members bring their own members in, so only check records without them
+                const members = record && record.isRecord() ? record.recordMembers() : null;
+                if (members && members.every(m => m.name) && !record.member(node.member)) {
                     this.addBug(
-                        'MissingFunctionBody',
+                        'UnknownMember',
                         'error',
-                        info.line,
-                        `Function '${funcName}' is declared but has no body '{}'`,
-                        `Add function body with '{' and '}' or add ';' for declaration`,
-                        `Functions need a body to be defined.`
+                        this.lineOf(node),
+                        `${record} has no member named '${node.member}'`,
+                        members.length ? `Use one of its members: ${members.map(m => `'${m.name}'`).join(', ')}` : `Add '${node.member}' to the definition of ${record}`,
+                        `A member access must name a member declared in the struct or union definition.`
                     );
                 }
             }
+        });
+    }
 
-            // Check parameter syntax
-            if (info.params && info.params.trim() !== '' && info.params.trim() !== 'void') {
-                const params = info.params.split(',');
-                params.forEach((param, pIdx) => {
-                    const trimmedParam = param.trim();
-                    if (trimmedParam && !/^(int|float|char|double|void|long|short)\s+\w+/.test(trimmedParam) &&
-                        !/^(int|float|char|double|void|long|short)\s*\*\s*\w+/.test(trimmedParam) &&
-                        trimmedParam !== '...' && trimmedParam !== 'void') {
-                        this.addBug(
-                            'InvalidParameter',
-                            'error',
-                            info.line,
-                            `Invalid parameter '${trimmedParam}' in function '${funcName}'`,
-                            `Parameters should be: type name (e.g., 'int x')`,
-                            `Function parameters need both type and name.`
-                        );
-                    }
+    // Phase 4: Semantic Analysis - Structs and unions large enough that passing them
+    // by value copies a noticeable amount of memory on every call
+    detectLargeStructParameters() {
+        this.visit({
+            FunctionDef: (fn) => {
+                const derivation = fn.declarator.derived.find(d => d.kind === 'FunctionDerivation');
+                if (!derivation) return false;
+                derivation.params.forEach(param => {
+                    const symbol = param.symbol;
+                    if (!symbol || !symbol.type.isRecord() || symbol.derived.length > 0) return;
+                    const size = symbol.type.size();
+                    if (size === null || size <= this.largeStructSize) return;
+                    const pointer = CType.pointer(symbol.type.qualified(['const'])).declare(symbol.name);
+                    this.addBug(
+                        'LargeStructByValue',
+                        'info',
+                        this.lineOf(param),
+                        `Parameter '${symbol.name}' of '${fn.name}' copies a ${symbol.type} of ${size} bytes on every call`,
+                        `Take a pointer to const: '${pointer}', use '${symbol.name}->' instead of '${symbol.name}.' in '${fn.name}', and pass '&' of the argument at each call`,
+                        `Arguments are copied into the callee, so a large struct or union passed by value costs a ${size}-byte copy per call. A const pointer avoids the copy and still keeps '${fn.name}' from changing the caller's data.`
+                    );
                 });
+                return false;
             }
         });
     }
 
-    // Check if name is a standard C library function
-    isStandardFunction(name) {
-        const standardFuncs = ['printf', 'scanf', 'malloc', 'free', 'strlen', 'strcpy', 'strcmp',
-                               'fopen', 'fclose', 'fread', 'fwrite', 'fprintf', 'fscanf',
-                               'getchar', 'putchar', 'gets', 'puts', 'exit', 'abs', 'sqrt',
-                               'pow', 'sin', 'cos', 'tan', 'log', 'exp', 'rand', 'srand', 'time',
-                               'memset', 'memcpy', 'memmove', 'atoi', 'atof', 'sizeof'];
-        return standardFuncs.includes(name);
+    // Phase 3: Symbol Table - File-scope variables, including those declared in included headers
+    collectGlobals() {
+        this.symbolTable.fileScope.symbols.forEach((symbol, name) => {
+            if (symbol.kind !== 'variable') return;
+            this.globals.set(name, {
+                unit: this.currentFile,
+                file: symbol.file,
+                line: symbol.line,
+                isExtern: !symbol.isDefinition,
+                isStatic: symbol.storage.includes('static'),
+                hasInit: symbol.hasInit,
+                symbol
+            });
+        });
+    }
+
+    // Phase 3: Symbol Table - Merge this file's symbols into the project table
+    recordProjectSymbols() {
+        const addTo = (map, name, value) => {
+            if (!map.has(name)) map.set(name, []);
+            map.get(name).push(value);
+        };
+        const addFile = (map, name) => {
+            if (!map.has(name)) map.set(name, new Set());
+            map.get(name).add(this.currentFile);
+        };
+        this.functions.forEach((info, name) => addTo(this.project.functions, name, info));
+        this.functionPrototypes.forEach((info, name) => addTo(this.project.prototypes, name, info));
+        // A header's globals are recorded by the units including it, each with its own copy
+        if (/\.c$/i.test(this.currentFile)) this.globals.forEach((info, name) => addTo(this.project.globals, name, info));
+        this.recordCalls(this.project.callGraph);
+        this.visit({
+            Identifier: (node) => addFile(this.project.references, node.name)
+        });
+    }
+
+    // Phase 4: Semantic Analysis - Linker errors: symbols defined twice or never defined
+    detectLinkageErrors() {
+        this.functions.forEach((info, funcName) => {
+            if (info.isStatic || !info.hasBody) return;
+            const others = this.project.functions.get(funcName)
+                .filter(other => other.file !== info.file && !other.isStatic && other.hasBody);
+            if (others.length === 0) return;
+            this.addBug('DuplicateDefinition', 'error', info.line,
+                `Function '${funcName}' is also defined in ${others.map(o => `${o.file} (line ${o.line})`).join(', ')}`,
+                `Keep one definition, or make the helpers 'static' if each file needs its own`,
+                `Two non-static definitions of the same function make the program fail to link.`);
+        });
+
+        this.globals.forEach((info, name) => {
+            const entries = this.project.globals.get(name);
+            if (!info.isExtern && !info.isStatic) {
+                const others = entries.filter(other => other.unit !== this.currentFile && !other.isExtern && !other.isStatic);
+                if (others.length === 0) return;
+                this.addBug('DuplicateDefinition', 'error', info.line,
+                    `Global variable '${name}' is also defined in ${[...new Set(others.map(o => o.unit))].join(', ')}`,
+                    `Define '${name}' in one file and declare it 'extern' everywhere else`,
+                    `Each global variable must have exactly one definition across the program.`,
+                    { file: info.file });
+                return;
+            }
+            if (info.isExtern && !entries.some(other => !other.isExtern && !other.isStatic)) {
+                const references = this.project.references.get(name);
+                if (!references || !references.has(this.currentFile)) return;
+                this.addBug('UndefinedGlobal', 'error', info.line,
+                    `Global variable '${name}' is declared 'extern' but not defined in any project file`,
+                    `Add 'int ${name};' (with its real type) to one of the .c files`,
+                    `An extern declaration only promises a definition elsewhere; without one the program fails to link.`,
+                    { file: info.file });
+            }
+        });
+    }
+
+    // Phase 3: Symbol Table - Is there a non-static definition in any project file?
+    isDefinedInProject(funcName) {
+        if (!this.project || !this.project.functions.has(funcName)) return false;
+        return this.project.functions.get(funcName).some(info => !info.isStatic || info.file === this.currentFile);
+    }
+
+    // Check if name is a standard C library function, or a macro called like one
+    isStandardFunction(name) {
+        return name === 'sizeof' || CStandardLibrary.isFunction(name) || CStandardLibrary.isMacro(name) ||
+            C_RESOURCE_PAIRS.some(pair => [].concat(pair.acquire, pair.release).includes(name));
+    }
+
+    // Phase 5: Data-Flow Analysis - Heap Memory: leaks, double free, use after free
+    // and free() of memory that did not come from malloc
+    detectHeapErrors() {
+        const options = { evaluate: (expr) => this.evaluateConstant(expr) };
+        this.cfgs.forEach((cfg, funcName) => {
+            const analysis = new CHeapAnalysis(cfg, options).solve();
+            cfg.blocks.forEach(block => {
+                if (!cfg.reachable.has(block)) return;
+                analysis.replay(block, analysis.in.get(block), event => this.reportHeapEvent(event));
+            });
+
+            // Memory still owned by the function when it returns is leaked
+            const leaked = new Set();
+            cfg.exit.predecessors.forEach(edge => {
+                if (!cfg.reachable.has(edge.block)) return;
+                const line = edge.node ? this.lineOf(edge.node) : cfg.fn.range.end.line;
+                const where = edge.node ? 'returning here' : `the end of '${funcName}'`;
+                analysis.leakedAt(edge).forEach(({ site, definite }) => {
+                    if (leaked.has(site)) return;
+                    leaked.add(site);
+                    this.addBug(
+                        'MemoryLeak',
+                        definite ? 'error' : 'warning',
+                        line,
+                        `Memory allocated at line ${this.lineOf(site.node)} ${definite ? 'is' : 'may be'} leaked: it is not freed before ${where}`,
+                        `Call free() on it before ${where}, or return the pointer to the caller`,
+                        `Once the last pointer to heap memory is gone the block can never be freed; a program that leaks in a loop keeps growing until it runs out of memory.`,
+                        this.allocatedHere(site)
+                    );
+                });
+            });
+        });
+    }
+
+    // Phase 5: Data-Flow Analysis - Files, descriptors and locks not released, released twice or never acquired
+    detectResourceLeaks() {
+        const options = { pairs: this.resourcePairs, evaluate: (expr) => this.evaluateConstant(expr) };
+        this.cfgs.forEach((cfg, funcName) => {
+            const analysis = new CResourceAnalysis(cfg, options).solve();
+            cfg.blocks.forEach(block => {
+                if (!cfg.reachable.has(block)) return;
+                analysis.replay(block, analysis.in.get(block), event => this.reportResourceEvent(event));
+            });
+
+            // Resources still held when the function returns are never released
+            const held = new Set();
+            cfg.exit.predecessors.forEach(edge => {
+                if (!cfg.reachable.has(edge.block)) return;
+                const line = edge.node ? this.lineOf(edge.node) : cfg.fn.range.end.line;
+                const where = edge.node ? 'returning here' : `the end of '${funcName}'`;
+                analysis.heldAt(edge).forEach(({ site, definite }) => {
+                    if (held.has(site)) return;
+                    held.add(site);
+                    const release = [].concat(site.pair.release)[0];
+                    this.addBug(
+                        'ResourceLeak',
+                        definite ? 'error' : 'warning',
+                        line,
+                        site.kind === 'lock'
+                            ? `'${this.lockName(site)}' locked at line ${this.lineOf(site.node)} ${definite ? 'is' : 'may be'} still held ${edge.node ? 'when returning here' : `at the end of '${funcName}'`}`
+                            : `The ${site.pair.resource} acquired by ${site.acquirer}() at line ${this.lineOf(site.node)} ${definite ? 'is not' : 'may not be'} released before ${where}`,
+                        site.kind === 'lock' ? `Call ${release}(${site.key}) on every path out of '${funcName}'` : `Call ${release}() on it before ${where}, or return it to the caller`,
+                        site.kind === 'lock'
+                            ? `A lock that is never released blocks every other thread that tries to take it.`
+                            : `Each process can only have a limited number of ${site.pair.resource}s open; leaking them makes later ${site.acquirer}() calls fail, and buffered output may never be written.`,
+                        this.acquiredHere(site)
+                    );
+                });
+            });
+        });
+    }
+
+    // Phase 5: Bug report for an event of the resource analysis
+    reportResourceEvent(event) {
+        const { site, node, pair, definite } = event;
+        const line = this.lineOf(node);
+        const name = event.symbol ? `'${event.symbol.name}'` : site && site.kind === 'lock' ? `'${this.lockName(site)}'` : 'the handle';
+        const release = event.release || [].concat(pair.release)[0];
+        switch (event.kind) {
+            case 'double-release':
+                this.addBug(
+                    'DoubleRelease',
+                    definite ? 'critical' : 'warning',
+                    line,
+                    site.kind === 'lock'
+                        ? `${name} ${definite ? 'is' : 'may be'} unlocked twice: ${release}() is called when it is no longer locked`
+                        : `The ${pair.resource} acquired at line ${this.lineOf(site.node)} ${definite ? 'is' : 'may be'} released twice (${release}() on ${name})`,
+                    `Remove the second ${release}(), or reset the handle after releasing it`,
+                    site.kind === 'lock'
+                        ? `Unlocking a mutex that is not locked is undefined behavior.`
+                        : `After the first ${release}() the handle is invalid; releasing it again is undefined behavior and may close a ${pair.resource} that was reopened in the meantime.`,
+                    this.acquiredHere(site)
+                );
+                break;
+            case 'unacquired-release':
+                this.addBug(
+                    'ReleaseWithoutAcquire',
+                    definite ? 'error' : 'warning',
+                    line,
+                    site && site.kind === 'lock'
+                        ? `${name} is unlocked ${definite ? 'without being locked' : 'on a path where it may not be locked'}`
+                        : `${release}() is called on ${name}, which ${definite ? 'holds' : 'may hold'} no ${pair.resource} (its ${[].concat(pair.acquire)[0]}() was never called or failed)`,
+                    site && site.kind === 'lock' ? `Only unlock ${name} on paths that locked it` : `Only call ${release}() after a successful ${[].concat(pair.acquire)[0]}()`,
+                    site && site.kind === 'lock'
+                        ? `Unlocking a mutex the thread does not hold is undefined behavior.`
+                        : `Releasing an invalid handle is undefined behavior - ${release}(NULL) usually crashes.`,
+                    site ? this.acquiredHere(site) : undefined
+                );
+                break;
+            case 'overwritten':
+            case 'discarded':
+                this.addBug(
+                    'ResourceLeak',
+                    'error',
+                    line,
+                    event.kind === 'discarded'
+                        ? `The ${pair.resource} returned by ${site.acquirer}() is never stored, so it can never be released`
+                        : `The ${pair.resource} acquired at line ${this.lineOf(site.node)} is leaked: ${name} is overwritten while it is the only handle to it`,
+                    event.kind === 'discarded' ? `Store the result and call ${release}() on it when done` : `Call ${release}(${event.symbol.name}) before reusing it`,
+                    `Once the last handle is gone the ${pair.resource} can never be released.`,
+                    this.acquiredHere(site)
+                );
+                break;
+        }
+    }
+
+    // Phase 5: The locked object, for messages: "&queue->lock" -> "queue->lock"
+    lockName(site) {
+        return site.key.replace(/^&\s*/, '');
+    }
+
+    // Phase 5: Related location of a resource acquisition, for bug reports
+    acquiredHere(site) {
+        const acquirer = site.kind === 'lock' ? site.node.callee.name : site.acquirer;
+        return { related: [{ file: this.currentFile, line: this.lineOf(site.node), message: `Acquired here by ${acquirer}()` }] };
+    }
+
+    // Phase 5: Data-Flow Analysis - Results of malloc/fopen used before a NULL check
+    detectUncheckedNull() {
+        const options = { evaluate: (expr) => this.evaluateConstant(expr) };
+        this.cfgs.forEach((cfg, funcName) => {
+            const analysis = new CNullPointerAnalysis(cfg, options).solve();
+            const reported = new Set();
+            cfg.blocks.forEach(block => {
+                if (!cfg.reachable.has(block)) return;
+                analysis.replay(block, analysis.in.get(block), ({ node, symbol, sources, callee }) => {
+                    const source = [...sources].sort((a, b) => a.start - b.start)[0];
+                    if (reported.has(source)) return;
+                    reported.add(source);
+                    const name = symbol ? `'${symbol.name}'` : `The result of ${source.callee.name}()`;
+                    const sourceLine = this.lineOf(source);
+                    this.addBug(
+                        'UncheckedNull',
+                        'warning',
+                        this.lineOf(node),
+                        `${name} may be NULL ${callee ? `when passed to ${callee}()` : 'here'} - the result of ${source.callee.name}() at line ${sourceLine} is not checked`,
+                        symbol ? `Add 'if (${symbol.name} == NULL)' after line ${sourceLine} and handle the failure` : `Store the result and check it for NULL before using it`,
+                        `${source.callee.name}() returns NULL when it fails (out of memory, missing file), and using a NULL pointer crashes the program.`,
+                        { related: [{ file: this.currentFile, line: sourceLine, message: `${source.callee.name}() may return NULL here` }] }
+                    );
+                    if (symbol) this.addNullGuard(cfg, funcName, source, symbol, node);
+                });
+            });
+        });
+    }
+
+    // Phase 5: Taint Analysis - input (scanf, fgets, getchar, argv, ...) reaching an array index,
+    // an allocation size, a loop bound, a format string or a command without being checked.
+    // Functions are analyzed again until the parameters receiving input and the functions
+    // returning it stop changing.
+    detectTaintedData() {
+        const params = new Map();    // function name -> Map(parameter index -> record)
+        const returns = new Map();   // function name -> record
+        const options = (funcName) => ({
+            sources: this.taintSources,
+            sinks: this.taintSinks,
+            sanitizers: this.sanitizers,
+            params: params.get(funcName),
+            returns,
+            evaluate: (expr) => this.evaluateConstant(expr),
+            typeOf: (expr) => this.typeOf(expr)
+        });
+        // Keep the first path found, with the weakest checks seen on any
+        const update = (map, key, record) => {
+            const known = map.get(key);
+            const merged = CTaintAnalysis.merge(known, record);
+            if (known && merged.upper === known.upper && merged.lower === known.lower) return false;
+            map.set(key, merged);
+            return true;
+        };
+
+        let sinks = [];
+        for (let round = 0, changed = true; changed && round <= this.cfgs.size; round++) {
+            changed = false;
+            sinks = [];
+            this.cfgs.forEach((cfg, funcName) => {
+                const analysis = new CTaintAnalysis(cfg, options(funcName)).solve();
+                cfg.blocks.forEach(block => {
+                    if (!cfg.reachable.has(block)) return;
+                    analysis.replay(block, analysis.in.get(block), (event) => {
+                        if (event.kind === 'sink') {
+                            sinks.push(event);
+                        } else if (event.kind === 'return') {
+                            changed = update(returns, funcName, event.record) || changed;
+                        } else if (event.kind === 'argument' && this.cfgs.has(event.callee)) {
+                            if (!params.has(event.callee)) params.set(event.callee, new Map());
+                            changed = update(params.get(event.callee), event.index, event.record) || changed;
+                        }
+                    });
+                });
+            });
+        }
+
+        const reported = new Set();
+        sinks.forEach(({ node, sink, record, missing, size, callee }) => {
+            if (reported.has(node)) return;
+            reported.add(node);
+            const info = Object.assign({ description: `an argument of ${callee}()`, cwe: 'CWE-20', severity: 'error', advice: 'validate it before the call' },
+                C_TAINT_SINK_KINDS[sink], callee ? this.taintSinks[callee] : null);
+            const text = CParser.print(node);
+            const reason = {
+                both: 'without a bounds check',
+                upper: size !== null ? `without a check against the array size (${size})` : 'without an upper bound check',
+                lower: 'without a check against negative values',
+                validation: 'without being validated'
+            }[missing];
+            const use = callee && sink !== 'index' && sink !== 'loop' ? `is passed to ${callee}() as` : 'is used as';
+            const line = this.lineOf(node);
+            const path = record.trace.concat({ line, message: `used as ${info.description}` })
+                .map(step => ({ file: this.currentFile, line: step.line, message: step.message }));
+            this.addBug(
+                'TaintedData',
+                info.severity,
+                line,
+                `Input from ${record.source} ${use} ${info.description} ${reason}`,
+                `Validate '${text}' first: ${info.advice}`,
+                `Input comes from outside the program - a user, a file, the network - so it can hold whatever value an attacker chooses. The path shows how it gets here.`,
+                { cwe: info.cwe, path }
+            );
+        });
+    }
+
+    // Phase 6: Remember where Change Code can insert an early exit when an allocation fails:
+    // only after a statement of its own that stores the result straight into the pointer,
+    // alone on its line and before the line of the first use, so the guard comes between them
+    addNullGuard(cfg, funcName, source, symbol, use) {
+        let stmt = null;
+        CParser.walk(cfg.fn.body, {
+            CompoundStmt: (block) => {
+                block.body.forEach(child => {
+                    const init = child.kind === 'Declaration' && child.declarators.length === 1 && child.declarators[0].symbol === symbol
+                        ? child.declarators[0].init
+                        : child.kind === 'ExprStmt' && child.expression.kind === 'AssignExpr' && child.expression.operator === '=' &&
+                          child.expression.left.kind === 'Identifier' && child.expression.left.symbol === symbol
+                            ? child.expression.right : null;
+                    let value = init;
+                    while (value && value.kind === 'CastExpr') value = value.argument;
+                    if (value === source) stmt = child;
+                });
+            }
+        });
+        if (!stmt || this.statementLines(stmt, this.lines).length === 0 || use.file !== this.currentFile ||
+            this.lineOf(use) <= stmt.range.end.line || this.nullGuards.some(guard => guard.line === stmt.range.end.line)) return;
+        const exit = this.failureExit(funcName);
+        if (exit) this.nullGuards.push({ line: stmt.range.end.line, name: symbol.name, exit });
+    }
+
+    // Phase 6: The statement Change Code leaves a function with when a call it inserted a check for failed
+    // (null when it cannot spell a value to return)
+    failureExit(funcName) {
+        const funcSymbol = this.symbolTable.fileScope.symbols.get(funcName);
+        const returnType = funcSymbol && funcSymbol.type.isFunction() ? funcSymbol.type.returnType : null;
+        if (funcName === 'main') return 'return 1;';
+        if (returnType && returnType.isPointer()) return 'return NULL;';
+        if (returnType && returnType.isInteger()) return 'return -1;';
+        // A struct is returned as a compound literal, which needs a name for its type
+        if (returnType && returnType.isRecord()) {
+            return returnType.typedefName || returnType.tag ? `return (${returnType.unqualified()}){0};` : null;
+        }
+        if (returnType && !returnType.isVoid()) return `return ${this.defaultValueFor(returnType)};`;
+        return 'return;';
+    }
+
+    // Phase 4: Semantic Analysis - p = realloc(p, n) loses the only pointer to the
+    // old block when realloc fails
+    detectUnsafeRealloc() {
+        const text = (node) => this.originalCode.slice(node.start, node.end).replace(/\s+/g, '');
+        this.visit({
+            AssignExpr: (node) => {
+                let right = node.right;
+                while (right.kind === 'CastExpr') right = right.argument;
+                if (node.operator !== '=' || right.kind !== 'CallExpr' || right.callee.kind !== 'Identifier' ||
+                    right.callee.name !== 'realloc' || right.args.length !== 2) return;
+                const target = text(node.left);
+                if (target !== text(right.args[0])) return;
+                this.addBug(
+                    'UnsafeRealloc',
+                    'warning',
+                    this.lineOf(node),
+                    `'${target} = realloc(${target}, ...)' leaks the original block if realloc fails`,
+                    `Assign the result to a temporary pointer, check it for NULL, then copy it into '${target}'`,
+                    `When realloc cannot grow the block it returns NULL and leaves the old block allocated - overwriting '${target}' with NULL loses the only pointer to it.`
+                );
+            }
+        });
+    }
+
+    // Phase 5: Report one problem found by the heap analysis
+    reportHeapEvent(event) {
+        const { site, node, definite } = event;
+        const name = event.symbol ? `'${event.symbol.name}'` : 'the pointer';
+        const line = this.lineOf(node);
+        switch (event.kind) {
+            case 'double-free':
+                this.addBug(
+                    'DoubleFree',
+                    definite ? 'critical' : 'warning',
+                    line,
+                    `Memory allocated at line ${this.lineOf(site.node)} ${definite ? 'is' : 'may be'} freed twice (through ${name})`,
+                    `Remove the second free(), or set the pointer to NULL right after the first one`,
+                    `Freeing the same block twice corrupts the allocator's bookkeeping - the program may crash later or hand the same memory out twice.`,
+                    this.allocatedHere(site)
+                );
+                break;
+            case 'use-after-free':
+                this.addBug(
+                    'UseAfterFree',
+                    definite ? 'critical' : 'warning',
+                    line,
+                    `${name[0].toUpperCase()}${name.slice(1)} ${definite ? 'is' : 'may be'} used after the memory it points to (allocated at line ${this.lineOf(site.node)}) was freed`,
+                    `Only free() the memory once it is no longer needed, and set the pointer to NULL afterwards`,
+                    `Freed memory may already be reused for something else; reading it gives garbage and writing it corrupts other data.`,
+                    this.allocatedHere(site)
+                );
+                break;
+            case 'invalid-free': {
+                const what = site.kind === 'literal' ? 'a string literal'
+                    : site.kind === 'array' ? `the array '${site.symbol.name}'`
+                    : `the address of '${site.symbol.name}'`;
+                this.addBug(
+                    'InvalidFree',
+                    definite ? 'critical' : 'error',
+                    line,
+                    `free() ${definite ? 'is' : 'may be'} called on ${what}, which was not allocated with malloc()`,
+                    `Only pass pointers returned by malloc(), calloc() or realloc() to free()`,
+                    `free() on stack or static memory corrupts the heap - the program usually crashes.`,
+                    { related: [{ file: this.currentFile, line: site.symbol ? site.symbol.line : this.lineOf(site.node), message: site.symbol ? `'${site.symbol.name}' declared here` : 'String literal' }] }
+                );
+                break;
+            }
+            case 'overwritten':
+            case 'discarded':
+                this.addBug(
+                    'MemoryLeak',
+                    'error',
+                    line,
+                    event.kind === 'discarded'
+                        ? `The memory returned by ${site.allocator}() is never stored, so it can never be freed`
+                        : node.kind === 'Declarator'
+                            ? `Memory allocated at line ${this.lineOf(site.node)} is leaked: ${name} is declared again on the next iteration before it is freed`
+                            : `Memory allocated at line ${this.lineOf(site.node)} is leaked: ${name} is overwritten while it is the only pointer to it`,
+                    event.kind === 'discarded' ? `Store the result in a pointer and free() it when done` : `Call free(${event.symbol.name}) before reusing it`,
+                    `Once the last pointer to heap memory is gone the block can never be freed.`,
+                    this.allocatedHere(site)
+                );
+                break;
+        }
+    }
+
+    // Phase 5: Related location of a heap allocation, for bug reports
+    allocatedHere(site) {
+        return { related: [{ file: this.currentFile, line: this.lineOf(site.node), message: `Allocated here by ${site.allocator}()` }] };
     }
 
-    // Phase 4: Semantic Analysis - Missing Return
-    detectMissingReturn() {
-        this.functions.forEach((info, funcName) => {
-            if (info.returnType !== 'void' && funcName !== 'main') {
-                // Find function body and check for return
-                let inFunction = false;
-                let braceCount = 0;
-                let hasReturn = false;
-                let functionEndLine = info.line;
-
-                for (let i = info.line - 1; i < this.lines.length; i++) {
-                    const line = this.lines[i];
-                    if (line.includes('{')) {
-                        if (!inFunction) inFunction = true;
-                        braceCount++;
-                    }
-                    if (line.includes('}')) {
-                        braceCount--;
-                        if (braceCount === 0 && inFunction) {
-                            functionEndLine = i + 1;
-                            break;
-                        }
-                    }
-                    if (inFunction && /\breturn\b/.test(line)) {
-                        hasReturn = true;
+    // Phase 5: Interprocedural Analysis - Ignored results of functions that report errors:
+    // library functions known to, and functions whose result is used at most of their call sites
+    detectIgnoredReturnValues() {
+        const graph = this.callGraph;
+        this.visit({
+            CallExpr: (call, ancestors) => {
+                if (call.callee.kind !== 'Identifier' || this.resultUse(call, ancestors) !== 'ignored') return;
+                const name = call.callee.name;
+                const line = this.lineOf(call);
+                const symbol = this.symbolTable.fileScope.symbols.get(name);
+                const defined = graph.functions.has(this.functionKey(name));
+
+                if (this.checkedFunctions.hasOwnProperty(name) && !defined) {
+                    const style = C_FORMAT_FUNCTIONS.hasOwnProperty(name) ? C_FORMAT_FUNCTIONS[name].style : null;
+                    const format = style === 'scanf' ? call.args[C_FORMAT_FUNCTIONS[name].format] : null;
+                    if (style === 'scanf') {
+                        const count = format && format.kind === 'StringLiteral'
+                            ? CFormatString.argumentCount(CFormatString.parse(format.value, 'scanf')) : null;
+                        this.addBug('IgnoredReturnValue', 'warning', line,
+                            `Return value of ${name}() is ignored - the number of items read must be checked`,
+                            `Compare the result with the number of values expected: if (${CParser.print(call)} != ${count === null ? 'N' : count}) { /* handle bad input */ }`,
+                            `${name}() returns how many items it converted, or EOF at end of input. When the input does not match the format, the variables keep their old - possibly uninitialized - values, and the program carries on with garbage.`);
+                        return;
                     }
+                    this.addBug('IgnoredReturnValue', 'warning', line,
+                        `Return value of ${name}() is ignored`,
+                        `Check the result of ${name}()${this.checkedFunctions[name] ? `: it gives ${this.checkedFunctions[name]}` : ''}`,
+                        `${name}() reports failure through its return value; ignoring it lets the program carry on as if the call had succeeded.`);
+                    return;
                 }
 
-                if (!hasReturn && inFunction) {
-                    this.addBug(
-                        'MissingReturn',
-                        'warning',
-                        functionEndLine,
-                        `Function '${funcName}' has return type '${info.returnType}' but may not return a value`,
-                        `Add 'return value;' before the closing '}'`,
-                        `Non-void functions should return a value.`
-                    );
-                }
+                // A user function: callers usually look at the result, so this one probably should too
+                if (!defined || !symbol || !symbol.type.isFunction() || symbol.type.returnType.isVoid()) return;
+                const uses = graph.resultUses(this.functionKey(name));
+                if (uses.used < 2 || uses.used <= uses.ignored) return;
+                const checked = graph.callsTo(this.functionKey(name)).find(edge => edge.result === 'used');
+                this.addBug('IgnoredReturnValue', 'warning', line,
+                    `Return value of ${name}() is ignored, but it is used at ${uses.used} of its ${uses.used + uses.ignored} call sites`,
+                    `Check the result as the other callers do, or cast the call to (void) if it really does not matter here`,
+                    `Most callers of ${name}() look at what it returns, which suggests the result reports something (an error, a count) that should not be dropped.`,
+                    { related: [{ file: checked.file, line: checked.line, message: `The result of ${name}() is used here` }] });
+            }
+        });
+    }
+
+    // Phase 5: Control Flow Analysis - Missing Return
+    detectMissingReturn() {
+        this.cfgs.forEach((cfg, funcName) => {
+            const symbol = this.symbolTable.fileScope.symbols.get(funcName);
+            const returnType = symbol && symbol.type.isFunction() ? symbol.type.returnType : null;
+            // main() returns 0 when control reaches its closing brace
+            if (funcName === 'main' || !returnType || returnType.isVoid() || !cfg.fallsOffEnd()) return;
+            // Name the way out when the body ends in a loop or an if: the path continues past it
+            const body = cfg.fn.body.body;
+            const last = body[body.length - 1];
+            let path = '';
+            let suggestion = `Add 'return value;' before the closing '}'`;
+            if (last && ['WhileStmt', 'DoWhileStmt', 'ForStmt'].includes(last.kind) && last.test) {
+                // A break of this loop (not of one nested in it, or of a switch) also leaves it
+                let breaks = false;
+                CParser.walk(last.body, {
+                    BreakStmt: () => { breaks = true; },
+                    WhileStmt: () => false, DoWhileStmt: () => false, ForStmt: () => false, SwitchStmt: () => false
+                });
+                path = ` when the loop at line ${this.lineOf(last)} ends ${breaks ? 'with a break or ' : ''}because '${CParser.print(last.test)}' is false`;
+                suggestion = `Add a return statement after the loop for the case that nothing inside it returned`;
+            } else if (last && last.kind === 'IfStmt' && !last.alternate) {
+                path = ` when '${CParser.print(last.test)}' at line ${this.lineOf(last)} is false`;
+                suggestion = `Add a return statement after the if, or an else branch that returns`;
             }
+            this.addBug(
+                'MissingReturn',
+                'warning',
+                cfg.fn.range.end.line,
+                `Function '${funcName}' has return type '${returnType}' but may not return a value${path}`,
+                suggestion,
+                `At least one path through this function reaches the closing '}' without a return statement, so the caller gets an undefined value.`
+            );
         });
     }
 
-    // Phase 4: Semantic Analysis - Unused Functions
+    // Phase 5: Interprocedural Analysis - Unused Functions: not reachable through
+    // calls from main() or a configured entry point
     detectUnusedFunctions() {
+        const graph = this.callGraph;
+        const entries = this.entryPoints.filter(name => graph.functions.has(name));
+        // Without an entry point the file is a library: anything visible outside it may be called
+        const roots = entries.length ? entries
+            : [...graph.functions.values()].filter(info => !info.isStatic).map(info => info.key);
+        const reachable = graph.reachableFrom(roots.concat([...graph.addressTaken]));
+        const entryText = this.entryPoints.map(name => `${name}()`).join(' or ');
         const unusedFuncs = [];
-        
-        this.functions.forEach((info, funcName) => {
-            if (funcName !== 'main' && !this.functionCalls.has(funcName)) {
+
+        // Walk this file's definitions rather than the graph so a function defined twice is reported in both files
+        this.visit({
+            FunctionDef: (fn) => {
+                const funcName = fn.name;
+                const key = funcName && this.functionKey(funcName);
+                if (!funcName || reachable.has(key) || this.entryPoints.includes(funcName)) return false;
                 unusedFuncs.push(funcName);
                 this.unusedFunctions.add(funcName);
-                this.addBug(
-                    'UnusedFunction',
-                    'warning',
-                    info.line,
-                    `Function '${funcName}' is defined but never called`,
-                    `Add '${funcName}();' in main() or remove the function`,
-                    `Unused functions increase code size without providing value.`
-                );
+
+                const callers = [...new Set(graph.callsTo(key).filter(edge => edge.caller !== key)
+                    .map(edge => graph.functions.get(edge.caller).name))];
+                if (callers.length === 0) {
+                    this.addBug(
+                        'UnusedFunction',
+                        'warning',
+                        this.functionLine(fn),
+                        `Function '${funcName}' is defined but never called${graph.callsTo(key).length ? ' (it only calls itself)' : ''}`,
+                        `Add '${funcName}();' in main() or remove the function`,
+                        `Unused functions increase code size without providing value.`
+                    );
+                } else {
+                    this.addBug(
+                        'UnusedFunction',
+                        'warning',
+                        this.functionLine(fn),
+                        `Function '${funcName}' is only called from functions that are never reached from ${entryText} (${callers.join(', ')})`,
+                        `Remove it together with those callers, or call them from ${entryText}`,
+                        `No chain of calls starting at ${entryText} ever gets here, so this code never runs.`
+                    );
+                }
+                return false;
             }
         });
 
@@ -622,457 +1793,1018 @@ class CAnalyzer {
         }
     }
 
+    // Phase 5: Interprocedural Analysis - Recursion where every path recurses again
+    detectInfiniteRecursion() {
+        const graph = this.callGraph;
+        graph.recursiveGroups().forEach(group => {
+            const members = group.map(key => graph.functions.get(key));
+            // Every function in the cycle must be defined here so its control flow is known
+            if (members.some(info => info.file !== this.currentFile || !this.cfgs.has(info.name))) return;
+            const keys = new Set(group);
+            if (members.some(info => this.hasBaseCase(this.cfgs.get(info.name), keys))) return;
+
+            members.forEach(info => {
+                const others = members.filter(other => other !== info).map(other => `'${other.name}'`);
+                this.addBug(
+                    'InfiniteRecursion',
+                    'error',
+                    info.line,
+                    others.length === 0
+                        ? `Function '${info.name}' calls itself on every path - the recursion has no base case`
+                        : `Function '${info.name}' always calls ${others.join(', ')}, which always calls back - the mutual recursion has no base case`,
+                    `Add a condition that returns without making the recursive call`,
+                    `Each call starts another before returning, so the calls never end until the stack overflows and the program crashes.`
+                );
+            });
+        });
+    }
+
+    // Phase 5: Can the function return (or stop the program) without calling any of `keys`?
+    // Calls in the untaken side of && / || / ?: do not count.
+    hasBaseCase(cfg, keys) {
+        const callsGroup = (node) => {
+            if (!node) return false;
+            switch (node.kind) {
+                case 'CallExpr':
+                    if (node.callee.kind === 'Identifier' && keys.has(this.functionKey(node.callee.name))) return true;
+                    break;
+                case 'BinaryExpr':
+                    if (node.operator === '&&' || node.operator === '||') return callsGroup(node.left);
+                    break;
+                case 'ConditionalExpr':
+                    return callsGroup(node.test);
+                case 'SizeofExpr':
+                    return false;
+            }
+            return CParser.children(node).some(callsGroup);
+        };
+        const seen = new Set([cfg.entry]);
+        const work = [cfg.entry];
+        while (work.length) {
+            const block = work.pop();
+            if (block.nodes.some(callsGroup)) continue;
+            if (block === cfg.exit || block.successors.length === 0) return true;
+            block.successors.forEach(({ block: next }) => {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    work.push(next);
+                }
+            });
+        }
+        return false;
+    }
+
     // Phase 4: Semantic Analysis - Assignment in Condition
     detectAssignmentInCondition() {
-        const conditionPatterns = [
-            /if\s*\(\s*([^)]+)\s*\)/g,
-            /while\s*\(\s*([^)]+)\s*\)/g,
-            /for\s*\([^;]*;\s*([^;]+)\s*;/g
-        ];
+        // Walk through &&, || and ! to the operands the condition actually tests
+        const check = (expr) => {
+            if (!expr || expr.parenthesized) return;  // "if ((x = f()))" marks intent
+            // "c = getchar() != EOF" is a precedence mistake, see detectOperatorPrecedence
+            const comparesRight = expr.kind === 'AssignExpr' && expr.right.kind === 'BinaryExpr' && !expr.right.parenthesized &&
+                ['==', '!=', '<', '>', '<=', '>='].includes(expr.right.operator);
+            if (expr.kind === 'AssignExpr' && expr.operator === '=' && !comparesRight) {
+                this.addBug(
+                    'AssignmentInCondition',
+                    'warning',
+                    this.lineOf(expr),
+                    `Assignment '=' used instead of comparison '==' in condition`,
+                    `Change '=' to '==' for comparison`,
+                    `Using '=' performs assignment, not comparison.`
+                );
+            } else if (expr.kind === 'BinaryExpr' && (expr.operator === '&&' || expr.operator === '||')) {
+                check(expr.left);
+                check(expr.right);
+            } else if (expr.kind === 'UnaryExpr' && expr.operator === '!') {
+                check(expr.argument);
+            }
+        };
 
-        this.lines.forEach((line, idx) => {
-            for (const pattern of conditionPatterns) {
-                pattern.lastIndex = 0;
-                let match;
-                while ((match = pattern.exec(line)) !== null) {
-                    const condition = match[1];
-                    // Single = not preceded by !, <, >, = and not followed by =
-                    if (/[^=!<>]=[^=]/.test(condition) && !/==|!=|<=|>=/.test(condition)) {
-                        this.addBug(
-                            'AssignmentInCondition',
-                            'warning',
-                            idx + 1,
-                            `Assignment '=' used instead of comparison '==' in condition`,
-                            `Change '=' to '==' for comparison`,
-                            `Using '=' performs assignment, not comparison.`
-                        );
+        this.visit({
+            IfStmt: (node) => check(node.test),
+            WhileStmt: (node) => check(node.test),
+            DoWhileStmt: (node) => check(node.test),
+            ForStmt: (node) => check(node.test)
+        });
+    }
+
+    // Phase 4: Semantic Analysis - Operator Precedence: expressions the compiler groups
+    // differently from how they read. Each message shows the grouping with parentheses.
+    detectOperatorPrecedence() {
+        const comparisons = ['==', '!=', '<', '>', '<=', '>='];
+        const isComparison = (expr) => expr.kind === 'BinaryExpr' && comparisons.includes(expr.operator);
+        // An operand the author did not group: its precedence decides
+        const bare = (expr) => !expr.parenthesized;
+        const isBoolean = (expr) => isComparison(expr) || (expr.kind === 'UnaryExpr' && expr.operator === '!') ||
+            (expr.kind === 'BinaryExpr' && (expr.operator === '&&' || expr.operator === '||'));
+        const grouped = (expr) => CParser.print(expr, true);
+        const report = (type, node, message, suggestion, explanation) => this.addBug(
+            type, 'warning', this.lineOf(node),
+            `${message} - the compiler reads it as '${grouped(node)}'`, suggestion, explanation);
+        // Tests of statements and of && / || / ! / ?: operands: where a condition is expected
+        const conditions = new Set();
+        const markCondition = (expr) => {
+            if (!expr) return;
+            conditions.add(expr);
+            if (expr.kind === 'BinaryExpr' && (expr.operator === '&&' || expr.operator === '||')) {
+                markCondition(expr.left);
+                markCondition(expr.right);
+            } else if (expr.kind === 'UnaryExpr' && expr.operator === '!') {
+                markCondition(expr.argument);
+            }
+        };
+        this.visit({
+            IfStmt: (node) => markCondition(node.test),
+            WhileStmt: (node) => markCondition(node.test),
+            DoWhileStmt: (node) => markCondition(node.test),
+            ForStmt: (node) => markCondition(node.test),
+            ConditionalExpr: (node) => markCondition(node.test)
+        });
+
+        this.visit({
+            BinaryExpr: (node) => {
+                const { operator, left, right } = node;
+                const text = CParser.print(node);
+
+                // x & 1 == 0: comparisons bind tighter than & ^ |
+                if (['&', '|', '^'].includes(operator)) {
+                    const compared = [left, right].find(side => isComparison(side) && bare(side));
+                    const other = compared === left ? right : left;
+                    if (compared && !isBoolean(other)) {
+                        const intended = compared === right
+                            ? `(${CParser.print(left)} ${operator} ${CParser.print(compared.left)}) ${compared.operator} ${CParser.print(compared.right)}`
+                            : `${CParser.print(compared.left)} ${compared.operator} (${CParser.print(compared.right)} ${operator} ${CParser.print(right)})`;
+                        report('PrecedenceError', node,
+                            `'${text}' applies '${operator}' to the result of '${CParser.print(compared)}'`,
+                            `Parenthesize the bitwise operation: '${intended}'`,
+                            `'${compared.operator}' has higher precedence than '${operator}', so the comparison runs first and '${operator}' combines its 0 or 1 with the other operand.`);
+                        return;
+                    }
+                    // a > 0 & b > 0: bitwise operators on truth values
+                    if (operator !== '^' && isBoolean(left) && isBoolean(right)) {
+                        const logical = operator + operator;
+                        this.addBug('BitwiseOnBoolean', 'warning', this.lineOf(node),
+                            `'${text}' uses bitwise '${operator}' on conditions; '${logical}' was probably intended`,
+                            `Write '${CParser.print(left)} ${logical} ${CParser.print(right)}'`,
+                            `Both operands are already true or false, so '${operator}' gives the same value as '${logical}' but always evaluates both sides - the right one is not protected by the left, as it is with '${logical}'.`);
                     }
+                    return;
+                }
+
+                // !a == b: '!' applies to 'a' alone
+                if (isComparison(node) && left.kind === 'UnaryExpr' && left.operator === '!' && bare(left) &&
+                    !left.argument.parenthesized && !isBoolean(left.argument) && !(right.kind === 'UnaryExpr' && right.operator === '!')) {
+                    report('PrecedenceError', node,
+                        `In '${text}' the '!' negates only '${CParser.print(left.argument)}'`,
+                        `Write '!(${CParser.print(left.argument)} ${operator} ${CParser.print(right)})' to negate the comparison, or '(!${CParser.print(left.argument)}) ${operator} ${CParser.print(right)}' if that is meant`,
+                        `'!' binds tighter than '${operator}', so it turns '${CParser.print(left.argument)}' into 0 or 1 before the comparison.`);
+                    return;
                 }
+
+                // a < b < c: the second comparison sees 0 or 1
+                if (isComparison(node) && isComparison(left) && bare(left)) {
+                    const middle = CParser.print(left.right);
+                    report('ChainedComparison', node,
+                        `'${text}' compares the result of '${CParser.print(left)}' (0 or 1) with '${CParser.print(right)}'`,
+                        `Write '${CParser.print(left)} && ${middle} ${operator} ${CParser.print(right)}'`,
+                        `C has no chained comparisons: the first comparison yields 0 or 1, and that value is what the second one compares.`);
+                    return;
+                }
+
+                // a << b + c: + and - bind tighter than the shifts
+                if (operator === '<<' || operator === '>>') {
+                    const sum = [left, right].find(side => side.kind === 'BinaryExpr' && ['+', '-'].includes(side.operator) && bare(side));
+                    if (!sum) return;
+                    const intended = sum === right
+                        ? `(${CParser.print(left)} ${operator} ${CParser.print(sum.left)}) ${sum.operator} ${CParser.print(sum.right)}`
+                        : `${CParser.print(sum.left)} ${sum.operator} (${CParser.print(sum.right)} ${operator} ${CParser.print(right)})`;
+                    report('PrecedenceError', node,
+                        `'${text}' ${sum === right ? 'shifts by' : 'shifts'} the whole '${CParser.print(sum)}'`,
+                        `Add parentheses to say which is meant: '${intended}' or '${grouped(node)}'`,
+                        `'${sum.operator}' has higher precedence than '${operator}', which surprises readers who think of shifts as multiplication.`);
+                }
+            },
+
+            // c = getchar() != EOF: the comparison is assigned, not the call's value
+            AssignExpr: (node) => {
+                if (node.operator !== '=' || !conditions.has(node) || node.parenthesized || !isComparison(node.right) || !bare(node.right)) return;
+                const compared = node.right;
+                report('PrecedenceError', node,
+                    `'${CParser.print(node)}' assigns the result of the comparison to '${CParser.print(node.left)}'`,
+                    `Write '(${CParser.print(node.left)} = ${CParser.print(compared.left)}) ${compared.operator} ${CParser.print(compared.right)}'`,
+                    `'${compared.operator}' binds tighter than '=', so '${CParser.print(node.left)}' receives 0 or 1 instead of the value of '${CParser.print(compared.left)}'.`);
+            },
+
+            // if (a, b): only the last operand decides
+            CommaExpr: (node) => {
+                if (!conditions.has(node)) return;
+                const last = node.expressions[node.expressions.length - 1];
+                const ignored = node.expressions.slice(0, -1).map(expr => CParser.print(expr)).join(', ');
+                this.addBug('CommaInCondition', 'warning', this.lineOf(node),
+                    `The condition '${CParser.print(node)}' tests only '${CParser.print(last)}'; '${ignored}' is evaluated and discarded`,
+                    `Use '&&' or '||' to combine the conditions, or move '${ignored}' before the statement`,
+                    `The comma operator evaluates its left operand, throws the value away and yields the right one.`);
+            },
+
+            // *p++; - increments the pointer and discards the value read
+            ExprStmt: (node) => {
+                const expr = node.expression;
+                if (!expr || expr.kind !== 'UnaryExpr' || expr.operator !== '*' || expr.parenthesized) return;
+                const update = expr.argument;
+                if (update.kind !== 'UpdateExpr' || update.prefix || update.parenthesized) return;
+                const pointer = CParser.print(update.argument);
+                report('PrecedenceError', expr,
+                    `'${CParser.print(expr)};' ${update.operator === '++' ? 'increments' : 'decrements'} the pointer '${pointer}' and discards the value it read`,
+                    `Write '(*${pointer})${update.operator};' to change the value, or '${pointer}${update.operator};' to move the pointer`,
+                    `Postfix '${update.operator}' binds tighter than '*', so the dereference applies to the old pointer value and its result is unused.`);
             }
         });
     }
 
     // Phase 3 & 4: Symbol Table & Semantic - Variable Issues
     detectVariableIssues() {
-        const declPattern = /\b(int|float|char|double|long|short)\s+(\w+)\s*(=\s*[^;,]+)?[;,]/g;
-        
-        const declared = new Map();
-
-        // First pass: Find all declarations
-        this.lines.forEach((line, idx) => {
-            declPattern.lastIndex = 0;
-            let match;
-            while ((match = declPattern.exec(line)) !== null) {
-                const varType = match[1];
-                const varName = match[2];
-                const hasInit = match[3] !== undefined;
-                
-                const keywords = ['int', 'float', 'char', 'double', 'void', 'if', 'while', 'for', 'return', 'main'];
-                if (!keywords.includes(varName)) {
-                    declared.set(varName, { line: idx + 1, type: varType, initialized: hasInit });
-                    this.variables.set(varName, { type: varType, line: idx + 1 });
-                }
-            }
+        const variables = this.symbolTable.symbols.filter(symbol =>
+            symbol.kind === 'variable' && symbol.file === this.currentFile);
+        variables.forEach(symbol => {
+            this.variables.set(symbol.name, { type: symbol.type, line: symbol.line });
         });
 
-        // Second pass: For each uninitialized variable, check if it's used before any assignment
-        declared.forEach((info, varName) => {
-            // Skip if initialized at declaration
-            if (info.initialized) return;
-            
-            let isInitialized = false;
-            let usedBeforeInit = false;
-            let useLine = -1;
-            
-            // Scan lines after declaration
-            for (let i = info.line; i < this.lines.length; i++) {
-                const line = this.lines[i];
-                const lineNum = i + 1;
-                
-                // Check if this line assigns to the variable (varName = ...)
-                // Must be at start or after operators/keywords, followed by = but not ==
-                const isAssignment = new RegExp(`(^|[;{}\\s])\\s*${varName}\\s*=[^=]`).test(line);
-                
-                // Check if variable is used (appears in the line)
-                const isUsed = new RegExp(`\\b${varName}\\b`).test(line);
-                
-                if (isAssignment) {
-                    // Check if the right side of assignment also uses the variable (like x = x + 1)
-                    const afterEquals = line.split('=')[1] || '';
-                    if (new RegExp(`\\b${varName}\\b`).test(afterEquals) && !isInitialized) {
-                        usedBeforeInit = true;
-                        useLine = lineNum;
-                    }
-                    isInitialized = true;
-                } else if (isUsed && !isInitialized) {
-                    usedBeforeInit = true;
-                    useLine = lineNum;
-                    break;
-                }
+        // Uninitialized: a read that the declaration without initializer can reach
+        this.cfgs.forEach(cfg => this.findUninitializedReads(cfg));
+
+        // Unused: no identifier refers to the declaration
+        variables.forEach(symbol => {
+            if (symbol.references.length > 0) return;
+            if (symbol.scope.kind === 'file') {
+                // File-scope variables may be used from other files
+                const global = this.globals.get(symbol.name);
+                if (!symbol.isDefinition || (global && this.isGlobalUsedElsewhere(symbol.name, global))) return;
             }
-            
-            if (usedBeforeInit && useLine !== -1) {
-                this.uninitializedVariables.set(varName, { 
-                    declLine: info.line, 
-                    useLine: useLine, 
-                    type: info.type 
-                });
+            this.unusedVariables.add(symbol);
+            this.addBug(
+                'UnusedVariable',
+                'warning',
+                symbol.line,
+                `Variable '${symbol.name}' is declared but never used`,
+                `Remove the unused variable or use it`,
+                `Unused variables waste memory.`
+            );
+        });
+
+        // Shadowing: an inner declaration hides an outer variable or parameter
+        this.symbolTable.shadowed.forEach(({ symbol, outer }) => {
+            if (symbol.file !== this.currentFile) return;
+            const what = outer.kind === 'parameter' ? 'parameter'
+                : outer.scope.kind === 'file' ? 'global variable' : 'variable';
+            const where = outer.file === this.currentFile ? `line ${outer.line}` : `${outer.file} line ${outer.line}`;
+            this.addBug(
+                'ShadowedVariable',
+                'warning',
+                symbol.line,
+                `${symbol.kind === 'parameter' ? 'Parameter' : 'Variable'} '${symbol.name}' shadows the ${what} declared at ${where}`,
+                `Rename '${symbol.name}' so it does not hide the outer declaration`,
+                `Inside this scope the outer '${symbol.name}' cannot be reached, so code meant for one easily uses the other.`
+            );
+        });
+    }
+
+    // Phase 3: Symbol Table - Is a non-static global referenced from another project file?
+    isGlobalUsedElsewhere(name, global) {
+        if (!this.project || global.isStatic) return false;
+        const files = this.project.references.get(name);
+        return !!files && [...files].some(file => file !== this.currentFile);
+    }
+
+    // Phase 5: Reads of locals that an uninitialized declaration reaches, on every
+    // path (error) or only some (warning). Taking the address (&x, as scanf does)
+    // counts as initializing.
+    findUninitializedReads(cfg) {
+        const isTracked = (symbol) => symbol.kind === 'variable' && symbol.scope.kind !== 'file' &&
+            !symbol.hasInit && !symbol.storage.includes('static') && !symbol.storage.includes('extern') &&
+            symbol.derived.every(d => d.kind === 'PointerDerivation') && !symbol.type.isRecord();
+
+        // First uninitialized read of each variable
+        const reads = new Map();
+        const analysis = new CReachingDefinitions(cfg).solve();
+        cfg.blocks.forEach(block => {
+            if (!cfg.reachable.has(block)) return;
+            analysis.replay(block, analysis.in.get(block), (event, reaching) => {
+                if (event.kind !== 'use' || !isTracked(event.symbol)) return;
+                const defs = CReachingDefinitions.definitionsOf(reaching, event.symbol);
+                if (!defs.some(def => !def.init)) return;
+                const previous = reads.get(event.symbol);
+                if (previous && previous.node.start <= event.node.start) return;
+                reads.set(event.symbol, { node: event.node, always: defs.every(def => !def.init) });
+            });
+        });
+
+        reads.forEach(({ node, always }, symbol) => {
+            this.uninitializedVariables.set(symbol, {
+                declLine: symbol.line,
+                useLine: this.lineOf(node),
+                type: symbol.type
+            });
+            if (always) {
                 this.addBug(
                     'UninitializedVariable',
                     'error',
-                    useLine,
-                    `Variable '${varName}' is used without being initialized`,
-                    `Initialize '${varName}' to 0 at declaration (line ${info.line})`,
+                    this.lineOf(node),
+                    `Variable '${symbol.name}' is used without being initialized`,
+                    `Initialize '${symbol.name}' to 0 at declaration (line ${symbol.line})`,
                     `Using uninitialized variables causes undefined behavior - contains garbage value.`
                 );
+            } else {
+                this.addBug(
+                    'UninitializedVariable',
+                    'warning',
+                    this.lineOf(node),
+                    `Variable '${symbol.name}' may be used without being initialized`,
+                    `Initialize '${symbol.name}' at declaration (line ${symbol.line}) or assign it on every path before this use`,
+                    `On at least one path through the function '${symbol.name}' is read before anything is stored in it, so it holds a garbage value there.`
+                );
             }
         });
 
-        // Track for unused variable detection
-        declared.forEach((info, varName) => {
-            let count = 0;
-            this.lines.forEach(line => {
-                // Strip comments before counting variable occurrences
-                const lineWithoutComment = line.replace(/\/\/.*$/, '').replace(/\/\*.*?\*\//g, '');
-                const matches = lineWithoutComment.match(new RegExp(`\\b${varName}\\b`, 'g'));
-                if (matches) count += matches.length;
+        this.findUninitializedMembers(cfg);
+    }
+
+    // Phase 5: Reads of struct and union locals whose members have not all been
+    // written: reading such a member, or copying the whole variable (r = p, f(p))
+    findUninitializedMembers(cfg) {
+        const isTracked = (symbol) => symbol.kind === 'variable' && symbol.scope.kind !== 'file' &&
+            !symbol.hasInit && !symbol.storage.includes('static') && !symbol.storage.includes('extern') &&
+            symbol.derived.length === 0 && symbol.type.isRecord();
+
+        // First read of each variable that sees unset members
+        const reads = new Map();
+        const analysis = new CUninitializedMembers(cfg, { isTracked }).solve();
+        cfg.blocks.forEach(block => {
+            if (!cfg.reachable.has(block)) return;
+            analysis.replay(block, analysis.in.get(block), (event, unset) => {
+                const missing = event.member ? (unset.has(event.member) ? [event.member] : []) : [...unset.keys()];
+                if (!missing.length) return;
+                const previous = reads.get(event.symbol);
+                if (previous && previous.node.start <= event.node.start) return;
+                reads.set(event.symbol, { node: event.node, member: event.member, missing,
+                                          always: missing.every(m => unset.get(m)) });
+            });
+        });
+
+        reads.forEach(({ node, member, missing, always }, symbol) => {
+            this.uninitializedVariables.set(symbol, {
+                declLine: symbol.line,
+                useLine: this.lineOf(node),
+                type: symbol.type
             });
-            
-            if (count <= 1) {
-                this.unusedVariables.add(varName);
-                this.addBug(
-                    'UnusedVariable',
-                    'warning',
-                    info.line,
-                    `Variable '${varName}' is declared but never used`,
-                    `Remove the unused variable or use it`,
-                    `Unused variables waste memory.`
-                );
+            const kind = symbol.type.kind === 'union' ? 'Union' : 'Struct';
+            const members = symbol.type.recordMembers().filter(m => m.name);
+            const names = missing.map(m => `'${m}'`).join(', ');
+            let message;
+            if (member) {
+                message = `Member '${symbol.name}.${member}' ${always ? 'is' : 'may be'} used without being initialized`;
+            } else if (missing.length === members.length || kind === 'Union') {
+                message = `${kind} '${symbol.name}' ${always ? 'is' : 'may be'} used without being initialized`;
+            } else {
+                message = `${kind} '${symbol.name}' is copied while member${missing.length > 1 ? 's' : ''} ${names} ${always ? (missing.length > 1 ? 'are' : 'is') : 'may be'} uninitialized`;
             }
+            this.addBug(
+                'UninitializedMember',
+                always ? 'error' : 'warning',
+                this.lineOf(node),
+                message,
+                `Initialize '${symbol.name}' at declaration (line ${symbol.line}) with '= {0}', or assign ${names} before this use`,
+                `Members of a local ${kind.toLowerCase()} that are never written hold garbage values; reading one, or copying the ${kind.toLowerCase()} with it, is undefined behavior. A brace initializer sets every member it does not list to zero.`
+            );
+        });
+    }
+
+    // Phase 5: Data-Flow Analysis - Dead Stores
+    detectDeadStores() {
+        this.cfgs.forEach(cfg => {
+            const analysis = new CLiveVariables(cfg).solve();
+            // Variables whose address escapes may be read through a pointer
+            const addressTaken = new Set();
+            analysis.effects.forEach(events => events.forEach(event => {
+                if (event.kind === 'address') addressTaken.add(event.symbol);
+            }));
+            const isCandidate = (symbol) => symbol.scope.kind !== 'file' && symbol.references.length > 0 &&
+                !symbol.storage.includes('static') && !symbol.storage.includes('extern') &&
+                !symbol.type.qualifiers.includes('volatile') && !addressTaken.has(symbol);
+
+            cfg.blocks.forEach(block => {
+                if (!cfg.reachable.has(block)) return;
+                analysis.replay(block, analysis.out.get(block), (event, live) => {
+                    if (event.kind !== 'def' || event.partial || event.conditional || !event.init) return;
+                    if (live.has(event.symbol) || !isCandidate(event.symbol)) return;
+                    const stmt = event.stmt;
+                    const isStatement = stmt.kind === 'ExprStmt' && stmt.expression === event.node;
+                    // "int x = 0;" is a common defensive default, not a mistake
+                    const isInitializer = event.node.kind === 'Declarator' && this.evaluateConstant(event.node.init) === null;
+                    if (!isStatement && !isInitializer) return;
+                    // A store the next case overwrites is only dead until the missing break is added
+                    const line = this.lineOf(event.node);
+                    if (this.fallthroughCases.some(section => line >= section.start && line <= section.end)) return;
+                    this.deadStores.push({ symbol: event.symbol, node: event.node, stmt });
+                    this.addBug(
+                        'DeadStore',
+                        'warning',
+                        line,
+                        `Value ${isInitializer ? 'used to initialize' : 'assigned to'} '${event.symbol.name}' is never read`,
+                        `Remove the ${isInitializer ? 'initializer' : 'assignment'}, or use the value before '${event.symbol.name}' is overwritten`,
+                        `Every path from here either overwrites '${event.symbol.name}' or leaves the function without reading it, so the stored value is wasted - often a sign of a typo or forgotten logic.`
+                    );
+                });
+            });
         });
     }
 
     // Phase 5: Control Flow Analysis - Unreachable Code
     detectUnreachableCode() {
-        let afterReturn = false;
-        let braceDepth = 0;
+        // A dead 'break' after 'return' in a switch case is harmless, and empty statements do nothing
+        const isNoise = (stmt) => stmt.kind === 'EmptyStmt' || stmt.kind === 'BreakStmt';
+
+        this.cfgs.forEach(cfg => {
+            // Walk each statement list; only the first statement of a dead run is reported
+            const scanList = (statements, isSwitchBody = false) => {
+                let previous = null;
+                let inDeadRun = false;
+                statements.forEach(stmt => {
+                    if (cfg.isReachable(stmt)) {
+                        inDeadRun = false;
+                        scanNested(stmt);
+                    } else {
+                        this.unreachableStatements.push(stmt);
+                        if (!inDeadRun && !isNoise(stmt)) {
+                            this.addBug(
+                                'UnreachableCode',
+                                'warning',
+                                this.lineOf(stmt),
+                                `Unreachable code${!previous && isSwitchBody ? ' before the first case label of the switch' : this.describeJump(previous, cfg)}`,
+                                `Remove the unreachable code`,
+                                `No path through the function reaches this code, so it will never execute.`
+                            );
+                            inDeadRun = true;
+                        }
+                    }
+                    previous = stmt;
+                });
+            };
+            const scanNested = (stmt) => {
+                switch (stmt.kind) {
+                    case 'CompoundStmt': scanList(stmt.body); break;
+                    case 'IfStmt': scanList([stmt.consequent, stmt.alternate].filter(Boolean)); break;
+                    // The switch body is only entered through its case labels
+                    case 'SwitchStmt': scanList(stmt.body.kind === 'CompoundStmt' ? stmt.body.body : [stmt.body], true); break;
+                    case 'WhileStmt':
+                    case 'DoWhileStmt':
+                    case 'ForStmt':
+                    case 'CaseStmt':
+                    case 'DefaultStmt':
+                    case 'LabelStmt':
+                        if (stmt.body) scanList([stmt.body]);
+                        break;
+                }
+            };
+            scanList(cfg.fn.body.body);
+        });
+    }
 
-        this.lines.forEach((line, idx) => {
-            const trimmed = line.trim();
-            
-            if (trimmed.includes('{')) braceDepth++;
-            if (trimmed.includes('}')) {
-                braceDepth--;
-                afterReturn = false;
-            }
+    // Phase 5: Control Flow Analysis - Switch Statements: fallthrough, default, duplicate and impossible cases, enum coverage
+    detectSwitchStatements() {
+        const integers = new CIntegerArithmetic(this.types);
+        const comments = this.tokens.filter(t => t.type === 'comment');
+        const labelText = (label) => label.kind === 'DefaultStmt' ? 'default' : `case ${CParser.print(label.test)}`;
+
+        // Case and default labels of one switch, including labels inside nested blocks (but not nested switches)
+        const labelsOf = (node) => {
+            const labels = [];
+            CParser.walk(node.body, {
+                SwitchStmt: () => false,
+                CaseStmt: (label) => { labels.push(label); },
+                DefaultStmt: (label) => { labels.push(label); }
+            });
+            return labels;
+        };
 
-            if (afterReturn && trimmed.length > 0 && trimmed !== '}' && 
-                !trimmed.startsWith('//') && !trimmed.startsWith('/*')) {
-                this.addBug(
-                    'UnreachableCode',
-                    'warning',
-                    idx + 1,
-                    `Unreachable code after return statement`,
-                    `Remove the unreachable code`,
-                    `Code after return will never execute.`
-                );
-                afterReturn = false;
+        const checkCases = (node, labels) => {
+            const type = this.typeOf(node.discriminant);
+            if (!type.isInteger()) return;
+            const promoted = this.types.promote(type);
+            const limits = type.kind === 'enum' ? null : CIntegerArithmetic.limits(type);
+            const range = this.rangeOf(node.discriminant);
+            const discriminant = CParser.print(node.discriminant);
+            const seen = new Map();   // value -> first label with it
+            labels.filter(label => label.kind === 'CaseStmt').forEach(label => {
+                const constant = integers.evaluate(label.test);
+                if (!constant) return;
+                // The case value is converted to the promoted type of the controlling expression
+                const value = CIntegerArithmetic.convert(constant.value, promoted);
+                const key = String(value);
+                const line = this.lineOf(label);
+                if (seen.has(key)) {
+                    const first = seen.get(key);
+                    this.addBug('DuplicateCase', 'error', line,
+                        `Duplicate case value ${value} in 'switch (${discriminant})': '${labelText(first)}' on line ${this.lineOf(first)} already has it`,
+                        `Remove this case or give it a different value`,
+                        `Two case labels of one switch cannot have the same value; the compiler rejects it.`,
+                        { related: [{ file: this.currentFile, line: this.lineOf(first), message: `'${labelText(first)}' has the value ${value}` }] });
+                    return;
+                }
+                seen.set(key, label);
+                if (limits && !CIntegerArithmetic.fits(value, type)) {
+                    this.addBug('UnreachableCase', 'warning', line,
+                        `'${labelText(label)}' can never match: '${discriminant}' is '${type}' (${limits.min} to ${limits.max})`,
+                        `Remove the case, or switch on a wider type`,
+                        `The switch value always lies in the range of its type, so this case is never taken.`);
+                } else if (range && !range.isTop() && !range.contains(Number(value))) {
+                    this.addBug('UnreachableCase', 'warning', line,
+                        `'${labelText(label)}' can never match: '${discriminant}' is always ${range.isConstant() ? range.lo : `in ${range}`} here`,
+                        `Remove the case, or check the code that computes '${discriminant}'`,
+                        `Following the assignments and conditions that lead to the switch, '${discriminant}' never has the value ${value}.`);
+                }
+            });
+
+            const hasDefault = labels.some(label => label.kind === 'DefaultStmt');
+            if (type.kind === 'enum' && type.enumerators) {
+                const names = new Set(labels.filter(label => label.kind === 'CaseStmt' && label.test.kind === 'Identifier').map(label => label.test.name));
+                const missing = type.enumerators.filter(name => {
+                    if (names.has(name)) return false;
+                    const symbol = this.symbolTable.fileScope.symbols.get(name);
+                    return !(symbol && symbol.kind === 'enumerator' && seen.has(String(symbol.value)));
+                });
+                if (missing.length && !hasDefault) {
+                    this.addBug('UnhandledEnum', 'warning', this.lineOf(node),
+                        `'switch (${discriminant})' on '${type}' does not handle ${missing.map(name => `'${name}'`).join(', ')}`,
+                        `Add a case for ${missing.length === 1 ? 'it' : 'each'}, or a default that handles the rest`,
+                        `When '${discriminant}' holds an enumerator with no case, the switch silently does nothing.`);
+                }
+                if (missing.length === 0) return;
             }
+            if (!hasDefault && type.kind !== 'enum') {
+                this.addBug('MissingDefault', 'info', this.lineOf(node),
+                    `'switch (${discriminant})' has no default case`,
+                    `Add a default case, even if it only reports an unexpected value`,
+                    `Values not listed in any case are silently ignored.`);
+            }
+        };
 
-            if (/\breturn\b.*;/.test(trimmed)) {
-                afterReturn = true;
+        // A case that runs into the next label without break, return or a "fall through" comment
+        const checkFallthrough = (node, cfg) => {
+            const body = node.body.kind === 'CompoundStmt' ? node.body.body : [node.body];
+            const isLabel = (stmt) => stmt.kind === 'CaseStmt' || stmt.kind === 'DefaultStmt';
+            body.forEach((stmt, i) => {
+                if (!isLabel(stmt)) return;
+                const next = body.findIndex((other, j) => j > i && isLabel(other));
+                if (next < 0) return;
+                // "case 1: case 2:" shares one body, so only a label with statements can fall through
+                let inner = stmt;
+                while (inner && isLabel(inner)) inner = inner.body;
+                const section = [inner, ...body.slice(i + 1, next)].filter(s => s && s.kind !== 'EmptyStmt');
+                if (!section.length) return;
+                const target = cfg.blockOf.get(body[next]);
+                const fallsIn = target && target.predecessors.some(edge => edge.label === null && !edge.node && cfg.reachable.has(edge.block));
+                if (!fallsIn) return;
+                const last = section[section.length - 1];
+                const nextLine = this.lineOf(body[next]);
+                const annotated = comments.some(t => t.line >= last.range.end.line && t.line <= nextLine &&
+                    /fall(s|ing)?[\s-]*thr(ough|u)/i.test(t.value));
+                if (annotated) return;
+                this.addBug('SwitchFallthrough', 'warning', nextLine,
+                    `'${labelText(stmt)}' falls through into '${labelText(body[next])}'`,
+                    `Add 'break;' at the end of '${labelText(stmt)}', or a /* fall through */ comment if it is intended`,
+                    `Without a break, the statements of the next case run as well.`);
+                this.fallthroughCases.push({ start: this.lineOf(inner), end: last.range.end.line });
+                if (last.range.end.line < nextLine) this.missingBreaks.push({ line: last.range.end.line });
+            });
+        };
+
+        let cfg = null;
+        this.visit({
+            FunctionDef: (fn) => { cfg = fn.name ? this.cfgs.get(fn.name) : null; },
+            SwitchStmt: (node) => {
+                checkCases(node, labelsOf(node));
+                if (cfg) checkFallthrough(node, cfg);
             }
         });
     }
 
+    // Phase 5: Why control never gets past a statement, for unreachable-code messages
+    describeJump(stmt, cfg) {
+        if (!stmt) return '';
+        switch (stmt.kind) {
+            case 'ReturnStmt': return ' after return statement';
+            case 'BreakStmt': return ` after 'break'`;
+            case 'ContinueStmt': return ` after 'continue'`;
+            case 'GotoStmt': return ` after 'goto ${stmt.label}'`;
+            case 'ExprStmt':
+                return cfg.callsNoreturn(stmt.expression) ? ` after call to a function that does not return` : '';
+            case 'WhileStmt':
+            case 'DoWhileStmt':
+            case 'ForStmt':
+                return ' after a loop that never exits';
+            case 'IfStmt':
+            case 'SwitchStmt':
+                return ' - every branch above returns or jumps away';
+            default:
+                return '';
+        }
+    }
+
     // Phase 6: Optimization - Redundant Expressions
     detectRedundantExpressions() {
         const patterns = [
-            { regex: /(\w+)\s*\+\s*0\b/, msg: 'Adding 0 has no effect' },
-            { regex: /(\w+)\s*-\s*0\b/, msg: 'Subtracting 0 has no effect' },
-            { regex: /(\w+)\s*\*\s*1\b/, msg: 'Multiplying by 1 has no effect' },
-            { regex: /(\w+)\s*\/\s*1\b/, msg: 'Dividing by 1 has no effect' },
-            { regex: /(\w+)\s*\*\s*0\b/, msg: 'Multiplying by 0 always gives 0' },
+            { operator: '+', value: 0, msg: 'Adding 0 has no effect' },
+            { operator: '-', value: 0, msg: 'Subtracting 0 has no effect' },
+            { operator: '*', value: 1, msg: 'Multiplying by 1 has no effect' },
+            { operator: '/', value: 1, msg: 'Dividing by 1 has no effect' },
+            { operator: '*', value: 0, msg: 'Multiplying by 0 always gives 0' },
         ];
 
-        this.lines.forEach((line, idx) => {
-            patterns.forEach(({ regex, msg }) => {
-                if (regex.test(line)) {
-                    this.addBug(
-                        'RedundantExpression',
-                        'info',
-                        idx + 1,
-                        msg,
-                        `Simplify the expression`,
-                        `Redundant operations can be removed.`
-                    );
-                }
-            });
+        this.visit({
+            BinaryExpr: (node) => {
+                const right = node.right;
+                if (right.kind !== 'NumberLiteral' || right.isFloat || right.macro) return;
+                patterns.forEach(({ operator, value, msg }) => {
+                    if (node.operator === operator && right.value === value) {
+                        this.addBug(
+                            'RedundantExpression',
+                            'info',
+                            this.lineOf(node),
+                            msg,
+                            `Simplify the expression`,
+                            `Redundant operations can be removed.`
+                        );
+                    }
+                });
+            }
         });
     }
 
     // Phase 4: Semantic Analysis - Division by Zero
     detectDivisionByZero() {
-        const pattern = /\/\s*0(?!\d)/g;
-        this.lines.forEach((line, idx) => {
-            if (pattern.test(line)) {
-                this.addBug('DivisionByZero', 'critical', idx + 1, 
-                    `Division by zero detected`, `Use a non-zero divisor`,
+        const report = (node, operator, divisor) => {
+            const what = operator.startsWith('%') ? 'Modulo' : 'Division';
+            if (this.evaluateConstant(divisor) === 0) {
+                this.addBug('DivisionByZero', 'critical', this.lineOf(node), 
+                    `${what} by zero detected`, `Use a non-zero divisor`,
                     `Division by zero causes runtime errors.`);
+                return;
+            }
+
+            // A divisor held in variables: ask the value-range analysis
+            const range = this.ranges.get(divisor);
+            if (!range || range.isTop() || !range.contains(0)) return;
+            const text = CParser.print(divisor);
+            if (range.isConstant()) {
+                this.addBug('DivisionByZero', 'critical', this.lineOf(node),
+                    `${what} by zero detected: '${text}' is always 0 here`, `Use a non-zero divisor`,
+                    `Division by zero causes runtime errors.`);
+            } else {
+                this.addBug('DivisionByZero', 'error', this.lineOf(node),
+                    `Divisor '${text}' may be zero (range ${range})`,
+                    `Check that '${text}' is not 0 before the ${what.toLowerCase()}`,
+                    `Following the assignments and conditions that lead here, '${text}' can be 0, and division by zero causes runtime errors.`);
+            }
+        };
+
+        this.visit({
+            BinaryExpr: (node) => {
+                if (node.operator === '/' || node.operator === '%') report(node, node.operator, node.right);
+            },
+            AssignExpr: (node) => {
+                if (node.operator === '/=' || node.operator === '%=') report(node, node.operator, node.right);
             }
-            pattern.lastIndex = 0;
         });
     }
 
-    // Phase 5: Control Flow Analysis - Infinite Loops
-    detectInfiniteLoops() {
-        this.lines.forEach((line, idx) => {
-            // Detect while(1) or while(true)
-            if (/while\s*\(\s*(1|true)\s*\)/.test(line)) {
-                let hasBreak = false;
-                for (let i = idx + 1; i < Math.min(idx + 20, this.lines.length); i++) {
-                    if (/\bbreak\b|\breturn\b/.test(this.lines[i])) { hasBreak = true; break; }
-                    if (/^\s*}\s*$/.test(this.lines[i])) break;
-                }
-                if (!hasBreak) {
-                    this.addBug('InfiniteLoop', 'warning', idx + 1,
-                        `Potential infinite loop (while(1) without break)`,
-                        `Add a break condition or remove the loop`,
-                        `Infinite loops can hang the program.`);
+    // Phase 4: Semantic Analysis - Integer Overflow, Truncation and Sign Conversions
+    detectIntegerConversions() {
+        const integers = new CIntegerArithmetic(this.types);
+
+        // A value stored in a variable of another arithmetic type (initializer or assignment)
+        const checkConversion = (target, source, name) => {
+            if (!target || !source || source.kind === 'CastExpr' || source.kind === 'InitList') return;
+            target = target.unqualified();
+            const sourceType = this.typeOf(source).decay();
+            const line = this.lineOf(source);
+            const text = CParser.print(source);
+            if (target.isInteger()) {
+                const constant = integers.evaluate(source);
+                const limits = CIntegerArithmetic.limits(target);
+                if (constant && limits && !CIntegerArithmetic.fits(constant.value, target)) {
+                    const converted = CIntegerArithmetic.convert(constant.value, target);
+                    if (!limits.signed && constant.value < 0n) {
+                        this.addBug('SignConversion', 'warning', line,
+                            `Negative value ${constant.value} stored in unsigned '${target}' '${name}' becomes ${converted}`,
+                            `Use a signed type for '${name}', or write the unsigned value you mean`,
+                            `Converting a negative number to an unsigned type wraps it modulo 2^${limits.bits}, so '${name}' holds a large positive value instead of ${constant.value}.`);
+                    } else {
+                        this.addBug('IntegerTruncation', 'warning', line,
+                            `Value ${constant.value} does not fit in '${target}' '${name}' (range ${limits.min} to ${limits.max}); it becomes ${converted}`,
+                            `Use a wider type for '${name}', or a value within its range`,
+                            `The value loses its high-order bits when stored in the narrower type.`);
+                    }
+                } else if (sourceType.isFloating()) {
+                    const value = this.evaluateConstant(source);
+                    if (typeof value === 'number' && Number.isInteger(value)) return;
+                    this.addBug('IntegerTruncation', 'warning', line,
+                        typeof value === 'number'
+                            ? `Floating value ${text} stored in '${target}' '${name}' is truncated to ${Math.trunc(value)}`
+                            : `'${sourceType}' value '${text}' stored in '${target}' '${name}' loses its fractional part`,
+                        `Round explicitly (e.g. with lround()), or cast to '${target}' if truncation is intended`,
+                        `Converting a floating value to an integer type discards the fraction, and values out of the integer's range are undefined behavior.`);
+                } else if (sourceType.isInteger() && limits && !constant && this.evaluateConstant(source) === null) {
+                    // A value held in variables: report only what the value-range analysis knows does not fit
+                    const range = this.ranges.get(source);
+                    if (!range || !Number.isFinite(range.lo) || !Number.isFinite(range.hi)) return;
+                    if (range.lo >= Number(limits.min) && range.hi <= Number(limits.max)) return;
+                    this.addBug('IntegerTruncation', 'warning', line,
+                        `Value of '${text}' (range ${range}) may not fit in '${target}' '${name}' (range ${limits.min} to ${limits.max})`,
+                        `Use a wider type for '${name}'`,
+                        `Values outside the range of '${target}' lose their high-order bits when stored in '${name}'.`);
                 }
+                return;
             }
-            
-            // Detect for(;;)
-            if (/for\s*\(\s*;\s*;\s*\)/.test(line)) {
-                this.addBug('InfiniteLoop', 'warning', idx + 1,
-                    `Infinite loop detected (for(;;))`,
-                    `Add loop conditions or remove the loop`,
-                    `Infinite loops can hang the program.`);
+            // Integer division happens before the conversion to the floating type
+            if (target.isFloating() && source.kind === 'BinaryExpr' && source.operator === '/' &&
+                this.typeOf(source.left).isInteger() && this.typeOf(source.right).isInteger()) {
+                const constant = integers.evaluate(source);
+                const operand = CParser.print(source.left);
+                const grouped = ['Identifier', 'CallExpr', 'MemberExpr', 'IndexExpr'].includes(source.left.kind) ? operand : `(${operand})`;
+                const fixed = source.left.kind === 'NumberLiteral' ? `${operand}.0` : `(${target})${grouped}`;
+                this.floatFixes.push({ line, text, replacement: `${fixed} / ${CParser.print(source.right)}` });
+                this.addBug('IntegerDivision', 'warning', line,
+                    constant
+                        ? `Integer division '${text}' gives ${constant.value} before it is stored in '${target}' '${name}'`
+                        : `Integer division '${text}' discards the remainder before it is stored in '${target}' '${name}'`,
+                    `Make one operand floating: ${fixed} / ${CParser.print(source.right)}`,
+                    `Both operands are integers, so the division is done in integer arithmetic and truncated; only the truncated result is converted to '${target}'.`);
             }
-            
-            // Detect for loops with contradictory conditions
-            // e.g., for(int i = 0; i >= 0; i++) - i starts at 0, always >= 0 while incrementing
-            const forLoopMatch = line.match(/for\s*\(\s*(?:int\s+)?(\w+)\s*=\s*(\d+)\s*;\s*(\w+)\s*(>=|>|<=|<)\s*(-?\d+)\s*;\s*(\w+)(\+\+|--|\s*\+=\s*\d+|\s*-=\s*\d+)/);
-            if (forLoopMatch) {
-                const [, initVar, initVal, condVar, condOp, condVal, incrVar, incrOp] = forLoopMatch;
-                const initNum = parseInt(initVal);
-                const condNum = parseInt(condVal);
-                
-                // Make sure all parts refer to the same variable
-                if (initVar === condVar && condVar === incrVar) {
-                    let isInfinite = false;
-                    let reason = '';
-                    
-                    // Case: i = 0; i >= 0; i++ (always true, incrementing away from condition)
-                    if ((condOp === '>=' || condOp === '>') && (incrOp === '++' || incrOp.includes('+='))) {
-                        if (initNum >= condNum) {
-                            isInfinite = true;
-                            reason = `'${initVar}' starts at ${initNum}, condition '${initVar} ${condOp} ${condNum}' is always true while incrementing`;
-                        }
-                    }
-                    
-                    // Case: i = 0; i <= 10; i-- (always true, decrementing when should increment)
-                    if ((condOp === '<=' || condOp === '<') && (incrOp === '--' || incrOp.includes('-='))) {
-                        if (initNum <= condNum) {
-                            isInfinite = true;
-                            reason = `'${initVar}' starts at ${initNum}, condition '${initVar} ${condOp} ${condNum}' while decrementing never terminates`;
-                        }
-                    }
-                    
-                    if (isInfinite) {
-                        this.addBug('InfiniteLoop', 'warning', idx + 1,
-                            `Infinite loop detected: ${reason}`,
-                            `Fix the loop condition or change the increment/decrement`,
-                            `The loop condition will never become false.`);
-                    }
-                }
+        };
+
+        const operandType = (expr) => {
+            const type = this.typeOf(expr).decay();
+            if (type.isKnown() || expr.kind !== 'CallExpr' || expr.callee.kind !== 'Identifier') return type;
+            return C_SIZE_FUNCTIONS.has(expr.callee.name) ? this.types.typedefType('size_t') : type;
+        };
+
+        // A relational comparison that converts a signed operand to unsigned
+        const checkComparison = (node) => {
+            if (!['<', '>', '<=', '>='].includes(node.operator)) return;
+            const left = operandType(node.left);
+            const right = operandType(node.right);
+            if (!left.isInteger() || !right.isInteger()) return;
+            const common = this.types.usualArithmetic(left, right);
+            if (!common.isUnsigned()) return;
+            const isSigned = (type) => !this.types.promote(type).isUnsigned();
+            const [signed, unsigned] = isSigned(left) ? [node.left, node.right] : isSigned(right) ? [node.right, node.left] : [];
+            if (!signed) return;
+            const [signedType, unsignedType] = signed === node.left ? [left, right] : [right, left];
+            const constant = integers.evaluate(signed);
+            if (constant && constant.value >= 0n) return;
+            const s = CParser.print(signed);
+            this.addBug('SignCompare', 'warning', this.lineOf(node),
+                `Comparison of signed '${signedType}' '${s}' with unsigned '${unsignedType}' '${CParser.print(unsigned)}'`,
+                `Give both operands the same signedness, e.g. declare '${s}' as '${common}', or check '${s} >= 0' and then cast`,
+                `The signed operand is converted to '${common}', so a negative '${s}' becomes a huge positive value and the comparison gives the wrong answer.`);
+        };
+
+        this.visit({
+            Declarator: (node) => {
+                if (node.init && node.symbol) checkConversion(node.symbol.type, node.init, node.name);
+            },
+            AssignExpr: (node) => {
+                if (node.operator === '=') checkConversion(this.typeOf(node.left), node.right, CParser.print(node.left));
+            },
+            BinaryExpr: (node) => {
+                integers.evaluate(node);
+                checkComparison(node);
+            },
+            UnaryExpr: (node) => {
+                integers.evaluate(node);
             }
-            
-            // Detect while(variable) that only increases or never changes
-            const whileVarMatch = line.match(/while\s*\(\s*(\w+)\s*\)/);
-            if (whileVarMatch) {
-                const loopVar = whileVarMatch[1];
-                // Skip if it's a constant like while(1) or while(0)
-                if (/^\d+$/.test(loopVar)) return;
-                
-                let hasDecrement = false;
-                let hasBreak = false;
-                let onlyIncrement = false;
-                
-                // Check loop body for changes to the variable
-                for (let i = idx + 1; i < Math.min(idx + 30, this.lines.length); i++) {
-                    const bodyLine = this.lines[i];
-                    
-                    // Check for break/return
-                    if (/\bbreak\b|\breturn\b/.test(bodyLine)) {
-                        hasBreak = true;
-                        break;
-                    }
-                    
-                    // Check for decrement or assignment to zero/false
-                    if (new RegExp(`${loopVar}\\s*--`).test(bodyLine) ||
-                        new RegExp(`--\\s*${loopVar}`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*=\\s*0\\s*;`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*=\\s*false\\s*;`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*-=`).test(bodyLine)) {
-                        hasDecrement = true;
-                    }
-                    
-                    // Check for increment only
-                    if (new RegExp(`${loopVar}\\s*\\+\\+`).test(bodyLine) ||
-                        new RegExp(`\\+\\+\\s*${loopVar}`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*\\+=`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*=\\s*${loopVar}\\s*\\+`).test(bodyLine)) {
-                        onlyIncrement = true;
-                    }
-                    
-                    // End of loop body
-                    if (/^\s*}\s*$/.test(bodyLine)) break;
+        });
+
+        const wider = (operand) => operand.kind === 'NumberLiteral' ? `${operand.raw}LL` : `(long long)${CParser.print(operand)}`;
+        integers.overflows.forEach(({ node, value, type, reason }) => {
+            const limits = CIntegerArithmetic.limits(type);
+            const text = CParser.print(node);
+            if (reason === 'overflow') {
+                this.addBug('IntegerOverflow', 'error', this.lineOf(node),
+                    `Constant expression '${text}' overflows '${type}': ${value} is outside ${limits.min} to ${limits.max}`,
+                    `Do the arithmetic in a wider type, e.g. with a long long operand (${wider(node.left || node.argument)})`,
+                    `Signed integer overflow is undefined behavior; in practice the value wraps around to ${CIntegerArithmetic.convert(value, type)}.`);
+            } else {
+                this.addBug('IntegerOverflow', 'error', this.lineOf(node),
+                    reason === 'negative'
+                        ? `Left shift of negative value ${value} in '${text}'`
+                        : `Shift count ${value} in '${text}' is out of range for '${type}' (0 to ${limits.bits - 1n})`,
+                    `Shift by less than the width of the type, and shift unsigned values`,
+                    `Shifting by a negative count or by at least the width of the type, or shifting a negative value left, is undefined behavior.`);
+            }
+        });
+    }
+
+    // Phase 4: Semantic Analysis - Floating Point: exact comparisons, floating loop
+    // counters, abs() on floating values and float literals in double arithmetic.
+    // Integer division stored in a floating variable is reported by detectIntegerConversions.
+    detectFloatingPoint() {
+        // Operand text that can stand next to '-' without changing its grouping
+        const operand = (node) => ['Identifier', 'NumberLiteral', 'CallExpr', 'MemberExpr', 'IndexExpr'].includes(node.kind) || node.parenthesized
+            ? CParser.print(node) : `(${CParser.print(node)})`;
+        const isFloatLiteral = (node) => node.kind === 'NumberLiteral' && node.isFloat && node.suffix === 'f';
+        // A float literal whose value float cannot hold exactly, e.g. 0.1f
+        const isInexact = (node) => isFloatLiteral(node) && Number.isFinite(node.value) && Math.fround(node.value) !== node.value;
+        const reportLiteral = (literal, context) => {
+            const exact = literal.raw.replace(/[fF]$/, '');
+            this.floatFixes.push({ line: this.lineOf(literal), text: literal.raw, replacement: exact });
+            this.addBug('FloatPrecision', 'warning', this.lineOf(literal),
+                `float literal '${literal.raw}' ${context}: it only holds ${Math.fround(literal.value).toPrecision(17).replace(/0+$/, '')}`,
+                `Drop the 'f' suffix: '${exact}'`,
+                `A float has about 7 significant digits. The literal is rounded to float first and widened to double afterwards, so the digits double could have kept are already lost.`);
+        };
+
+        this.visit({
+            BinaryExpr: (node) => {
+                const { operator, left, right } = node;
+                const leftType = this.typeOf(left);
+                const rightType = this.typeOf(right);
+
+                // a == b on floating values: rounding makes exact equality unreliable
+                if ((operator === '==' || operator === '!=') && (leftType.isFloating() || rightType.isFloating())) {
+                    if (this.evaluateConstant(left) !== null && this.evaluateConstant(right) !== null) return;
+                    // x != x is the NaN test, and a comparison with 0 is usually a deliberate guard
+                    if (CParser.print(left) === CParser.print(right) || this.evaluateConstant(left) === 0 || this.evaluateConstant(right) === 0) return;
+                    const isFloat = this.types.usualArithmetic(leftType, rightType).name === 'float';
+                    const abs = isFloat ? 'fabsf' : 'fabs';
+                    const epsilon = isFloat ? '1e-6f' : '1e-9';
+                    const replacement = `${abs}(${operand(left)} - ${operand(right)}) ${operator === '==' ? '<' : '>='} ${epsilon}`;
+                    this.floatFixes.push({ line: this.lineOf(node), text: CParser.print(node), replacement, math: true });
+                    this.addBug('FloatEquality', 'warning', this.lineOf(node),
+                        `Floating values compared with '${operator}': '${CParser.print(node)}'`,
+                        `Compare with a tolerance: '${replacement}' (${abs} is in <math.h>; pick the tolerance to suit the values)`,
+                        `Most decimal fractions have no exact binary representation, so results that are equal on paper (0.1 + 0.2 and 0.3) differ in the last bits and '${operator}' gives the unexpected answer.`);
+                    return;
                 }
-                
-                // If variable only increases (never decreases) and no break, likely infinite
-                if (onlyIncrement && !hasDecrement && !hasBreak) {
-                    this.addBug('InfiniteLoop', 'warning', idx + 1,
-                        `Potential infinite loop: '${loopVar}' only increases, never becomes 0/false`,
-                        `Add a decrement, break condition, or change the loop logic`,
-                        `while(x) loops exit when x becomes 0/false. Incrementing moves away from termination.`);
+
+                // 0.1f * d: the float literal is widened after it was rounded to float
+                if (['+', '-', '*', '/'].includes(operator)) {
+                    if (isInexact(left) && rightType.unqualified().name === 'double' && rightType.isFloating()) reportLiteral(left, 'in double arithmetic');
+                    if (isInexact(right) && leftType.unqualified().name === 'double' && leftType.isFloating()) reportLiteral(right, 'in double arithmetic');
                 }
-            }
+            },
 
-            // Detect while(var op value) where var is never modified
-            const whileCompMatch = line.match(/while\s*\(\s*(\w+)\s*(<=?|>=?|==|!=)\s*\d+\s*\)/);
-            if (whileCompMatch) {
-                const loopVar = whileCompMatch[1];
-                
-                let varModified = false;
-                let hasBreak = false;
-                
-                // Check loop body for changes to the variable
-                for (let i = idx + 1; i < Math.min(idx + 30, this.lines.length); i++) {
-                    const bodyLine = this.lines[i];
-                    
-                    // Check for break/return
-                    if (/\bbreak\b|\breturn\b/.test(bodyLine)) {
-                        hasBreak = true;
-                        break;
-                    }
-                    
-                    // Check if variable is modified in any way
-                    if (new RegExp(`${loopVar}\\s*\\+\\+`).test(bodyLine) ||
-                        new RegExp(`\\+\\+\\s*${loopVar}`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*--`).test(bodyLine) ||
-                        new RegExp(`--\\s*${loopVar}`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*\\+=`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*-=`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*=`).test(bodyLine)) {
-                        varModified = true;
-                    }
-                    
-                    // End of loop body
-                    if (/^\s*}\s*$/.test(bodyLine)) break;
+            Declarator: (node) => {
+                if (node.init && node.symbol && isInexact(node.init) && node.symbol.type.isFloating() &&
+                    node.symbol.type.name !== 'float') reportLiteral(node.init, `stored in ${node.symbol.type.unqualified()} '${node.name}'`);
+            },
+
+            AssignExpr: (node) => {
+                const type = this.typeOf(node.left);
+                if (node.operator === '=' && isInexact(node.right) && type.isFloating() && type.name !== 'float') {
+                    reportLiteral(node.right, `stored in ${type.unqualified()} '${CParser.print(node.left)}'`);
                 }
-                
-                // If variable is never modified and no break, it's infinite
-                if (!varModified && !hasBreak) {
-                    this.addBug('InfiniteLoop', 'warning', idx + 1,
-                        `Infinite loop: '${loopVar}' is never modified inside the loop`,
-                        `Add '${loopVar}++' or '${loopVar}--' inside the loop body`,
-                        `Loop variable must change for the condition to eventually become false.`);
+            },
+
+            // abs(x) with a floating x converts it to int first
+            CallExpr: (node) => {
+                if (node.callee.kind !== 'Identifier' || !['abs', 'labs', 'llabs'].includes(node.callee.name) || node.args.length !== 1) return;
+                const argType = this.typeOf(node.args[0]);
+                if (!argType.isFloating()) return;
+                const fabs = argType.name === 'float' ? 'fabsf' : argType.name === 'long double' ? 'fabsl' : 'fabs';
+                const replacement = `${fabs}(${CParser.print(node.args[0])})`;
+                this.floatFixes.push({ line: this.lineOf(node), text: CParser.print(node), replacement, math: true });
+                this.addBug('AbsOnFloat', 'error', this.lineOf(node),
+                    `${node.callee.name}() takes an integer, but '${CParser.print(node.args[0])}' is ${argType.unqualified()}: the fraction is dropped before the absolute value is taken`,
+                    `Use ${fabs}() from <math.h>: '${replacement}'`,
+                    `${node.callee.name}(-2.5) converts -2.5 to the integer -2 and returns 2, so values between -1 and 1 become 0.`);
+            },
+
+            // for (double x = 0; x < 1; x += 0.1): the count depends on rounding
+            ForStmt: (node) => {
+                let counter = null;
+                if (node.init && node.init.kind === 'Declaration') {
+                    const declarator = node.init.declarators.find(d => d.symbol && d.symbol.type.isFloating());
+                    counter = declarator && declarator.symbol;
+                } else if (node.init && node.init.kind === 'AssignExpr' && node.init.left.kind === 'Identifier') {
+                    counter = node.init.left.symbol;
                 }
+                if (!counter || !counter.type.isFloating() || !node.update) return;
+                let updated = false;
+                CParser.walk(node.update, {
+                    AssignExpr: (expr) => { if (expr.left.kind === 'Identifier' && expr.left.symbol === counter) updated = true; },
+                    UpdateExpr: (expr) => { if (expr.argument.kind === 'Identifier' && expr.argument.symbol === counter) updated = true; }
+                });
+                if (!updated) return;
+                this.addBug('FloatLoopCounter', 'warning', this.lineOf(node),
+                    `Loop counter '${counter.name}' is ${counter.type.unqualified()}: how many times the loop runs depends on rounding`,
+                    `Count with an integer and derive the value, e.g. 'for (int i = 0; i < n; i++) { ${counter.type.unqualified()} ${counter.name} = start + i * step; ... }'`,
+                    `Each step adds a rounding error, so after several iterations '${counter.name}' is slightly above or below the value on paper and the loop can run once more or once less than expected.`);
             }
         });
     }
 
-    // Phase 5: Control Flow Analysis - Empty Bodies
-    detectEmptyBodies() {
-        // Single-line empty patterns
-        const singleLinePatterns = [
-            { regex: /if\s*\([^)]+\)\s*{\s*}/, type: 'if' },
-            { regex: /if\s*\([^)]+\)\s*;/, type: 'if' },
-            { regex: /else\s*{\s*}/, type: 'else' },
-            { regex: /else\s*;/, type: 'else' },
-            { regex: /while\s*\([^)]+\)\s*{\s*}/, type: 'while' },
-            { regex: /while\s*\([^)]+\)\s*;/, type: 'while' },
-            { regex: /for\s*\([^)]+\)\s*{\s*}/, type: 'for' },
-            { regex: /for\s*\([^)]+\)\s*;/, type: 'for' },
-        ];
+    // Phase 5: Control Flow Analysis - Infinite Loops
+    detectInfiniteLoops() {
+        const keywords = { WhileStmt: 'while', DoWhileStmt: 'do ... while', ForStmt: 'for' };
+        this.cfgs.forEach(cfg => {
+            // Variables the function takes the address of may change behind the test's back
+            const addressTaken = new Set();
+            cfg.blocks.forEach(block => CDataFlowAnalysis.blockEffects(block).forEach(event => {
+                if (event.kind === 'address') addressTaken.add(event.symbol);
+            }));
+
+            cfg.loops.forEach((loop, node) => {
+                // Only a loop nothing but its test gets out of can run forever
+                if (!cfg.isReachable(node) || cfg.leavesLoop(node)) return;
+                const test = node.test;
+                const value = test ? this.evaluateConstant(test) : 1;
+                if (value === 0) return;
+                const head = test ? `${keywords[node.kind]} (${CParser.print(test)})` : 'for (;;)';
+                const report = (message, suggestion, description) => {
+                    this.infiniteLoops.push(node);
+                    this.addBug('InfiniteLoop', 'warning', this.lineOf(node), message, suggestion, description);
+                };
+
+                if (value !== null) {
+                    report(`Infinite loop: no break, return or goto leaves '${head}'`,
+                        `Add a break condition or remove the loop`,
+                        `Infinite loops can hang the program.`);
+                    return;
+                }
 
-        this.lines.forEach((line, idx) => {
-            singleLinePatterns.forEach(({ regex, type }) => {
-                if (regex.test(line)) {
-                    this.addBug('EmptyBody', 'warning', idx + 1,
-                        `Empty ${type} body detected`,
-                        `Add code to the body or remove the statement`,
-                        `Empty control structures are usually unintentional.`);
+                // The value ranges show the test holds on every iteration: for (i = 0; i >= 0; i++)
+                const range = this.rangeOf(test);
+                if (range && !range.contains(0)) {
+                    report(`Infinite loop detected: the condition '${CParser.print(test)}' is always true`,
+                        `Fix the loop condition or change the increment/decrement`,
+                        `The loop condition will never become false.`);
+                    return;
                 }
+
+                // Nothing the test reads changes inside the loop, so once true it stays true
+                const read = new Set();
+                let plain = true;
+                CParser.walk(test, {
+                    Identifier: (id) => {
+                        if (id.symbol && (id.symbol.kind === 'variable' || id.symbol.kind === 'parameter')) read.add(id.symbol);
+                    },
+                    CallExpr: () => { plain = false; },
+                    AssignExpr: () => { plain = false; },
+                    UpdateExpr: () => { plain = false; },
+                    IndexExpr: () => { plain = false; },
+                    MemberExpr: () => { plain = false; },
+                    UnaryExpr: (expr) => { if (expr.operator === '*') plain = false; }
+                });
+                const modified = new Set();
+                loop.blocks.forEach(block => CDataFlowAnalysis.blockEffects(block).forEach(event => {
+                    if (event.kind === 'def' || event.kind === 'address') modified.add(event.symbol);
+                }));
+                const isFixed = (symbol) => symbol.scope.kind !== 'file' && !symbol.storage.includes('static') &&
+                    !symbol.type.qualifiers.includes('volatile') && !addressTaken.has(symbol) && !modified.has(symbol);
+                if (!plain || read.size === 0 || ![...read].every(isFixed)) return;
+                const names = [...read].map(symbol => `'${symbol.name}'`);
+                report(`Infinite loop: ${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} never modified inside the loop`,
+                    `Update ${names.join(' or ')} inside the loop body, or add a break`,
+                    `Loop variable must change for the condition to eventually become false.`);
             });
         });
+    }
 
-        // Detect multi-line empty blocks (if/else/while/for with { on next line and } immediately after)
-        for (let idx = 0; idx < this.lines.length; idx++) {
-            const rawLine = this.lines[idx].trim();
-            // Strip comments for proper detection
-            const line = rawLine.replace(/\/\/.*$/, '').trim();
-            const nextRawLine = idx + 1 < this.lines.length ? this.lines[idx + 1].trim() : '';
-            const nextLine = nextRawLine.replace(/\/\/.*$/, '').trim();
-            const lineAfterNextRaw = idx + 2 < this.lines.length ? this.lines[idx + 2].trim() : '';
-            const lineAfterNext = lineAfterNextRaw.replace(/\/\/.*$/, '').trim();
-
-            // Check for: if/while/for/else { followed by }
-            if (/^(if\s*\([^)]+\)|else\s*if\s*\([^)]+\)|else|while\s*\([^)]+\)|for\s*\([^)]+\))\s*\{?$/.test(line)) {
-                if (line.endsWith('{') && nextLine === '}') {
-                    const type = line.startsWith('if') ? 'if' : 
-                                 line.startsWith('else if') ? 'else if' :
-                                 line.startsWith('else') ? 'else' : 
-                                 line.startsWith('while') ? 'while' : 'for';
-                    this.addBug('EmptyBody', 'warning', idx + 1,
-                        `Empty ${type} block detected (body has no statements)`,
-                        `Add code to the body or remove the block`,
-                        `Empty control structures are usually unintentional.`);
-                } else if (!line.endsWith('{') && nextLine === '{' && lineAfterNext === '}') {
-                    const type = line.startsWith('if') ? 'if' : 
-                                 line.startsWith('else if') ? 'else if' :
-                                 line.startsWith('else') ? 'else' : 
-                                 line.startsWith('while') ? 'while' : 'for';
-                    this.addBug('EmptyBody', 'warning', idx + 1,
-                        `Empty ${type} block detected (body has no statements)`,
-                        `Add code to the body or remove the block`,
-                        `Empty control structures are usually unintentional.`);
-                }
+    // Phase 5: Control Flow Analysis - Empty Bodies
+    detectEmptyBodies() {
+        const check = (body, type, line) => {
+            if (!body) return;
+            if (body.kind === 'EmptyStmt') {
+                this.addBug('EmptyBody', 'warning', line,
+                    `Empty ${type} body detected`,
+                    `Add code to the body or remove the statement`,
+                    `Empty control structures are usually unintentional.`);
+            } else if (body.kind === 'CompoundStmt' && body.body.length === 0) {
+                this.addBug('EmptyBody', 'warning', line,
+                    `Empty ${type} block detected (body has no statements)`,
+                    `Add code to the body or remove the block`,
+                    `Empty control structures are usually unintentional.`);
             }
-        }
+        };
 
-        // Detect empty functions
-        this.functions.forEach((info, funcName) => {
-            const startLine = info.line - 1;  // 0-indexed
-            let braceCount = 0;
-            let foundOpen = false;
-            let bodyLines = 0;
-            
-            for (let i = startLine; i < this.lines.length; i++) {
-                const line = this.lines[i];
-                if (line.includes('{')) {
-                    foundOpen = true;
-                    braceCount++;
-                }
-                if (line.includes('}')) {
-                    braceCount--;
-                    if (braceCount === 0 && foundOpen) {
-                        // Check if function body is empty (only contains braces and whitespace)
-                        if (bodyLines === 0 || (bodyLines === 1 && i === startLine)) {
-                            this.addBug('EmptyFunction', 'warning', info.line,
-                                `Function '${funcName}' has an empty body`,
-                                `Add code to the function or remove it`,
-                                `Empty functions serve no purpose.`);
-                        }
-                        break;
-                    }
+        this.visit({
+            IfStmt: (node, ancestors) => {
+                const parent = ancestors[ancestors.length - 1];
+                const isElseIf = parent && parent.kind === 'IfStmt' && parent.alternate === node;
+                check(node.consequent, isElseIf ? 'else if' : 'if', this.lineOf(node));
+                if (node.alternate && node.alternate.kind !== 'IfStmt') {
+                    check(node.alternate, 'else', this.lineOf(node.alternate));
                 }
-                if (foundOpen && braceCount > 0) {
-                    const trimmed = line.trim();
-                    if (trimmed !== '' && trimmed !== '{' && trimmed !== '}' && !trimmed.startsWith('//')) {
-                        bodyLines++;
-                    }
+            },
+            WhileStmt: (node) => check(node.body, 'while', this.lineOf(node)),
+            ForStmt: (node) => check(node.body, 'for', this.lineOf(node)),
+            FunctionDef: (node) => {
+                // Detect empty functions
+                if (node.body.body.length === 0) {
+                    this.addBug('EmptyFunction', 'warning', this.functionLine(node),
+                        `Function '${node.name}' has an empty body`,
+                        `Add code to the function or remove it`,
+                        `Empty functions serve no purpose.`);
                 }
             }
         });
@@ -1080,201 +2812,802 @@ class CAnalyzer {
 
     // Phase 6: Optimization - Constant Conditions
     detectConstantConditions() {
-        const patterns = [
-            { regex: /if\s*\(\s*0\s*\)/, msg: 'Condition is always false - code never executes', isDeadCode: true },
-            { regex: /if\s*\(\s*false\s*\)/, msg: 'Condition is always false - code never executes', isDeadCode: true },
-            { regex: /if\s*\(\s*1\s*\)/, msg: 'Condition is always true' },
-            { regex: /while\s*\(\s*(0|false)\s*\)/, msg: 'Loop condition is always false - code never executes', isDeadCode: true },
-        ];
-        this.lines.forEach((line, idx) => {
-            patterns.forEach(({ regex, msg, isDeadCode }) => {
-                if (regex.test(line)) {
-                    this.addBug('ConstantCondition', 'warning', idx + 1, msg,
-                        `Remove the dead code block`,
-                        isDeadCode ? `Code inside this block will never execute - dead code.` : `Consider simplifying the condition.`);
+        const report = (node, msg, isDeadCode) => {
+            this.addBug('ConstantCondition', 'warning', this.lineOf(node), msg,
+                `Remove the dead code block`,
+                isDeadCode ? `Code inside this block will never execute - dead code.` : `Consider simplifying the condition.`);
+        };
+        // Only literal conditions count: "if (1)", "while (false)"
+        const literalValue = (expr) => {
+            if (expr.kind === 'Identifier' && (expr.name === 'true' || expr.name === 'false')) {
+                return expr.name === 'true' ? 1 : 0;
+            }
+            // "if (DEBUG)" with a #define'd flag is deliberate
+            if (expr.macro) return null;
+            return expr.kind === 'NumberLiteral' ? expr.value : null;
+        };
+
+        this.visit({
+            IfStmt: (node) => {
+                const value = literalValue(node.test);
+                if (value === 0) report(node, 'Condition is always false - code never executes', true);
+                if (value === 1) report(node, 'Condition is always true', false);
+            },
+            WhileStmt: (node) => {
+                if (literalValue(node.test) === 0) {
+                    report(node, 'Loop condition is always false - code never executes', true);
                 }
-            });
+            }
         });
     }
 
     // Phase 6: Optimization - Self-Assignment
     detectSelfAssignment() {
-        const pattern = /(\w+)\s*=\s*\1\s*;/g;
-        this.lines.forEach((line, idx) => {
-            pattern.lastIndex = 0;
-            let match;
-            while ((match = pattern.exec(line)) !== null) {
-                this.addBug('SelfAssignment', 'warning', idx + 1,
-                    `Self-assignment detected: '${match[1]} = ${match[1]}'`,
+        this.visit({
+            AssignExpr: (node, ancestors) => {
+                if (node.operator !== '=' || !this.isSameLvalue(node.left, node.right)) return;
+                const text = CParser.print(node.left);
+                // Change Code drops the statement; one that is the body of an if or a loop becomes ';'
+                const stmt = ancestors[ancestors.length - 1];
+                if (stmt.kind === 'ExprStmt') {
+                    const inBlock = ancestors[ancestors.length - 2].kind === 'CompoundStmt';
+                    this.sourceEdit(stmt, inBlock ? '' : ';', 'expressionsSimplified');
+                }
+                this.addBug('SelfAssignment', 'warning', this.lineOf(node),
+                    `Self-assignment detected: '${text} = ${text}'`,
                     `Remove the redundant assignment`,
                     `Assigning a variable to itself has no effect.`);
             }
         });
     }
 
-    // Phase 4: Semantic Analysis - Printf/Scanf Errors
+    // Phase 4: Do two expressions name the same object, without side effects?
+    isSameLvalue(a, b) {
+        if (!a || !b || a.kind !== b.kind) return false;
+        switch (a.kind) {
+            case 'Identifier': return a.name === b.name;
+            case 'NumberLiteral': return a.value === b.value;
+            case 'MemberExpr': return a.member === b.member && a.arrow === b.arrow && this.isSameLvalue(a.object, b.object);
+            case 'IndexExpr': return this.isSameLvalue(a.object, b.object) && this.isSameLvalue(a.index, b.index);
+            case 'UnaryExpr': return a.operator === '*' && b.operator === '*' && this.isSameLvalue(a.argument, b.argument);
+            default: return false;
+        }
+    }
+
+    // Phase 4: Semantic Analysis - Printf/Scanf Errors: each format string against its arguments
     detectPrintfScanfErrors() {
-        this.lines.forEach((line, idx) => {
-            // Detect printf with variable only (no format string)
-            // Match printf(variable) or printf(variable);
-            const printfPattern = /\bprintf\s*\(\s*([^")][^,)]*)\s*\)/g;
-            let match;
-            
-            printfPattern.lastIndex = 0;
-            while ((match = printfPattern.exec(line)) !== null) {
-                const arg = match[1].trim();
-                // Check if it's NOT a string literal (doesn't start with ")
-                // and NOT a macro or special case
-                if (arg && !arg.startsWith('"') && !arg.startsWith("'") && 
-                    !/^[A-Z_]+$/.test(arg)) { // Skip macros like EOF, NULL
-                    
-                    // Determine the format specifier based on variable type
-                    let formatSpec = '%d'; // default to int
-                    if (this.variables.has(arg)) {
-                        const varInfo = this.variables.get(arg);
-                        switch(varInfo.type) {
-                            case 'float': formatSpec = '%f'; break;
-                            case 'double': formatSpec = '%lf'; break;
-                            case 'char': formatSpec = '%c'; break;
-                            case 'long': formatSpec = '%ld'; break;
-                            default: formatSpec = '%d';
-                        }
-                    }
-                    
-                    this.addBug('InvalidPrintf', 'error', idx + 1,
+        this.visit({
+            CallExpr: (node) => {
+                const funcName = node.callee.kind === 'Identifier' ? node.callee.name : null;
+                const family = funcName && C_FORMAT_FUNCTIONS.hasOwnProperty(funcName) ? C_FORMAT_FUNCTIONS[funcName] : null;
+                const format = family ? node.args[family.format] : null;
+                if (!format) return;
+                const line = this.lineOf(node);
+
+                if (format.kind !== 'StringLiteral') {
+                    // printf(variable): the variable is used as the format string
+                    const arg = CParser.print(format);
+                    if (funcName !== 'printf' || node.args.length !== 1 || format.kind === 'CharLiteral' || /^[A-Z_]+$/.test(arg)) return;
+                    const spec = this.formatSpecifierFor(this.typeOf(format));
+                    this.sourceEdit(format, `"${spec}", `, 'expressionsSimplified', 0, 0);
+                    this.addBug('InvalidPrintf', 'error', line,
                         `printf() requires a format string, got variable '${arg}' directly`,
-                        `Use printf("${formatSpec}", ${arg}); instead of printf(${arg});`,
+                        `Use printf("${spec}", ${arg}); instead of printf(${arg});`,
                         `printf's first argument must be a format string like "%d" or "Hello".`);
+                    return;
                 }
-            }
 
-            // Detect scanf with variable instead of pointer
-            const scanfPattern = /\bscanf\s*\(\s*"([^"]*)"\s*,\s*([^)]+)\)/g;
-            scanfPattern.lastIndex = 0;
-            while ((match = scanfPattern.exec(line)) !== null) {
-                const formatStr = match[1];
-                const args = match[2];
-                
-                // Check if format has %d, %f, etc. but arg doesn't have &
-                const formatSpecs = formatStr.match(/%[diouxXeEfFgGaAcspn]/g) || [];
-                const argList = args.split(',').map(a => a.trim());
-                
-                for (let i = 0; i < Math.min(formatSpecs.length, argList.length); i++) {
-                    const arg = argList[i];
-                    const spec = formatSpecs[i];
-                    
-                    // Check if it's a variable without & (and not %s which uses array name)
-                    if (spec !== '%s' && arg && !arg.startsWith('&') && 
-                        /^[a-zA-Z_]\w*$/.test(arg)) {
-                        this.addBug('InvalidScanf', 'error', idx + 1,
-                            `scanf() requires address of variable, missing '&' before '${arg}'`,
-                            `Use scanf("${formatStr}", &${arg}); instead of scanf("${formatStr}", ${arg});`,
+                const { style } = family;
+                const conversions = CFormatString.parse(format.value, style);
+                const args = node.args.slice(family.format + 1);
+                // Conversions of the source text, where fixes go: escapes never contain '%', so
+                // they line up with the string's, unless the literal is split over lines or
+                // pieced together from macros like PRId64
+                const source = this.lines[format.range.start.line - 1] || '';
+                const spelled = format.range.start.line === format.range.end.line ?
+                    source.slice(format.range.start.col - 1, format.range.end.col - 1) : format.raw;
+                const inSource = spelled === format.raw;
+                const formatText = spelled.slice(1, -1);
+                const sourceConversions = inSource ? CFormatString.parse(format.raw, style) : [];
+                let argIndex = 0;
+                conversions.forEach((conv, convIndex) => {
+                    if (conv.conversion === null) {
+                        this.addBug('InvalidFormat', 'warning', line,
+                            `'${conv.text}' in the format string of ${funcName}() is not a valid conversion`,
+                            `Write '%%' for a literal percent sign`,
+                            `An unknown conversion is undefined behavior - the C library may print garbage or skip arguments.`);
+                        return;
+                    }
+                    if (conv.conversion === '%' || conv.suppressed) return;
+                    argIndex += (conv.width === '*' ? 1 : 0) + (conv.precision === '*' ? 1 : 0);
+                    const arg = args[argIndex++];
+                    if (!arg) return;
+                    const argText = CParser.print(arg);
+                    const type = this.typeOf(arg);
+
+                    if (conv.conversion === 'n') {
+                        this.addBug('FormatPercentN', 'warning', line,
+                            `'${conv.text}' makes ${funcName}() write the number of characters so far through '${argText}'`,
+                            style === 'printf' ? `Use the return value of ${funcName}() to get the number of characters written` : `Count the characters read another way, e.g. with strlen() on the result`,
+                            `'%n' turns a format string into a memory write; many C libraries reject it, and with a user-controlled format it lets an attacker write to memory.`);
+                    }
+                    if (CFormatString.accepts(conv, type, style) !== false) return;
+
+                    if (style === 'scanf' && arg.kind === 'Identifier' && !type.isPointer() && !type.isArray()) {
+                        this.sourceEdit(arg, '&', 'expressionsSimplified', 0, 0);
+                        this.addBug('InvalidScanf', 'error', line,
+                            `${funcName}() requires address of variable, missing '&' before '${argText}'`,
+                            `Pass '&${argText}' instead of '${argText}' to ${funcName}()`,
                             `scanf needs memory address (pointer) to store input value.`);
+                        return;
                     }
+                    const fixed = CFormatString.specifierFor(conv, type, style);
+                    const at = sourceConversions[convIndex];
+                    if (fixed && at && at.text === conv.text) this.sourceEdit(format, fixed, 'expressionsSimplified', at.index, at.text.length);
+                    this.addBug('FormatTypeMismatch', 'error', line,
+                        `'${conv.text}' in ${funcName}() expects ${CFormatString.expected(conv, style)}, but argument '${argText}' has type '${type}'`,
+                        fixed ? `Use '${fixed}' for a '${type}'` : `Pass a value of type ${CFormatString.expected(conv, style)}`,
+                        style === 'scanf'
+                            ? `scanf stores the value in the format's type; a pointer to a different type gets the wrong number of bytes or the wrong representation.`
+                            : `printf reads the argument as the format's type; a different type prints garbage and can shift every later argument.`);
+                });
+
+                const expected = CFormatString.argumentCount(conversions);
+                if (args.length < expected) {
+                    this.addBug('FormatArgumentCount', 'error', line,
+                        `Format string "${formatText}" of ${funcName}() expects ${expected} argument${expected === 1 ? '' : 's'}, but ${args.length} ${args.length === 1 ? 'is' : 'are'} given`,
+                        `Pass one argument for each conversion in the format string`,
+                        `The missing arguments are read from whatever happens to be in registers or on the stack.`);
+                } else if (args.length > expected) {
+                    this.addBug('FormatArgumentCount', 'warning', line,
+                        `${funcName}() is given ${args.length} argument${args.length === 1 ? '' : 's'} after the format string "${formatText}", which uses ${expected}`,
+                        `Remove the extra arguments or add conversions for them`,
+                        `Extra arguments are evaluated but ignored - usually a conversion is missing from the format.`);
                 }
             }
         });
     }
 
+    // Phase 4: printf conversion that prints a value of the given type
+    formatSpecifierFor(type) {
+        if (type.isString()) return '%s';
+        if (type.isPointer()) return '%p';
+        if (type.isFloating()) return { 'float': '%f', 'double': '%lf', 'long double': '%Lf' }[type.name];
+        if (type.isCharacter()) return '%c';
+        if (type.isInteger()) {
+            if (type.typedefName === 'size_t') return '%zu';
+            const name = type.kind === 'enum' ? 'int' : type.name.replace('unsigned ', '');
+            const length = { 'long': 'l', 'long long': 'll' }[name] || '';
+            return `%${length}${type.isUnsigned() ? 'u' : 'd'}`;
+        }
+        return '%d';
+    }
+
     // Phase 4: Semantic Analysis - Array Bounds Checking
     detectArrayOutOfBounds() {
-        // Step 1: Detect array declarations and store their sizes
-        const arrayDeclPattern = /\b(int|float|char|double|long|short)\s+(\w+)\s*\[\s*(\d+)\s*\]/g;
-        
-        this.lines.forEach((line, idx) => {
-            arrayDeclPattern.lastIndex = 0;
-            let match;
-            while ((match = arrayDeclPattern.exec(line)) !== null) {
-                const arrayType = match[1];
-                const arrayName = match[2];
-                const arraySize = parseInt(match[3], 10);
-                this.arrays.set(arrayName, { type: arrayType, size: arraySize, line: idx + 1 });
-            }
+        // Step 1: Record every array whose length is known. Lengths come from the type
+        // system after preprocessing, so "int a[SIZE]" and "int a[] = {1, 2}" both work.
+        this.symbolTable.symbols.forEach(symbol => {
+            const type = symbol.type;
+            if (symbol.kind !== 'variable' || symbol.file !== this.currentFile || !type.isArray() || !type.length) return;
+            this.arrays.set(symbol.name, { type: type.element.toString(), size: type.length, line: symbol.line });
         });
 
-        // Step 2: Check for constant index out of bounds
-        const accessPattern = /(\w+)\s*\[\s*(\d+)\s*\]/g;
-        
-        this.lines.forEach((line, idx) => {
-            // Skip array declarations
-            if (/\b(int|float|char|double|long|short)\s+\w+\s*\[/.test(line)) return;
-            
-            accessPattern.lastIndex = 0;
-            let match;
-            while ((match = accessPattern.exec(line)) !== null) {
-                const arrayName = match[1];
-                const accessIndex = parseInt(match[2], 10);
-                
-                if (this.arrays.has(arrayName)) {
-                    const arrayInfo = this.arrays.get(arrayName);
-                    if (accessIndex >= arrayInfo.size) {
-                        this.addBug('ArrayOutOfBounds', 'critical', idx + 1,
-                            `Array '${arrayName}' accessed at index ${accessIndex}, but size is ${arrayInfo.size} (valid indices: 0-${arrayInfo.size - 1})`,
-                            `Use an index less than ${arrayInfo.size}`,
+        // Step 2: Check every index against its array's length. Index ranges come from the
+        // value-range analysis, so "int n = 10; a[n]" and loop counters are covered too.
+        this.visit({
+            IndexExpr: (node, ancestors) => {
+                const type = this.typeOf(node.object);
+                const range = this.rangeOf(node.index);
+                if (!type.isArray() || !type.length || !range || ancestors.some(a => a.kind === 'SizeofExpr')) return;
+                const size = type.length;
+                // &a[size] points one past the end, which C allows
+                const parent = ancestors[ancestors.length - 1];
+                const limit = parent && parent.kind === 'UnaryExpr' && parent.operator === '&' ? size : size - 1;
+                // An unbounded side says nothing, unless the whole range lies outside
+                const always = range.lo > limit || range.hi < 0;
+                const tooHigh = (Number.isFinite(range.hi) || always) && range.hi > limit;
+                const tooLow = (Number.isFinite(range.lo) || always) && range.lo < 0;
+                if (!tooHigh && !tooLow) return;
+
+                const arrayName = CParser.print(node.object);
+                const indexText = CParser.print(node.index);
+                const valid = `(valid indices: 0-${size - 1})`;
+                if (range.isConstant()) {
+                    const accessIndex = range.lo;
+                    const held = this.evaluateConstant(node.index) === null ? ` ('${indexText}' is ${accessIndex} here)` : '';
+                    if (tooHigh) {
+                        this.addBug('ArrayOutOfBounds', 'critical', this.lineOf(node),
+                            `Array '${arrayName}' accessed at index ${accessIndex}${held}, but size is ${size} ${valid}`,
+                            `Use an index less than ${size}`,
                             `Accessing array out of bounds causes undefined behavior and can crash the program.`);
-                    }
-                    if (accessIndex < 0) {
-                        this.addBug('ArrayOutOfBounds', 'critical', idx + 1,
-                            `Array '${arrayName}' accessed at negative index ${accessIndex}`,
+                    } else {
+                        this.addBug('ArrayOutOfBounds', 'critical', this.lineOf(node),
+                            `Array '${arrayName}' accessed at negative index ${accessIndex}${held}`,
                             `Use a non-negative index`,
                             `Negative array indices cause undefined behavior.`);
                     }
+                    return;
                 }
+
+                this.addBug('ArrayOutOfBounds', always ? 'critical' : 'error', this.lineOf(node),
+                    `Array '${arrayName}' index '${indexText}' ${always ? 'is always outside' : 'can fall outside'} its bounds: range ${range}, but size is ${size} ${valid}`,
+                    tooHigh ? `Make sure '${indexText}' stays below ${size}, e.g. loop while it is '< ${size}' rather than '<= ${size}'`
+                        : `Make sure '${indexText}' cannot become negative before it is used as an index`,
+                    `Following the assignments and conditions that lead here, '${indexText}' can take values outside 0-${size - 1}. Accessing array out of bounds causes undefined behavior and can crash the program.`);
             }
         });
+    }
 
-        // Step 3: Check for loop-based array access with potential overflow
-        const forLoopPattern = /for\s*\(\s*(?:int\s+)?(\w+)\s*=\s*(\d+)\s*;\s*\1\s*(<|<=|>|>=)\s*(\d+|\w+)\s*;/g;
-        
-        this.lines.forEach((line, idx) => {
-            forLoopPattern.lastIndex = 0;
-            let match;
-            while ((match = forLoopPattern.exec(line)) !== null) {
-                const loopVar = match[1];
-                const startVal = parseInt(match[2], 10);
-                const operator = match[3];
-                const limitStr = match[4];
-                
-                // Check if limit is a number
-                const limitVal = parseInt(limitStr, 10);
-                if (isNaN(limitVal)) continue;  // Skip if limit is a variable
-                
-                // Calculate maximum index reached
-                let maxIndex;
-                if (operator === '<') {
-                    maxIndex = limitVal - 1;
-                } else if (operator === '<=') {
-                    maxIndex = limitVal;
-                } else if (operator === '>') {
-                    maxIndex = startVal; // counting down
-                } else if (operator === '>=') {
-                    maxIndex = startVal;
-                }
-                
-                // Look for array access using the loop variable in nearby lines
-                for (let j = idx; j < Math.min(idx + 10, this.lines.length); j++) {
-                    const innerLine = this.lines[j];
-                    const arrayAccessPattern = new RegExp(`(\\w+)\\s*\\[\\s*${loopVar}\\s*\\]`, 'g');
-                    let accessMatch;
-                    while ((accessMatch = arrayAccessPattern.exec(innerLine)) !== null) {
-                        const arrayName = accessMatch[1];
-                        if (this.arrays.has(arrayName)) {
-                            const arrayInfo = this.arrays.get(arrayName);
-                            if (maxIndex !== undefined && maxIndex >= arrayInfo.size) {
-                                this.addBug('ArrayOutOfBounds', 'critical', idx + 1,
-                                    `Loop may access '${arrayName}[${maxIndex}]' but array size is ${arrayInfo.size} (valid: 0-${arrayInfo.size - 1})`,
-                                    `Change loop condition to '${loopVar} < ${arrayInfo.size}'`,
-                                    `The loop iterates beyond the array bounds which causes undefined behavior.`);
+    // Phase 4: Semantic Analysis - Buffer Overflows in string and memory library calls.
+    // Destination sizes come from array types, lengths from constants and value ranges.
+    detectBufferOverflows() {
+        const overflow = (node, definite, message, suggestion) => this.addBug(
+            'BufferOverflow',
+            definite ? 'critical' : 'error',
+            this.lineOf(node),
+            message,
+            suggestion,
+            `Writing past the end of a buffer overwrites neighbouring variables or the return address - the classic cause of crashes and security holes.`
+        );
+        // "writes N bytes" for a range whose low end already overflows, "may write up to N bytes" otherwise
+        const checkLength = (node, funcName, buffer, range, suggestion) => {
+            if (!range || !Number.isFinite(range.hi) || range.hi <= buffer.size) return;
+            const definite = range.lo > buffer.size;
+            overflow(node, definite,
+                definite ? `${funcName}() writes ${range.isConstant() ? range.lo : `at least ${range.lo}`} bytes into '${buffer.name}', which holds ${buffer.size} bytes`
+                    : `${funcName}() may write up to ${range.hi} bytes into '${buffer.name}', which holds ${buffer.size} bytes`,
+                suggestion);
+        };
+
+        this.visit({
+            CallExpr: (node, ancestors) => {
+                if (node.callee.kind !== 'Identifier') return;
+                const funcName = node.callee.name;
+                const args = node.args;
+                const dest = args.length ? this.bufferOf(args[0]) : null;
+
+                switch (funcName) {
+                    case 'strcpy':
+                    case 'strcat': {
+                        if (!dest || args.length !== 2) return;
+                        const literal = this.stringLength(args[1]);
+                        const source = this.bufferOf(args[1]);
+                        const what = funcName === 'strcat' ? 'at least ' : '';
+                        if (literal !== null && literal + 1 > dest.size) {
+                            overflow(node, true,
+                                `${funcName}() writes ${what}${literal + 1} bytes (${literal} characters and the terminating '\\0') into '${dest.name}', which holds ${dest.size} bytes`,
+                                `Make '${dest.name}' at least ${literal + 1} bytes long, or use snprintf(${dest.name}, sizeof ${dest.name}, ...)`);
+                        } else if (literal === null && source && source.size > dest.size) {
+                            overflow(node, false,
+                                `${funcName}() may write up to ${what === '' ? '' : 'more than '}${source.size} bytes from '${source.name}' into '${dest.name}', which holds ${dest.size} bytes`,
+                                `Use snprintf(${dest.name}, sizeof ${dest.name}, "%s", ${source.name}) to bound the copy`);
+                        }
+                        return;
+                    }
+                    case 'memcpy':
+                    case 'memmove':
+                    case 'memset':
+                        if (dest && args.length === 3) {
+                            checkLength(node, funcName, dest, this.rangeOf(args[2]), `Pass at most sizeof ${dest.name} (${dest.size}) as the length`);
+                        }
+                        return;
+                    case 'fgets':
+                        if (dest && args.length === 3) {
+                            checkLength(node, funcName, dest, this.rangeOf(args[1]), `Pass sizeof ${dest.name} as the size: fgets(${dest.name}, sizeof ${dest.name}, ...)`);
+                        }
+                        return;
+                    case 'strncpy': {
+                        if (!dest || args.length !== 3) return;
+                        const length = this.rangeOf(args[2]);
+                        checkLength(node, funcName, dest, length, `Pass sizeof ${dest.name} - 1 as the length and terminate it with ${dest.name}[sizeof ${dest.name} - 1] = '\\0'`);
+                        if (!length || !length.isConstant() || length.lo > dest.size) return;
+                        const literal = this.stringLength(args[1]);
+                        if ((literal !== null && literal < length.lo) || this.terminatesAfter(dest, ancestors)) return;
+                        // A zero-initialized buffer keeps its last byte when fewer bytes are copied
+                        if (length.lo < dest.size && dest.symbol && (dest.symbol.hasInit || dest.symbol.scope.kind === 'file' ||
+                            dest.symbol.storage.includes('static'))) return;
+                        this.addBug(
+                            'UnterminatedString',
+                            'warning',
+                            this.lineOf(node),
+                            `strncpy() copies up to ${length.lo} bytes into '${dest.name}' (${dest.size} bytes) and adds no '\\0' when the source is that long`,
+                            `Add '${dest.name}[${dest.size - 1}] = '\\0';' after the call, with a length of at most ${dest.size - 1}`,
+                            `strncpy() stops after n bytes without writing a terminator, so later string functions read past the end of the buffer.`
+                        );
+                        return;
+                    }
+                    case 'sprintf': {
+                        if (!dest || args.length < 2 || args[1].kind !== 'StringLiteral') return;
+                        const length = this.printfLength(args[1].value, args.slice(2));
+                        checkLength(node, funcName, dest, CInterval.of(length.min + 1, length.max + 1),
+                            `Use snprintf(${dest.name}, sizeof ${dest.name}, ...) to bound the output`);
+                        return;
+                    }
+                    case 'scanf':
+                    case 'fscanf':
+                    case 'sscanf': {
+                        const formatIndex = funcName === 'scanf' ? 0 : 1;
+                        const format = args[formatIndex];
+                        if (!format || format.kind !== 'StringLiteral') return;
+                        let argIndex = formatIndex + 1;
+                        CFormatString.parse(format.value, 'scanf').forEach(conv => {
+                            if (conv.conversion === '%' || conv.conversion === null || conv.suppressed) return;
+                            const arg = args[argIndex++];
+                            if (!arg || (conv.conversion !== 's' && !conv.conversion.startsWith('['))) return;
+                            const buffer = this.bufferOf(arg);
+                            const argText = CParser.print(arg);
+                            const bounded = buffer ? `%${buffer.size - 1}${conv.length}${conv.conversion}` : null;
+                            if (conv.width === null) {
+                                this.addBug(
+                                    'BufferOverflow',
+                                    'error',
+                                    this.lineOf(node),
+                                    buffer ? `${funcName}() '${conv.text}' has no width limit - input longer than ${buffer.size - 1} characters overflows '${buffer.name}' (${buffer.size} bytes)`
+                                        : `${funcName}() '${conv.text}' has no width limit - it writes as many bytes as the input has into '${argText}'`,
+                                    buffer ? `Limit the width to the buffer: '${bounded}'` : `Give '${conv.text}' a width one less than the size of '${argText}'`,
+                                    `Without a width, scanf stores however many characters the user types, overwriting whatever follows the buffer.`
+                                );
+                            } else if (buffer && conv.width + 1 > buffer.size) {
+                                overflow(node, false,
+                                    `${funcName}() '${conv.text}' may write up to ${conv.width + 1} bytes into '${buffer.name}', which holds ${buffer.size} bytes`,
+                                    `Use a width of at most ${buffer.size - 1}: '${bounded}'`);
                             }
+                        });
+                        return;
+                    }
+                }
+            }
+        });
+    }
+
+    // Phase 4: Semantic Analysis - Unsafe Functions: calls to banned library functions
+    // (C_UNSAFE_FUNCTIONS and options.bannedFunctions), with the weakness each one causes
+    detectUnsafeFunctions() {
+        this.visit({
+            CallExpr: (node, ancestors) => {
+                if (node.callee.kind !== 'Identifier') return;
+                const funcName = node.callee.name;
+                const entry = this.unsafeFunctions.lookup(funcName);
+                if (!entry || this.functions.has(funcName) || this.isDefinedInProject(funcName)) return;
+                const fix = this.unsafeCallFix(node, ancestors);
+                if (fix) this.unsafeFixes.push(fix);
+                this.addBug(
+                    'UnsafeFunction',
+                    entry.severity,
+                    this.lineOf(node),
+                    `Call to unsafe function ${funcName}() (${entry.cwe})`,
+                    fix ? fix.suggestion : entry.replacement ? `Use ${entry.replacement}` : `Replace the call to ${funcName}()`,
+                    `${funcName}() is banned because ${entry.reason}.`,
+                    { cwe: entry.cwe }
+                );
+            }
+        });
+    }
+
+    // Phase 4: The call Change Code puts in place of a banned one, with the lines it needs
+    // before and after the statement; null unless the destination is an array of known size
+    // (or, for atoi, the result is stored by a statement of its own)
+    unsafeCallFix(node, ancestors) {
+        const funcName = node.callee.name;
+        const args = node.args;
+        const parent = ancestors[ancestors.length - 1];
+        // Lines can only be added around a one-line statement directly in a block,
+        // with no other code on its line: not "int n = atoi(s); use(n);"
+        const ownStatement = (stmt) => stmt && ancestors[ancestors.indexOf(stmt) - 1].kind === 'CompoundStmt' &&
+            stmt.range.start.line === stmt.range.end.line && this.statementLines(stmt, this.lines).length === 1;
+        const dest = args.length ? this.bufferOf(args[0]) : null;
+        const buffer = dest && CParser.print(args[0]) === dest.name ? dest.name : null;
+        const fix = (text, replacement, suggestion, extra) => Object.assign(
+            { line: this.lineOf(node), text, replacement, before: [], after: [], headers: [], suggestion }, extra);
+
+        switch (funcName) {
+            case 'gets': {
+                if (!buffer || args.length !== 1 || parent.kind !== 'ExprStmt' || !ownStatement(parent)) return null;
+                const strip = `${buffer}[strcspn(${buffer}, "\\n")] = '\\0';`;
+                return fix(`gets ( ${buffer} )`, `fgets(${buffer}, sizeof ${buffer}, stdin)`,
+                    `Replace it with 'fgets(${buffer}, sizeof ${buffer}, stdin)' and remove the newline fgets keeps: '${strip}'`,
+                    { after: [strip], headers: ['string.h'] });
+            }
+            case 'sprintf':
+            case 'vsprintf': {
+                const bounded = funcName === 'sprintf' ? 'snprintf' : 'vsnprintf';
+                if (!buffer || args.length < 2) return null;
+                return fix(`${funcName} ( ${buffer} ,`, `${bounded}(${buffer}, sizeof ${buffer},`,
+                    `Replace it with '${bounded}(${buffer}, sizeof ${buffer}, ...)'`);
+            }
+            case 'strcpy':
+                // snprintf returns a count, not the destination, so only where the result is unused
+                if (!buffer || args.length !== 2 || parent.kind !== 'ExprStmt') return null;
+                return fix(`strcpy ( ${buffer} ,`, `snprintf(${buffer}, sizeof ${buffer}, "%s",`,
+                    `Replace it with 'snprintf(${buffer}, sizeof ${buffer}, "%s", ${CParser.print(args[1])})'`,
+                    { headers: ['stdio.h'] });
+            case 'atoi':
+            case 'atol':
+            case 'atoll':
+            case 'atof': {
+                if (args.length !== 1 || this.hasSideEffects(args[0])) return null;
+                // T x = atoi(text);  or  x = atoi(text);
+                let target = null;
+                let stmt = null;
+                if (parent.kind === 'Declarator' && parent.init === node && parent.symbol) {
+                    stmt = ancestors[ancestors.length - 2];
+                    if (stmt.declarators.length === 1) target = parent.symbol.name;
+                } else if (parent.kind === 'AssignExpr' && parent.operator === '=' && parent.right === node && parent.left.kind === 'Identifier') {
+                    stmt = ancestors[ancestors.length - 2];
+                    if (stmt.kind === 'ExprStmt') target = parent.left.name;
+                }
+                if (!target || !ownStatement(stmt)) return null;
+                const taken = new Set(this.symbolTable.symbols.map(symbol => symbol.name));
+                let end = `${target}End`;
+                for (let n = 2; taken.has(end); n++) end = `${target}End${n}`;
+                const text = CParser.print(args[0]);
+                const call = {
+                    atoi: `(int)strtol(${text}, &${end}, 10)`,
+                    atol: `strtol(${text}, &${end}, 10)`,
+                    atoll: `strtoll(${text}, &${end}, 10)`,
+                    atof: `strtod(${text}, &${end})`
+                }[funcName];
+                const check = `if (${end} == ${text} || errno == ERANGE) {`;
+                const fn = ancestors.find(a => a.kind === 'FunctionDef');
+                const exit = this.failureExit(fn ? fn.name : null);
+                if (!exit) return null;
+                return fix(`${funcName} ( ${text} )`, call,
+                    `Replace it with '${call}' and check '${end} == ${text} || errno == ERANGE' for text that is not a number or out of range`,
+                    { before: [`char *${end};`, 'errno = 0;'], after: [check, `    ${exit}`, '}'],
+                      headers: ['errno.h', 'stdlib.h'] });
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Phase 4: Semantic Analysis - sizeof Misuse: allocations sized for the wrong type,
+    // sizeof of a pointer taken for its buffer, byte counts used as element counts,
+    // operands whose side effects never happen, and offsets scaled by sizeof twice
+    detectSizeofMisuse() {
+        const reported = new Set();
+        const strip = (expr) => {
+            while (expr.kind === 'CastExpr') expr = expr.argument;
+            return expr;
+        };
+        const sizeofType = (node) => node.argument.kind === 'TypeName'
+            ? this.types.fromTypeName(node.argument) : this.typeOf(node.argument);
+        // The sizeof an expression is scaled by: sizeof(T), n * sizeof(T), sizeof(T) * n + extra
+        const scaleOf = (expr, sums = false) => {
+            expr = strip(expr);
+            if (expr.kind === 'SizeofExpr' && expr.operator === 'sizeof') return expr;
+            if (expr.kind === 'BinaryExpr' && (expr.operator === '*' || (sums && expr.operator === '+'))) {
+                return scaleOf(expr.left, sums) || scaleOf(expr.right, sums);
+            }
+            return null;
+        };
+        // Buffer and length arguments of library calls: [buffer index, length index]
+        const lengthArgs = {
+            memset: [[0, 2]], memcpy: [[0, 2], [1, 2]], memmove: [[0, 2], [1, 2]], memcmp: [[0, 2], [1, 2]],
+            memchr: [[0, 2]], strncpy: [[0, 2]], strncat: [[0, 2]], strncmp: [[0, 2], [1, 2]],
+            snprintf: [[0, 1]], fgets: [[0, 1]], read: [[1, 2]], write: [[1, 2]], recv: [[1, 2]], send: [[1, 2]]
+        };
+        // Array a pointer variable was initialized with, from the arrays collected in detectArrayOutOfBounds
+        const arrayBehind = (symbol) => {
+            const init = symbol && symbol.node && symbol.node.init;
+            if (!init || strip(init).kind !== 'Identifier') return null;
+            const name = strip(init).name;
+            return this.arrays.has(name) ? Object.assign({ name }, this.arrays.get(name)) : null;
+        };
+
+        this.visit({
+            CallExpr: (node, ancestors) => {
+                if (node.callee.kind !== 'Identifier') return;
+                const funcName = node.callee.name;
+                const args = node.args;
+
+                // malloc(n * sizeof(T)) stored in a pointer to something other than T
+                const sizeArgs = { malloc: [0], calloc: [0, 1], realloc: [1] }[funcName];
+                if (sizeArgs) {
+                    const size = sizeArgs.map(i => args[i] && scaleOf(args[i], true)).find(Boolean);
+                    let i = ancestors.length - 1;
+                    while (i >= 0 && ancestors[i].kind === 'CastExpr') i--;
+                    const parent = ancestors[i];
+                    let target = null;
+                    let targetName = null;
+                    if (parent && parent.kind === 'Declarator' && parent.symbol) {
+                        target = parent.symbol.type;
+                        targetName = parent.symbol.name;
+                    } else if (parent && parent.kind === 'AssignExpr' && parent.operator === '=') {
+                        target = this.typeOf(parent.left);
+                        targetName = CParser.print(parent.left);
+                    }
+                    const pointee = target && target.isPointer() ? target.pointee() : null;
+                    const element = size && sizeofType(size);
+                    if (!pointee || !element || !element.isKnown() || pointee.isVoid() || pointee.size() === null ||
+                        pointee.size() <= 1 || element.size() === null || element.size() === pointee.size() ||
+                        (element.isArray() && element.element.size() === pointee.size())) return;
+                    reported.add(size);
+                    const sizeText = CParser.print(size);
+                    const ofTarget = size.argument.kind !== 'TypeName' && CParser.print(strip(size.argument)) === targetName;
+                    this.addBug(
+                        'SizeofMismatch',
+                        element.size() < pointee.size() ? 'error' : 'warning',
+                        this.lineOf(node),
+                        ofTarget
+                            ? `'${sizeText}' is the size of the pointer '${targetName}' (${element.size()} bytes), not of the ${pointee} (${pointee.size()} bytes) it points to`
+                            : `'${targetName}' points to ${pointee} (${pointee.size()} bytes), but ${funcName}() is sized with '${sizeText}' (${element.size()} bytes)`,
+                        `Size the allocation by what the pointer points to: 'sizeof *${targetName}'`,
+                        element.size() < pointee.size()
+                            ? `Each element gets fewer bytes than a ${pointee} needs, so filling the block writes past its end.`
+                            : `The block is larger than needed, and the mismatch usually means the pointer's type and the sizeof drifted apart. 'sizeof *${targetName}' always matches.`
+                    );
+                    return;
+                }
+
+                // memset(p, 0, sizeof(p)) with p a pointer: the length is that of the pointer
+                (lengthArgs[funcName] || []).forEach(([bufferIndex, lengthIndex]) => {
+                    const buffer = args[bufferIndex];
+                    const length = args[lengthIndex] && strip(args[lengthIndex]);
+                    if (!buffer || !length || length.kind !== 'SizeofExpr' || length.operator !== 'sizeof' ||
+                        length.argument.kind === 'TypeName' || reported.has(length)) return;
+                    const object = strip(length.argument);
+                    const type = this.typeOf(object);
+                    if (CParser.print(object) !== CParser.print(strip(buffer)) || !type.isPointer()) return;
+                    reported.add(length);
+                    const name = CParser.print(object);
+                    const array = arrayBehind(object.kind === 'Identifier' ? object.symbol : null);
+                    this.addBug(
+                        'SizeofPointer',
+                        'warning',
+                        this.lineOf(node),
+                        `'${CParser.print(length)}' in ${funcName}() is the size of the pointer '${name}' (${type.size()} bytes), not of the buffer it points to`,
+                        array ? `'${name}' points to the array '${array.name}': pass 'sizeof ${array.name}'`
+                            : `Pass the buffer's length, e.g. 'n * sizeof *${name}' for n elements`,
+                        `sizeof of a pointer is always the pointer's own size, however large the memory behind it, so only the first ${type.size()} bytes are ${funcName === 'memset' ? 'set' : 'covered'}.`
+                    );
+                });
+            },
+
+            SizeofExpr: (node, ancestors) => {
+                if (node.argument.kind === 'TypeName') return;
+                const argument = strip(node.argument);
+
+                // The operand is not evaluated: i++, x = 1 and f() inside sizeof never happen
+                let effect = null;
+                CParser.walk(argument, {
+                    enter: (child) => {
+                        if (effect) return false;
+                        if (child.kind === 'AssignExpr' || child.kind === 'UpdateExpr' || child.kind === 'CallExpr') {
+                            effect = child;
+                            return false;
+                        }
+                        return true;
+                    }
+                });
+                const type = this.typeOf(argument);
+                if (effect && !(type.isArray() && type.length === null)) {
+                    const text = CParser.print(effect);
+                    this.addBug(
+                        'SizeofSideEffect',
+                        'warning',
+                        this.lineOf(node),
+                        `'${text}' inside ${node.operator} is never evaluated`,
+                        effect.kind === 'CallExpr' ? `Call the function outside ${node.operator}, or use '${node.operator}' on its return type`
+                            : `Move '${text}' out of the ${node.operator} expression`,
+                        `The operand of ${node.operator} is only examined for its type, so its side effects do not take place.`
+                    );
+                }
+
+                // sizeof of an array parameter: it is a pointer
+                const symbol = argument.kind === 'Identifier' ? argument.symbol : null;
+                if (node.operator !== 'sizeof' || !symbol || symbol.kind !== 'parameter' || reported.has(node)) return;
+                const param = symbol.node;
+                if (!param.declarator || !this.types.fromDeclarator(this.types.fromSpecifiers(param.specifiers), param.declarator).isArray()) return;
+                const fn = ancestors.find(a => a.kind === 'FunctionDef');
+                this.addBug(
+                    'SizeofArrayParameter',
+                    'warning',
+                    this.lineOf(node),
+                    `'${CParser.print(node)}' is the size of a pointer (${symbol.type.size()} bytes): array parameter '${symbol.name}'${fn ? ` of '${fn.name}'` : ''} is really '${symbol.type.declare(symbol.name)}'`,
+                    `Pass the number of elements as another parameter (e.g. 'size_t n') and use it instead`,
+                    `An array parameter decays to a pointer, so sizeof no longer sees the caller's array - the size in the brackets is ignored.`
+                );
+            },
+
+            // for (i = 0; i < sizeof arr; i++) arr[i] - a byte count used as an element count
+            BinaryExpr: (node, ancestors) => {
+                if (['<', '<='].includes(node.operator)) {
+                    const size = strip(node.right);
+                    const loop = ancestors[ancestors.length - 1];
+                    if (size.kind !== 'SizeofExpr' || size.operator !== 'sizeof' || size.argument.kind !== 'Identifier' ||
+                        node.left.kind !== 'Identifier' || !loop || loop.test !== node ||
+                        !['ForStmt', 'WhileStmt', 'DoWhileStmt'].includes(loop.kind)) return;
+                    const arrayName = size.argument.name;
+                    const array = this.arrays.get(arrayName);
+                    const type = this.typeOf(size.argument);
+                    if (!array || !type.isArray() || !size.argument.symbol || array.line !== size.argument.symbol.line ||
+                        type.element.size() <= 1) return;
+                    let indexed = false;
+                    CParser.walk(loop.body, {
+                        IndexExpr: (index) => {
+                            if (index.object.kind === 'Identifier' && index.object.name === arrayName &&
+                                index.index.kind === 'Identifier' && index.index.name === node.left.name) indexed = true;
                         }
+                    });
+                    if (!indexed) return;
+                    this.addBug(
+                        'SizeofElementCount',
+                        'error',
+                        this.lineOf(node),
+                        `'${CParser.print(size)}' is ${type.size()} bytes, but '${arrayName}' has ${array.size} elements: '${CParser.print(node)}' runs past its end`,
+                        `Count elements: '${node.left.name} ${node.operator} sizeof ${arrayName} / sizeof ${arrayName}[0]'`,
+                        `sizeof gives bytes; with ${type.element.size()}-byte elements of ${array.type} the loop goes ${type.size() - array.size} elements beyond the array.`
+                    );
+                    return;
+                }
+
+                if (node.operator === '+' || node.operator === '-') {
+                    const leftType = this.typeOf(node.left).decay();
+                    const rightType = this.typeOf(node.right).decay();
+                    if (leftType.isPointer()) this.checkPointerScaling(node, node.left, node.right, leftType);
+                    else if (node.operator === '+' && rightType.isPointer()) this.checkPointerScaling(node, node.right, node.left, rightType);
+                }
+            },
+
+            AssignExpr: (node) => {
+                if (node.operator !== '+=' && node.operator !== '-=') return;
+                const type = this.typeOf(node.left).decay();
+                if (type.isPointer()) this.checkPointerScaling(node, node.left, node.right, type);
+            },
+
+            IndexExpr: (node) => {
+                const type = this.typeOf(node.object).decay();
+                if (type.isPointer()) this.checkPointerScaling(node, node.object, node.index, type);
+            }
+        });
+    }
+
+    // Phase 4: p + i * sizeof(*p) - pointer arithmetic already counts in elements
+    checkPointerScaling(node, pointer, offset, type) {
+        const pointee = type.pointee();
+        const elementSize = pointee && pointee.size();
+        if (!elementSize || elementSize <= 1) return;
+        let scaled = offset;
+        while (scaled.kind === 'CastExpr') scaled = scaled.argument;
+        let count = null;
+        if (scaled.kind === 'SizeofExpr' && scaled.operator === 'sizeof') {
+            count = '1';
+        } else if (scaled.kind === 'BinaryExpr' && scaled.operator === '*') {
+            const isSizeof = (expr) => expr.kind === 'SizeofExpr' && expr.operator === 'sizeof';
+            const factor = isSizeof(scaled.right) ? scaled.left : isSizeof(scaled.left) ? scaled.right : null;
+            if (!factor) return;
+            count = CParser.print(factor);
+            if (node.kind !== 'IndexExpr' && ['BinaryExpr', 'ConditionalExpr'].includes(factor.kind)) count = `(${count})`;
+            scaled = factor === scaled.left ? scaled.right : scaled.left;
+        }
+        if (count === null) return;
+        const size = scaled.argument.kind === 'TypeName' ? this.types.fromTypeName(scaled.argument).size() : this.typeOf(scaled.argument).size();
+        if (!size || size <= 1) return;
+        const name = CParser.print(pointer);
+        let fixed;
+        if (node.kind === 'IndexExpr') fixed = `${name}[${count}]`;
+        else if (node.kind === 'AssignExpr') fixed = `${name} ${node.operator} ${count}`;
+        else fixed = pointer === node.left ? `${name} ${node.operator} ${count}` : `${count} ${node.operator} ${name}`;
+        this.addBug(
+            'PointerScaling',
+            'warning',
+            this.lineOf(node),
+            `'${CParser.print(offset)}' is a byte count, but arithmetic on '${name}' moves in elements of ${pointee} (${elementSize} bytes) - the offset is scaled twice`,
+            `Write '${fixed}'`,
+            `Adding n to a pointer already advances it by n * sizeof *${name} bytes, so multiplying by sizeof again jumps ${size} times too far.`
+        );
+    }
+
+    // Phase 4: Array a pointer argument writes into: { name, size (bytes), symbol }, or null
+    // if its size is unknown. "buf + 2" and "&buf[2]" leave 2 elements fewer.
+    bufferOf(expr) {
+        while (expr.kind === 'CastExpr') expr = expr.argument;
+        let offset = 0;
+        if (expr.kind === 'BinaryExpr' && expr.operator === '+') {
+            offset = this.evaluateConstant(expr.right);
+            expr = expr.left;
+        } else if (expr.kind === 'UnaryExpr' && expr.operator === '&' && expr.argument.kind === 'IndexExpr') {
+            offset = this.evaluateConstant(expr.argument.index);
+            expr = expr.argument.object;
+        }
+        const type = this.typeOf(expr);
+        const size = type.isArray() ? type.size() : null;
+        if (!Number.isInteger(offset) || !size) return null;
+        const symbol = expr.kind === 'Identifier' ? expr.symbol : null;
+        return { name: CParser.print(expr), size: size - offset * type.element.size(), symbol };
+    }
+
+    // Phase 4: Number of characters in a string literal argument, or null
+    stringLength(expr) {
+        return expr.kind === 'StringLiteral' ? expr.value.length : null;
+    }
+
+    // Phase 4: Does the statement after this call store '\0' into the buffer?
+    terminatesAfter(buffer, ancestors) {
+        const stmtIndex = ancestors.findIndex(a => a.kind === 'ExprStmt');
+        const block = ancestors[stmtIndex - 1];
+        if (stmtIndex < 1 || block.kind !== 'CompoundStmt') return false;
+        const next = block.body[block.body.indexOf(ancestors[stmtIndex]) + 1];
+        if (!next || next.kind !== 'ExprStmt' || next.expression.kind !== 'AssignExpr') return false;
+        const { left, right } = next.expression;
+        return left.kind === 'IndexExpr' && CParser.print(left.object) === buffer.name && this.evaluateConstant(right) === 0;
+    }
+
+    // Phase 4: Shortest and longest output of printf(format, args...), without the '\0';
+    // max is Infinity when an argument's length is unknown
+    printfLength(format, args) {
+        const conversions = CFormatString.parse(format, 'printf');
+        let min = format.length - conversions.reduce((total, conv) => total + conv.text.length, 0);
+        let max = min;
+        let argIndex = 0;
+        conversions.forEach(conv => {
+            if (conv.conversion === null) return;
+            if (conv.conversion === '%') {
+                min++;
+                max++;
+                return;
+            }
+            if (conv.width === '*') argIndex++;
+            if (conv.precision === '*') argIndex++;
+            const arg = args[argIndex++];
+            const width = Number.isInteger(conv.width) ? conv.width : 0;
+            let lo;
+            let hi;
+            switch (conv.conversion) {
+                case 'd': case 'i': case 'u': case 'x': case 'X': case 'o': {
+                    const base = { x: 16, X: 16, o: 8 }[conv.conversion] || 10;
+                    const digits = (value) => Math.abs(value).toString(base).length + (value < 0 ? 1 : 0);
+                    const range = arg ? this.rangeOf(arg) : null;
+                    if (range && Number.isFinite(range.lo) && Number.isFinite(range.hi)) {
+                        lo = range.contains(0) ? 1 : Math.min(digits(range.lo), digits(range.hi));
+                        hi = Math.max(digits(range.lo), digits(range.hi));
+                    } else {
+                        const type = arg ? this.typeOf(arg) : null;
+                        const bits = type && type.isInteger() ? type.size() * 8 : 32;
+                        lo = 1;
+                        hi = base === 10 ? String(-(2 ** (bits - 1))).length : Math.ceil(bits / Math.log2(base));
+                    }
+                    break;
+                }
+                case 'c':
+                    lo = hi = 1;
+                    break;
+                case 's': {
+                    const literal = arg ? this.stringLength(arg) : null;
+                    const buffer = arg && literal === null ? this.bufferOf(arg) : null;
+                    lo = literal !== null ? literal : 0;
+                    hi = literal !== null ? literal : buffer ? buffer.size - 1 : Infinity;
+                    if (Number.isInteger(conv.precision)) {
+                        lo = Math.min(lo, conv.precision);
+                        hi = Math.min(hi, conv.precision);
                     }
+                    break;
+                }
+                case 'p':
+                    lo = 3;
+                    hi = 18;
+                    break;
+                case 'n':
+                    lo = hi = 0;
+                    break;
+                default: {
+                    // Floating point: "0.000000" at the least, unbounded for large values
+                    const precision = Number.isInteger(conv.precision) ? conv.precision : 6;
+                    lo = 'fF'.includes(conv.conversion) ? precision + 2 - (precision === 0 ? 1 : 0) : 1;
+                    hi = Infinity;
                 }
             }
+            min += Math.max(lo, width);
+            max += Math.max(hi, width);
         });
+        return { min, max };
     }
 
     // Phase 7: Code Generation - Variable Naming
-    generateClearName(varName, varType) {
+    generateClearName(varName, type) {
+        const varType = type.isCharacter() ? 'char' : type.isFloating() ? (type.name === 'float' ? 'float' : 'double') : 'int';
         const clearNames = ['result', 'count', 'index', 'value', 'total', 'sum', 'main', 'argc', 'argv'];
         if (clearNames.includes(varName) || varName.length > 3) return varName;
 
@@ -1291,13 +3624,113 @@ class CAnalyzer {
         return idx < prefixes.length ? prefixes[idx] : `${prefixes[0]}${idx + 1}`;
     }
 
+    // Phase 7: Code Generation - Source lines a statement occupies on its own (none if it shares one)
+    statementLines(stmt, lines) {
+        const { start, end } = stmt.range;
+        if (stmt.file !== this.currentFile || lines[start.line - 1].slice(0, start.col - 1).trim() !== '') return [];
+        const rest = lines[end.line - 1].slice(end.col - 1).trim();
+        if (rest !== '' && !rest.startsWith('//')) return [];
+        const result = [];
+        for (let line = start.line; line <= end.line; line++) result.push(line);
+        return result;
+    }
+
+    // Phase 6: Optimization - Could evaluating this expression change anything besides its value?
+    hasSideEffects(expr) {
+        let found = false;
+        CParser.walk(expr, {
+            CallExpr: () => { found = true; },
+            AssignExpr: () => { found = true; },
+            UpdateExpr: () => { found = true; },
+            Identifier: (node) => {
+                if (node.symbol && node.symbol.type && node.symbol.type.qualifiers.includes('volatile')) found = true;
+            }
+        });
+        return found;
+    }
+
+    // Phase 7: Code Generation - Zero value used to initialize a variable of this type
+    defaultValueFor(type) {
+        if (type.isPointer()) return 'NULL';
+        if (type.isFloating()) return '0.0';
+        if (type.isCharacter()) return "'\\0'";
+        if (type.isRecord() || type.isArray()) return '{0}';
+        return '0';
+    }
+
     // Phase 6 & 7: Optimization & Code Generation
     generateRefactoredCode() {
         let lines = this.originalCode.split('\n');
 
-        this.variables.forEach((info, varName) => {
-            const newName = this.generateClearName(varName, info.type);
-            if (newName !== varName) this.variableRenameMap.set(varName, newName);
+        // A use on a line the parser could not read is missing from the AST, so a symbol
+        // whose scope has a parse error is neither renamed nor removed as unused
+        const hasUnparsedUses = (symbol) => {
+            const range = symbol.scope.node && symbol.scope.node.range;
+            return this.parseErrors.some(err => err.file === this.currentFile &&
+                (!range || (err.line >= range.start.line && err.line <= range.end.line)));
+        };
+
+        // Rename unclear variables one symbol at a time, only on the lines that
+        // declare or reference that symbol, so same-named variables elsewhere are untouched
+        const takenNames = new Set(this.symbolTable.symbols.map(symbol => symbol.name));
+        const renamesByLine = new Map();   // line -> Map(oldName -> newName)
+        // Only locals of a plain arithmetic type: names like 'counter' would mislead for a struct,
+        // an enum or a typedef, and a global's name is part of its linkage to other files.
+        // A macro body naming the variable keeps the old name, so neither is renamed then
+        const isRenamable = (symbol) => symbol.file === this.currentFile && symbol.derived.length === 0 &&
+            !symbol.references.some(ref => ref.macro) && !hasUnparsedUses(symbol) &&
+            (symbol.kind === 'parameter' || (symbol.kind === 'variable' && symbol.isDefinition)) &&
+            symbol.scope.kind !== 'file' && !symbol.storage.includes('extern') &&
+            (symbol.type.kind === 'integer' || symbol.type.isFloating()) && !symbol.type.typedefName;
+        this.symbolTable.symbols.forEach(symbol => {
+            if (!isRenamable(symbol)) return;
+            let newName = this.generateClearName(symbol.name, symbol.type);
+            if (newName === symbol.name) return;
+            while (takenNames.has(newName)) newName = this.generateClearName(symbol.name, symbol.type);
+            takenNames.add(newName);
+            this.variableRenameMap.set(symbol, newName);
+
+            const refLines = symbol.references
+                .filter(ref => ref.file === this.currentFile)
+                .map(ref => this.lineOf(ref));
+            [symbol.line, ...refLines].forEach(line => {
+                if (!renamesByLine.has(line)) renamesByLine.set(line, new Map());
+                renamesByLine.get(line).set(symbol.name, newName);
+            });
+        });
+
+        // Constant expressions are replaced where the parser found them
+        this.foldConstants();
+
+        // Unused functions are removed by the lines their definition spans
+        const removedFunctionLines = new Set();
+        for (const funcName of this.unusedFunctions) {
+            const symbol = this.symbolTable && this.symbolTable.fileScope.symbols.get(funcName);
+            const node = symbol && symbol.node;
+            if (!node || node.kind !== 'FunctionDef' || node.file !== this.currentFile) continue;
+            for (let line = node.range.start.line; line <= node.range.end.line; line++) {
+                removedFunctionLines.add(line);
+            }
+            this.stats.unusedRemoved++;
+        }
+
+        // Unreachable statements are removed when nothing else shares their lines
+        const unreachableLines = new Set();
+        this.unreachableStatements.forEach(stmt => {
+            this.statementLines(stmt, lines).forEach(line => unreachableLines.add(line));
+        });
+
+        // So are the loops detectInfiniteLoops found no way out of
+        const infiniteLoopLines = new Set();
+        this.infiniteLoops.forEach(stmt => {
+            this.statementLines(stmt, lines).forEach(line => infiniteLoopLines.add(line));
+        });
+
+        // So are dead stores whose value has no side effects: "x = y + 1;" but not "x = next();"
+        const deadStoreLines = new Set();
+        this.deadStores.forEach(({ node, stmt }) => {
+            if (stmt.kind !== 'ExprStmt' || (node.kind === 'AssignExpr' && this.hasSideEffects(node.right))) return;
+            this.statementLines(stmt, lines).forEach(line => deadStoreLines.add(line));
         });
 
         // Pass 1: Line-by-line fixes
@@ -1305,13 +3738,17 @@ class CAnalyzer {
         let skipUntilBrace = false;
         let skipBraceCount = 0;
         let skipNextLine = false;
-        let skipUnusedFunction = false;
-        let unusedFuncBraceCount = 0;
 
         for (let idx = 0; idx < lines.length; idx++) {
             let line = lines[idx];
             const trimmed = line.trim();
 
+            // End a case that fell through on the line before, even if that line itself was dropped
+            if (this.missingBreaks.some(fix => fix.line === idx)) {
+                processedLines.push(`${lines[idx - 1].match(/^\s*/)[0]}break;`);
+                this.stats.breaksAdded++;
+            }
+
             // Skip this line if flagged from previous iteration
             if (skipNextLine) {
                 skipNextLine = false;
@@ -1320,30 +3757,15 @@ class CAnalyzer {
             }
 
             // Skip unused function definitions
-            if (skipUnusedFunction) {
-                if (line.includes('{')) unusedFuncBraceCount++;
-                if (line.includes('}')) {
-                    unusedFuncBraceCount--;
-                    if (unusedFuncBraceCount === 0) {
-                        skipUnusedFunction = false;
-                        this.stats.unusedRemoved++;
-                    }
-                }
-                continue;
-            }
+            if (removedFunctionLines.has(idx + 1)) continue;
 
-            // Check if this line starts an unused function definition
-            if (this.unusedFunctions && this.unusedFunctions.size > 0) {
-                for (const funcName of this.unusedFunctions) {
-                    const funcDefPattern = new RegExp(`^\\s*(int|float|char|double|void|long|short)\\s+${funcName}\\s*\\(`);
-                    if (funcDefPattern.test(trimmed)) {
-                        skipUnusedFunction = true;
-                        unusedFuncBraceCount = 0;
-                        if (line.includes('{')) unusedFuncBraceCount = 1;
-                        break;
-                    }
-                }
-                if (skipUnusedFunction) continue;
+            // Skip repeated #include lines
+            if (this.duplicateIncludes.has(idx + 1)) continue;
+
+            // Skip unreachable code, dead stores and infinite loops
+            if (unreachableLines.has(idx + 1) || deadStoreLines.has(idx + 1) || infiniteLoopLines.has(idx + 1)) {
+                if (trimmed !== '' && !trimmed.startsWith('//')) this.stats.deadCodeRemoved++;
+                continue;
             }
 
             if (skipUntilBrace) {
@@ -1371,6 +3793,9 @@ class CAnalyzer {
             }
             if (skipLine) continue;
 
+            // Fixes made at the columns of their node, while those still match the line
+            line = this.applySourceEdits(line, idx + 1);
+
             // Strip comments for pattern matching
             const codeWithoutComment = trimmed.replace(/\/\/.*$/, '').trim();
 
@@ -1391,14 +3816,13 @@ class CAnalyzer {
 
             // Fix uninitialized variables - add = 0 initialization
             if (this.uninitializedVariables.size > 0) {
-                for (const [varName, info] of this.uninitializedVariables) {
-                    // Match declaration without initialization: int x;
-                    const declPattern = new RegExp(`(int|float|char|double|long|short)\\s+${varName}\\s*;`);
+                for (const [symbol, info] of this.uninitializedVariables) {
+                    if (info.declLine !== idx + 1) continue;
+                    const varName = symbol.name;
+                    // Match the declarator without initialization: int x; / int *p, q;
+                    const declPattern = new RegExp(`\\b${varName}\\s*(?=[;,])`);
                     if (declPattern.test(line)) {
-                        // Get the appropriate default value based on type
-                        const defaultVal = info.type === 'char' ? "'\\0'" : 
-                                          (info.type === 'float' || info.type === 'double') ? '0.0' : '0';
-                        line = line.replace(declPattern, `$1 ${varName} = ${defaultVal};`);
+                        line = line.replace(declPattern, `${varName} = ${this.defaultValueFor(info.type)}`);
                         this.stats.conditionsFixed++;
                     }
                 }
@@ -1427,37 +3851,25 @@ class CAnalyzer {
             // Remove unused variable declarations (but preserve lines with function calls)
             if (this.unusedVariables.size > 0) {
                 let isUnusedDecl = false;
-                for (const unusedVar of this.unusedVariables) {
-                    // Match: int x; or int x = value;
-                    const declPattern = new RegExp(`^\\s*(int|float|char|double|long|short)\\s+${unusedVar}\\s*(=\\s*[^;]+)?\\s*;\\s*$`);
-                    if (declPattern.test(codeWithoutComment)) {
-                        // Check if there's a function call in the initialization - if so, keep the line
-                        const funcCallMatch = codeWithoutComment.match(/=\s*([a-zA-Z_]\w*)\s*\([^)]*\)/);
-                        if (funcCallMatch && !['int', 'float', 'char', 'double', 'void'].includes(funcCallMatch[1])) {
-                            // Has function call - keep the entire line as-is
-                            break;
-                        }
-                        isUnusedDecl = true;
-                        this.stats.unusedRemoved++;
-                        break;
-                    }
+                for (const symbol of this.unusedVariables) {
+                    // Only a line holding nothing but this one declaration: int x; or int x = value;
+                    const decl = symbol.declaration;
+                    if (symbol.line !== idx + 1 || !decl || decl.declarators.length !== 1 ||
+                        decl.range.start.line !== decl.range.end.line) continue;
+                    if (codeWithoutComment !== this.originalCode.slice(decl.start, decl.end).trim()) continue;
+                    if (hasUnparsedUses(symbol)) continue;
+                    // Check if there's a function call in the initialization - if so, keep the line
+                    let hasCall = false;
+                    CParser.walk(decl.declarators[0].init, { CallExpr: () => { hasCall = true; } });
+                    if (hasCall) break;
+                    isUnusedDecl = true;
+                    this.stats.unusedRemoved++;
+                    break;
                 }
                 if (isUnusedDecl) continue;
             }
 
-            // Remove self-assignments (standalone line)
-            if (/^(\w+)\s*=\s*\1\s*;?\s*$/.test(codeWithoutComment)) {
-                this.stats.expressionsSimplified++;
-                continue;
-            }
-
-            // Remove self-assignments within a line (e.g., in if block: x = x;)
-            line = line.replace(/(\w+)\s*=\s*\1\s*;/g, (match, varName) => {
-                this.stats.expressionsSimplified++;
-                return '';  // Remove self-assignment
-            });
-            
-            // If line became empty after removing self-assignment, skip it
+            // If line became empty after removing a self-assignment, skip it
             if (line.trim() === '' || line.trim() === '//') {
                 continue;
             }
@@ -1485,117 +3897,6 @@ class CAnalyzer {
                 continue;
             }
 
-            // Remove infinite loops - while(1), while(true), for(;;)
-            if (/while\s*\(\s*(1|true)\s*\)/.test(line) || /for\s*\(\s*;\s*;\s*\)/.test(line)) {
-                let hasBreak = false;
-                for (let j = idx + 1; j < Math.min(idx + 20, lines.length); j++) {
-                    if (/\bbreak\b|\breturn\b/.test(lines[j])) { hasBreak = true; break; }
-                    if (/^\s*}\s*$/.test(lines[j])) break;
-                }
-                if (!hasBreak) {
-                    skipUntilBrace = true;
-                    skipBraceCount = line.includes('{') ? 1 : 0;
-                    this.stats.deadCodeRemoved++;
-                    continue;
-                }
-            }
-
-            // Remove contradictory for loops (e.g., for(int i = 0; i >= 0; i++))
-            const forLoopMatch = line.match(/for\s*\(\s*(?:int\s+)?(\w+)\s*=\s*(\d+)\s*;\s*(\w+)\s*(>=|>|<=|<)\s*(-?\d+)\s*;\s*(\w+)(\+\+|--|\s*\+=\s*\d+|\s*-=\s*\d+)/);
-            if (forLoopMatch) {
-                const [, initVar, initVal, condVar, condOp, condVal, incrVar, incrOp] = forLoopMatch;
-                const initNum = parseInt(initVal);
-                const condNum = parseInt(condVal);
-                
-                if (initVar === condVar && condVar === incrVar) {
-                    let isInfinite = false;
-                    
-                    // Case: i = 0; i >= 0; i++ (always true, incrementing)
-                    if ((condOp === '>=' || condOp === '>') && (incrOp === '++' || incrOp.includes('+='))) {
-                        if (initNum >= condNum) isInfinite = true;
-                    }
-                    // Case: i = 0; i <= 10; i-- (never terminates, decrementing wrong way)
-                    if ((condOp === '<=' || condOp === '<') && (incrOp === '--' || incrOp.includes('-='))) {
-                        if (initNum <= condNum) isInfinite = true;
-                    }
-                    
-                    if (isInfinite) {
-                        skipUntilBrace = true;
-                        skipBraceCount = line.includes('{') ? 1 : 0;
-                        this.stats.deadCodeRemoved++;
-                        continue;
-                    }
-                }
-            }
-            
-            // Detect and add warning comment for while(var) where var only increases
-            const whileVarMatch = line.match(/while\s*\(\s*(\w+)\s*\)/);
-            if (whileVarMatch) {
-                const loopVar = whileVarMatch[1];
-                if (!/^\d+$/.test(loopVar)) { // Not a constant
-                    let hasDecrement = false;
-                    let hasBreak = false;
-                    let onlyIncrement = false;
-                    
-                    for (let j = idx + 1; j < Math.min(idx + 30, lines.length); j++) {
-                        const bodyLine = lines[j];
-                        if (/\bbreak\b|\breturn\b/.test(bodyLine)) { hasBreak = true; break; }
-                        if (new RegExp(`${loopVar}\\s*--`).test(bodyLine) ||
-                            new RegExp(`--\\s*${loopVar}`).test(bodyLine) ||
-                            new RegExp(`${loopVar}\\s*=\\s*0\\s*;`).test(bodyLine) ||
-                            new RegExp(`${loopVar}\\s*-=`).test(bodyLine)) {
-                            hasDecrement = true;
-                        }
-                        if (new RegExp(`${loopVar}\\s*\\+\\+`).test(bodyLine) ||
-                            new RegExp(`\\+\\+\\s*${loopVar}`).test(bodyLine) ||
-                            new RegExp(`${loopVar}\\s*\\+=`).test(bodyLine) ||
-                            new RegExp(`${loopVar}\\s*=\\s*${loopVar}\\s*\\+`).test(bodyLine)) {
-                            onlyIncrement = true;
-                        }
-                        if (/^\s*}\s*$/.test(bodyLine)) break;
-                    }
-                    
-                    // If definitely infinite (only increments, no break), remove it
-                    if (onlyIncrement && !hasDecrement && !hasBreak) {
-                        skipUntilBrace = true;
-                        skipBraceCount = line.includes('{') ? 1 : 0;
-                        this.stats.deadCodeRemoved++;
-                        continue;
-                    }
-                }
-            }
-
-            // Remove while(var op value) where var is never modified
-            const whileCompMatch = line.match(/while\s*\(\s*(\w+)\s*(<=?|>=?|==|!=)\s*\d+\s*\)/);
-            if (whileCompMatch) {
-                const loopVar = whileCompMatch[1];
-                let varModified = false;
-                let hasBreak = false;
-                
-                for (let j = idx + 1; j < Math.min(idx + 30, lines.length); j++) {
-                    const bodyLine = lines[j];
-                    if (/\bbreak\b|\breturn\b/.test(bodyLine)) { hasBreak = true; break; }
-                    if (new RegExp(`${loopVar}\\s*\\+\\+`).test(bodyLine) ||
-                        new RegExp(`\\+\\+\\s*${loopVar}`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*--`).test(bodyLine) ||
-                        new RegExp(`--\\s*${loopVar}`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*\\+=`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*-=`).test(bodyLine) ||
-                        new RegExp(`${loopVar}\\s*=`).test(bodyLine)) {
-                        varModified = true;
-                    }
-                    if (/^\s*}\s*$/.test(bodyLine)) break;
-                }
-                
-                // If variable is never modified and no break, remove the infinite loop
-                if (!varModified && !hasBreak) {
-                    skipUntilBrace = true;
-                    skipBraceCount = line.includes('{') ? 1 : 0;
-                    this.stats.deadCodeRemoved++;
-                    continue;
-                }
-            }
-
             // Fix missing semicolons
             line = this.fixMissingSemicolon(line, idx);
 
@@ -1605,9 +3906,20 @@ class CAnalyzer {
             // Fix invalid function parameters (add types)
             line = this.fixInvalidParameters(line);
 
-            // Fix assignments in conditions
+            // Fix '.' used on a pointer and '->' on a struct
+            line = this.fixMemberAccess(line, idx);
+
+            // Floating point: tolerance comparisons, fabs(), division in floating point
+            line = this.fixFloatingPoint(line, idx);
+
+            // Banned library calls: fgets, snprintf, strtol
+            line = this.fixUnsafeFunctions(line, idx);
+
+            // Fix assignments in conditions, where one was reported
+            const assignsInCondition = this.bugs.some(bug => bug.type === 'AssignmentInCondition' &&
+                bug.file === this.currentFile && bug.line === idx + 1);
             line = line.replace(/if\s*\(\s*(\w+)\s*=\s*([^=)]+)\)/g, (match, v, val) => {
-                if (!val.includes('=') && !val.includes('!') && !val.includes('<') && !val.includes('>')) {
+                if (assignsInCondition && !val.includes('=') && !val.includes('!') && !val.includes('<') && !val.includes('>')) {
                     this.stats.conditionsFixed++;
                     return `if (${v} == ${val.trim()})`;
                 }
@@ -1617,46 +3929,75 @@ class CAnalyzer {
             // Fix array out of bounds in for loops
             line = this.fixArrayOutOfBounds(line);
 
-            // Fix printf/scanf errors
-            line = this.fixPrintfScanf(line);
+            // Algebraic simplification, keeping clear of floating literals ("0.1 + 0.2", "x + 0.5")
+            line = line.replace(/(?<![\w.])(\w+)\s*\+\s*0(?![\w.])/g, (m, v) => { this.stats.expressionsSimplified++; return v; });
+            line = line.replace(/(?<![\w.])(\w+)\s*\*\s*1(?![\w.])/g, (m, v) => { this.stats.expressionsSimplified++; return v; });
 
-            // Constant folding
-            line = line.replace(/(\d+)\s*\+\s*(\d+)/g, (m, a, b) => { this.stats.constantsFolded++; return String(parseInt(a) + parseInt(b)); });
-            line = line.replace(/(\d+)\s*\*\s*(\d+)/g, (m, a, b) => { this.stats.constantsFolded++; return String(parseInt(a) * parseInt(b)); });
-
-            // Algebraic simplification
-            line = line.replace(/(\w+)\s*\+\s*0\b/g, (m, v) => { this.stats.expressionsSimplified++; return v; });
-            line = line.replace(/(\w+)\s*\*\s*1\b/g, (m, v) => { this.stats.expressionsSimplified++; return v; });
+            // Variable renaming, leaving string and character literals alone ("\n" is not 'n')
+            const rename = (text) => {
+                (renamesByLine.get(idx + 1) || new Map()).forEach((newName, oldName) => {
+                    const regex = new RegExp(`("(?:[^"\\\\]|\\\\.)*"|'(?:[^'\\\\]|\\\\.)*')|\\b${oldName}\\b`, 'g');
+                    text = text.replace(regex, (match, literal) => literal || newName);
+                });
+                return text;
+            };
+            const renamed = rename(line);
+            if (renamed !== line) this.stats.variablesRenamed++;
+            line = renamed;
+
+            // Lines a safe replacement call needs around the statement
+            const indent = line.match(/^\s*/)[0];
+            const unsafeFixes = this.unsafeFixes.filter(fix => fix.applied && fix.line === idx + 1);
+            unsafeFixes.forEach(fix => fix.before.forEach(extra => processedLines.push(indent + rename(extra))));
+            processedLines.push(line);
+            unsafeFixes.forEach(fix => fix.after.forEach(extra => processedLines.push(indent + rename(extra))));
 
-            // Variable renaming
-            this.variableRenameMap.forEach((newName, oldName) => {
-                const regex = new RegExp(`\\b${oldName}\\b`, 'g');
-                if (regex.test(line)) { line = line.replace(regex, newName); this.stats.variablesRenamed++; }
+            // Exit early when the allocation on this line failed
+            this.nullGuards.filter(guard => guard.line === idx + 1).forEach(guard => {
+                const indent = line.match(/^\s*/)[0];
+                processedLines.push(`${indent}if (${guard.name} == NULL) {`, `${indent}    ${guard.exit}`, `${indent}}`);
+                this.stats.nullChecksAdded++;
             });
 
-            processedLines.push(line);
+            // End a case that fell through into the next one
         }
 
-        // Pass 2: Remove unreachable code
-        let finalLines = [];
-        let afterReturn = false;
-        let braceDepth = 0;
+        // Add the headers the code needs, fabs() from the floating-point fixes included
+        const headers = new Set(this.missingIncludes);
+        if (this.floatFixes.some(fix => fix.applied && fix.math)) headers.add('math.h');
+        this.unsafeFixes.filter(fix => fix.applied).forEach(fix => fix.headers.forEach(header => headers.add(header)));
+        this.insertIncludes(processedLines, [...headers].filter(header => !this.includes.some(inc => inc.path === header)));
 
-        for (let line of processedLines) {
-            const trimmed = line.trim();
-            if (trimmed.includes('{')) braceDepth++;
-            if (trimmed.includes('}')) { braceDepth--; afterReturn = false; }
-            if (afterReturn && trimmed.length > 0 && trimmed !== '}' && !trimmed.startsWith('//')) {
-                this.stats.deadCodeRemoved++;
-                continue;
-            }
-            if (/\breturn\b.*;/.test(trimmed)) afterReturn = true;
-            finalLines.push(line);
-        }
+        // Pass 2: Format output
+        const formattedCode = this.formatCode(processedLines.join('\n'));
+        this.refactoredCode = formattedCode || processedLines.join('\n');
+    }
 
-        // Pass 3: Format output
-        const formattedCode = this.formatCode(finalLines.join('\n'));
-        this.refactoredCode = formattedCode || finalLines.join('\n');
+    // Phase 7: Code Generation - Add #include lines for standard headers, in sorted order:
+    // among the file's own #include <...> lines when those are sorted, after them otherwise
+    insertIncludes(lines, headers) {
+        if (headers.length === 0) return;
+        const pattern = /^\s*#\s*include\s*<([^>]+)>/;
+        const existing = lines.map((line, i) => ({ i, match: line.match(pattern) })).filter(entry => entry.match);
+        const paths = existing.map(entry => entry.match[1]);
+        const sorted = paths.every((path, k) => k === 0 || paths[k - 1] <= path);
+        // In ascending order, each one joining the entries the next is placed among
+        headers.sort().forEach(header => {
+            let at;
+            let next = null;
+            if (existing.length === 0) {
+                // Below a leading comment block
+                at = 0;
+                while (at < lines.length && /^\s*(\/\/|\/\*|\*|$)/.test(lines[at])) at++;
+            } else {
+                next = sorted ? existing.find(entry => entry.match[1] > header) : null;
+                at = next ? next.i : existing[existing.length - 1].i + 1;
+            }
+            lines.splice(at, 0, `#include <${header}>`);
+            existing.forEach(entry => { if (entry.i >= at) entry.i++; });
+            existing.splice(next ? existing.indexOf(next) : existing.length, 0, { i: at, match: [null, header] });
+            this.stats.includesAdded++;
+        });
     }
 
     // Phase 7: Code Generation - Fix Semicolons
@@ -1736,12 +4077,13 @@ class CAnalyzer {
             if (params.trim() !== '' && params.trim() !== 'void') {
                 let needsFix = false;
                 const paramList = params.split(',');
+                // Only a bare name ('x', '*p') lacks its type: 'struct point p', 'Node *n' and 'unsigned n' are complete
+                const isTypeName = (word) => C_KEYWORDS.has(word) || C_BUILTIN_TYPEDEFS.includes(word) ||
+                    (this.symbolTable && this.symbolTable.symbols.some(s => s.kind === 'typedef' && s.name === word));
                 const fixedParams = paramList.map(p => {
                     const trimmedP = p.trim();
-                    // Check if parameter has a type
-                    if (!/^(int|float|char|double|void|long|short)\s+/.test(trimmedP) &&
-                        !/^(int|float|char|double|void|long|short)\s*\*/.test(trimmedP) &&
-                        trimmedP !== '...' && trimmedP !== 'void' && trimmedP !== '') {
+                    const bare = trimmedP.match(/^\**\s*([A-Za-z_]\w*)$/);
+                    if (bare && !isTypeName(bare[1])) {
                         // Add int type by default
                         needsFix = true;
                         this.stats.expressionsSimplified++;
@@ -1760,6 +4102,48 @@ class CAnalyzer {
         return line;
     }
 
+    // Phase 7: Code Generation - Fix Member Access: n.val -> n->val, head->val -> head.val
+    fixMemberAccess(line, idx) {
+        this.memberFixes.filter(fix => fix.line === idx + 1).forEach(fix => {
+            const pattern = new RegExp(`\\b${fix.object}\\s*${fix.arrow ? '\\.' : '->'}\\s*${fix.member}\\b`, 'g');
+            line = line.replace(pattern, () => {
+                this.stats.expressionsSimplified++;
+                return `${fix.object}${fix.arrow ? '->' : '.'}${fix.member}`;
+            });
+        });
+        return line;
+    }
+
+    // Phase 7: Code Generation - Fix Floating Point: a == b -> fabs(a - b) < 1e-9,
+    // abs(x) -> fabs(x), a / b -> (double)a / b, 0.1f -> 0.1
+    fixFloatingPoint(line, idx) {
+        this.floatFixes.filter(fix => fix.line === idx + 1).forEach(fix => {
+            line = this.applyFix(line, fix);
+            if (fix.applied) this.stats.expressionsSimplified++;
+        });
+        return line;
+    }
+
+    // Phase 7: Code Generation - Banned library calls replaced by their bounded or checked forms
+    fixUnsafeFunctions(line, idx) {
+        this.unsafeFixes.filter(fix => fix.line === idx + 1).forEach(fix => {
+            line = this.applyFix(line, fix);
+            if (fix.applied) this.stats.unsafeCallsReplaced++;
+        });
+        return line;
+    }
+
+    // Phase 7: Code Generation - Replace a fix's text on the line, marking the fix applied.
+    // The text is printed from the tree; the source may space it differently.
+    // It must not continue a longer name or number: 'abs(x)' inside 'labs(x)', '0.1f' inside '10.1f'
+    applyFix(line, fix) {
+        const body = fix.text.split(/\s+/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s*');
+        const pattern = new RegExp(`(?<![\\w.])${body}${/\w$/.test(fix.text) ? '(?![\\w.])' : ''}`);
+        if (!pattern.test(line)) return line;
+        fix.applied = true;
+        return line.replace(pattern, () => fix.replacement);
+    }
+
     // Phase 7: Code Generation - Fix Brackets
     fixMissingBrackets(line) {
         // Extract comment if exists
@@ -1867,64 +4251,60 @@ class CAnalyzer {
         return line;
     }
 
-    // Phase 7: Code Generation - Fix Printf/Scanf
-    fixPrintfScanf(line) {
-        // Fix printf(variable) -> printf("%d", variable) or appropriate format
-        const printfPattern = /\bprintf\s*\(\s*([^")][^,)]*)\s*\)/g;
-        
-        line = line.replace(printfPattern, (match, arg) => {
-            const varName = arg.trim();
-            
-            // Skip if it's a string literal, macro, or empty
-            if (!varName || varName.startsWith('"') || varName.startsWith("'") || 
-                /^[A-Z_]+$/.test(varName)) {
-                return match;
+    // Phase 7: Code Generation - Constant Folding of integer literals, in C arithmetic, on the
+    // operations the parser found: 2 + 3 * 4 -> 14, while 2147483647 + 1 (which overflows int),
+    // "2 + 3" in a string and 1 << 2 + 3 in a macro keep their text
+    foldConstants() {
+        // Not division: 1 / 3 is what the floating-point fixes rewrite as 1.0 / 3
+        const operators = ['+', '-', '*'];
+        const int = CType.integer('int');
+        // Value of a tree of plain decimal int literals and these operators, or null
+        const valueOf = (node) => {
+            if (node.kind === 'NumberLiteral') {
+                const value = /^(0|[1-9]\d*)$/.test(node.raw) ? CIntegerArithmetic.literalValue(node) : null;
+                return value !== null && CIntegerArithmetic.fits(value, int) ? value : null;
             }
-            
-            // Determine format specifier based on variable type
-            let formatSpec = '%d'; // default to int
-            if (this.variables.has(varName)) {
-                const varInfo = this.variables.get(varName);
-                switch(varInfo.type) {
-                    case 'float': formatSpec = '%f'; break;
-                    case 'double': formatSpec = '%lf'; break;
-                    case 'char': formatSpec = '%c'; break;
-                    case 'long': formatSpec = '%ld'; break;
-                    default: formatSpec = '%d';
-                }
+            if (node.kind !== 'BinaryExpr' || !operators.includes(node.operator)) return null;
+            const left = valueOf(node.left);
+            const right = valueOf(node.right);
+            if (left === null || right === null) return null;
+            const exact = node.operator === '+' ? left + right : node.operator === '-' ? left - right : left * right;
+            return CIntegerArithmetic.fits(exact, int) ? exact : null;
+        };
+        CParser.walk(this.ast, {
+            BinaryExpr: (node) => {
+                const value = valueOf(node);
+                if (value === null) return true;
+                this.sourceEdit(node, String(value), 'constantsFolded');
+                return false;
             }
-            
-            this.stats.expressionsSimplified++;
-            return `printf("${formatSpec}", ${varName})`;
         });
+    }
 
-        // Fix scanf without & for non-string arguments
-        const scanfPattern = /\bscanf\s*\(\s*"([^"]*)"\s*,\s*([^)]+)\)/g;
-        
-        line = line.replace(scanfPattern, (match, formatStr, args) => {
-            const formatSpecs = formatStr.match(/%[diouxXeEfFgGaAcspn]/g) || [];
-            const argList = args.split(',').map(a => a.trim());
-            let changed = false;
-            
-            const fixedArgs = argList.map((arg, i) => {
-                const spec = formatSpecs[i] || '%d';
-                
-                // Add & if missing for non-string types
-                if (spec !== '%s' && arg && !arg.startsWith('&') && 
-                    /^[a-zA-Z_]\w*$/.test(arg)) {
-                    changed = true;
-                    return `&${arg}`;
-                }
-                return arg;
-            });
-            
-            if (changed) {
-                this.stats.expressionsSimplified++;
-                return `scanf("${formatStr}", ${fixedArgs.join(', ')})`;
-            }
-            return match;
-        });
+    // Phase 7: Code Generation - Replace the text of a node that sits on one line of this
+    // file, outside any macro, or `length` characters of it from `offset` (0 inserts there);
+    // the edit is applied at its columns before other line fixes
+    sourceEdit(node, text, stat = null, offset = 0, length = null) {
+        if (!node || node.file !== this.currentFile || node.macro || node.range.start.line !== node.range.end.line) return null;
+        const col = node.range.start.col + offset;
+        const endCol = length === null ? node.range.end.col : col + length;
+        const edit = { line: node.range.start.line, col, endCol, text, stat };
+        this.sourceEdits.push(edit);
+        return edit;
+    }
 
+    // Phase 7: Code Generation - Apply the edits of one line from right to left, so earlier
+    // columns stay valid; an edit that overlaps one already applied is dropped
+    applySourceEdits(line, lineNumber) {
+        let limit = Infinity;
+        this.sourceEdits.filter(edit => edit.line === lineNumber)
+            .sort((a, b) => b.col - a.col || b.endCol - a.endCol)
+            .forEach(edit => {
+                if (edit.endCol > limit) return;
+                line = line.slice(0, edit.col - 1) + edit.text + line.slice(edit.endCol - 1);
+                limit = edit.col;
+                if (edit.stat) this.stats[edit.stat]++;
+            });
         return line;
     }
 
@@ -1967,8 +4347,8 @@ class CAnalyzer {
                 comment = trimmed.substring(commentIdx);
             }
 
-            // Fix spacing in code part only (not in strings or comments)
-            if (code && !code.includes('"')) {
+            // Fix spacing in code part only (not in strings, comments or directives like #include <stdio.h>)
+            if (code && !code.includes('"') && !code.startsWith('#')) {
                 // Add space around binary operators
                 code = code.replace(/([a-zA-Z0-9_\)])\s*([+\-*/%])\s*([a-zA-Z0-9_\(])/g, '$1 $2 $3');
                 code = code.replace(/([a-zA-Z0-9_\)])\s*([<>=!]=?)\s*([a-zA-Z0-9_\(])/g, '$1 $2 $3');
@@ -2089,11 +4469,16 @@ function changeCode() {
     } catch (error) {
         console.error('Error during refactoring:', error);
         document.getElementById('refactoredOutput').innerHTML = 
-            '<span style="color: #ff6b6b;">Error: ' + error.message + '</span>';
+            '<span style="color: #ff6b6b;">Error: ' + escapeHtml(error.message) + '</span>';
         alert('Error during refactoring: ' + error.message);
     }
 }
 
+// Report text quotes code ("#include <stdio.h>", "a < b"), so it is shown as text, not markup
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 // Display bugs in UI
 function displayBugs(bugs) {
     const bugReport = document.getElementById('bugReport');
@@ -2117,13 +4502,18 @@ function displayBugs(bugs) {
         <div class="summary-item" style="margin-left: auto;">Total: <span class="summary-count">${bugs.length}</span></div>
     `;
 
+    // Name the file only when the report covers more than one
+    const multiFile = new Set(bugs.map(bug => bug.file)).size > 1;
+
     bugReport.innerHTML = bugs.map(bug => `
         <div class="bug-item">
             <span class="severity-badge severity-${bug.severity}">${bug.severity}</span>
             <div class="bug-details">
-                <div class="bug-message">${bug.message}</div>
-                <div class="bug-location">Line ${bug.line} • ${bug.type}</div>
-                ${bug.suggestion ? `<div class="bug-suggestion">💡 ${bug.suggestion}</div>` : ''}
+                <div class="bug-message">${escapeHtml(bug.message)}</div>
+                <div class="bug-location">${multiFile ? `${escapeHtml(bug.file)} • ` : ''}Line ${bug.line} • ${bug.type}</div>
+                ${(bug.related || []).map(related => `<div class="bug-location">↳ ${multiFile ? `${escapeHtml(related.file)} • ` : ''}Line ${related.line}: ${escapeHtml(related.message)}</div>`).join('')}
+                ${(bug.path || []).map((step, i) => `<div class="bug-location">${i + 1}. ${multiFile ? `${escapeHtml(step.file)} • ` : ''}Line ${step.line}: ${escapeHtml(step.message)}</div>`).join('')}
+                ${bug.suggestion ? `<div class="bug-suggestion">💡 ${escapeHtml(bug.suggestion)}</div>` : ''}
             </div>
         </div>
     `).join('');
@@ -0,0 +1,140 @@
+/*
+ * PHASE 5: INTERPROCEDURAL ANALYSIS - CALL GRAPH
+ *
+ * One node per function definition, keyed by name (or "file:name" for a
+ * static function, which is private to its translation unit), and one edge
+ * per call site. A function whose name is used other than in a call - stored
+ * in a function pointer, passed to qsort or signal - may be called from
+ * anywhere, so it is recorded as address-taken.
+ *
+ * Node: { key, name, file, line, isStatic, node (FunctionDef) }
+ * Edge: { caller, callee, node (CallExpr), file, line, result }
+ * where result says what the caller does with the returned value: 'used',
+ * 'ignored' (a bare call statement) or 'void' (explicitly cast away).
+ */
+
+// Library functions that report errors or partial success through their
+// result, so it must not be ignored; each with what the result tells
+const C_CHECKED_RESULT_FUNCTIONS = {
+    scanf: 'the number of items converted, or EOF',
+    fscanf: 'the number of items converted, or EOF',
+    sscanf: 'the number of items converted, or EOF',
+    fread: 'the number of items actually read',
+    fwrite: 'the number of items actually written',
+    fgets: 'NULL at end of file or on a read error',
+    fclose: 'EOF when buffered data could not be written',
+    fseek: 'non-zero when the position cannot be set',
+    remove: 'non-zero when the file could not be removed',
+    rename: 'non-zero when the file could not be renamed',
+    read: 'the number of bytes read, or -1 on error',
+    write: 'the number of bytes written, or -1 on error',
+    chdir: '-1 when the directory could not be changed',
+    mkdir: '-1 when the directory could not be created',
+    setuid: '-1 when the privileges were not dropped',
+    setgid: '-1 when the privileges were not dropped',
+    pipe: '-1 when no pipe was created',
+    fork: '-1 when no child process was created, 0 in the child',
+    pthread_create: 'an error number when no thread was started',
+    pthread_join: 'an error number when the thread was not joined'
+};
+
+class CCallGraph {
+    constructor() {
+        this.functions = new Map();   // key -> node
+        this.calls = new Map();       // caller key -> [edge]
+        this.callers = new Map();     // callee key -> [edge]
+        this.addressTaken = new Set();
+    }
+
+    addFunction(key, info) {
+        this.functions.set(key, Object.assign({ key }, info));
+    }
+
+    addCall(caller, callee, site) {
+        const edge = Object.assign({ caller, callee }, site);
+        if (!this.calls.has(caller)) this.calls.set(caller, []);
+        this.calls.get(caller).push(edge);
+        if (!this.callers.has(callee)) this.callers.set(callee, []);
+        this.callers.get(callee).push(edge);
+    }
+
+    callsFrom(key) {
+        return this.calls.get(key) || [];
+    }
+
+    callsTo(key) {
+        return this.callers.get(key) || [];
+    }
+
+    // Every function reachable through calls from the given roots
+    reachableFrom(roots) {
+        const seen = new Set();
+        const work = roots.filter(key => this.functions.has(key));
+        work.forEach(key => seen.add(key));
+        while (work.length) {
+            this.callsFrom(work.pop()).forEach(({ callee }) => {
+                if (!seen.has(callee) && this.functions.has(callee)) {
+                    seen.add(callee);
+                    work.push(callee);
+                }
+            });
+        }
+        return seen;
+    }
+
+    // Groups of functions that can call each other in a cycle (Tarjan's algorithm).
+    // Only groups that really recurse are returned: several functions, or one calling itself.
+    recursiveGroups() {
+        const index = new Map();
+        const low = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const groups = [];
+        let counter = 0;
+
+        const connect = (key) => {
+            index.set(key, counter);
+            low.set(key, counter);
+            counter++;
+            stack.push(key);
+            onStack.add(key);
+            this.callsFrom(key).forEach(({ callee }) => {
+                if (!this.functions.has(callee)) return;
+                if (!index.has(callee)) {
+                    connect(callee);
+                    low.set(key, Math.min(low.get(key), low.get(callee)));
+                } else if (onStack.has(callee)) {
+                    low.set(key, Math.min(low.get(key), index.get(callee)));
+                }
+            });
+            if (low.get(key) !== index.get(key)) return;
+            const group = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                group.push(member);
+            } while (member !== key);
+            const selfCall = this.callsFrom(key).some(edge => edge.callee === key);
+            if (group.length > 1 || selfCall) groups.push(group.reverse());
+        };
+
+        this.functions.forEach((info, key) => {
+            if (!index.has(key)) connect(key);
+        });
+        return groups;
+    }
+
+    // How the results of calls to a function are treated: { used, ignored }
+    resultUses(key) {
+        const uses = { used: 0, ignored: 0 };
+        this.callsTo(key).forEach(edge => {
+            if (edge.result === 'used' || edge.result === 'ignored') uses[edge.result]++;
+        });
+        return uses;
+    }
+
+    isRecursive(key) {
+        return this.recursiveGroups().some(group => group.includes(key));
+    }
+}
@@ -0,0 +1,322 @@
+/*
+ * PHASE 5: CONTROL FLOW ANALYSIS
+ *
+ * Builds a control flow graph for one function definition. Each basic block
+ * holds the AST nodes it executes in order (Declarations, ExprStmts,
+ * ReturnStmts, and the test expression that ends a branching block). Edges
+ * are labelled:
+ *   'true' / 'false'  - outcome of block.condition
+ *   'case' / 'default' - switch dispatch (edge.node is the CaseStmt/DefaultStmt)
+ *   'return'           - a return statement leaving for the exit block
+ *   'implicit'         - control falling off the end of the body
+ *   null               - unconditional jump or fall-through
+ *
+ * Loops whose test is a non-zero constant (while (1), for (;;)) have no
+ * false edge, and calls to noreturn functions (exit, abort, ...) end their
+ * block without a successor. Each loop statement records the blocks it built,
+ * so leavesLoop() can tell whether anything but its test gets out of it.
+ */
+
+// Library functions that never return to their caller
+const C_NORETURN_FUNCTIONS = new Set([
+    'exit', '_Exit', 'quick_exit', 'abort', 'longjmp', 'siglongjmp',
+    'pthread_exit', 'err', 'errx', 'verr', 'verrx', '__builtin_unreachable'
+]);
+
+class CBasicBlock {
+    constructor(id) {
+        this.id = id;
+        this.nodes = [];
+        this.condition = null;   // test expression deciding the 'true'/'false' edges
+        this.successors = [];    // { block, label, node }
+        this.predecessors = [];  // { block, label, node }
+    }
+}
+
+class CControlFlowGraph {
+    // options.evaluate: constant value of an expression, or null
+    // options.isNoreturn: name => true for functions that never return
+    constructor(fn, options = {}) {
+        this.fn = fn;
+        this.evaluate = options.evaluate || (() => null);
+        this.isNoreturn = options.isNoreturn || (name => C_NORETURN_FUNCTIONS.has(name));
+        this.blocks = [];
+        this.blockOf = new Map();   // statement node -> block it starts in
+        this.labels = new Map();    // label name -> block
+        this.gotos = [];            // { block, node }
+        this.breakTargets = [];
+        this.continueTargets = [];
+        this.switches = [];         // { dispatch, hasDefault }
+        this.loops = new Map();     // loop statement -> { entry, test, blocks }
+
+        this.entry = this.newBlock();
+        this.exit = this.newBlock();
+        const end = this.statement(fn.body, this.entry);
+        if (end) this.connect(end, this.exit, 'implicit');
+        this.gotos.forEach(({ block, node }) => {
+            const target = this.labels.get(node.label);
+            if (target) this.connect(block, target, null, node);
+        });
+        this.reachable = this.reachableFrom(this.entry);
+    }
+
+    newBlock() {
+        const block = new CBasicBlock(this.blocks.length);
+        this.blocks.push(block);
+        return block;
+    }
+
+    connect(from, to, label = null, node = null) {
+        from.successors.push({ block: to, label, node });
+        to.predecessors.push({ block: from, label, node });
+    }
+
+    // Block that starts a new statement: the current one, or a fresh block
+    // with no predecessors after a jump
+    current(block) {
+        return block || this.newBlock();
+    }
+
+    // Add a statement to the graph starting in `block`; returns the block
+    // control continues in afterwards, or null if it never falls through
+    statement(node, block) {
+        if (!node) return block;
+        block = this.current(block);
+        this.blockOf.set(node, block);
+
+        switch (node.kind) {
+            case 'CompoundStmt':
+                return node.body.reduce((b, child) => this.statement(child, b), block);
+
+            case 'Declaration':
+            case 'EmptyStmt':
+                block.nodes.push(node);
+                return block;
+
+            case 'ExprStmt':
+                block.nodes.push(node);
+                return this.callsNoreturn(node.expression) ? null : block;
+
+            case 'ReturnStmt':
+                block.nodes.push(node);
+                this.connect(block, this.exit, 'return', node);
+                return null;
+
+            case 'IfStmt': {
+                const after = this.newBlock();
+                const [thenBlock, elseBlock] = this.branch(block, node.test);
+                const thenEnd = this.statement(node.consequent, thenBlock);
+                if (thenEnd) this.connect(thenEnd, after);
+                const elseEnd = node.alternate ? this.statement(node.alternate, elseBlock) : elseBlock;
+                if (elseEnd) this.connect(elseEnd, after);
+                return after;
+            }
+
+            case 'WhileStmt': {
+                const header = this.newBlock();
+                const after = this.newBlock();
+                const first = this.blocks.length;
+                this.connect(block, header);
+                const [bodyBlock] = this.branch(header, node.test, after);
+                const bodyEnd = this.loopBody(node.body, bodyBlock, after, header);
+                if (bodyEnd) this.connect(bodyEnd, header);
+                this.addLoop(node, header, header, [header], first);
+                return after;
+            }
+
+            case 'DoWhileStmt': {
+                const bodyBlock = this.newBlock();
+                const testBlock = this.newBlock();
+                const after = this.newBlock();
+                const first = this.blocks.length;
+                this.connect(block, bodyBlock);
+                const bodyEnd = this.loopBody(node.body, bodyBlock, after, testBlock);
+                if (bodyEnd) this.connect(bodyEnd, testBlock);
+                testBlock.nodes.push(node.test);
+                testBlock.condition = node.test;
+                const value = this.evaluate(node.test);
+                if (value !== 0) this.connect(testBlock, bodyBlock, 'true');
+                if (value === null || value === 0) this.connect(testBlock, after, 'false');
+                this.addLoop(node, bodyBlock, testBlock, [bodyBlock, testBlock], first);
+                return after;
+            }
+
+            case 'ForStmt': {
+                if (node.init) block.nodes.push(node.init);
+                const header = this.newBlock();
+                const update = this.newBlock();
+                const after = this.newBlock();
+                const first = this.blocks.length;
+                this.connect(block, header);
+                let bodyBlock = header;
+                if (node.test) [bodyBlock] = this.branch(header, node.test, after);
+                const bodyEnd = this.loopBody(node.body, bodyBlock, after, update);
+                if (bodyEnd) this.connect(bodyEnd, update);
+                if (node.update) update.nodes.push(node.update);
+                this.connect(update, header);
+                this.addLoop(node, header, node.test ? header : null, [header, update], first);
+                return after;
+            }
+
+            case 'SwitchStmt': {
+                block.nodes.push(node.discriminant);
+                const after = this.newBlock();
+                const context = { dispatch: block, hasDefault: false };
+                this.switches.push(context);
+                this.breakTargets.push(after);
+                // Statements before the first case label are never reached
+                const bodyEnd = this.statement(node.body, null);
+                this.breakTargets.pop();
+                this.switches.pop();
+                if (bodyEnd) this.connect(bodyEnd, after);
+                if (!context.hasDefault) this.connect(block, after, 'default');
+                return after;
+            }
+
+            case 'CaseStmt':
+            case 'DefaultStmt': {
+                const target = this.newBlock();
+                this.blockOf.set(node, target);
+                this.connect(block, target);
+                const context = this.switches[this.switches.length - 1];
+                if (context) {
+                    this.connect(context.dispatch, target, node.kind === 'CaseStmt' ? 'case' : 'default', node);
+                    if (node.kind === 'DefaultStmt') context.hasDefault = true;
+                }
+                return this.statement(node.body, target);
+            }
+
+            case 'LabelStmt': {
+                const target = this.newBlock();
+                this.blockOf.set(node, target);
+                this.connect(block, target);
+                this.labels.set(node.label, target);
+                return this.statement(node.body, target);
+            }
+
+            case 'BreakStmt':
+            case 'ContinueStmt': {
+                const targets = node.kind === 'BreakStmt' ? this.breakTargets : this.continueTargets;
+                block.nodes.push(node);
+                if (targets.length) this.connect(block, targets[targets.length - 1], null, node);
+                return null;
+            }
+
+            case 'GotoStmt':
+                block.nodes.push(node);
+                this.gotos.push({ block, node });
+                return null;
+
+            default:
+                block.nodes.push(node);
+                return block;
+        }
+    }
+
+    // End `block` with a test; returns the [true, false] successor blocks.
+    // A loop (falseBlock given) whose test is a non-zero constant never exits
+    // through it; if-statements keep both edges whatever the test.
+    branch(block, test, falseBlock = null) {
+        block.nodes.push(test);
+        block.condition = test;
+        const thenBlock = this.newBlock();
+        const elseBlock = falseBlock || this.newBlock();
+        this.connect(block, thenBlock, 'true');
+        const value = this.evaluate(test);
+        if (!(falseBlock && value !== null && value !== 0)) this.connect(block, elseBlock, 'false');
+        return [thenBlock, elseBlock];
+    }
+
+    loopBody(body, block, breakTarget, continueTarget) {
+        this.breakTargets.push(breakTarget);
+        this.continueTargets.push(continueTarget);
+        const end = this.statement(body, block);
+        this.breakTargets.pop();
+        this.continueTargets.pop();
+        return end;
+    }
+
+    // A loop's blocks: its own (header, test, update) and every one its body built
+    addLoop(node, entry, test, own, first) {
+        this.loops.set(node, { entry, test, blocks: new Set(own.concat(this.blocks.slice(first))) });
+    }
+
+    // Can control get out of a loop other than through its test turning false:
+    // by break, return or goto, or by calling a function that does not return?
+    leavesLoop(node) {
+        const loop = this.loops.get(node);
+        const seen = new Set([loop.entry]);
+        const work = [loop.entry];
+        while (work.length) {
+            const block = work.pop();
+            if (block.successors.length === 0) return true;
+            for (const { block: next, label } of block.successors) {
+                if (block === loop.test && label === 'false') continue;
+                if (!loop.blocks.has(next)) return true;
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    work.push(next);
+                }
+            }
+        }
+        return false;
+    }
+
+    callsNoreturn(expr) {
+        while (expr && (expr.kind === 'CastExpr' || expr.kind === 'CommaExpr')) {
+            expr = expr.kind === 'CastExpr' ? expr.argument : expr.expressions[expr.expressions.length - 1];
+        }
+        return !!expr && expr.kind === 'CallExpr' && expr.callee.kind === 'Identifier' && this.isNoreturn(expr.callee.name);
+    }
+
+    reachableFrom(start) {
+        const seen = new Set([start]);
+        const work = [start];
+        while (work.length) {
+            work.pop().successors.forEach(({ block }) => {
+                if (!seen.has(block)) {
+                    seen.add(block);
+                    work.push(block);
+                }
+            });
+        }
+        return seen;
+    }
+
+    // Blocks entered by a back edge: the heads of loops, whether written with
+    // while/for/do or with goto
+    loopHeaders() {
+        const headers = new Set();
+        const state = new Map();   // block -> 'active' while on the DFS stack, then 'done'
+        const stack = [[this.entry, 0]];
+        state.set(this.entry, 'active');
+        while (stack.length) {
+            const top = stack[stack.length - 1];
+            const [block, index] = top;
+            if (index === block.successors.length) {
+                state.set(block, 'done');
+                stack.pop();
+                continue;
+            }
+            top[1]++;
+            const next = block.successors[index].block;
+            if (state.get(next) === 'active') {
+                headers.add(next);
+            } else if (!state.has(next)) {
+                state.set(next, 'active');
+                stack.push([next, 0]);
+            }
+        }
+        return headers;
+    }
+
+    isReachable(node) {
+        const block = this.blockOf.get(node);
+        return !block || this.reachable.has(block);
+    }
+
+    // True if control can reach the closing '}' without a return statement
+    fallsOffEnd() {
+        return this.exit.predecessors.some(edge => edge.label === 'implicit' && this.reachable.has(edge.block));
+    }
+}
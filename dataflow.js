@@ -0,0 +1,375 @@
+/*
+ * PHASE 5: DATA-FLOW ANALYSIS
+ *
+ * An iterative solver over a function's control flow graph, plus the two
+ * classic analyses built on it:
+ *   CReachingDefinitions - which assignments of each variable may reach a point
+ *   CLiveVariables       - which variables may still be read after a point
+ * and CUninitializedMembers, which follows the members of struct variables.
+ *
+ * All three work on the effects of each block: the variable reads and writes of its
+ * nodes, in evaluation order.
+ *   { kind: 'use' | 'def' | 'address', symbol, node, stmt,
+ *     init,         // false for a declaration without initializer
+ *     partial,      // a write to one member (s.x = 1) rather than the whole variable
+ *     member,       // the member of a struct variable read or written (s.x -> 'x', s.a[i].b -> 'a'), or null
+ *     conditional } // inside the right of && / || or a branch of ?:
+ * Taking a variable's address (&x) counts as both reading and writing it.
+ */
+
+class CDataFlowAnalysis {
+    // options.direction: 'forward' | 'backward'
+    // options.boundary(): state at the entry (forward) or exit (backward) block
+    // options.initial(): starting state of every other block
+    // options.transfer(block, state): state on the far side of the block
+    // options.meet(states): combine the states of several edges
+    // options.equals(a, b): have two states converged?
+    // options.edge(edge, state): state along one edge, e.g. narrowed by a branch condition (optional)
+    // options.widen(previous, next): force convergence at loop headers (optional)
+    constructor(cfg, options) {
+        this.cfg = cfg;
+        this.direction = options.direction || 'forward';
+        this.boundary = options.boundary;
+        this.initial = options.initial;
+        this.transfer = options.transfer;
+        this.meet = options.meet;
+        this.equals = options.equals;
+        this.edge = options.edge || ((edge, state) => state);
+        this.widen = options.widen || null;
+        this.in = new Map();
+        this.out = new Map();
+        this.effects = new Map();
+        cfg.blocks.forEach(block => this.effects.set(block, CDataFlowAnalysis.blockEffects(block)));
+    }
+
+    solve() {
+        const forward = this.direction === 'forward';
+        const start = forward ? this.cfg.entry : this.cfg.exit;
+        // Before: the state flowing into a block in the analysis direction; after: out of it
+        const before = forward ? this.in : this.out;
+        const after = forward ? this.out : this.in;
+        this.cfg.blocks.forEach(block => {
+            before.set(block, block === start ? this.boundary() : this.initial());
+            after.set(block, this.initial());
+        });
+
+        const loopHeaders = this.widen ? this.cfg.loopHeaders() : new Set();
+        const visits = new Map();
+        const work = [...this.cfg.blocks];
+        if (!forward) work.reverse();
+        const queued = new Set(work);
+        while (work.length) {
+            const block = work.shift();
+            queued.delete(block);
+            const edges = forward ? block.predecessors : block.successors;
+            if (block !== start) {
+                let state = this.meet(edges.map(edge => this.edge(edge, after.get(edge.block))));
+                visits.set(block, (visits.get(block) || 0) + 1);
+                if (loopHeaders.has(block) && visits.get(block) > 2) state = this.widen(before.get(block), state);
+                before.set(block, state);
+            }
+            const result = this.transfer(block, before.get(block));
+            if (this.equals(result, after.get(block))) continue;
+            after.set(block, result);
+            (forward ? block.successors : block.predecessors).forEach(({ block: next }) => {
+                if (!queued.has(next)) {
+                    queued.add(next);
+                    work.push(next);
+                }
+            });
+        }
+        return this;
+    }
+
+    static blockEffects(block) {
+        const events = [];
+        block.nodes.forEach(node => events.push(...CDataFlowAnalysis.effects(node)));
+        return events;
+    }
+
+    // Variable reads and writes of one CFG node, in evaluation order
+    static effects(stmt) {
+        const events = [];
+        let conditional = 0;
+        const isVariable = (symbol) => symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter');
+        const add = (kind, symbol, node, extra = {}) => {
+            if (!isVariable(symbol)) return;
+            events.push(Object.assign({ kind, symbol, node, stmt, init: true, partial: false, member: null, conditional: conditional > 0 }, extra));
+        };
+
+        // The member of the base variable that a member or element access goes through
+        const memberOf = (expr) => {
+            let member = null;
+            while ((expr.kind === 'MemberExpr' && !expr.arrow) || expr.kind === 'IndexExpr') {
+                if (expr.kind === 'MemberExpr') member = expr.member;
+                expr = expr.object;
+            }
+            return member;
+        };
+
+        // The variable a member or element access writes into, scanning the indices on the way
+        const baseOf = (expr) => {
+            while ((expr.kind === 'MemberExpr' && !expr.arrow) || expr.kind === 'IndexExpr') {
+                if (expr.kind === 'IndexExpr') {
+                    if (expr.object.kind !== 'MemberExpr') return null;
+                    scan(expr.index);
+                }
+                expr = expr.object;
+            }
+            return expr.kind === 'Identifier' ? expr : null;
+        };
+
+        const write = (target, node) => {
+            if (target.kind === 'Identifier') {
+                add('def', target.symbol, node);
+                return;
+            }
+            const base = (target.kind === 'MemberExpr' && !target.arrow) || target.kind === 'IndexExpr' ? baseOf(target) : null;
+            if (base) {
+                add('def', base.symbol, node, { partial: true, member: memberOf(target) });
+            } else {
+                // *p = v, p->x = v and p[i] = v all read p
+                scan(target);
+            }
+        };
+
+        const scan = (node) => {
+            if (!node) return;
+            switch (node.kind) {
+                case 'Identifier':
+                    add('use', node.symbol, node);
+                    return;
+                case 'AssignExpr':
+                    if (node.operator === '=') {
+                        scan(node.right);
+                    } else {
+                        scan(node.left);
+                        scan(node.right);
+                    }
+                    write(node.left, node);
+                    return;
+                case 'UpdateExpr':
+                    scan(node.argument);
+                    write(node.argument, node);
+                    return;
+                case 'UnaryExpr':
+                    if (node.operator === '&') {
+                        const base = node.argument.kind === 'Identifier' ? node.argument : baseOf(node.argument);
+                        if (base) {
+                            add('address', base.symbol, node, { member: memberOf(node.argument) });
+                        } else {
+                            scan(node.argument);
+                        }
+                        return;
+                    }
+                    break;
+                case 'BinaryExpr':
+                    if (node.operator === '&&' || node.operator === '||') {
+                        scan(node.left);
+                        conditional++;
+                        scan(node.right);
+                        conditional--;
+                        return;
+                    }
+                    break;
+                case 'ConditionalExpr':
+                    scan(node.test);
+                    conditional++;
+                    scan(node.consequent);
+                    scan(node.alternate);
+                    conditional--;
+                    return;
+                case 'MemberExpr':
+                    if (!node.arrow) {
+                        const base = baseOf(node);
+                        if (base) {
+                            add('use', base.symbol, base, { member: memberOf(node) });
+                            return;
+                        }
+                    }
+                    break;
+                case 'SizeofExpr':
+                    return;
+            }
+            CParser.children(node).forEach(scan);
+        };
+
+        switch (stmt.kind) {
+            case 'Declaration':
+                stmt.declarators.forEach(declarator => {
+                    declarator.derived.forEach(d => { if (d.kind === 'ArrayDerivation') scan(d.size); });
+                    scan(declarator.init);
+                    if (declarator.symbol) {
+                        add('def', declarator.symbol, declarator, { init: !!declarator.init });
+                    }
+                });
+                break;
+            case 'ExprStmt':
+                scan(stmt.expression);
+                break;
+            case 'ReturnStmt':
+                scan(stmt.argument);
+                break;
+            case 'EmptyStmt':
+            case 'BreakStmt':
+            case 'ContinueStmt':
+            case 'GotoStmt':
+                break;
+            default:
+                scan(stmt);
+        }
+        return events;
+    }
+}
+
+// Forward, may: the set of definitions ('def' and 'address' events) that can reach each point.
+// Parameters are defined on entry.
+class CReachingDefinitions extends CDataFlowAnalysis {
+    constructor(cfg) {
+        const params = [];
+        const derivation = cfg.fn.declarator.derived.find(d => d.kind === 'FunctionDerivation');
+        if (derivation) {
+            derivation.params.forEach(param => {
+                if (param.symbol) params.push({ kind: 'def', symbol: param.symbol, node: param, stmt: param, init: true, partial: false, conditional: false });
+            });
+        }
+        super(cfg, {
+            direction: 'forward',
+            boundary: () => new Set(params),
+            initial: () => new Set(),
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => new Set(states.flatMap(state => [...state])),
+            equals: (a, b) => a.size === b.size && [...a].every(def => b.has(def))
+        });
+    }
+
+    // Run the block from `state`, calling visit(event, definitionsBefore) for each effect
+    replay(block, state, visit = null) {
+        const reaching = new Set(state);
+        this.effects.get(block).forEach(event => {
+            if (visit) visit(event, reaching);
+            if (event.kind === 'use') return;
+            // A whole, unconditional write replaces every earlier value
+            if (!event.partial && !event.conditional) {
+                reaching.forEach(def => { if (def.symbol === event.symbol) reaching.delete(def); });
+            }
+            reaching.add(event);
+        });
+        return reaching;
+    }
+
+    // Definitions of `symbol` among a reaching set
+    static definitionsOf(reaching, symbol) {
+        return [...reaching].filter(def => def.symbol === symbol);
+    }
+}
+
+// Backward, may: the set of variables whose current value can still be read
+class CLiveVariables extends CDataFlowAnalysis {
+    constructor(cfg) {
+        super(cfg, {
+            direction: 'backward',
+            boundary: () => new Set(),
+            initial: () => new Set(),
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => new Set(states.flatMap(state => [...state])),
+            equals: (a, b) => a.size === b.size && [...a].every(symbol => b.has(symbol))
+        });
+    }
+
+    // Run the block backwards from `state`, calling visit(event, liveAfter) for each effect
+    replay(block, state, visit = null) {
+        const live = new Set(state);
+        const events = this.effects.get(block);
+        for (let i = events.length - 1; i >= 0; i--) {
+            const event = events[i];
+            if (visit) visit(event, live);
+            if (event.kind === 'def') {
+                if (!event.partial && !event.conditional) live.delete(event.symbol);
+            } else {
+                live.add(event.symbol);
+            }
+        }
+        return live;
+    }
+}
+
+// Forward: the members of each struct variable that may not have been written yet.
+// A state is a Map symbol -> Map member -> definite (uninitialized on every path).
+// A union is one piece of storage: writing any member initializes all of them.
+class CUninitializedMembers extends CDataFlowAnalysis {
+    // options.isTracked(symbol): local struct/union variables to follow
+    constructor(cfg, options = {}) {
+        super(cfg, {
+            direction: 'forward',
+            boundary: () => new Map(),
+            initial: () => null,
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => this.join(states),
+            equals: (a, b) => this.sameState(a, b)
+        });
+        this.isTracked = options.isTracked || (() => false);
+    }
+
+    join(states) {
+        const live = states.filter(Boolean);
+        if (!live.length) return null;
+        const result = new Map();
+        live.forEach(state => state.forEach((members, symbol) => {
+            if (!result.has(symbol)) result.set(symbol, new Map());
+            const joined = result.get(symbol);
+            members.forEach((definite, member) => {
+                joined.set(member, joined.has(member) ? joined.get(member) && definite : definite);
+            });
+        }));
+        // A member uninitialized on only some of the paths is no longer definite
+        result.forEach((members, symbol) => members.forEach((definite, member) => {
+            if (definite && live.some(state => !state.has(symbol) || !state.get(symbol).has(member))) members.set(member, false);
+        }));
+        return result;
+    }
+
+    sameState(a, b) {
+        if (!a || !b) return a === b;
+        return a.size === b.size && [...a].every(([symbol, members]) => b.has(symbol) &&
+            b.get(symbol).size === members.size && [...members].every(([member, definite]) => b.get(symbol).get(member) === definite));
+    }
+
+    // Run the block from `state`, calling visit(event, uninitialized) before each read of a
+    // tracked variable with the members (Map member -> definite) that may be unset there
+    replay(block, state, visit = null) {
+        if (!state) return null;
+        const current = new Map([...state].map(([symbol, members]) => [symbol, new Map(members)]));
+        this.effects.get(block).forEach(event => {
+            const symbol = event.symbol;
+            if (!this.isTracked(symbol)) return;
+            const members = current.get(symbol);
+            // An array member is mostly filled through the pointer it decays to (strcpy(s.name, ...)),
+            // so using it counts as writing it
+            const memberType = event.member && symbol.type.member(event.member);
+            if (event.kind === 'use' && memberType && memberType.isArray()) {
+                if (members) members.delete(event.member);
+                return;
+            }
+            if (event.kind === 'use') {
+                if (visit && members && members.size) visit(event, members);
+                return;
+            }
+            if (event.kind === 'def' && !event.init) {
+                current.set(symbol, new Map((symbol.type.recordMembers() || []).filter(m => m.name).map(m => [m.name, true])));
+                return;
+            }
+            if (!members) return;
+            const whole = !event.member || symbol.type.kind === 'union';
+            if (event.conditional) {
+                // Written on some paths only: what was definitely unset may still be
+                (whole ? [...members.keys()] : [event.member]).forEach(m => { if (members.has(m)) members.set(m, false); });
+            } else if (whole) {
+                current.delete(symbol);
+            } else {
+                members.delete(event.member);
+            }
+        });
+        return current;
+    }
+}
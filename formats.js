@@ -0,0 +1,143 @@
+/*
+ * PHASE 4: SEMANTIC ANALYSIS - FORMAT STRINGS
+ *
+ * Parses printf and scanf format strings into their conversions and knows
+ * which argument type each conversion expects:
+ *   printf("%-8.3ld", x)  ->  { flags: '-', width: 8, precision: 3, length: 'l', conversion: 'd' }
+ * printf arguments are values (after the default promotions, so a char or
+ * float passes as int or double); scanf arguments are pointers to where the
+ * value is stored.
+ */
+
+// Functions taking a format string, and the position of that string
+const C_FORMAT_FUNCTIONS = {
+    printf: { style: 'printf', format: 0 },
+    fprintf: { style: 'printf', format: 1 },
+    sprintf: { style: 'printf', format: 1 },
+    snprintf: { style: 'printf', format: 2 },
+    dprintf: { style: 'printf', format: 1 },
+    scanf: { style: 'scanf', format: 0 },
+    fscanf: { style: 'scanf', format: 1 },
+    sscanf: { style: 'scanf', format: 1 }
+};
+
+// Size in bytes of the integer a length modifier selects (printf promotes hh and h to int)
+const C_FORMAT_INTEGER_SIZES = { '': 4, hh: 1, h: 2, l: 8, ll: 8, j: 8, z: 8, t: 8 };
+
+class CFormatString {
+    // Conversions of a format string, in order:
+    // [{ text, flags, width, precision, length, conversion, suppressed, index }]
+    // A '*' width or precision is '*' (it takes an int argument); an unknown
+    // conversion ("%y", a lone '%' at the end) has conversion null.
+    static parse(format, style = 'printf') {
+        const pattern = style === 'scanf'
+            ? /%(\*)?(\d+)?(hh|h|ll|l|j|z|t|L)?([diouxXaAeEfFgGcspn%]|\[\^?\]?[^\]]*\]|.?)/g
+            : /%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|j|z|t|L)?([diouxXaAeEfFgGcspn%]|.?)/g;
+        const conversions = [];
+        let match;
+        while ((match = pattern.exec(format)) !== null) {
+            const number = (value) => value === undefined ? null : value === '*' ? '*' : parseInt(value || '0');
+            if (style === 'scanf') {
+                const [text, star, width, length, conversion] = match;
+                conversions.push({ text, flags: '', width: number(width), precision: null, length: length || '',
+                                   conversion: CFormatString.isConversion(conversion) ? conversion : null,
+                                   suppressed: !!star, index: match.index });
+            } else {
+                const [text, flags, width, precision, length, conversion] = match;
+                conversions.push({ text, flags, width: number(width), precision: number(precision), length: length || '',
+                                   conversion: CFormatString.isConversion(conversion) ? conversion : null,
+                                   suppressed: false, index: match.index });
+            }
+        }
+        return conversions;
+    }
+
+    static isConversion(text) {
+        return /^([diouxXaAeEfFgGcspn%]|\[.*\])$/.test(text || '');
+    }
+
+    // Number of arguments the conversions consume
+    static argumentCount(conversions) {
+        return conversions.reduce((count, conv) => {
+            if (conv.conversion === null || conv.conversion === '%' || conv.suppressed) return count;
+            return count + 1 + (conv.width === '*' ? 1 : 0) + (conv.precision === '*' ? 1 : 0);
+        }, 0);
+    }
+
+    // Does an argument of `type` suit the conversion? null when the type is not known
+    static accepts(conv, type, style) {
+        if (!type || !type.isKnown()) return null;
+        const c = conv.conversion;
+        if (style === 'scanf') {
+            if (c === 's' || c === 'c' || c.startsWith('[')) return type.isString();
+            const target = type.isPointer() || type.isArray() ? type.pointee() : null;
+            if (!target || !target.isKnown()) return target ? null : false;
+            if ('diouxXn'.includes(c)) return target.isInteger() && target.size() === C_FORMAT_INTEGER_SIZES[conv.length];
+            if ('aAeEfFgG'.includes(c)) return target.isFloating() && target.name === { '': 'float', l: 'double', L: 'long double' }[conv.length];
+            if (c === 'p') return target.isPointer();
+            return null;
+        }
+        const value = type.decay();
+        if ('diouxX'.includes(c)) {
+            // char, short and _Bool arrive as int
+            const size = conv.length === 'h' || conv.length === 'hh' ? 4 : C_FORMAT_INTEGER_SIZES[conv.length];
+            return value.isInteger() && Math.max(value.size(), 4) === size;
+        }
+        if (c === 'c') return value.isInteger() && value.size() <= 4;
+        if ('aAeEfFgG'.includes(c)) return value.isFloating() && (conv.length === 'L') === (value.name === 'long double');
+        if (c === 's') return value.isString();
+        if (c === 'p') return value.isPointer();
+        if (c === 'n') return value.isPointer() && value.pointee().isInteger();
+        return null;
+    }
+
+    // The argument type a conversion expects, for messages
+    static expected(conv, style) {
+        const c = conv.conversion;
+        if (c === 's' || c.startsWith('[')) return 'char *';
+        if (c === 'p') return style === 'scanf' ? 'void **' : 'void *';
+        let base;
+        if ('aAeEfFgG'.includes(c)) {
+            base = conv.length === 'L' ? 'long double' : style === 'scanf' && conv.length === '' ? 'float' : 'double';
+        } else if (c === 'c') {
+            base = style === 'scanf' ? 'char' : 'int';
+        } else {
+            const unsigned = 'ouxX'.includes(c) ? 'unsigned ' : '';
+            const name = { hh: 'char', h: 'short', l: 'long', ll: 'long long', j: 'intmax_t', z: 'size_t', t: 'ptrdiff_t' }[conv.length];
+            if (conv.length === 'z' || conv.length === 'j' || conv.length === 't') base = name;
+            else if (style === 'printf' && (conv.length === 'h' || conv.length === 'hh')) base = `${unsigned}int`;
+            else base = `${unsigned}${name || 'int'}`;
+        }
+        return style === 'scanf' || c === 'n' ? `${base} *` : base;
+    }
+
+    // Conversion text for an argument of `type`, keeping flags, width and precision;
+    // null when no conversion prints or reads that type
+    static specifierFor(conv, type, style) {
+        let spec = null;
+        if (style === 'scanf') {
+            const target = type.isPointer() || type.isArray() ? type.pointee() : null;
+            if (!target) return null;
+            if (target.isCharacter() && type.isArray()) spec = 's';
+            else if (target.isFloating()) spec = { 'float': 'f', 'double': 'lf', 'long double': 'Lf' }[target.name];
+            else if (target.isInteger()) {
+                const length = { 1: 'hh', 2: 'h', 4: '', 8: target.name === 'long' || target.name === 'unsigned long' ? 'l' : 'll' }[target.size()];
+                spec = `${length}${target.isUnsigned() ? 'u' : 'd'}`;
+            }
+            return spec && `%${conv.suppressed ? '*' : ''}${conv.width !== null ? conv.width : ''}${spec}`;
+        }
+        const value = type.decay();
+        if (value.isString()) spec = 's';
+        else if (value.isPointer()) spec = 'p';
+        else if (value.isFloating()) spec = value.name === 'long double' ? 'Lf' : 'f';
+        else if (value.isInteger()) {
+            const size = Math.max(value.size(), 4);
+            const length = size === 4 ? '' : value.typedefName === 'size_t' ? 'z' : value.name.endsWith('long long') ? 'll' : 'l';
+            spec = `${length}${value.isUnsigned() && size >= 4 ? 'u' : 'd'}`;
+        }
+        if (!spec) return null;
+        const width = conv.width === null ? '' : conv.width;
+        const precision = conv.precision === null ? '' : `.${conv.precision}`;
+        return `%${conv.flags}${width}${precision}${spec}`;
+    }
+}
@@ -0,0 +1,212 @@
+/*
+ * PHASE 1: PREPROCESSING - STANDARD LIBRARY HEADERS
+ *
+ * Which standard (and common POSIX) header declares each library function,
+ * macro and type, so a use can be matched with the #include it needs:
+ *   malloc  ->  <stdlib.h>      INT_MAX  ->  <limits.h>
+ *   NULL    ->  <stddef.h>, <stdio.h>, <stdlib.h>, <string.h>, ... (any of them)
+ * System headers are not read, so this table stands in for their contents.
+ */
+
+// header -> { functions, macros, types, includes (headers it is guaranteed to include),
+//             values (macro -> replacement text, for macros the parser has to see expanded) }
+const C_STANDARD_HEADERS = {
+    'assert.h': {
+        macros: ['assert', 'static_assert']
+    },
+    'ctype.h': {
+        functions: ['isalnum', 'isalpha', 'isblank', 'iscntrl', 'isdigit', 'isgraph', 'islower', 'isprint',
+                    'ispunct', 'isspace', 'isupper', 'isxdigit', 'tolower', 'toupper']
+    },
+    'errno.h': {
+        macros: ['errno', 'EDOM', 'ERANGE', 'EILSEQ', 'EINVAL', 'ENOMEM', 'EAGAIN', 'EINTR', 'ENOENT',
+                 'EEXIST', 'EACCES', 'EBADF', 'EPIPE']
+    },
+    'float.h': {
+        macros: ['FLT_EPSILON', 'DBL_EPSILON', 'LDBL_EPSILON', 'FLT_MAX', 'DBL_MAX', 'LDBL_MAX', 'FLT_MIN',
+                 'DBL_MIN', 'LDBL_MIN', 'FLT_DIG', 'DBL_DIG', 'LDBL_DIG', 'FLT_RADIX', 'DECIMAL_DIG']
+    },
+    'inttypes.h': {
+        functions: ['imaxabs', 'imaxdiv', 'strtoimax', 'strtoumax'],
+        macros: ['PRId8', 'PRId16', 'PRId32', 'PRId64', 'PRIu8', 'PRIu16', 'PRIu32', 'PRIu64', 'PRIx32',
+                 'PRIx64', 'PRIdMAX', 'PRIuMAX', 'SCNd32', 'SCNd64', 'SCNu32', 'SCNu64'],
+        // The LP64 (glibc) expansions, so "%" PRId64 reads as one format string
+        values: {
+            PRId8: '"d"', PRId16: '"d"', PRId32: '"d"', PRId64: '"ld"',
+            PRIu8: '"u"', PRIu16: '"u"', PRIu32: '"u"', PRIu64: '"lu"',
+            PRIx32: '"x"', PRIx64: '"lx"', PRIdMAX: '"ld"', PRIuMAX: '"lu"',
+            SCNd32: '"d"', SCNd64: '"ld"', SCNu32: '"u"', SCNu64: '"lu"'
+        },
+        types: ['imaxdiv_t'],
+        includes: ['stdint.h']
+    },
+    'limits.h': {
+        macros: ['CHAR_BIT', 'SCHAR_MIN', 'SCHAR_MAX', 'UCHAR_MAX', 'CHAR_MIN', 'CHAR_MAX', 'SHRT_MIN',
+                 'SHRT_MAX', 'USHRT_MAX', 'INT_MIN', 'INT_MAX', 'UINT_MAX', 'LONG_MIN', 'LONG_MAX',
+                 'ULONG_MAX', 'LLONG_MIN', 'LLONG_MAX', 'ULLONG_MAX', 'MB_LEN_MAX', 'PATH_MAX']
+    },
+    'locale.h': {
+        functions: ['setlocale', 'localeconv'],
+        macros: ['LC_ALL', 'LC_COLLATE', 'LC_CTYPE', 'LC_MONETARY', 'LC_NUMERIC', 'LC_TIME', 'NULL']
+    },
+    'math.h': {
+        functions: ['sqrt', 'sqrtf', 'sqrtl', 'cbrt', 'pow', 'powf', 'fabs', 'fabsf', 'fabsl', 'sin', 'sinf',
+                    'cos', 'cosf', 'tan', 'tanf', 'asin', 'acos', 'atan', 'atan2', 'sinh', 'cosh', 'tanh',
+                    'exp', 'expf', 'exp2', 'expm1', 'log', 'logf', 'log2', 'log10', 'log1p', 'ceil', 'ceilf',
+                    'floor', 'floorf', 'round', 'roundf', 'lround', 'llround', 'trunc', 'rint', 'nearbyint',
+                    'fmod', 'fmodf', 'remainder', 'fmin', 'fmax', 'fdim', 'fma', 'hypot', 'frexp', 'ldexp',
+                    'modf', 'copysign', 'nan', 'erf', 'erfc', 'tgamma', 'lgamma'],
+        macros: ['M_PI', 'M_E', 'M_SQRT2', 'HUGE_VAL', 'HUGE_VALF', 'INFINITY', 'NAN', 'isnan', 'isinf',
+                 'isfinite', 'isnormal', 'signbit', 'fpclassify'],
+        types: ['float_t', 'double_t']
+    },
+    'setjmp.h': {
+        functions: ['setjmp', 'longjmp'],
+        types: ['jmp_buf']
+    },
+    'signal.h': {
+        functions: ['signal', 'raise', 'kill', 'sigaction', 'sigemptyset', 'sigaddset'],
+        macros: ['SIGINT', 'SIGTERM', 'SIGSEGV', 'SIGABRT', 'SIGFPE', 'SIGILL', 'SIGKILL', 'SIGALRM',
+                 'SIGCHLD', 'SIGPIPE', 'SIGUSR1', 'SIGUSR2', 'SIG_DFL', 'SIG_IGN', 'SIG_ERR'],
+        types: ['sig_atomic_t']
+    },
+    'stdarg.h': {
+        macros: ['va_start', 'va_arg', 'va_end', 'va_copy'],
+        types: ['va_list']
+    },
+    'stdbool.h': {
+        macros: ['true', 'false'],
+        types: ['bool']
+    },
+    'stddef.h': {
+        macros: ['NULL', 'offsetof'],
+        types: ['size_t', 'ptrdiff_t', 'wchar_t', 'max_align_t']
+    },
+    'stdint.h': {
+        macros: ['INT8_MIN', 'INT8_MAX', 'INT16_MIN', 'INT16_MAX', 'INT32_MIN', 'INT32_MAX', 'INT64_MIN',
+                 'INT64_MAX', 'UINT8_MAX', 'UINT16_MAX', 'UINT32_MAX', 'UINT64_MAX', 'INTMAX_MIN', 'INTMAX_MAX',
+                 'UINTMAX_MAX', 'INTPTR_MIN', 'INTPTR_MAX', 'UINTPTR_MAX', 'SIZE_MAX', 'PTRDIFF_MIN',
+                 'PTRDIFF_MAX', 'INT32_C', 'INT64_C', 'UINT32_C', 'UINT64_C'],
+        types: ['int8_t', 'int16_t', 'int32_t', 'int64_t', 'uint8_t', 'uint16_t', 'uint32_t', 'uint64_t',
+                'int_least8_t', 'int_least16_t', 'int_least32_t', 'int_least64_t', 'int_fast8_t',
+                'int_fast16_t', 'int_fast32_t', 'int_fast64_t', 'uint_fast8_t', 'uint_fast32_t',
+                'intptr_t', 'uintptr_t', 'intmax_t', 'uintmax_t']
+    },
+    'stdio.h': {
+        functions: ['printf', 'fprintf', 'sprintf', 'snprintf', 'dprintf', 'vprintf', 'vfprintf', 'vsprintf',
+                    'vsnprintf', 'scanf', 'fscanf', 'sscanf', 'vscanf', 'vfscanf', 'vsscanf', 'fopen', 'freopen',
+                    'fdopen', 'fclose', 'fflush', 'fread', 'fwrite', 'fgetc', 'getc', 'getchar', 'fgets', 'gets',
+                    'getline', 'getdelim', 'fputc', 'putc', 'putchar', 'fputs', 'puts', 'ungetc', 'fseek',
+                    'ftell', 'rewind', 'fgetpos', 'fsetpos', 'feof', 'ferror', 'clearerr', 'perror', 'remove',
+                    'rename', 'tmpfile', 'tmpnam', 'setbuf', 'setvbuf', 'fileno', 'popen', 'pclose'],
+        macros: ['EOF', 'BUFSIZ', 'FILENAME_MAX', 'FOPEN_MAX', 'L_tmpnam', 'TMP_MAX', 'SEEK_SET', 'SEEK_CUR',
+                 'SEEK_END', '_IOFBF', '_IOLBF', '_IONBF', 'stdin', 'stdout', 'stderr', 'NULL'],
+        types: ['FILE', 'fpos_t', 'size_t']
+    },
+    'stdlib.h': {
+        functions: ['malloc', 'calloc', 'realloc', 'free', 'aligned_alloc', 'abort', 'exit', 'atexit',
+                    'quick_exit', 'at_quick_exit', '_Exit', 'getenv', 'setenv', 'system', 'atoi', 'atol', 'atoll',
+                    'atof', 'strtol', 'strtoll', 'strtoul', 'strtoull', 'strtod', 'strtof', 'strtold', 'rand',
+                    'srand', 'qsort', 'bsearch', 'abs', 'labs', 'llabs', 'div', 'ldiv', 'lldiv', 'mblen',
+                    'mbtowc', 'wctomb', 'mbstowcs', 'wcstombs', 'realpath', 'mkstemp'],
+        macros: ['EXIT_SUCCESS', 'EXIT_FAILURE', 'RAND_MAX', 'MB_CUR_MAX', 'NULL'],
+        types: ['size_t', 'wchar_t', 'div_t', 'ldiv_t', 'lldiv_t']
+    },
+    'string.h': {
+        functions: ['memcpy', 'memmove', 'memset', 'memcmp', 'memchr', 'strcpy', 'strncpy', 'strcat', 'strncat',
+                    'strcmp', 'strncmp', 'strcoll', 'strxfrm', 'strchr', 'strrchr', 'strstr', 'strspn', 'strcspn',
+                    'strpbrk', 'strtok', 'strtok_r', 'strlen', 'strnlen', 'strerror', 'strdup', 'strndup',
+                    'strlcpy', 'strlcat'],
+        macros: ['NULL'],
+        types: ['size_t']
+    },
+    'time.h': {
+        functions: ['time', 'clock', 'difftime', 'mktime', 'strftime', 'gmtime', 'localtime', 'asctime', 'ctime',
+                    'nanosleep', 'clock_gettime'],
+        macros: ['CLOCKS_PER_SEC', 'CLOCK_REALTIME', 'CLOCK_MONOTONIC', 'NULL'],
+        types: ['time_t', 'clock_t', 'size_t']
+    },
+    'wchar.h': {
+        functions: ['wcslen', 'wcscpy', 'wcsncpy', 'wcscat', 'wcscmp', 'wprintf', 'fwprintf', 'swprintf',
+                    'wscanf', 'fgetwc', 'fputwc', 'mbrtowc', 'wcrtomb'],
+        macros: ['WEOF', 'NULL'],
+        types: ['wchar_t', 'wint_t', 'mbstate_t', 'size_t']
+    },
+
+    // POSIX
+    'dirent.h': {
+        functions: ['opendir', 'fdopendir', 'readdir', 'closedir', 'rewinddir'],
+        types: ['DIR']
+    },
+    'fcntl.h': {
+        functions: ['open', 'creat', 'fcntl'],
+        macros: ['O_RDONLY', 'O_WRONLY', 'O_RDWR', 'O_CREAT', 'O_TRUNC', 'O_APPEND', 'O_EXCL', 'O_NONBLOCK']
+    },
+    'pthread.h': {
+        functions: ['pthread_create', 'pthread_join', 'pthread_exit', 'pthread_self', 'pthread_detach',
+                    'pthread_mutex_init', 'pthread_mutex_destroy', 'pthread_mutex_lock', 'pthread_mutex_unlock',
+                    'pthread_mutex_trylock', 'pthread_cond_init', 'pthread_cond_destroy', 'pthread_cond_wait',
+                    'pthread_cond_signal', 'pthread_cond_broadcast'],
+        macros: ['PTHREAD_MUTEX_INITIALIZER', 'PTHREAD_COND_INITIALIZER'],
+        types: ['pthread_t', 'pthread_mutex_t', 'pthread_cond_t', 'pthread_attr_t']
+    },
+    'sys/socket.h': {
+        functions: ['socket', 'bind', 'listen', 'accept', 'connect', 'send', 'recv', 'sendto', 'recvfrom',
+                    'setsockopt', 'getsockopt', 'shutdown'],
+        macros: ['AF_INET', 'AF_INET6', 'AF_UNIX', 'SOCK_STREAM', 'SOCK_DGRAM', 'SOL_SOCKET', 'SO_REUSEADDR'],
+        types: ['socklen_t']
+    },
+    'sys/types.h': {
+        types: ['ssize_t', 'pid_t', 'off_t', 'size_t']
+    },
+    'unistd.h': {
+        functions: ['read', 'write', 'close', 'lseek', 'access', 'unlink', 'sleep', 'usleep', 'fork', 'getpid',
+                    'getppid', 'pipe', 'dup', 'dup2', 'execv', 'execvp', 'execl', 'execlp', 'chdir', 'getcwd',
+                    'isatty', 'fsync'],
+        macros: ['STDIN_FILENO', 'STDOUT_FILENO', 'STDERR_FILENO', 'R_OK', 'W_OK', 'X_OK', 'F_OK'],
+        types: ['ssize_t', 'pid_t', 'off_t', 'size_t']
+    }
+};
+
+// name -> headers declaring it, in the order above
+const C_STANDARD_NAMES = new Map();
+Object.entries(C_STANDARD_HEADERS).forEach(([header, contents]) => {
+    ['functions', 'macros', 'types'].forEach(kind => (contents[kind] || []).forEach(name => {
+        if (!C_STANDARD_NAMES.has(name)) C_STANDARD_NAMES.set(name, []);
+        C_STANDARD_NAMES.get(name).push(header);
+    }));
+});
+
+class CStandardLibrary {
+    // Headers that declare `name`; empty if none does
+    static headersOf(name) {
+        return C_STANDARD_NAMES.get(name) || [];
+    }
+
+    // The header to suggest for `name`: the one it is best known from
+    static headerFor(name) {
+        const preferred = { NULL: 'stddef.h', size_t: 'stddef.h', wchar_t: 'stddef.h', ssize_t: 'sys/types.h',
+                            pid_t: 'sys/types.h', off_t: 'sys/types.h' };
+        return preferred[name] || CStandardLibrary.headersOf(name)[0] || null;
+    }
+
+    static isFunction(name) {
+        return CStandardLibrary.headersOf(name).some(header => (C_STANDARD_HEADERS[header].functions || []).includes(name));
+    }
+
+    // Macros like assert() and va_arg() are called like functions
+    static isMacro(name) {
+        return CStandardLibrary.headersOf(name).some(header => (C_STANDARD_HEADERS[header].macros || []).includes(name));
+    }
+
+    static isKnownHeader(header) {
+        return Object.prototype.hasOwnProperty.call(C_STANDARD_HEADERS, header);
+    }
+
+    // Every header that including `header` makes available, itself included
+    static provided(header) {
+        const result = new Set([header]);
+        ((C_STANDARD_HEADERS[header] || {}).includes || []).forEach(inner => CStandardLibrary.provided(inner).forEach(h => result.add(h)));
+        return result;
+    }
+}
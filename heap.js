@@ -0,0 +1,376 @@
+/*
+ * PHASE 5: HEAP MEMORY ANALYSIS
+ *
+ * Follows the memory returned by malloc and friends through one function.
+ * Each allocation call is a site; a tracked pointer (a local pointer variable
+ * whose address is never taken) holds the set of sites, non-heap objects or
+ * NULL it may point to, and each site has the set of states it may be in:
+ *   'live'    - allocated and still owned by this function
+ *   'freed'   - passed to free()
+ *   'escaped' - handed to code we cannot see (returned, stored, passed on)
+ *   'lost'    - its last pointer was overwritten (already reported)
+ * A state is { pointers: Map symbol -> Set, sites: Map site -> Set }, or
+ * null where the code cannot be reached. A pointer missing from the map is
+ * unknown. Branches on a pointer (if (!p), p == NULL) split the state, so the
+ * failed-allocation path does not count as a leak.
+ */
+
+// Functions returning memory the caller must free()
+const C_ALLOCATION_FUNCTIONS = new Set(['malloc', 'calloc', 'realloc', 'aligned_alloc', 'strdup', 'strndup']);
+
+// Library functions that read or write through their pointer arguments but
+// never keep them, so passing a pointer to them does not hand ownership on
+const C_NONCAPTURING_FUNCTIONS = new Set([
+    'printf', 'fprintf', 'sprintf', 'snprintf', 'vprintf', 'vfprintf', 'vsprintf', 'vsnprintf',
+    'scanf', 'fscanf', 'sscanf', 'puts', 'fputs', 'fgets', 'gets', 'putchar', 'fputc', 'fwrite', 'fread',
+    'strlen', 'strcpy', 'strncpy', 'strcat', 'strncat', 'strcmp', 'strncmp', 'strchr', 'strrchr', 'strstr',
+    'memcpy', 'memmove', 'memset', 'memcmp', 'memchr', 'atoi', 'atol', 'atof', 'strtol', 'strtoul', 'strtod',
+    'qsort', 'bsearch', 'toupper', 'tolower'
+]);
+
+class CHeapAnalysis extends CDataFlowAnalysis {
+    // options.evaluate: constant value of an expression, or null
+    constructor(cfg, options = {}) {
+        super(cfg, {
+            direction: 'forward',
+            boundary: () => ({ pointers: new Map(), sites: new Map() }),
+            initial: () => null,
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => this.join(states),
+            equals: (a, b) => this.sameState(a, b),
+            edge: (edge, state) => this.alongEdge(edge, state)
+        });
+        this.evaluate = options.evaluate || (() => null);
+        this.objects = new Map();   // AST node -> site or non-heap object, stable across iterations
+
+        const addressTaken = new Set();
+        this.effects.forEach(events => events.forEach(event => {
+            if (event.kind === 'address') addressTaken.add(event.symbol);
+        }));
+        this.isTracked = (symbol) => !!symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter') &&
+            symbol.scope.kind !== 'file' && !symbol.storage.includes('static') && !symbol.storage.includes('extern') &&
+            symbol.type.isPointer() && !addressTaken.has(symbol);
+    }
+
+    // ---- States ----
+
+    join(states) {
+        const live = states.filter(Boolean);
+        if (!live.length) return null;
+        const result = this.copy(live[0]);
+        live.slice(1).forEach(state => {
+            result.pointers.forEach((targets, symbol) => {
+                if (state.pointers.has(symbol)) {
+                    state.pointers.get(symbol).forEach(target => targets.add(target));
+                } else {
+                    result.pointers.delete(symbol);
+                }
+            });
+            state.sites.forEach((statuses, site) => {
+                if (!result.sites.has(site)) result.sites.set(site, new Set());
+                statuses.forEach(status => result.sites.get(site).add(status));
+            });
+        });
+        return result;
+    }
+
+    sameState(a, b) {
+        if (!a || !b) return a === b;
+        const sameMap = (x, y) => x.size === y.size && [...x].every(([key, set]) =>
+            y.has(key) && y.get(key).size === set.size && [...set].every(item => y.get(key).has(item)));
+        return sameMap(a.pointers, b.pointers) && sameMap(a.sites, b.sites);
+    }
+
+    copy(state) {
+        const pointers = new Map();
+        const sites = new Map();
+        state.pointers.forEach((targets, symbol) => pointers.set(symbol, new Set(targets)));
+        state.sites.forEach((statuses, site) => sites.set(site, new Set(statuses)));
+        return { pointers, sites };
+    }
+
+    replaceState(state, next) {
+        state.pointers = next.pointers;
+        state.sites = next.sites;
+    }
+
+    // if (p) / if (!p) / p == NULL: on the branch where p is NULL its allocation failed
+    alongEdge(edge, state) {
+        if (!state || !edge.block.condition || (edge.label !== 'true' && edge.label !== 'false')) return state;
+        return this.refine(edge.block.condition, edge.label === 'true', state);
+    }
+
+    refine(test, truth, state) {
+        const check = CNullPointerAnalysis.nullCheck(test, this.isTracked, this.evaluate);
+        if (!check || !state.pointers.has(check.symbol)) return state;
+        const isNull = check.isNull === truth;
+        const targets = state.pointers.get(check.symbol);
+        const result = this.copy(state);
+        if (isNull) {
+            if (targets.size === 1) {
+                const [only] = targets;
+                if (only !== 'null' && only.kind !== 'heap') return null;
+            }
+            // p points to none of its targets here: its only allocation failed, and so did
+            // any other one no second pointer refers to
+            targets.forEach(target => {
+                if (target.kind !== 'heap') return;
+                const shared = [...state.pointers].some(([symbol, others]) => symbol !== check.symbol && others.has(target));
+                if (targets.size === 1 || !shared) result.sites.delete(target);
+            });
+            result.pointers.set(check.symbol, new Set(['null']));
+        } else {
+            const remaining = new Set([...targets].filter(target => target !== 'null'));
+            if (targets.size > 0 && remaining.size === 0) return null;
+            result.pointers.set(check.symbol, remaining);
+        }
+        return result;
+    }
+
+    // ---- Transfer ----
+
+    // Run the block from `state`, calling visit(event) for each problem found:
+    //   { kind: 'double-free' | 'use-after-free' | 'invalid-free' | 'overwritten' | 'discarded',
+    //     node, site, symbol, definite }
+    replay(block, state, visit = null) {
+        if (!state) return null;
+        const current = this.copy(state);
+        this.visitor = visit;
+        block.nodes.forEach(node => this.execute(node, current));
+        this.visitor = null;
+        return current;
+    }
+
+    report(event) {
+        if (this.visitor) this.visitor(event);
+    }
+
+    execute(node, state) {
+        switch (node.kind) {
+            case 'Declaration':
+                node.declarators.forEach(declarator => {
+                    const targets = declarator.init ? this.value(declarator.init, state) : new Set();
+                    if (this.isTracked(declarator.symbol)) {
+                        this.store(declarator.symbol, targets, state, declarator);
+                    } else {
+                        this.escape(targets, state);
+                    }
+                });
+                return;
+            case 'ExprStmt': {
+                let expr = node.expression;
+                while (expr.kind === 'CastExpr') expr = expr.argument;
+                const targets = this.value(node.expression, state);
+                if (expr.kind === 'CallExpr' && targets) {
+                    targets.forEach(site => {
+                        this.report({ kind: 'discarded', node: expr, site, definite: true });
+                        state.sites.set(site, new Set(['lost']));
+                    });
+                }
+                return;
+            }
+            case 'ReturnStmt':
+                if (node.argument) {
+                    const targets = this.value(node.argument, state);
+                    this.use(targets, state, node);
+                    this.escape(targets, state);
+                }
+                return;
+            case 'EmptyStmt':
+            case 'BreakStmt':
+            case 'ContinueStmt':
+            case 'GotoStmt':
+                return;
+            default:
+                this.value(node, state);
+        }
+    }
+
+    // Site, or object standing for non-heap memory, of an AST node
+    objectFor(node, make) {
+        if (!this.objects.has(node)) this.objects.set(node, Object.assign({ node }, make()));
+        return this.objects.get(node);
+    }
+
+    // Assign `targets` to a tracked pointer; memory only it pointed to is lost
+    store(symbol, targets, state, node) {
+        const old = state.pointers.get(symbol);
+        if (old) {
+            old.forEach(site => {
+                if (site.kind !== 'heap' || !state.sites.has(site) || (targets && targets.has(site))) return;
+                const statuses = state.sites.get(site);
+                const heldElsewhere = [...state.pointers].some(([other, set]) => other !== symbol && set.has(site));
+                if (heldElsewhere || statuses.size !== 1 || !statuses.has('live')) return;
+                this.report({ kind: 'overwritten', node, site, symbol, definite: true });
+                state.sites.set(site, new Set(['lost']));
+            });
+        }
+        if (targets) {
+            state.pointers.set(symbol, new Set(targets));
+        } else {
+            state.pointers.delete(symbol);
+        }
+    }
+
+    // The pointer leaves our sight: it may be freed or kept elsewhere
+    escape(targets, state) {
+        if (!targets) return;
+        targets.forEach(site => {
+            if (site.kind === 'heap' && state.sites.has(site) && !state.sites.get(site).has('freed')) {
+                state.sites.set(site, new Set(['escaped']));
+            }
+        });
+    }
+
+    // Memory is read or written through the pointer
+    use(targets, state, node, symbol = null) {
+        if (!targets) return;
+        targets.forEach(site => {
+            if (site.kind !== 'heap' || !state.sites.has(site)) return;
+            const statuses = state.sites.get(site);
+            if (!statuses.has('freed')) return;
+            this.report({ kind: 'use-after-free', node, site, symbol, definite: statuses.size === 1 && targets.size === 1 });
+        });
+    }
+
+    free(call, state) {
+        const arg = call.args[0];
+        const targets = this.value(arg, state);
+        if (!targets) return;
+        const symbol = arg.kind === 'Identifier' ? arg.symbol : null;
+        const objects = [...targets].filter(target => target !== 'null');
+        objects.forEach(target => {
+            if (target.kind !== 'heap') {
+                this.report({ kind: 'invalid-free', node: call, site: target, symbol, definite: objects.length === targets.size && objects.every(t => t.kind !== 'heap') });
+                return;
+            }
+            if (!state.sites.has(target)) return;
+            const statuses = state.sites.get(target);
+            if (statuses.has('freed')) {
+                this.report({ kind: 'double-free', node: call, site: target, symbol, definite: statuses.size === 1 && targets.size === 1 });
+            }
+            state.sites.set(target, new Set(['freed']));
+        });
+    }
+
+    // Objects an expression may point to (null if unknown), applying its effects to `state`
+    value(expr, state) {
+        switch (expr.kind) {
+            case 'Identifier': {
+                const symbol = expr.symbol;
+                if (this.isTracked(symbol)) return state.pointers.has(symbol) ? new Set(state.pointers.get(symbol)) : null;
+                if (symbol && symbol.kind === 'variable' && symbol.type.isArray()) {
+                    return new Set([this.objectFor(expr, () => ({ kind: 'array', symbol }))]);
+                }
+                if (expr.name === 'NULL') return new Set(['null']);
+                return null;
+            }
+            case 'NumberLiteral':
+                return expr.value === 0 ? new Set(['null']) : null;
+            case 'StringLiteral':
+                return new Set([this.objectFor(expr, () => ({ kind: 'literal' }))]);
+            case 'UnaryExpr':
+                if (expr.operator === '&') {
+                    this.value(expr.argument, state);
+                    const base = expr.argument.kind === 'Identifier' ? expr.argument.symbol : null;
+                    return base && base.kind === 'variable' ? new Set([this.objectFor(expr, () => ({ kind: 'variable', symbol: base }))]) : null;
+                }
+                if (expr.operator === '*') {
+                    this.use(this.value(expr.argument, state), state, expr, this.symbolOf(expr.argument));
+                    return null;
+                }
+                this.value(expr.argument, state);
+                return null;
+            case 'IndexExpr':
+                this.use(this.value(expr.object, state), state, expr, this.symbolOf(expr.object));
+                this.value(expr.index, state);
+                return null;
+            case 'MemberExpr': {
+                const targets = this.value(expr.object, state);
+                if (expr.arrow) this.use(targets, state, expr, this.symbolOf(expr.object));
+                return null;
+            }
+            case 'CastExpr':
+                return this.value(expr.argument, state);
+            case 'CommaExpr':
+                return expr.expressions.map(e => this.value(e, state)).pop();
+            case 'CallExpr':
+                return this.call(expr, state);
+            case 'AssignExpr': {
+                const targets = this.value(expr.right, state);
+                const left = expr.left;
+                if (left.kind === 'Identifier' && this.isTracked(left.symbol)) {
+                    this.store(left.symbol, expr.operator === '=' ? targets : null, state, expr);
+                    return expr.operator === '=' ? targets : null;
+                }
+                this.value(left, state);
+                this.escape(targets, state);
+                return null;
+            }
+            case 'UpdateExpr':
+                this.value(expr.argument, state);
+                if (expr.argument.kind === 'Identifier' && this.isTracked(expr.argument.symbol)) {
+                    state.pointers.delete(expr.argument.symbol);
+                }
+                return null;
+            case 'ConditionalExpr': {
+                this.value(expr.test, state);
+                const whenTrue = this.refine(expr.test, true, this.copy(state));
+                const whenFalse = this.refine(expr.test, false, this.copy(state));
+                const a = whenTrue ? this.value(expr.consequent, whenTrue) : null;
+                const b = whenFalse ? this.value(expr.alternate, whenFalse) : null;
+                const joined = this.join([whenTrue, whenFalse]);
+                if (joined) this.replaceState(state, joined);
+                return a && b ? new Set([...a, ...b]) : null;
+            }
+            case 'SizeofExpr':
+                return null;
+            case 'BinaryExpr':
+                // Comparing or offsetting a pointer neither uses its memory nor hands it on
+                this.value(expr.left, state);
+                this.value(expr.right, state);
+                return null;
+            default:
+                CParser.children(expr).forEach(child => {
+                    if (child.kind !== 'TypeName') this.escape(this.value(child, state), state);
+                });
+                return null;
+        }
+    }
+
+    call(expr, state) {
+        const name = expr.callee.kind === 'Identifier' ? expr.callee.name : null;
+        if (!name) this.value(expr.callee, state);
+        if (name === 'free' && expr.args.length === 1) {
+            this.free(expr, state);
+            return null;
+        }
+        expr.args.forEach((arg, i) => {
+            const targets = this.value(arg, state);
+            if (name === 'realloc' && i === 0) {
+                // The old block is released or moved - checking the new pointer is user code's job
+                if (targets) targets.forEach(site => { if (site.kind === 'heap' && state.sites.has(site)) state.sites.set(site, new Set(['escaped'])); });
+                return;
+            }
+            this.use(targets, state, expr, this.symbolOf(arg));
+            if (!C_NONCAPTURING_FUNCTIONS.has(name) && !C_ALLOCATION_FUNCTIONS.has(name)) this.escape(targets, state);
+        });
+        if (!C_ALLOCATION_FUNCTIONS.has(name)) return null;
+        const site = this.objectFor(expr, () => ({ kind: 'heap', allocator: name }));
+        state.sites.set(site, new Set(['live']));
+        return new Set([site]);
+    }
+
+    symbolOf(expr) {
+        while (expr.kind === 'CastExpr') expr = expr.argument;
+        return expr.kind === 'Identifier' ? expr.symbol : null;
+    }
+
+    // Sites that may still be owned (not freed, not handed on) when control leaves along `edge`
+    leakedAt(edge) {
+        const state = this.out.get(edge.block);
+        if (!state) return [];
+        return [...state.sites].filter(([, statuses]) => statuses.has('live'))
+            .map(([site, statuses]) => ({ site, definite: statuses.size === 1 }));
+    }
+}
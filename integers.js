@@ -0,0 +1,196 @@
+/*
+ * PHASE 4: SEMANTIC ANALYSIS - INTEGER ARITHMETIC
+ *
+ * Evaluates integer constant expressions exactly as a C compiler does, on
+ * BigInt values: every operation is carried out in the type the usual
+ * arithmetic conversions give it (see CTypes). Unsigned results wrap modulo
+ * 2^N; a signed result that does not fit is an overflow - undefined
+ * behavior - which is recorded and then wrapped the way two's complement
+ * hardware would:
+ *   2147483647 + 1   ->  overflow in 'int', continues as -2147483648
+ *   -1 + 1u          ->  0 (unsigned arithmetic, no overflow)
+ *   1 << 32          ->  shift count too large for 'int'
+ */
+
+// Library functions returning size_t, for calls made without their header's prototype
+const C_SIZE_FUNCTIONS = new Set(['strlen', 'strnlen', 'strspn', 'strcspn', 'strxfrm', 'strftime', 'fread', 'fwrite', 'mbstowcs', 'wcstombs', 'wcslen']);
+
+class CIntegerArithmetic {
+    constructor(types) {
+        this.types = types;
+        this.results = new Map();   // expression -> { value, type } or null
+        this.overflows = [];        // [{ node, value, type, reason: 'overflow' | 'shift' | 'negative' }]
+    }
+
+    // ---- Ranges of the integer types ----
+
+    // { min, max, bits, signed } as BigInt bounds; null for a non-integer type
+    static limits(type) {
+        if (!type) return null;
+        const name = type.kind === 'enum' ? 'int' : type.kind === 'integer' ? type.name : null;
+        const info = name && C_INTEGER_TYPES[name];
+        if (!info) return null;
+        const bits = BigInt(name === '_Bool' ? 1 : info.size * 8);
+        return info.signed
+            ? { min: -(1n << (bits - 1n)), max: (1n << (bits - 1n)) - 1n, bits, signed: true }
+            : { min: 0n, max: (1n << bits) - 1n, bits, signed: false };
+    }
+
+    static fits(value, type) {
+        const limits = CIntegerArithmetic.limits(type);
+        return !limits || (value >= limits.min && value <= limits.max);
+    }
+
+    // The value after conversion to `type`: modulo 2^N, like every compiler does for signed types too
+    static convert(value, type) {
+        const limits = CIntegerArithmetic.limits(type);
+        if (!limits) return value;
+        if (type.name === '_Bool') return value === 0n ? 0n : 1n;
+        return limits.signed ? BigInt.asIntN(Number(limits.bits), value) : BigInt.asUintN(Number(limits.bits), value);
+    }
+
+    // Exact value of an integer literal; null for a floating one
+    static literalValue(literal) {
+        if (literal.isFloat) return null;
+        const body = literal.raw.replace(/[uUlL]+$/, '');
+        if (/^0[0-7]+$/.test(body)) return BigInt(`0o${body.slice(1)}`);
+        try {
+            return BigInt(body);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ---- Evaluation ----
+
+    // { value, type } of an integer constant expression, or null if it is not one
+    evaluate(expr) {
+        if (!expr) return null;
+        if (!this.results.has(expr)) this.results.set(expr, this.compute(expr));
+        return this.results.get(expr);
+    }
+
+    // Numeric value of an integer constant expression, or null
+    valueOf(expr) {
+        const result = this.evaluate(expr);
+        return result && result.value;
+    }
+
+    compute(expr) {
+        switch (expr.kind) {
+            case 'NumberLiteral': {
+                const value = CIntegerArithmetic.literalValue(expr);
+                return value === null ? null : { value, type: this.types.typeOf(expr) };
+            }
+            case 'CharLiteral':
+                return { value: BigInt(expr.value), type: CType.integer('int') };
+            case 'Identifier':
+                return expr.symbol && expr.symbol.kind === 'enumerator' && Number.isInteger(expr.symbol.value)
+                    ? { value: BigInt(expr.symbol.value), type: CType.integer('int') } : null;
+            case 'SizeofExpr': {
+                if (expr.operator !== 'sizeof') return null;
+                const type = expr.argument.kind === 'TypeName'
+                    ? this.types.fromTypeName(expr.argument) : this.types.typeOf(expr.argument);
+                const size = type.size();
+                return Number.isInteger(size) ? { value: BigInt(size), type: this.types.typedefType('size_t') } : null;
+            }
+            case 'CastExpr': {
+                const type = this.types.typeOf(expr);
+                const argument = this.evaluate(expr.argument);
+                if (!argument || !CIntegerArithmetic.limits(type)) return null;
+                return { value: CIntegerArithmetic.convert(argument.value, type), type };
+            }
+            case 'UnaryExpr':
+                return this.unary(expr);
+            case 'BinaryExpr':
+                return this.binary(expr);
+            case 'ConditionalExpr': {
+                const test = this.evaluate(expr.test);
+                const chosen = test && this.evaluate(test.value !== 0n ? expr.consequent : expr.alternate);
+                if (!chosen) return null;
+                const type = this.types.typeOf(expr);
+                return { value: CIntegerArithmetic.convert(chosen.value, type), type };
+            }
+            default:
+                return null;
+        }
+    }
+
+    unary(expr) {
+        const argument = this.evaluate(expr.argument);
+        if (!argument) return null;
+        if (expr.operator === '!') return { value: argument.value === 0n ? 1n : 0n, type: CType.integer('int') };
+        const type = this.types.promote(argument.type);
+        const value = CIntegerArithmetic.convert(argument.value, type);
+        switch (expr.operator) {
+            case '+': return { value, type };
+            case '-': return this.result(expr, -value, type);
+            case '~': return { value: CIntegerArithmetic.convert(~value, type), type };
+            default: return null;
+        }
+    }
+
+    binary(expr) {
+        const { operator } = expr;
+        const left = this.evaluate(expr.left);
+        if (!left) return null;
+        const truth = (value) => ({ value: value ? 1n : 0n, type: CType.integer('int') });
+
+        // The right operand of && and || is not evaluated when the left one decides
+        if (operator === '&&' || operator === '||') {
+            if ((left.value !== 0n) === (operator === '||')) return truth(operator === '||');
+            const right = this.evaluate(expr.right);
+            return right && truth(right.value !== 0n);
+        }
+        const right = this.evaluate(expr.right);
+        if (!right) return null;
+
+        if (operator === '<<' || operator === '>>') {
+            const type = this.types.promote(left.type);
+            const value = CIntegerArithmetic.convert(left.value, type);
+            const limits = CIntegerArithmetic.limits(type);
+            if (right.value < 0n || right.value >= limits.bits) {
+                this.overflows.push({ node: expr, value: right.value, type, reason: 'shift' });
+                return null;
+            }
+            if (operator === '>>') return { value: value >> right.value, type };
+            if (limits.signed && value < 0n) {
+                this.overflows.push({ node: expr, value, type, reason: 'negative' });
+                return null;
+            }
+            return this.result(expr, value << right.value, type);
+        }
+
+        const type = this.types.usualArithmetic(left.type, right.type);
+        if (!CIntegerArithmetic.limits(type)) return null;
+        const l = CIntegerArithmetic.convert(left.value, type);
+        const r = CIntegerArithmetic.convert(right.value, type);
+        switch (operator) {
+            case '+': return this.result(expr, l + r, type);
+            case '-': return this.result(expr, l - r, type);
+            case '*': return this.result(expr, l * r, type);
+            // BigInt division truncates toward zero, and % takes the sign of the dividend, as in C
+            case '/': return r === 0n ? null : this.result(expr, l / r, type);
+            case '%': return r === 0n ? null : this.result(expr, l % r, type);
+            case '&': return { value: CIntegerArithmetic.convert(l & r, type), type };
+            case '|': return { value: CIntegerArithmetic.convert(l | r, type), type };
+            case '^': return { value: CIntegerArithmetic.convert(l ^ r, type), type };
+            case '<': return truth(l < r);
+            case '>': return truth(l > r);
+            case '<=': return truth(l <= r);
+            case '>=': return truth(l >= r);
+            case '==': return truth(l === r);
+            case '!=': return truth(l !== r);
+            default: return null;
+        }
+    }
+
+    // The exact result of an operation in `type`: unsigned wraps, signed overflow is recorded
+    result(expr, exact, type) {
+        const limits = CIntegerArithmetic.limits(type);
+        if (limits.signed && !CIntegerArithmetic.fits(exact, type)) {
+            this.overflows.push({ node: expr, value: exact, type, reason: 'overflow' });
+        }
+        return { value: CIntegerArithmetic.convert(exact, type), type };
+    }
+}
@@ -0,0 +1,481 @@
+/*
+ * PHASE 5: VALUE-RANGE ANALYSIS
+ *
+ * Abstract interpretation of a function over integer intervals. Each local
+ * integer variable (or parameter) whose address is never taken is tracked as
+ * [lo, hi]; anything else is unknown. Assignments compute new ranges, branch
+ * conditions narrow them along the 'true'/'false' edges (x < 10 gives
+ * [-inf, 9] inside the if), and loop headers are widened so the analysis
+ * terminates. A state is a Map symbol -> CInterval, or null where the code
+ * cannot be reached with the values seen. An interval can also leave out 0
+ * from its middle, so "if (d != 0)" protects a divisor in [-5, 5].
+ */
+
+// "a op b" is false exactly when "a negated(op) b" is true
+const C_NEGATED_COMPARISON = { '<': '>=', '<=': '>', '>': '<=', '>=': '<', '==': '!=', '!=': '==' };
+
+// "a op b" is "b swapped(op) a"
+const C_SWAPPED_COMPARISON = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '==': '==', '!=': '!=' };
+
+class CInterval {
+    constructor(lo, hi, excludesZero = false) {
+        this.lo = lo;
+        this.hi = hi;
+        // Only meaningful when lo < 0 < hi: every value of [lo, hi] except 0
+        this.excludesZero = excludesZero && lo < 0 && hi > 0;
+    }
+
+    static of(lo, hi) {
+        return new CInterval(lo, hi);
+    }
+
+    static constant(value) {
+        return new CInterval(value, value);
+    }
+
+    static top() {
+        return new CInterval(-Infinity, Infinity);
+    }
+
+    // Every value but 0, what "x != 0" leaves
+    static nonzero() {
+        return new CInterval(-Infinity, Infinity, true);
+    }
+
+    isTop() { return this.lo === -Infinity && this.hi === Infinity && !this.excludesZero; }
+    isConstant() { return this.lo === this.hi; }
+    contains(value) { return this.lo <= value && value <= this.hi && !(value === 0 && this.excludesZero); }
+    equals(other) { return this.lo === other.lo && this.hi === other.hi && this.excludesZero === other.excludesZero; }
+
+    // 0 stays out of the result when neither side holds it
+    join(other) {
+        return new CInterval(Math.min(this.lo, other.lo), Math.max(this.hi, other.hi), !this.contains(0) && !other.contains(0));
+    }
+
+    // Bounds that are still moving jump to infinity
+    widen(next) {
+        return new CInterval(next.lo < this.lo ? -Infinity : this.lo, next.hi > this.hi ? Infinity : this.hi,
+            !this.contains(0) && !next.contains(0));
+    }
+
+    // Common part of two intervals, or null if they do not overlap
+    intersect(other) {
+        let lo = Math.max(this.lo, other.lo);
+        let hi = Math.min(this.hi, other.hi);
+        const excludesZero = this.excludesZero || other.excludesZero;
+        if (excludesZero && lo === 0) lo = 1;
+        if (excludesZero && hi === 0) hi = -1;
+        return lo <= hi ? new CInterval(lo, hi, excludesZero) : null;
+    }
+
+    // Smallest interval holding op(a, b) for every a in this and b in other
+    static combine(a, b, op) {
+        const values = [op(a.lo, b.lo), op(a.lo, b.hi), op(a.hi, b.lo), op(a.hi, b.hi)];
+        if (values.some(Number.isNaN)) return CInterval.top();
+        return CInterval.of(Math.min(...values), Math.max(...values));
+    }
+
+    add(other) { return CInterval.combine(this, other, (x, y) => x + y); }
+    sub(other) { return CInterval.combine(this, other, (x, y) => x - y); }
+    mul(other) { return CInterval.combine(this, other, (x, y) => (x === 0 || y === 0 ? 0 : x * y)); }
+
+    div(other) {
+        if (other.contains(0)) return CInterval.top();
+        // Both signs: the negative and the positive divisors separately
+        if (other.excludesZero) return this.div(CInterval.of(other.lo, -1)).join(this.div(CInterval.of(1, other.hi)));
+        return CInterval.combine(this, other, (x, y) => (Number.isFinite(x / y) ? Math.trunc(x / y) : x / y));
+    }
+
+    mod(other) {
+        if (other.contains(0)) return CInterval.top();
+        const limit = Math.max(Math.abs(other.lo), Math.abs(other.hi)) - 1;
+        // The result takes the sign of the dividend and stays below the divisor
+        return CInterval.of(this.lo >= 0 ? 0 : Math.max(this.lo, -limit), this.hi <= 0 ? 0 : Math.min(this.hi, limit));
+    }
+
+    negate() {
+        return new CInterval(-this.hi, -this.lo, this.excludesZero);
+    }
+
+    toString() {
+        const bound = (value) => (value === Infinity ? '+inf' : value === -Infinity ? '-inf' : String(value));
+        return `[${bound(this.lo)}, ${bound(this.hi)}]${this.excludesZero ? ' except 0' : ''}`;
+    }
+}
+
+class CIntervalAnalysis extends CDataFlowAnalysis {
+    // options.evaluate: constant value of an expression (sizeof, enumerators)
+    // options.typeOf: C type of an expression (casts)
+    constructor(cfg, options = {}) {
+        super(cfg, {
+            direction: 'forward',
+            boundary: () => new Map(),
+            initial: () => null,
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => this.join(states),
+            equals: (a, b) => this.sameState(a, b),
+            edge: (edge, state) => this.alongEdge(edge, state),
+            widen: (previous, next) => this.widenState(previous, next)
+        });
+        this.evaluate = options.evaluate || (() => null);
+        this.typeOf = options.typeOf || (() => null);
+
+        // Variables whose address escapes can change behind the analysis' back
+        const addressTaken = new Set();
+        this.effects.forEach(events => events.forEach(event => {
+            if (event.kind === 'address') addressTaken.add(event.symbol);
+        }));
+        this.isTracked = (symbol) => !!symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter') &&
+            symbol.scope.kind !== 'file' && !symbol.storage.includes('static') && !symbol.storage.includes('extern') &&
+            symbol.type.isInteger() && !symbol.type.qualifiers.includes('volatile') && !addressTaken.has(symbol);
+    }
+
+    // ---- States ----
+
+    join(states) {
+        const live = states.filter(Boolean);
+        if (!live.length) return null;
+        const result = new Map(live[0]);
+        live.slice(1).forEach(state => {
+            result.forEach((interval, symbol) => {
+                if (state.has(symbol)) {
+                    result.set(symbol, interval.join(state.get(symbol)));
+                } else {
+                    result.delete(symbol);
+                }
+            });
+        });
+        return result;
+    }
+
+    sameState(a, b) {
+        if (!a || !b) return a === b;
+        if (a.size !== b.size) return false;
+        return [...a].every(([symbol, interval]) => b.has(symbol) && b.get(symbol).equals(interval));
+    }
+
+    widenState(previous, next) {
+        if (!previous || !next) return next;
+        const result = new Map();
+        next.forEach((interval, symbol) => {
+            if (previous.has(symbol)) result.set(symbol, previous.get(symbol).widen(interval));
+        });
+        return result;
+    }
+
+    alongEdge(edge, state) {
+        if (!state) return null;
+        const from = edge.block;
+        if ((edge.label === 'true' || edge.label === 'false') && from.condition) {
+            return this.refine(from.condition, edge.label === 'true', state);
+        }
+        if (edge.label === 'case' && edge.node.test) {
+            // switch (x) { case 3: ... } - x is 3 inside the case
+            const discriminant = from.nodes[from.nodes.length - 1];
+            const value = this.evaluate(edge.node.test);
+            if (discriminant && discriminant.kind === 'Identifier' && this.isTracked(discriminant.symbol) && Number.isInteger(value)) {
+                return this.narrow(state, discriminant.symbol, CInterval.constant(value));
+            }
+        }
+        return state;
+    }
+
+    // ---- Transfer ----
+
+    // Run the block from `state`, calling visit(expr, interval) for every expression evaluated
+    replay(block, state, visit = null) {
+        if (!state) return null;
+        const current = new Map(state);
+        block.nodes.forEach(node => this.execute(node, current, visit));
+        return current;
+    }
+
+    execute(node, state, visit) {
+        switch (node.kind) {
+            case 'Declaration':
+                node.declarators.forEach(declarator => {
+                    declarator.derived.forEach(d => { if (d.kind === 'ArrayDerivation' && d.size) this.value(d.size, state, visit); });
+                    const symbol = declarator.symbol;
+                    const init = declarator.init && declarator.init.kind !== 'InitList'
+                        ? this.value(declarator.init, state, visit) : CInterval.top();
+                    if (this.isTracked(symbol)) this.assign(symbol, init, state);
+                });
+                return;
+            case 'ExprStmt':
+                this.value(node.expression, state, visit);
+                return;
+            case 'ReturnStmt':
+                if (node.argument) this.value(node.argument, state, visit);
+                return;
+            case 'EmptyStmt':
+            case 'BreakStmt':
+            case 'ContinueStmt':
+            case 'GotoStmt':
+                return;
+            default:
+                this.value(node, state, visit);
+        }
+    }
+
+    assign(symbol, interval, state) {
+        state.set(symbol, this.fitType(interval, symbol.type));
+    }
+
+    // Values that do not fit the variable's type: an unsigned one wraps around, so
+    // it may be anything from 0 to its maximum; a signed one overflows, so nothing
+    // is known past that limit
+    fitType(interval, type) {
+        const info = type && type.kind === 'integer' ? C_INTEGER_TYPES[type.name] : null;
+        if (!info) return interval;
+        const bits = info.size * 8;
+        const min = info.signed ? -(2 ** (bits - 1)) : 0;
+        const max = info.signed ? 2 ** (bits - 1) - 1 : 2 ** bits - 1;
+        if (interval.lo >= min && interval.hi <= max) return interval;
+        if (!info.signed) return interval.lo < 0 || Number.isFinite(interval.hi) ? CInterval.of(0, max) : interval;
+        return CInterval.of(interval.lo < min ? -Infinity : interval.lo, interval.hi > max ? Infinity : interval.hi);
+    }
+
+    // Interval of an expression, applying its assignments to `state`. An unsigned
+    // value is never negative, even where nothing else is known about it
+    value(expr, state, visit = null) {
+        let result = this.compute(expr, state, visit);
+        const type = this.typeOf(expr);
+        if (type && type.isUnsigned()) result = this.fitType(result, type);
+        if (visit) visit(expr, result);
+        return result;
+    }
+
+    compute(expr, state, visit) {
+        const value = (e) => this.value(e, state, visit);
+        switch (expr.kind) {
+            case 'NumberLiteral':
+                return !expr.isFloat && Number.isInteger(expr.value) ? CInterval.constant(expr.value) : CInterval.top();
+            case 'CharLiteral':
+                return CInterval.constant(expr.value);
+            case 'Identifier': {
+                const symbol = expr.symbol;
+                if (symbol && symbol.kind === 'enumerator' && symbol.value !== null) return CInterval.constant(symbol.value);
+                return this.isTracked(symbol) && state.has(symbol) ? state.get(symbol) : CInterval.top();
+            }
+            case 'SizeofExpr': {
+                const size = this.evaluate(expr);
+                return Number.isInteger(size) ? CInterval.constant(size) : CInterval.top();
+            }
+            case 'UnaryExpr': {
+                if (expr.operator === '&' || expr.operator === '*') {
+                    if (expr.operator === '*') value(expr.argument);
+                    return CInterval.top();
+                }
+                const arg = value(expr.argument);
+                switch (expr.operator) {
+                    case '-': return arg.negate();
+                    case '+': return arg;
+                    case '!': return !arg.contains(0) ? CInterval.constant(0) : arg.isConstant() ? CInterval.constant(1) : CInterval.of(0, 1);
+                    case '~': return arg.isConstant() ? CInterval.constant(~arg.lo) : CInterval.top();
+                    default: return CInterval.top();
+                }
+            }
+            case 'BinaryExpr':
+                return this.binary(expr, state, visit);
+            case 'AssignExpr': {
+                let result;
+                if (expr.operator === '=') {
+                    result = value(expr.right);
+                } else {
+                    const current = value(expr.left);
+                    result = this.arithmetic(expr.operator.slice(0, -1), current, value(expr.right));
+                }
+                if (expr.left.kind === 'Identifier' && this.isTracked(expr.left.symbol)) {
+                    this.assign(expr.left.symbol, result, state);
+                    return state.get(expr.left.symbol);
+                }
+                if (expr.operator === '=') value(expr.left);
+                return result;
+            }
+            case 'UpdateExpr': {
+                const old = value(expr.argument);
+                const step = CInterval.constant(expr.operator === '++' ? 1 : -1);
+                if (expr.argument.kind === 'Identifier' && this.isTracked(expr.argument.symbol)) {
+                    this.assign(expr.argument.symbol, old.add(step), state);
+                    return expr.prefix ? state.get(expr.argument.symbol) : old;
+                }
+                return CInterval.top();
+            }
+            case 'ConditionalExpr': {
+                value(expr.test);
+                const whenTrue = this.refine(expr.test, true, state);
+                const whenFalse = this.refine(expr.test, false, state);
+                const a = whenTrue ? this.value(expr.consequent, whenTrue, visit) : null;
+                const b = whenFalse ? this.value(expr.alternate, whenFalse, visit) : null;
+                this.replaceState(state, this.join([whenTrue, whenFalse]));
+                if (!a || !b) return a || b || CInterval.top();
+                return a.join(b);
+            }
+            case 'CommaExpr':
+                return expr.expressions.map(value).pop();
+            case 'CastExpr': {
+                const result = value(expr.argument);
+                const type = this.typeOf(expr);
+                return type && type.isInteger() ? this.fitType(result, type) : result;
+            }
+            default:
+                CParser.children(expr).forEach(child => {
+                    if (child.kind !== 'TypeName') value(child);
+                });
+                return CInterval.top();
+        }
+    }
+
+    binary(expr, state, visit) {
+        const { operator } = expr;
+        if (operator === '&&' || operator === '||') {
+            const left = this.value(expr.left, state, visit);
+            // The right operand only runs for some values of the left one
+            const runsRight = this.refine(expr.left, operator === '&&', state);
+            if (runsRight) {
+                const right = this.value(expr.right, runsRight, visit);
+                this.replaceState(state, this.join([this.refine(expr.left, operator !== '&&', state), runsRight]));
+                if (operator === '&&' && !left.contains(0) && !right.contains(0)) return CInterval.constant(1);
+            }
+            return CInterval.of(0, 1);
+        }
+
+        const left = this.value(expr.left, state, visit);
+        const right = this.value(expr.right, state, visit);
+        // x - x and x ^ x are 0 whatever x holds
+        if ((operator === '-' || operator === '^') && expr.left.kind === 'Identifier' &&
+            expr.right.kind === 'Identifier' && expr.left.symbol && expr.left.symbol === expr.right.symbol) {
+            return CInterval.constant(0);
+        }
+        if (['<', '<=', '>', '>=', '==', '!='].includes(operator)) {
+            const always = this.compare(left, operator, right);
+            const never = this.compare(left, C_NEGATED_COMPARISON[operator], right);
+            return always ? CInterval.constant(1) : never ? CInterval.constant(0) : CInterval.of(0, 1);
+        }
+        return this.arithmetic(operator, left, right);
+    }
+
+    arithmetic(operator, left, right) {
+        switch (operator) {
+            case '+': return left.add(right);
+            case '-': return left.sub(right);
+            case '*': return left.mul(right);
+            case '/': return left.div(right);
+            case '%': return left.mod(right);
+            case '&':
+                // Masking with a non-negative constant bounds the result
+                if (right.isConstant() && right.lo >= 0) return CInterval.of(0, right.lo);
+                if (left.isConstant() && left.lo >= 0) return CInterval.of(0, left.lo);
+                return CInterval.top();
+            case '>>':
+                if (left.lo >= 0 && right.isConstant() && right.lo >= 0 && right.lo < 32) {
+                    return CInterval.of(Math.floor(left.lo / 2 ** right.lo), Math.floor(left.hi / 2 ** right.lo));
+                }
+                return CInterval.top();
+            default:
+                if (left.isConstant() && right.isConstant() && Number.isFinite(left.lo) && Number.isFinite(right.lo)) {
+                    switch (operator) {
+                        case '|': return CInterval.constant(left.lo | right.lo);
+                        case '^': return CInterval.constant(left.lo ^ right.lo);
+                        case '<<': return CInterval.constant(left.lo * 2 ** right.lo);
+                    }
+                }
+                return CInterval.top();
+        }
+    }
+
+    // Is "a op b" true for every pair of values?
+    compare(a, operator, b) {
+        switch (operator) {
+            case '<': return a.hi < b.lo;
+            case '<=': return a.hi <= b.lo;
+            case '>': return a.lo > b.hi;
+            case '>=': return a.lo >= b.hi;
+            case '==': return a.isConstant() && b.isConstant() && a.lo === b.lo;
+            case '!=': return a.hi < b.lo || a.lo > b.hi;
+            default: return false;
+        }
+    }
+
+    replaceState(state, next) {
+        if (!next) return;
+        state.clear();
+        next.forEach((interval, symbol) => state.set(symbol, interval));
+    }
+
+    // ---- Conditions ----
+
+    // The state in which `test` evaluates to `truth`, or null if it cannot
+    refine(test, truth, state) {
+        if (!state) return null;
+        if (this.hasSideEffects(test)) return state;
+        switch (test.kind) {
+            case 'UnaryExpr':
+                return test.operator === '!' ? this.refine(test.argument, !truth, state) : state;
+            case 'Identifier':
+                // if (x) means x != 0
+                return this.refineComparison(test, truth ? '!=' : '==', CInterval.constant(0), state);
+            case 'BinaryExpr': {
+                const { operator } = test;
+                if (operator === '&&' || operator === '||') {
+                    const both = (operator === '&&') === truth;
+                    const first = this.refine(test.left, truth, state);
+                    if (both) return this.refine(test.right, truth, first);
+                    const second = this.refine(test.right, truth, this.refine(test.left, !truth, state));
+                    return this.join([first, second]);
+                }
+                if (!(operator in C_NEGATED_COMPARISON)) return state;
+                const op = truth ? operator : C_NEGATED_COMPARISON[operator];
+                let result = this.refineComparison(test.left, op, this.value(test.right, new Map(state)), state);
+                if (result) result = this.refineComparison(test.right, C_SWAPPED_COMPARISON[op], this.value(test.left, new Map(result)), result);
+                return result;
+            }
+            default:
+                return state;
+        }
+    }
+
+    // Narrow `expr` (if it is a tracked variable) to the values where "expr op bound" holds
+    refineComparison(expr, operator, bound, state) {
+        if (expr.kind !== 'Identifier' || !this.isTracked(expr.symbol)) return state;
+        const symbol = expr.symbol;
+        const current = state.has(symbol) ? state.get(symbol) : CInterval.top();
+        let allowed;
+        switch (operator) {
+            case '<': allowed = CInterval.of(-Infinity, bound.hi - 1); break;
+            case '<=': allowed = CInterval.of(-Infinity, bound.hi); break;
+            case '>': allowed = CInterval.of(bound.lo + 1, Infinity); break;
+            case '>=': allowed = CInterval.of(bound.lo, Infinity); break;
+            case '==': allowed = bound; break;
+            case '!=': {
+                if (!bound.isConstant()) return state;
+                if (bound.lo === 0) return this.narrow(state, symbol, CInterval.nonzero());
+                if (current.isConstant() && current.lo === bound.lo) return null;
+                if (current.lo === bound.lo) return this.narrow(state, symbol, CInterval.of(current.lo + 1, current.hi));
+                if (current.hi === bound.lo) return this.narrow(state, symbol, CInterval.of(current.lo, current.hi - 1));
+                return state;
+            }
+            default: return state;
+        }
+        return this.narrow(state, symbol, allowed);
+    }
+
+    narrow(state, symbol, allowed) {
+        const current = state.has(symbol) ? state.get(symbol) : CInterval.top();
+        const narrowed = current.intersect(allowed);
+        if (!narrowed) return null;
+        const result = new Map(state);
+        result.set(symbol, narrowed);
+        return result;
+    }
+
+    hasSideEffects(expr) {
+        let found = false;
+        CParser.walk(expr, {
+            AssignExpr: () => { found = true; },
+            UpdateExpr: () => { found = true; },
+            CallExpr: () => { found = true; }
+        });
+        return found;
+    }
+}
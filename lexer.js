@@ -0,0 +1,276 @@
+/*
+ * PHASE 1: LEXICAL ANALYSIS
+ *
+ * Splits C source text into tokens. Every token carries its 1-based line
+ * and column plus character offsets into the source, so later phases can
+ * point bugs at the exact spot and slice the original text back out.
+ *
+ * Token types:
+ *   keyword, identifier, number, char, string, operator, punctuator,
+ *   comment, preprocessor, unknown
+ */
+
+const C_KEYWORDS = new Set([
+    'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do',
+    'double', 'else', 'enum', 'extern', 'float', 'for', 'goto', 'if',
+    'inline', 'int', 'long', 'register', 'restrict', 'return', 'short',
+    'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef', 'union',
+    'unsigned', 'void', 'volatile', 'while', '_Bool', '_Complex',
+    '_Imaginary', '_Alignas', '_Alignof', '_Atomic', '_Generic',
+    '_Noreturn', '_Static_assert', '_Thread_local'
+]);
+
+// Longest operators first so that '<<=' wins over '<<' and '<'
+const C_OPERATORS = [
+    '...', '<<=', '>>=',
+    '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '+=', '-=', '*=', '/=', '%=', '&=', '^=', '|=', '##',
+    '+', '-', '*', '/', '%', '&', '|', '^', '~', '!', '<', '>', '=',
+    '?', ':', '.', '#'
+];
+
+const C_PUNCTUATORS = new Set(['(', ')', '[', ']', '{', '}', ';', ',']);
+
+class CLexer {
+    constructor(code, file = null) {
+        this.code = code;
+        this.file = file;
+        this.pos = 0;
+        this.line = 1;
+        this.col = 1;
+        this.tokens = [];
+        this.atLineStart = true;   // Only whitespace seen so far on this line
+        this.spaceBefore = false;  // Whitespace/comment between previous token and this one
+    }
+
+    tokenize() {
+        while (this.pos < this.code.length) {
+            const ch = this.code[this.pos];
+
+            if (ch === '\n') {
+                this.advance(1);
+                this.atLineStart = true;
+                this.spaceBefore = true;
+                continue;
+            }
+            if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v') {
+                this.advance(1);
+                this.spaceBefore = true;
+                continue;
+            }
+            // Line splice outside a directive: just skip it
+            if (ch === '\\' && this.peekNewline(this.pos + 1)) {
+                this.advance(this.code[this.pos + 1] === '\r' ? 3 : 2);
+                continue;
+            }
+
+            if (ch === '/' && this.code[this.pos + 1] === '/') { this.readLineComment(); continue; }
+            if (ch === '/' && this.code[this.pos + 1] === '*') { this.readBlockComment(); continue; }
+            if (ch === '#' && this.atLineStart) { this.readDirective(); continue; }
+
+            if (this.isIdentStart(ch)) {
+                // String/char prefixes: L"..", u"..", U"..", u8"..", L'..'
+                const prefix = this.code.slice(this.pos).match(/^(u8|[LuU])(?=["'])/);
+                if (prefix) {
+                    const quote = this.code[this.pos + prefix[1].length];
+                    this.readQuoted(quote, prefix[1].length);
+                } else {
+                    this.readIdentifier();
+                }
+                continue;
+            }
+            if (this.isDigit(ch) || (ch === '.' && this.isDigit(this.code[this.pos + 1]))) {
+                this.readNumber();
+                continue;
+            }
+            if (ch === '"' || ch === "'") {
+                this.readQuoted(ch, 0);
+                continue;
+            }
+            if (C_PUNCTUATORS.has(ch)) {
+                this.push('punctuator', ch, 1);
+                continue;
+            }
+
+            const op = C_OPERATORS.find(o => this.code.startsWith(o, this.pos));
+            if (op) {
+                this.push('operator', op, op.length);
+                continue;
+            }
+
+            this.push('unknown', ch, 1);
+        }
+        return this.tokens;
+    }
+
+    // Create a token starting at the current position and consume its text
+    push(type, value, length, extra = null) {
+        const token = {
+            type,
+            value,
+            line: this.line,
+            col: this.col,
+            start: this.pos,
+            end: this.pos + length,
+            file: this.file,
+            spaceBefore: this.spaceBefore
+        };
+        this.advance(length);
+        token.endLine = this.line;
+        token.endCol = this.col;
+        if (extra) Object.assign(token, extra);
+        this.tokens.push(token);
+        this.atLineStart = false;
+        this.spaceBefore = false;
+        return token;
+    }
+
+    // Move forward, keeping line/column in sync
+    advance(count) {
+        for (let i = 0; i < count && this.pos < this.code.length; i++) {
+            if (this.code[this.pos] === '\n') {
+                this.line++;
+                this.col = 1;
+            } else {
+                this.col++;
+            }
+            this.pos++;
+        }
+    }
+
+    peekNewline(pos) {
+        return this.code[pos] === '\n' || (this.code[pos] === '\r' && this.code[pos + 1] === '\n');
+    }
+
+    isIdentStart(ch) {
+        return ch !== undefined && /[A-Za-z_]/.test(ch);
+    }
+
+    isIdentChar(ch) {
+        return ch !== undefined && /[A-Za-z0-9_]/.test(ch);
+    }
+
+    isDigit(ch) {
+        return ch !== undefined && ch >= '0' && ch <= '9';
+    }
+
+    readIdentifier() {
+        let end = this.pos;
+        while (this.isIdentChar(this.code[end])) end++;
+        const word = this.code.slice(this.pos, end);
+        this.push(C_KEYWORDS.has(word) ? 'keyword' : 'identifier', word, end - this.pos);
+    }
+
+    // pp-number: digits, letters, '.', and signed exponents (1e+5, 0x1p-3)
+    readNumber() {
+        let end = this.pos;
+        while (end < this.code.length) {
+            const c = this.code[end];
+            if ((c === '+' || c === '-') && this.isExponentSign(end)) {
+                end++;
+            } else if (this.isIdentChar(c) || c === '.') {
+                end++;
+            } else {
+                break;
+            }
+        }
+        this.push('number', this.code.slice(this.pos, end), end - this.pos);
+    }
+
+    // Sign after 'e' (decimal) or 'p' (hex float) belongs to the number
+    isExponentSign(pos) {
+        const prev = this.code[pos - 1];
+        if (prev === 'p' || prev === 'P') return true;
+        return (prev === 'e' || prev === 'E') && !/^0[xX]/.test(this.code.slice(this.pos, pos));
+    }
+
+    // String or char literal; an unterminated one stops at end of line
+    readQuoted(quote, prefixLength) {
+        let end = this.pos + prefixLength + 1;
+        let terminated = false;
+        while (end < this.code.length) {
+            const c = this.code[end];
+            if (c === '\\') {
+                end += 2;
+                continue;
+            }
+            if (c === '\n') break;
+            end++;
+            if (c === quote) {
+                terminated = true;
+                break;
+            }
+        }
+        end = Math.min(end, this.code.length);
+        const type = quote === '"' ? 'string' : 'char';
+        this.push(type, this.code.slice(this.pos, end), end - this.pos,
+            terminated ? null : { unterminated: true });
+    }
+
+    readLineComment() {
+        let end = this.pos;
+        while (end < this.code.length && this.code[end] !== '\n') {
+            // A trailing backslash continues a // comment onto the next line
+            if (this.code[end] === '\\' && this.peekNewline(end + 1)) {
+                end += this.code[end + 1] === '\r' ? 3 : 2;
+                continue;
+            }
+            end++;
+        }
+        const atLineStart = this.atLineStart;
+        this.push('comment', this.code.slice(this.pos, end), end - this.pos);
+        this.atLineStart = atLineStart;
+        this.spaceBefore = true;
+    }
+
+    readBlockComment() {
+        const close = this.code.indexOf('*/', this.pos + 2);
+        const end = close === -1 ? this.code.length : close + 2;
+        const atLineStart = this.atLineStart;
+        this.push('comment', this.code.slice(this.pos, end), end - this.pos,
+            close === -1 ? { unterminated: true } : null);
+        this.atLineStart = atLineStart;
+        this.spaceBefore = true;
+    }
+
+    // A directive runs to the end of the line, following backslash splices
+    // and skipping over comments and quoted text inside it.
+    readDirective() {
+        let end = this.pos + 1;
+        while (end < this.code.length) {
+            const c = this.code[end];
+            if (c === '\n') break;
+            if (c === '\\' && this.peekNewline(end + 1)) {
+                end += this.code[end + 1] === '\r' ? 3 : 2;
+                continue;
+            }
+            if (c === '/' && this.code[end + 1] === '/') {
+                while (end < this.code.length && this.code[end] !== '\n') end++;
+                break;
+            }
+            if (c === '/' && this.code[end + 1] === '*') {
+                const close = this.code.indexOf('*/', end + 2);
+                end = close === -1 ? this.code.length : close + 2;
+                continue;
+            }
+            if (c === '"' || c === "'") {
+                end++;
+                while (end < this.code.length && this.code[end] !== c && this.code[end] !== '\n') {
+                    end += this.code[end] === '\\' ? 2 : 1;
+                }
+                end++;
+                continue;
+            }
+            end++;
+        }
+        end = Math.min(end, this.code.length);
+        const text = this.code.slice(this.pos, end);
+        const body = text.replace(/\\\r?\n/g, ' ').replace(/\/\*[\s\S]*?(\*\/|$)/g, ' ').replace(/\/\/.*$/, '');
+        const match = body.match(/^#\s*(\w*)/);
+        this.push('preprocessor', text, end - this.pos, {
+            directive: match ? match[1] : '',
+            body: body.slice(match ? match[0].length : 1).trim()
+        });
+        this.atLineStart = true;
+    }
+}
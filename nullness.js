@@ -0,0 +1,276 @@
+/*
+ * PHASE 5: NULL POINTER ANALYSIS
+ *
+ * Pointers returned by functions that report failure with NULL (malloc,
+ * fopen, ...) must be checked before they are used. For every tracked pointer
+ * (a local pointer variable whose address is never taken) the state holds the
+ * calls whose unchecked result it may still hold; a NULL check removes it
+ * along the branch where the pointer is known to be non-NULL. A state is a
+ * Map symbol -> Set of CallExpr, or null where the code cannot be reached.
+ */
+
+// Functions that return NULL when they fail
+const C_FALLIBLE_FUNCTIONS = new Set([
+    'malloc', 'calloc', 'realloc', 'aligned_alloc', 'strdup', 'strndup',
+    'fopen', 'freopen', 'fdopen', 'tmpfile', 'popen'
+]);
+
+// Library functions whose pointer arguments (by position) must not be NULL
+const C_NONNULL_ARGUMENTS = {
+    strcpy: [0, 1], strncpy: [0, 1], strcat: [0, 1], strncat: [0, 1], strlen: [0],
+    strcmp: [0, 1], strncmp: [0, 1], strchr: [0], strrchr: [0], strstr: [0, 1], strtok: [1],
+    memcpy: [0, 1], memmove: [0, 1], memset: [0], memcmp: [0, 1], memchr: [0],
+    sprintf: [0, 1], snprintf: [2], sscanf: [0, 1], puts: [0], atoi: [0], atol: [0], atof: [0],
+    fprintf: [0, 1], fscanf: [0, 1], fputs: [0, 1], fgets: [0, 2], fputc: [1], fgetc: [0], getc: [0], putc: [1],
+    fread: [0, 3], fwrite: [0, 3], fseek: [0], ftell: [0], rewind: [0], feof: [0], ferror: [0],
+    fclose: [0], qsort: [0]
+};
+
+class CNullPointerAnalysis extends CDataFlowAnalysis {
+    // options.evaluate: constant value of an expression, or null
+    constructor(cfg, options = {}) {
+        super(cfg, {
+            direction: 'forward',
+            boundary: () => new Map(),
+            initial: () => null,
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => this.join(states),
+            equals: (a, b) => this.sameState(a, b),
+            edge: (edge, state) => this.alongEdge(edge, state)
+        });
+        this.evaluate = options.evaluate || (() => null);
+
+        const addressTaken = new Set();
+        this.effects.forEach(events => events.forEach(event => {
+            if (event.kind === 'address') addressTaken.add(event.symbol);
+        }));
+        this.isTracked = (symbol) => !!symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter') &&
+            symbol.scope.kind !== 'file' && !symbol.storage.includes('static') && !symbol.storage.includes('extern') &&
+            symbol.type.isPointer() && !addressTaken.has(symbol);
+    }
+
+    // { symbol, isNull } when `test` is true exactly when a pointer is (isNull) or is not NULL:
+    // p, !p, p == NULL, NULL != p, (p = malloc(n)) == NULL
+    static nullCheck(test, isTracked, evaluate) {
+        const pointerOf = (expr) => {
+            if (expr.kind === 'AssignExpr' && expr.operator === '=') expr = expr.left;
+            return expr.kind === 'Identifier' && isTracked(expr.symbol) ? expr.symbol : null;
+        };
+        const isNull = (expr) => {
+            while (expr.kind === 'CastExpr') expr = expr.argument;
+            return (expr.kind === 'Identifier' && expr.name === 'NULL') || evaluate(expr) === 0;
+        };
+        if (test.kind === 'UnaryExpr' && test.operator === '!') {
+            const inner = CNullPointerAnalysis.nullCheck(test.argument, isTracked, evaluate);
+            return inner && { symbol: inner.symbol, isNull: !inner.isNull };
+        }
+        if (test.kind === 'BinaryExpr' && (test.operator === '==' || test.operator === '!=')) {
+            const pointer = isNull(test.right) ? test.left : isNull(test.left) ? test.right : null;
+            const symbol = pointer && pointerOf(pointer);
+            return symbol && { symbol, isNull: test.operator === '==' };
+        }
+        const symbol = pointerOf(test);
+        return symbol && { symbol, isNull: false };
+    }
+
+    // ---- States ----
+
+    join(states) {
+        const live = states.filter(Boolean);
+        if (!live.length) return null;
+        const result = this.copy(live[0]);
+        live.slice(1).forEach(state => state.forEach((sources, symbol) => {
+            if (!result.has(symbol)) result.set(symbol, new Set());
+            sources.forEach(source => result.get(symbol).add(source));
+        }));
+        return result;
+    }
+
+    sameState(a, b) {
+        if (!a || !b) return a === b;
+        return a.size === b.size && [...a].every(([symbol, sources]) =>
+            b.has(symbol) && b.get(symbol).size === sources.size && [...sources].every(source => b.get(symbol).has(source)));
+    }
+
+    copy(state) {
+        const result = new Map();
+        state.forEach((sources, symbol) => result.set(symbol, new Set(sources)));
+        return result;
+    }
+
+    replaceState(state, next) {
+        state.clear();
+        next.forEach((sources, symbol) => state.set(symbol, sources));
+    }
+
+    alongEdge(edge, state) {
+        if (!state || !edge.block.condition || (edge.label !== 'true' && edge.label !== 'false')) return state;
+        return this.refine(edge.block.condition, edge.label === 'true', state);
+    }
+
+    // The state in which `test` evaluates to `truth`: a pointer known to be non-NULL is checked
+    refine(test, truth, state) {
+        if (!state) return null;
+        if (test.kind === 'BinaryExpr' && (test.operator === '&&' || test.operator === '||')) {
+            const both = (test.operator === '&&') === truth;
+            const first = this.refine(test.left, truth, state);
+            if (both) return this.refine(test.right, truth, first);
+            return this.join([first, this.refine(test.right, truth, this.refine(test.left, !truth, state))]);
+        }
+        const check = CNullPointerAnalysis.nullCheck(test, this.isTracked, this.evaluate);
+        if (!check || check.isNull === truth || !state.has(check.symbol)) return state;
+        const result = this.copy(state);
+        result.delete(check.symbol);
+        return result;
+    }
+
+    // ---- Transfer ----
+
+    // Run the block from `state`, calling visit({ node, symbol, sources, callee }) for
+    // each dereference of a pointer that may still be NULL
+    replay(block, state, visit = null) {
+        if (!state) return null;
+        const current = this.copy(state);
+        this.visitor = visit;
+        block.nodes.forEach(node => this.execute(node, current));
+        this.visitor = null;
+        return current;
+    }
+
+    execute(node, state) {
+        switch (node.kind) {
+            case 'Declaration':
+                node.declarators.forEach(declarator => {
+                    const sources = declarator.init ? this.value(declarator.init, state) : null;
+                    if (this.isTracked(declarator.symbol)) this.assign(declarator.symbol, sources, state);
+                });
+                return;
+            case 'ExprStmt':
+                this.value(node.expression, state);
+                return;
+            case 'ReturnStmt':
+                if (node.argument) this.value(node.argument, state);
+                return;
+            case 'EmptyStmt':
+            case 'BreakStmt':
+            case 'ContinueStmt':
+            case 'GotoStmt':
+                return;
+            default:
+                this.value(node, state);
+        }
+    }
+
+    assign(symbol, sources, state) {
+        if (sources && sources.size) {
+            state.set(symbol, new Set(sources));
+        } else {
+            state.delete(symbol);
+        }
+    }
+
+    // Reading or writing through a pointer that may be NULL; reported once, at the first such use
+    dereference(pointer, sources, node, state, callee = null) {
+        if (!sources || !sources.size) return;
+        while (pointer.kind === 'CastExpr') pointer = pointer.argument;
+        const symbol = pointer.kind === 'Identifier' ? pointer.symbol : null;
+        if (this.visitor) this.visitor({ node, symbol, sources, callee });
+        if (symbol) state.delete(symbol);
+    }
+
+    // Unchecked calls an expression's value may come from (null if none), applying its effects to `state`
+    value(expr, state) {
+        switch (expr.kind) {
+            case 'Identifier':
+                return this.isTracked(expr.symbol) && state.has(expr.symbol) ? new Set(state.get(expr.symbol)) : null;
+            case 'CastExpr':
+                return this.value(expr.argument, state);
+            case 'CallExpr':
+                return this.call(expr, state);
+            case 'UnaryExpr':
+                if (expr.operator === '*') {
+                    this.dereference(expr.argument, this.value(expr.argument, state), expr, state);
+                } else if (expr.operator !== '&' || expr.argument.kind !== 'Identifier') {
+                    this.value(expr.argument, state);
+                }
+                return null;
+            case 'IndexExpr':
+                this.dereference(expr.object, this.value(expr.object, state), expr, state);
+                this.value(expr.index, state);
+                return null;
+            case 'MemberExpr': {
+                const sources = this.value(expr.object, state);
+                if (expr.arrow) this.dereference(expr.object, sources, expr, state);
+                return null;
+            }
+            case 'AssignExpr': {
+                const sources = this.value(expr.right, state);
+                if (expr.left.kind === 'Identifier' && this.isTracked(expr.left.symbol)) {
+                    this.assign(expr.left.symbol, expr.operator === '=' ? sources : null, state);
+                    return expr.operator === '=' ? sources : null;
+                }
+                this.value(expr.left, state);
+                return null;
+            }
+            case 'UpdateExpr':
+                this.value(expr.argument, state);
+                if (expr.argument.kind === 'Identifier' && this.isTracked(expr.argument.symbol)) state.delete(expr.argument.symbol);
+                return null;
+            case 'BinaryExpr': {
+                const { operator } = expr;
+                this.value(expr.left, state);
+                if (operator !== '&&' && operator !== '||') {
+                    this.value(expr.right, state);
+                    return null;
+                }
+                // The right operand only runs when the left one did not decide the result
+                const runsRight = this.refine(expr.left, operator === '&&', state);
+                if (runsRight) {
+                    const afterRight = this.copy(runsRight);
+                    this.value(expr.right, afterRight);
+                    this.replaceState(state, this.join([this.refine(expr.left, operator !== '&&', state), afterRight]));
+                }
+                return null;
+            }
+            case 'ConditionalExpr': {
+                this.value(expr.test, state);
+                const whenTrue = this.refine(expr.test, true, state);
+                const whenFalse = this.refine(expr.test, false, state);
+                const a = whenTrue ? this.copy(whenTrue) : null;
+                const b = whenFalse ? this.copy(whenFalse) : null;
+                const sources = new Set([
+                    ...(a && this.value(expr.consequent, a)) || [],
+                    ...(b && this.value(expr.alternate, b)) || []
+                ]);
+                const joined = this.join([a, b]);
+                if (joined) this.replaceState(state, joined);
+                return sources.size ? sources : null;
+            }
+            case 'CommaExpr':
+                return expr.expressions.map(e => this.value(e, state)).pop();
+            case 'SizeofExpr':
+                return null;
+            default:
+                CParser.children(expr).forEach(child => {
+                    if (child.kind !== 'TypeName') this.value(child, state);
+                });
+                return null;
+        }
+    }
+
+    call(expr, state) {
+        const name = expr.callee.kind === 'Identifier' ? expr.callee.name : null;
+        if (!name) this.value(expr.callee, state);
+        const nonnull = (name && C_NONNULL_ARGUMENTS.hasOwnProperty(name)) ? C_NONNULL_ARGUMENTS[name] : [];
+        expr.args.forEach((arg, i) => {
+            const sources = this.value(arg, state);
+            if (nonnull.includes(i)) this.dereference(arg, sources, expr, state, name);
+        });
+        // assert(p) stops the program when p is NULL
+        if (name === 'assert' && expr.args.length === 1) {
+            const checked = this.refine(expr.args[0], true, state);
+            if (checked) this.replaceState(state, checked);
+        }
+        return C_FALLIBLE_FUNCTIONS.has(name) ? new Set([expr]) : null;
+    }
+}
@@ -0,0 +1,1099 @@
+/*
+ * PHASE 2: SYNTAX ANALYSIS
+ *
+ * Recursive-descent parser for a practical subset of C. It consumes the
+ * code tokens produced by CLexer and builds an AST in which every node has
+ * a `kind` and a `range` ({ start: {line, col}, end: {line, col} }) plus
+ * `start`/`end` character offsets into the source.
+ *
+ * Parse errors never throw. They are collected in `errors` and the parser
+ * skips to the next ';' or '}' so one typo does not hide the rest of the
+ * program from the semantic checks (error recovery mode).
+ */
+
+const C_TYPE_SPECIFIERS = new Set([
+    'void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned', '_Bool', '_Complex'
+]);
+const C_TYPE_QUALIFIERS = new Set(['const', 'volatile', 'restrict', '_Atomic', '__restrict']);
+const C_STORAGE_CLASSES = new Set(['typedef', 'extern', 'static', 'auto', 'register', '_Thread_local']);
+const C_FUNCTION_SPECIFIERS = new Set(['inline', '_Noreturn', '__inline']);
+
+// Type names every C program can use once the usual headers are included
+const C_BUILTIN_TYPEDEFS = [
+    'size_t', 'ssize_t', 'ptrdiff_t', 'wchar_t', 'FILE', 'fpos_t', 'va_list', 'bool',
+    'int8_t', 'int16_t', 'int32_t', 'int64_t', 'uint8_t', 'uint16_t', 'uint32_t', 'uint64_t',
+    'intptr_t', 'uintptr_t', 'intmax_t', 'uintmax_t', 'time_t', 'clock_t', 'off_t', 'pid_t',
+    'DIR', 'pthread_t', 'pthread_mutex_t', 'sig_atomic_t', 'socklen_t'
+];
+
+const C_ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+// Binary operator precedence, higher binds tighter
+const C_BINARY_PRECEDENCE = {
+    '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+    '==': 6, '!=': 6, '<': 7, '>': 7, '<=': 7, '>=': 7,
+    '<<': 8, '>>': 8, '+': 9, '-': 9, '*': 10, '/': 10, '%': 10
+};
+
+// Child fields of each node kind, in source order
+const C_AST_CHILDREN = {
+    TranslationUnit: ['body'],
+    FunctionDef: ['specifiers', 'declarator', 'body'],
+    Declaration: ['specifiers', 'declarators'],
+    Declarator: ['derived', 'init', 'bitWidth'],
+    ParamDecl: ['specifiers', 'declarator'],
+    DeclSpec: ['record', 'enumSpec'],
+    RecordSpec: ['members'],
+    EnumSpec: ['enumerators'],
+    Enumerator: ['value'],
+    TypeName: ['specifiers', 'declarator'],
+    ArrayDerivation: ['size'],
+    FunctionDerivation: ['params'],
+    PointerDerivation: [],
+    CompoundStmt: ['body'],
+    ExprStmt: ['expression'],
+    EmptyStmt: [],
+    IfStmt: ['test', 'consequent', 'alternate'],
+    WhileStmt: ['test', 'body'],
+    DoWhileStmt: ['body', 'test'],
+    ForStmt: ['init', 'test', 'update', 'body'],
+    SwitchStmt: ['discriminant', 'body'],
+    CaseStmt: ['test', 'body'],
+    DefaultStmt: ['body'],
+    LabelStmt: ['body'],
+    BreakStmt: [],
+    ContinueStmt: [],
+    ReturnStmt: ['argument'],
+    GotoStmt: [],
+    Identifier: [],
+    NumberLiteral: [],
+    CharLiteral: [],
+    StringLiteral: [],
+    BinaryExpr: ['left', 'right'],
+    AssignExpr: ['left', 'right'],
+    UnaryExpr: ['argument'],
+    UpdateExpr: ['argument'],
+    SizeofExpr: ['argument'],
+    CastExpr: ['typeName', 'argument'],
+    CallExpr: ['callee', 'args'],
+    IndexExpr: ['object', 'index'],
+    MemberExpr: ['object'],
+    ConditionalExpr: ['test', 'consequent', 'alternate'],
+    CommaExpr: ['expressions'],
+    InitList: ['elements'],
+    InitElement: ['designators', 'value'],
+    Designator: ['index'],
+    CompoundLiteral: ['typeName', 'init'],
+    InvalidExpr: []
+};
+
+class CParser {
+    constructor(tokens, options = {}) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.errors = [];
+        this.typedefScopes = [new Set(C_BUILTIN_TYPEDEFS.concat(options.typedefs || []))];
+    }
+
+    // Parse a whole translation unit
+    parse() {
+        const start = this.peek();
+        const body = [];
+        while (!this.atEnd()) {
+            const before = this.pos;
+            const decl = this.parseExternalDeclaration();
+            if (decl) body.push(decl);
+            if (this.pos === before) {
+                this.error(`Unexpected '${this.peek().value}' at file scope`, this.peek());
+                this.pos++;
+            }
+        }
+        return this.finish({ kind: 'TranslationUnit', body }, start);
+    }
+
+    // ---- Token helpers ----
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || null;
+    }
+
+    atEnd() {
+        return this.pos >= this.tokens.length;
+    }
+
+    next() {
+        return this.tokens[this.pos++] || null;
+    }
+
+    // Does the token match a punctuator, operator or keyword spelling?
+    is(tok, value) {
+        return !!tok && tok.value === value &&
+            (tok.type === 'punctuator' || tok.type === 'operator' || tok.type === 'keyword');
+    }
+
+    check(value, offset = 0) {
+        return this.is(this.peek(offset), value);
+    }
+
+    accept(value) {
+        if (this.check(value)) return this.next();
+        return null;
+    }
+
+    expect(value, context) {
+        if (this.check(value)) return this.next();
+        const tok = this.peek() || this.tokens[this.tokens.length - 1];
+        const found = this.peek() ? `'${this.peek().value}'` : 'end of input';
+        this.error(`Expected '${value}' ${context}, found ${found}`, tok);
+        return null;
+    }
+
+    error(message, tok) {
+        const line = tok ? tok.line : 1;
+        const col = tok ? tok.col : 1;
+        const file = tok && tok.file !== undefined ? tok.file : null;
+        // One error per position is enough; recovery may revisit the same token
+        if (!this.errors.some(e => e.line === line && e.col === col && e.file === file)) {
+            this.errors.push({ message, line, col, file });
+        }
+    }
+
+    // Skip to a statement boundary: past the next ';' or up to the next '}'
+    synchronize() {
+        let depth = 0;
+        while (!this.atEnd()) {
+            const tok = this.peek();
+            if (this.is(tok, '(') || this.is(tok, '[')) depth++;
+            if ((this.is(tok, ')') || this.is(tok, ']')) && depth > 0) depth--;
+            if (depth === 0 && this.is(tok, ';')) { this.next(); return; }
+            if (this.is(tok, '}') || this.is(tok, '{')) return;
+            this.next();
+        }
+    }
+
+    // A missing ';' at the end of a line is recovered by pretending it was there
+    expectSemicolon(context) {
+        if (this.accept(';')) return true;
+        const prev = this.tokens[this.pos - 1];
+        const tok = this.peek();
+        if (prev && (!tok || tok.line > prev.endLine)) {
+            // Report at the end of the unterminated statement, not on the next line
+            const found = tok ? `'${tok.value}'` : 'end of input';
+            this.error(`Expected ';' ${context}, found ${found}`, { line: prev.endLine, col: prev.endCol, file: prev.file });
+            return false;
+        }
+        this.expect(';', context);
+        if (!tok || this.is(tok, '}')) return false;
+        this.synchronize();
+        return false;
+    }
+
+    // Attach the source range from startTok to the last consumed token
+    finish(node, startTok) {
+        const last = this.tokens[this.pos - 1] || startTok;
+        const first = startTok || last;
+        if (first) {
+            const end = last && last.start >= first.start ? last : first;
+            node.range = {
+                start: { line: first.line, col: first.col },
+                end: { line: end.endLine, col: end.endCol }
+            };
+            node.start = first.start;
+            node.end = end.end;
+            node.file = first.file;
+            // Nodes that start inside a macro expansion remember the macro
+            if (first.macro) node.macro = first.macro;
+        } else {
+            node.range = { start: { line: 1, col: 1 }, end: { line: 1, col: 1 } };
+            node.start = node.end = 0;
+        }
+        return node;
+    }
+
+    // Stretch a finished node's range to the last consumed token
+    extend(node) {
+        const last = this.tokens[this.pos - 1];
+        if (!last || last.end <= node.end) return node;
+        node.range.end = { line: last.endLine, col: last.endCol };
+        node.end = last.end;
+        return node;
+    }
+
+    // ---- Typedef name tracking ----
+
+    isTypedefName(tok) {
+        if (!tok || tok.type !== 'identifier') return false;
+        return this.typedefScopes.some(scope => scope.has(tok.value));
+    }
+
+    pushScope() {
+        this.typedefScopes.push(new Set());
+    }
+
+    popScope() {
+        this.typedefScopes.pop();
+    }
+
+    // Could this token begin declaration specifiers?
+    startsSpecifiers(tok) {
+        if (!tok) return false;
+        if (tok.type === 'keyword') {
+            return C_TYPE_SPECIFIERS.has(tok.value) || C_TYPE_QUALIFIERS.has(tok.value) ||
+                C_STORAGE_CLASSES.has(tok.value) || C_FUNCTION_SPECIFIERS.has(tok.value) ||
+                ['struct', 'union', 'enum', '_Alignas'].includes(tok.value);
+        }
+        return this.isTypedefName(tok) || (tok.type === 'identifier' && tok.value === '__attribute__');
+    }
+
+    // Inside a block, a typedef name starts a declaration unless it is used as a value
+    startsDeclaration() {
+        const tok = this.peek();
+        if (!this.startsSpecifiers(tok)) return false;
+        if (tok.type !== 'identifier' || tok.value === '__attribute__') return true;
+        const after = this.peek(1);
+        return !!after && (after.type === 'identifier' || this.is(after, '*') || this.is(after, '(') ||
+            (after.type === 'keyword' && C_TYPE_QUALIFIERS.has(after.value)));
+    }
+
+    // Could this token begin a type name (cast, sizeof, compound literal)?
+    startsTypeName(tok) {
+        if (!tok) return false;
+        if (tok.type === 'keyword') {
+            return C_TYPE_SPECIFIERS.has(tok.value) || C_TYPE_QUALIFIERS.has(tok.value) ||
+                ['struct', 'union', 'enum'].includes(tok.value);
+        }
+        return this.isTypedefName(tok);
+    }
+
+    // Skip GCC __attribute__((...)) annotations
+    skipAttributes() {
+        while (this.peek() && this.peek().type === 'identifier' &&
+               (this.peek().value === '__attribute__' || this.peek().value === '__extension__')) {
+            const name = this.next().value;
+            if (name === '__attribute__' && this.check('(')) this.skipBalanced();
+        }
+    }
+
+    // Skip a stray "{ ... }" block, e.g. code left over after a parse error
+    skipBlock() {
+        let depth = 0;
+        do {
+            const tok = this.next();
+            if (!tok) return;
+            if (this.is(tok, '{')) depth++;
+            if (this.is(tok, '}')) depth--;
+        } while (depth > 0);
+    }
+
+    skipBalanced() {
+        let depth = 0;
+        do {
+            const tok = this.next();
+            if (!tok) return;
+            if (this.is(tok, '(')) depth++;
+            if (this.is(tok, ')')) depth--;
+        } while (depth > 0);
+    }
+
+    // ---- Declarations ----
+
+    parseExternalDeclaration() {
+        if (this.accept(';')) return null;
+        const startTok = this.peek();
+        let specifiers = this.parseDeclSpecifiers();
+        if (!specifiers) {
+            // Old-style "main() { ... }" has an implicit int return type
+            if (startTok.type === 'identifier' && this.check('(', 1)) {
+                specifiers = this.finish(this.emptySpecifiers(), startTok);
+                specifiers.implicitInt = true;
+            } else {
+                this.error(`Expected a declaration, found '${startTok.value}'`, startTok);
+                this.synchronize();
+                if (this.check('{')) this.skipBlock();
+                else if (this.check('}')) this.next();
+                return null;
+            }
+        }
+        if (this.accept(';')) {
+            return this.finish({ kind: 'Declaration', specifiers, declarators: [] }, startTok);
+        }
+
+        const declarator = this.parseDeclarator(false);
+        this.skipAttributes();
+        if (this.isFunctionDeclarator(declarator) && this.check('{')) {
+            const body = this.parseFunctionBody();
+            return this.finish({
+                kind: 'FunctionDef',
+                specifiers,
+                declarator,
+                name: declarator.name,
+                body
+            }, startTok);
+        }
+        return this.parseDeclarationRest(specifiers, declarator, startTok);
+    }
+
+    // Block-scope declaration such as "int x = 1, *p;"
+    parseDeclaration() {
+        const startTok = this.peek();
+        const specifiers = this.parseDeclSpecifiers();
+        if (this.accept(';')) {
+            return this.finish({ kind: 'Declaration', specifiers, declarators: [] }, startTok);
+        }
+        const declarator = this.parseDeclarator(false);
+        return this.parseDeclarationRest(specifiers, declarator, startTok);
+    }
+
+    parseDeclarationRest(specifiers, first, startTok) {
+        const declarators = [];
+        let declarator = first;
+        const isTypedef = specifiers.storage.includes('typedef');
+        for (;;) {
+            this.skipAttributes();
+            if (this.accept('=')) {
+                declarator.init = this.parseInitializer();
+                this.extend(declarator);
+            }
+            if (isTypedef && declarator.name) {
+                this.typedefScopes[this.typedefScopes.length - 1].add(declarator.name);
+            }
+            declarators.push(declarator);
+            if (!this.accept(',')) break;
+            declarator = this.parseDeclarator(false);
+        }
+        this.expectSemicolon('after declaration');
+        return this.finish({ kind: 'Declaration', specifiers, declarators }, startTok);
+    }
+
+    emptySpecifiers() {
+        return {
+            kind: 'DeclSpec',
+            storage: [],
+            qualifiers: [],
+            functionSpecifiers: [],
+            typeSpecifiers: [],
+            typedefName: null,
+            record: null,
+            enumSpec: null
+        };
+    }
+
+    // Storage class, qualifiers and the base type; null if none were found
+    parseDeclSpecifiers() {
+        const startTok = this.peek();
+        const spec = this.emptySpecifiers();
+        let found = false;
+
+        for (;;) {
+            const tok = this.peek();
+            if (!tok) break;
+            if (tok.type === 'identifier' && (tok.value === '__attribute__' || tok.value === '__extension__')) {
+                this.skipAttributes();
+                continue;
+            }
+            if (tok.type === 'keyword') {
+                if (C_STORAGE_CLASSES.has(tok.value)) { spec.storage.push(this.next().value); found = true; continue; }
+                if (C_TYPE_QUALIFIERS.has(tok.value)) { spec.qualifiers.push(this.next().value); found = true; continue; }
+                if (C_FUNCTION_SPECIFIERS.has(tok.value)) { spec.functionSpecifiers.push(this.next().value); found = true; continue; }
+                if (C_TYPE_SPECIFIERS.has(tok.value)) { spec.typeSpecifiers.push(this.next().value); found = true; continue; }
+                if (tok.value === 'struct' || tok.value === 'union') { spec.record = this.parseRecordSpec(); found = true; continue; }
+                if (tok.value === 'enum') { spec.enumSpec = this.parseEnumSpec(); found = true; continue; }
+                if (tok.value === '_Alignas') { this.next(); if (this.check('(')) this.skipBalanced(); continue; }
+            }
+            // A typedef name is a type only if no other type was given yet
+            if (this.isTypedefName(tok) && spec.typeSpecifiers.length === 0 && !spec.record &&
+                !spec.enumSpec && !spec.typedefName) {
+                spec.typedefName = this.next().value;
+                found = true;
+                continue;
+            }
+            break;
+        }
+        return found ? this.finish(spec, startTok) : null;
+    }
+
+    // struct/union specifier, with or without a member list
+    parseRecordSpec() {
+        const startTok = this.next();
+        this.skipAttributes();
+        let name = null;
+        if (this.peek() && this.peek().type === 'identifier') name = this.next().value;
+        let members = null;
+        if (this.accept('{')) {
+            members = [];
+            while (!this.atEnd() && !this.check('}')) {
+                const before = this.pos;
+                const member = this.parseFieldDeclaration();
+                if (member) members.push(member);
+                if (this.pos === before) this.next();
+            }
+            this.expect('}', `to close ${startTok.value} body`);
+        }
+        this.skipAttributes();
+        return this.finish({ kind: 'RecordSpec', tag: startTok.value, name, members }, startTok);
+    }
+
+    parseFieldDeclaration() {
+        const startTok = this.peek();
+        if (this.accept(';')) return null;
+        const specifiers = this.parseDeclSpecifiers();
+        if (!specifiers) {
+            this.error(`Expected a member declaration, found '${startTok.value}'`, startTok);
+            this.synchronize();
+            return null;
+        }
+        const declarators = [];
+        if (!this.check(';')) {
+            do {
+                let declarator;
+                if (this.check(':')) {
+                    declarator = this.finish({ kind: 'Declarator', name: null, derived: [], init: null }, this.peek());
+                } else {
+                    declarator = this.parseDeclarator(false);
+                }
+                if (this.accept(':')) declarator.bitWidth = this.parseConditional();
+                declarators.push(declarator);
+            } while (this.accept(','));
+        }
+        this.expectSemicolon('after struct member');
+        return this.finish({ kind: 'Declaration', specifiers, declarators, isField: true }, startTok);
+    }
+
+    parseEnumSpec() {
+        const startTok = this.next();
+        let name = null;
+        if (this.peek() && this.peek().type === 'identifier') name = this.next().value;
+        let enumerators = null;
+        if (this.accept('{')) {
+            enumerators = [];
+            while (!this.atEnd() && !this.check('}')) {
+                const tok = this.peek();
+                if (tok.type !== 'identifier') {
+                    this.error(`Expected enumerator name, found '${tok.value}'`, tok);
+                    this.synchronize();
+                    break;
+                }
+                this.next();
+                const value = this.accept('=') ? this.parseConditional() : null;
+                enumerators.push(this.finish({ kind: 'Enumerator', name: tok.value, value }, tok));
+                if (!this.accept(',')) break;
+            }
+            this.expect('}', 'to close enum body');
+        }
+        return this.finish({ kind: 'EnumSpec', name, enumerators }, startTok);
+    }
+
+    // Declarator: pointers, a name (or nested declarator) and array/function suffixes.
+    // `derived` lists the derivations from the name outward, so for "int *a[3]"
+    // it is [array 3, pointer]: a is an array of 3 pointers to int.
+    parseDeclarator(abstract) {
+        const startTok = this.peek();
+        const pointers = [];
+        while (this.check('*')) {
+            const star = this.next();
+            const qualifiers = [];
+            while (this.peek() && this.peek().type === 'keyword' && C_TYPE_QUALIFIERS.has(this.peek().value)) {
+                qualifiers.push(this.next().value);
+            }
+            this.skipAttributes();
+            pointers.push(this.finish({ kind: 'PointerDerivation', qualifiers }, star));
+        }
+
+        let name = null;
+        let nameRange = null;
+        let inner = [];
+        const tok = this.peek();
+        if (tok && tok.type === 'identifier' && !(abstract && this.isTypedefName(tok))) {
+            this.next();
+            name = tok.value;
+            nameRange = { start: { line: tok.line, col: tok.col }, end: { line: tok.endLine, col: tok.endCol } };
+        } else if (this.check('(') && this.isNestedDeclarator(abstract)) {
+            this.next();
+            const nested = this.parseDeclarator(abstract);
+            this.expect(')', 'to close declarator');
+            name = nested.name;
+            nameRange = nested.nameRange;
+            inner = nested.derived;
+        } else if (!abstract) {
+            const found = tok ? `'${tok.value}'` : 'end of input';
+            this.error(`Expected a name in declaration, found ${found}`, tok || startTok);
+        }
+
+        const suffixes = [];
+        for (;;) {
+            if (this.check('[')) {
+                const open = this.next();
+                while (this.peek() && this.peek().type === 'keyword' &&
+                       (C_TYPE_QUALIFIERS.has(this.peek().value) || this.peek().value === 'static')) {
+                    this.next();
+                }
+                const size = this.check(']') ? null : this.parseAssignment();
+                this.expect(']', 'to close array size');
+                suffixes.push(this.finish({ kind: 'ArrayDerivation', size }, open));
+            } else if (this.check('(')) {
+                suffixes.push(this.parseParameterList());
+            } else {
+                break;
+            }
+        }
+
+        return this.finish({
+            kind: 'Declarator',
+            name,
+            nameRange,
+            derived: inner.concat(suffixes, pointers.reverse()),
+            init: null
+        }, startTok);
+    }
+
+    // After '(' in a declarator: nested declarator "(*fp)" or parameter list "(int)"?
+    isNestedDeclarator(abstract) {
+        const after = this.peek(1);
+        if (!after) return false;
+        if (this.is(after, '*') || this.is(after, '(') || this.is(after, '[')) return true;
+        return !abstract && after.type === 'identifier' && !this.isTypedefName(after);
+    }
+
+    parseParameterList() {
+        const open = this.next();
+        const params = [];
+        let variadic = false;
+        let unspecified = false;
+
+        if (this.check(')')) {
+            unspecified = true;
+        } else if (this.check('void') && this.check(')', 1)) {
+            this.next();
+        } else {
+            do {
+                if (this.accept('...')) { variadic = true; break; }
+                params.push(this.parseParameter());
+            } while (this.accept(','));
+        }
+        this.expect(')', 'to close parameter list');
+        return this.finish({ kind: 'FunctionDerivation', params, variadic, unspecified }, open);
+    }
+
+    parseParameter() {
+        const startTok = this.peek();
+        const specifiers = this.parseDeclSpecifiers();
+        if (!specifiers) {
+            // Parameter without a type, e.g. "int f(x, y)"
+            let name = null;
+            if (startTok && startTok.type === 'identifier') name = this.next().value;
+            else this.error(`Expected a parameter, found '${startTok ? startTok.value : 'end of input'}'`, startTok);
+            while (!this.atEnd() && !this.check(',') && !this.check(')')) this.next();
+            const declarator = this.finish({ kind: 'Declarator', name, derived: [], init: null }, startTok);
+            return this.finish({ kind: 'ParamDecl', specifiers: null, declarator, name }, startTok);
+        }
+        const declarator = this.parseDeclarator(true);
+        return this.finish({ kind: 'ParamDecl', specifiers, declarator, name: declarator.name }, startTok);
+    }
+
+    isFunctionDeclarator(declarator) {
+        return declarator.derived.length > 0 && declarator.derived[0].kind === 'FunctionDerivation';
+    }
+
+    // Type name used by casts, sizeof and compound literals
+    parseTypeName() {
+        const startTok = this.peek();
+        const specifiers = this.parseDeclSpecifiers();
+        const declarator = this.parseDeclarator(true);
+        return this.finish({ kind: 'TypeName', specifiers, declarator }, startTok);
+    }
+
+    parseInitializer() {
+        if (!this.check('{')) return this.parseAssignment();
+        const open = this.next();
+        const elements = [];
+        while (!this.atEnd() && !this.check('}')) {
+            const startTok = this.peek();
+            const designators = [];
+            while (this.check('.') || this.check('[')) {
+                const desTok = this.peek();
+                if (this.accept('.')) {
+                    const field = this.next();
+                    designators.push(this.finish({ kind: 'Designator', field: field ? field.value : null, index: null }, desTok));
+                } else {
+                    this.next();
+                    const index = this.parseConditional();
+                    this.expect(']', 'to close designator');
+                    designators.push(this.finish({ kind: 'Designator', field: null, index }, desTok));
+                }
+            }
+            if (designators.length > 0) this.expect('=', 'after designator');
+            const value = this.parseInitializer();
+            elements.push(this.finish({ kind: 'InitElement', designators, value }, startTok));
+            if (!this.accept(',')) break;
+        }
+        this.expect('}', 'to close initializer list');
+        return this.finish({ kind: 'InitList', elements }, open);
+    }
+
+    // ---- Statements ----
+
+    parseFunctionBody() {
+        this.pushScope();
+        const body = this.parseCompoundStatement();
+        this.popScope();
+        return body;
+    }
+
+    parseCompoundStatement() {
+        const open = this.next();
+        this.pushScope();
+        const body = [];
+        while (!this.atEnd() && !this.check('}')) {
+            const before = this.pos;
+            const item = this.parseBlockItem();
+            if (item) body.push(item);
+            if (this.pos === before) {
+                this.error(`Unexpected '${this.peek().value}'`, this.peek());
+                this.next();
+            }
+        }
+        this.popScope();
+        this.expect('}', 'to close block');
+        return this.finish({ kind: 'CompoundStmt', body }, open);
+    }
+
+    parseBlockItem() {
+        const tok = this.peek();
+        if (this.is(tok, '_Static_assert')) {
+            this.next();
+            if (this.check('(')) this.skipBalanced();
+            this.accept(';');
+            return null;
+        }
+        if (this.startsDeclaration()) return this.parseDeclaration();
+        return this.parseStatement();
+    }
+
+    parseStatement() {
+        const tok = this.peek();
+        if (!tok) return null;
+
+        if (tok.type === 'keyword') {
+            switch (tok.value) {
+                case 'if': return this.parseIf();
+                case 'while': return this.parseWhile();
+                case 'do': return this.parseDoWhile();
+                case 'for': return this.parseFor();
+                case 'switch': return this.parseSwitch();
+                case 'case': return this.parseCase();
+                case 'default': return this.parseDefault();
+                case 'break':
+                case 'continue': {
+                    this.next();
+                    this.expectSemicolon(`after '${tok.value}'`);
+                    return this.finish({ kind: tok.value === 'break' ? 'BreakStmt' : 'ContinueStmt' }, tok);
+                }
+                case 'return': {
+                    this.next();
+                    const argument = this.check(';') ? null : this.parseExpression();
+                    this.expectSemicolon('after return statement');
+                    return this.finish({ kind: 'ReturnStmt', argument }, tok);
+                }
+                case 'goto': {
+                    this.next();
+                    const label = this.next();
+                    this.expectSemicolon('after goto');
+                    return this.finish({ kind: 'GotoStmt', label: label ? label.value : null }, tok);
+                }
+            }
+        }
+        if (this.is(tok, '{')) return this.parseCompoundStatement();
+        if (this.is(tok, '}')) {
+            this.error(`Expected a statement, found '}'`, tok);
+            return this.finish({ kind: 'EmptyStmt' }, tok);
+        }
+        if (this.is(tok, ';')) {
+            this.next();
+            return this.finish({ kind: 'EmptyStmt' }, tok);
+        }
+        if (tok.type === 'identifier' && this.check(':', 1)) {
+            this.next();
+            this.next();
+            const body = this.check('}') ? null : this.parseStatement();
+            return this.finish({ kind: 'LabelStmt', label: tok.value, body }, tok);
+        }
+
+        const expression = this.parseExpression();
+        if (expression.kind === 'InvalidExpr') {
+            this.synchronize();
+            return this.finish({ kind: 'ExprStmt', expression }, tok);
+        }
+        this.expectSemicolon('after expression');
+        return this.finish({ kind: 'ExprStmt', expression }, tok);
+    }
+
+    // "(" expression ")" after if/while/switch
+    parseCondition(keyword) {
+        this.expect('(', `after '${keyword}'`);
+        const test = this.parseExpression();
+        if (!this.expect(')', `to close '${keyword}' condition`) && this.check('}') && this.check('{', 1)) {
+            // "(x > 0}{" - treat the stray '}' as the missing ')'
+            this.next();
+        }
+        return test;
+    }
+
+    parseIf() {
+        const tok = this.next();
+        const test = this.parseCondition('if');
+        const consequent = this.parseStatement();
+        const alternate = this.accept('else') ? this.parseStatement() : null;
+        return this.finish({ kind: 'IfStmt', test, consequent, alternate }, tok);
+    }
+
+    parseWhile() {
+        const tok = this.next();
+        const test = this.parseCondition('while');
+        const body = this.parseStatement();
+        return this.finish({ kind: 'WhileStmt', test, body }, tok);
+    }
+
+    parseDoWhile() {
+        const tok = this.next();
+        const body = this.parseStatement();
+        this.expect('while', `after 'do' body`);
+        const test = this.parseCondition('while');
+        this.expectSemicolon('after do-while');
+        return this.finish({ kind: 'DoWhileStmt', body, test }, tok);
+    }
+
+    parseFor() {
+        const tok = this.next();
+        this.pushScope();
+        this.expect('(', `after 'for'`);
+        let init = null;
+        if (this.startsDeclaration()) {
+            init = this.parseDeclaration();
+        } else {
+            if (!this.check(';')) init = this.parseExpression();
+            this.expect(';', 'in for loop header');
+        }
+        const test = this.check(';') ? null : this.parseExpression();
+        this.expect(';', 'in for loop header');
+        const update = this.check(')') ? null : this.parseExpression();
+        this.expect(')', 'to close for loop header');
+        const body = this.parseStatement();
+        this.popScope();
+        return this.finish({ kind: 'ForStmt', init, test, update, body }, tok);
+    }
+
+    parseSwitch() {
+        const tok = this.next();
+        const discriminant = this.parseCondition('switch');
+        const body = this.parseStatement();
+        return this.finish({ kind: 'SwitchStmt', discriminant, body }, tok);
+    }
+
+    parseCase() {
+        const tok = this.next();
+        const test = this.parseConditional();
+        this.expect(':', 'after case value');
+        const body = this.check('}') ? null : this.parseStatement();
+        return this.finish({ kind: 'CaseStmt', test, body }, tok);
+    }
+
+    parseDefault() {
+        const tok = this.next();
+        this.expect(':', `after 'default'`);
+        const body = this.check('}') ? null : this.parseStatement();
+        return this.finish({ kind: 'DefaultStmt', body }, tok);
+    }
+
+    // ---- Expressions ----
+
+    parseExpression() {
+        const startTok = this.peek();
+        const first = this.parseAssignment();
+        if (!this.check(',')) return first;
+        const expressions = [first];
+        while (this.accept(',')) expressions.push(this.parseAssignment());
+        return this.finish({ kind: 'CommaExpr', expressions }, startTok);
+    }
+
+    parseAssignment() {
+        const startTok = this.peek();
+        const left = this.parseConditional();
+        const tok = this.peek();
+        if (tok && tok.type === 'operator' && C_ASSIGNMENT_OPERATORS.has(tok.value)) {
+            this.next();
+            const right = this.parseAssignment();
+            return this.finish({ kind: 'AssignExpr', operator: tok.value, left, right }, startTok);
+        }
+        return left;
+    }
+
+    parseConditional() {
+        const startTok = this.peek();
+        const test = this.parseBinary(1);
+        if (!this.accept('?')) return test;
+        const consequent = this.parseExpression();
+        this.expect(':', 'in conditional expression');
+        const alternate = this.parseConditional();
+        return this.finish({ kind: 'ConditionalExpr', test, consequent, alternate }, startTok);
+    }
+
+    // Precedence climbing over C_BINARY_PRECEDENCE
+    parseBinary(minPrecedence) {
+        const startTok = this.peek();
+        let left = this.parseCast();
+        for (;;) {
+            const tok = this.peek();
+            const precedence = tok && tok.type === 'operator' ? C_BINARY_PRECEDENCE[tok.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            this.next();
+            const right = this.parseBinary(precedence + 1);
+            left = this.finish({ kind: 'BinaryExpr', operator: tok.value, left, right }, startTok);
+        }
+    }
+
+    parseCast() {
+        const startTok = this.peek();
+        if (this.check('(') && this.startsTypeName(this.peek(1))) {
+            this.next();
+            const typeName = this.parseTypeName();
+            this.expect(')', 'to close cast');
+            if (this.check('{')) {
+                const init = this.parseInitializer();
+                const literal = this.finish({ kind: 'CompoundLiteral', typeName, init }, startTok);
+                return this.parsePostfix(literal, startTok);
+            }
+            const argument = this.parseCast();
+            return this.finish({ kind: 'CastExpr', typeName, argument }, startTok);
+        }
+        return this.parseUnary();
+    }
+
+    parseUnary() {
+        const tok = this.peek();
+        if (!tok) return this.invalidExpression(tok);
+        if (this.is(tok, '++') || this.is(tok, '--')) {
+            this.next();
+            const argument = this.parseUnary();
+            return this.finish({ kind: 'UpdateExpr', operator: tok.value, prefix: true, argument }, tok);
+        }
+        if (tok.type === 'operator' && ['&', '*', '+', '-', '~', '!'].includes(tok.value)) {
+            this.next();
+            const argument = this.parseCast();
+            return this.finish({ kind: 'UnaryExpr', operator: tok.value, argument }, tok);
+        }
+        if (this.is(tok, 'sizeof') || this.is(tok, '_Alignof')) {
+            this.next();
+            if (this.check('(') && this.startsTypeName(this.peek(1))) {
+                this.next();
+                const typeName = this.parseTypeName();
+                this.expect(')', `to close ${tok.value}`);
+                return this.finish({ kind: 'SizeofExpr', operator: tok.value, argument: typeName }, tok);
+            }
+            const argument = this.parseUnary();
+            return this.finish({ kind: 'SizeofExpr', operator: tok.value, argument }, tok);
+        }
+        return this.parsePostfix(this.parsePrimary(), tok);
+    }
+
+    parsePostfix(expr, startTok) {
+        for (;;) {
+            if (expr.kind === 'InvalidExpr') return expr;
+            if (this.accept('[')) {
+                const index = this.parseExpression();
+                this.expect(']', 'to close array index');
+                expr = this.finish({ kind: 'IndexExpr', object: expr, index }, startTok);
+            } else if (this.accept('(')) {
+                const args = [];
+                if (!this.check(')')) {
+                    do { args.push(this.parseAssignment()); } while (this.accept(','));
+                }
+                this.expect(')', 'to close argument list');
+                expr = this.finish({ kind: 'CallExpr', callee: expr, args }, startTok);
+            } else if (this.check('.') || this.check('->')) {
+                const op = this.next();
+                const member = this.next();
+                if (!member || member.type !== 'identifier') {
+                    this.error(`Expected member name after '${op.value}'`, member || op);
+                }
+                expr = this.finish({
+                    kind: 'MemberExpr',
+                    object: expr,
+                    member: member ? member.value : null,
+                    arrow: op.value === '->'
+                }, startTok);
+            } else if (this.check('++') || this.check('--')) {
+                const op = this.next();
+                expr = this.finish({ kind: 'UpdateExpr', operator: op.value, prefix: false, argument: expr }, startTok);
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const tok = this.peek();
+        if (!tok) return this.invalidExpression(tok);
+
+        if (tok.type === 'identifier') {
+            this.next();
+            return this.finish({ kind: 'Identifier', name: tok.value }, tok);
+        }
+        if (tok.type === 'number') {
+            this.next();
+            return this.finish(CParser.parseNumber(tok.value), tok);
+        }
+        if (tok.type === 'char') {
+            this.next();
+            const text = CParser.decodeEscapes(tok.value.slice(tok.value.indexOf("'") + 1, -1));
+            return this.finish({ kind: 'CharLiteral', raw: tok.value, value: text.length > 0 ? text.charCodeAt(0) : 0 }, tok);
+        }
+        if (tok.type === 'string') {
+            // Adjacent string literals are concatenated
+            const parts = [];
+            while (this.peek() && this.peek().type === 'string') {
+                const part = this.next().value;
+                parts.push(part);
+            }
+            const value = parts.map(p => CParser.decodeEscapes(p.slice(p.indexOf('"') + 1, -1))).join('');
+            return this.finish({ kind: 'StringLiteral', raw: parts.join(' '), value }, tok);
+        }
+        if (this.is(tok, '(')) {
+            this.next();
+            const expr = this.parseExpression();
+            this.expect(')', 'to close parenthesized expression');
+            expr.parenthesized = (expr.parenthesized || 0) + 1;
+            return expr;
+        }
+        return this.invalidExpression(tok);
+    }
+
+    invalidExpression(tok) {
+        const found = tok ? `'${tok.value}'` : 'end of input';
+        this.error(`Expected an expression, found ${found}`, tok || this.tokens[this.tokens.length - 1]);
+        return this.finish({ kind: 'InvalidExpr' }, tok || this.tokens[this.tokens.length - 1]);
+    }
+
+    // ---- Literal helpers ----
+
+    // Numeric literal node with its JavaScript value and C suffix
+    static parseNumber(raw) {
+        const match = raw.match(/^(.*?)([uUlL]*)$/);
+        let body = match[1];
+        let suffix = match[2].toLowerCase();
+        const isHex = /^0[xX]/.test(body);
+        const isFloat = isHex ? /[.pP]/.test(body) : /[.eE]/.test(body) || /[fF]$/.test(body);
+        let value;
+        if (isFloat) {
+            if (/[fF]$/.test(body) && !isHex) { body = body.slice(0, -1); suffix = 'f'; }
+            value = isHex ? CParser.parseHexFloat(body) : parseFloat(body);
+        } else if (isHex) {
+            value = parseInt(body.slice(2), 16);
+        } else if (/^0[bB]/.test(body)) {
+            value = parseInt(body.slice(2), 2);
+        } else if (/^0\d/.test(body)) {
+            value = parseInt(body, 8);
+        } else {
+            value = parseInt(body, 10);
+        }
+        return { kind: 'NumberLiteral', raw, value, isFloat, suffix };
+    }
+
+    static parseHexFloat(body) {
+        const match = body.match(/^0[xX]([0-9a-fA-F]*)\.?([0-9a-fA-F]*)[pP]([+-]?\d+)$/);
+        if (!match) return NaN;
+        const mantissa = parseInt((match[1] || '0') + (match[2] || ''), 16) / Math.pow(16, match[2].length);
+        return mantissa * Math.pow(2, parseInt(match[3], 10));
+    }
+
+    // Decode C escape sequences in the body of a string or char literal
+    static decodeEscapes(text) {
+        const simple = { n: '\n', t: '\t', r: '\r', '0': '\0', a: '\x07', b: '\b', f: '\f', v: '\v',
+                         '\\': '\\', "'": "'", '"': '"', '?': '?' };
+        return text.replace(/\\(x[0-9a-fA-F]+|[0-7]{1,3}|.)/g, (m, esc) => {
+            if (esc[0] === 'x') return String.fromCharCode(parseInt(esc.slice(1), 16) & 0xff);
+            if (/^[0-7]+$/.test(esc)) return String.fromCharCode(parseInt(esc, 8) & 0xff);
+            return simple[esc] !== undefined ? simple[esc] : esc;
+        });
+    }
+
+    // ---- Visitor API ----
+
+    // Child nodes of an AST node, in source order
+    static children(node) {
+        const keys = C_AST_CHILDREN[node.kind] || [];
+        const result = [];
+        keys.forEach(key => {
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(child => { if (child && child.kind) result.push(child); });
+            } else if (value && value.kind) {
+                result.push(value);
+            }
+        });
+        return result;
+    }
+
+    // Depth-first walk. `visitor` may define a method per node kind, plus
+    // generic `enter`/`leave` hooks. Each is called with (node, ancestors);
+    // returning false from `enter` or a kind method skips the children.
+    static walk(node, visitor, ancestors = []) {
+        if (!node) return;
+        if (visitor.enter && visitor.enter(node, ancestors) === false) return;
+        const handler = visitor[node.kind];
+        const descend = handler ? handler.call(visitor, node, ancestors) !== false : true;
+        if (descend) {
+            ancestors.push(node);
+            CParser.children(node).forEach(child => CParser.walk(child, visitor, ancestors));
+            ancestors.pop();
+        }
+        if (visitor.leave) visitor.leave(node, ancestors);
+    }
+
+    // ---- Printing ----
+
+    // Source text of an expression. With explicitParens every operand that is
+    // itself an operator expression is wrapped, showing how C groups it.
+    static print(node, explicitParens = false) {
+        const sub = (child) => {
+            const text = CParser.print(child, explicitParens);
+            const compound = ['BinaryExpr', 'AssignExpr', 'ConditionalExpr', 'CommaExpr', 'CastExpr'].includes(child.kind) ||
+                (child.kind === 'UnaryExpr' && explicitParens) || (child.kind === 'UpdateExpr' && explicitParens);
+            return (explicitParens && compound) || child.parenthesized ? `(${text})` : text;
+        };
+        if (!node) return '';
+        switch (node.kind) {
+            case 'Identifier': return node.name;
+            case 'NumberLiteral':
+            case 'CharLiteral':
+            case 'StringLiteral': return node.raw;
+            case 'BinaryExpr': return `${sub(node.left)} ${node.operator} ${sub(node.right)}`;
+            case 'AssignExpr': return `${sub(node.left)} ${node.operator} ${sub(node.right)}`;
+            case 'UnaryExpr': return `${node.operator}${sub(node.argument)}`;
+            case 'UpdateExpr': return node.prefix ? `${node.operator}${sub(node.argument)}` : `${sub(node.argument)}${node.operator}`;
+            case 'SizeofExpr': {
+                const arg = node.argument.kind === 'TypeName' ? `(${CParser.printType(node.argument)})` : sub(node.argument);
+                return node.argument.kind === 'TypeName' ? `${node.operator}${arg}` : `${node.operator} ${arg}`;
+            }
+            case 'CastExpr': return `(${CParser.printType(node.typeName)})${sub(node.argument)}`;
+            case 'CallExpr': return `${sub(node.callee)}(${node.args.map(a => CParser.print(a, explicitParens)).join(', ')})`;
+            case 'IndexExpr': return `${sub(node.object)}[${CParser.print(node.index, explicitParens)}]`;
+            case 'MemberExpr': return `${sub(node.object)}${node.arrow ? '->' : '.'}${node.member}`;
+            case 'ConditionalExpr': return `${sub(node.test)} ? ${sub(node.consequent)} : ${sub(node.alternate)}`;
+            case 'CommaExpr': return node.expressions.map(sub).join(', ');
+            case 'CompoundLiteral': return `(${CParser.printType(node.typeName)}){...}`;
+            case 'InitList': return `{...}`;
+            default: return '';
+        }
+    }
+
+    // Text of a TypeName such as "unsigned int *"
+    static printType(typeName) {
+        const spec = typeName.specifiers;
+        const parts = spec ? spec.qualifiers.concat(spec.typeSpecifiers) : [];
+        if (spec && spec.typedefName) parts.push(spec.typedefName);
+        if (spec && spec.record) parts.push(`${spec.record.tag} ${spec.record.name || ''}`.trim());
+        if (spec && spec.enumSpec) parts.push(`enum ${spec.enumSpec.name || ''}`.trim());
+        const stars = typeName.declarator ? typeName.declarator.derived.filter(d => d.kind === 'PointerDerivation').length : 0;
+        return parts.join(' ') + (stars > 0 ? ' ' + '*'.repeat(stars) : '');
+    }
+}
@@ -0,0 +1,458 @@
+/*
+ * PREPROCESSING (runs between Phase 1 and Phase 2)
+ *
+ * Works on CLexer tokens. Evaluates #if/#ifdef/#ifndef/#elif/#else/#endif,
+ * records #define/#undef, expands object-like and function-like macros
+ * (including # and ##), and splices in #include "x.h" from a virtual file
+ * set supplied by the caller.
+ *
+ * Output tokens keep pointing at the user's source: tokens produced by a
+ * macro take the line/column of the macro name where it was used (and
+ * record the macro in `macro`), and tokens from an included header carry
+ * that header's name in `file`.
+ */
+
+class CPreprocessor {
+    constructor(options = {}) {
+        this.files = options.files || {};   // virtual file set: name -> source text
+        this.macros = new Map();            // name -> { name, params, variadic, body, line, file }
+        this.includes = [];                 // every #include seen: { file, line, path, system, resolved }
+        this.inactiveLines = new Map();     // file -> Set of lines skipped by #if/#ifdef
+        this.errors = [];                   // { message, line, file, severity }
+        this.includeStack = [];
+
+        Object.entries(options.defines || {}).forEach(([name, value]) => {
+            this.define(name, String(value));
+        });
+        this.define('__STDC__', '1');
+        this.define('__STDC_VERSION__', '201112L');
+    }
+
+    // Define an object-like macro from text (used for predefined/caller macros)
+    define(name, text) {
+        const body = new CLexer(text, '<built-in>').tokenize().filter(t => t.type !== 'comment');
+        this.macros.set(name, { name, params: null, variadic: false, body, line: 0, file: '<built-in>' });
+    }
+
+    // Preprocess one file and return its code tokens
+    preprocess(code, file) {
+        const output = [];
+        this.processFile(code, file, output);
+        return output;
+    }
+
+    processFile(code, file, output) {
+        this.includeStack.push(file);
+        const tokens = new CLexer(code, file).tokenize();
+        const conditions = [];   // { active, taken, sawElse, line }
+        let run = [];            // active code tokens waiting for macro expansion
+
+        const isActive = () => conditions.every(c => c.active);
+        const flush = () => {
+            if (run.length > 0) output.push(...this.expand(run));
+            run = [];
+        };
+
+        tokens.forEach(tok => {
+            if (tok.type === 'comment') return;
+            if (tok.type !== 'preprocessor') {
+                if (isActive()) {
+                    run.push(tok);
+                } else {
+                    this.markInactive(file, tok.line, tok.endLine);
+                }
+                return;
+            }
+
+            flush();
+            const directive = tok.directive;
+            const parentActive = conditions.slice(0, -1).every(c => c.active);
+
+            switch (directive) {
+                case 'if':
+                case 'ifdef':
+                case 'ifndef': {
+                    const outer = isActive();
+                    const value = outer ? this.evaluateDirective(directive, tok) : false;
+                    conditions.push({ active: outer && value, taken: value, sawElse: false, line: tok.line });
+                    break;
+                }
+                case 'elif': {
+                    const top = conditions[conditions.length - 1];
+                    if (!top || top.sawElse) {
+                        this.error(`#elif without matching #if`, tok);
+                        break;
+                    }
+                    const value = parentActive && !top.taken ? this.evaluateDirective('if', tok) : false;
+                    top.active = parentActive && !top.taken && value;
+                    top.taken = top.taken || value;
+                    break;
+                }
+                case 'else': {
+                    const top = conditions[conditions.length - 1];
+                    if (!top || top.sawElse) {
+                        this.error(`#else without matching #if`, tok);
+                        break;
+                    }
+                    top.sawElse = true;
+                    top.active = parentActive && !top.taken;
+                    top.taken = true;
+                    break;
+                }
+                case 'endif':
+                    if (conditions.length === 0) this.error(`#endif without matching #if`, tok);
+                    else conditions.pop();
+                    break;
+                default:
+                    if (!isActive()) {
+                        this.markInactive(file, tok.line, tok.endLine);
+                        break;
+                    }
+                    this.handleDirective(tok, output);
+            }
+        });
+        flush();
+
+        conditions.forEach(c => {
+            this.errors.push({ message: `Unterminated conditional directive (missing #endif)`,
+                               line: c.line, file, severity: 'error' });
+        });
+        this.includeStack.pop();
+    }
+
+    markInactive(file, fromLine, toLine) {
+        if (!this.inactiveLines.has(file)) this.inactiveLines.set(file, new Set());
+        for (let line = fromLine; line <= toLine; line++) this.inactiveLines.get(file).add(line);
+    }
+
+    error(message, tok, severity = 'error') {
+        this.errors.push({ message, line: tok.line, file: tok.file, severity });
+    }
+
+    // Tokens of a directive's body, positioned on the directive's line
+    bodyTokens(tok) {
+        return new CLexer(tok.body, tok.file).tokenize()
+            .filter(t => t.type !== 'comment')
+            .map(t => Object.assign(t, { line: tok.line, endLine: tok.line, start: tok.start, end: tok.end }));
+    }
+
+    handleDirective(tok, output) {
+        switch (tok.directive) {
+            case 'define': this.handleDefine(tok); break;
+            case 'undef': {
+                const name = this.bodyTokens(tok)[0];
+                if (name) this.macros.delete(name.value);
+                break;
+            }
+            case 'include': this.handleInclude(tok, output); break;
+            case 'error':
+                this.error(`#error ${tok.body}`, tok);
+                break;
+            case 'warning':
+                this.error(`#warning ${tok.body}`, tok, 'warning');
+                break;
+            case 'pragma':
+            case 'line':
+            case 'ident':
+            case '':
+                break;
+            default:
+                this.error(`Unknown preprocessor directive '#${tok.directive}'`, tok);
+        }
+    }
+
+    handleDefine(tok) {
+        const body = this.bodyTokens(tok);
+        const nameTok = body.shift();
+        if (!nameTok || (nameTok.type !== 'identifier' && nameTok.type !== 'keyword')) {
+            this.error(`#define is missing a macro name`, tok);
+            return;
+        }
+        let params = null;
+        let variadic = false;
+        // Function-like only if '(' follows the name with no space in between
+        if (body.length > 0 && body[0].value === '(' && !body[0].spaceBefore) {
+            params = [];
+            body.shift();
+            while (body.length > 0 && body[0].value !== ')') {
+                const p = body.shift();
+                if (p.value === '...') {
+                    variadic = true;
+                } else if (p.type === 'identifier' || p.type === 'keyword') {
+                    params.push(p.value);
+                }
+            }
+            body.shift();
+        }
+        this.macros.set(nameTok.value, {
+            name: nameTok.value, params, variadic, body, line: tok.line, file: tok.file
+        });
+    }
+
+    handleInclude(tok, output) {
+        const text = tok.body.trim();
+        const match = text.match(/^"([^"]+)"|^<([^>]+)>/);
+        if (!match) {
+            this.error(`Malformed #include directive`, tok);
+            return;
+        }
+        const path = match[1] || match[2];
+        const system = !match[1];
+        const resolved = this.resolveInclude(path);
+        this.includes.push({ file: tok.file, line: tok.line, path, system, resolved });
+
+        if (resolved === null) {
+            if (!system && Object.keys(this.files).length > 0) {
+                this.error(`Header '${path}' not found in the supplied files`, tok, 'warning');
+            }
+            if (system) this.defineHeaderValues(path);
+            return;
+        }
+        if (this.includeStack.includes(resolved)) return;  // recursive include
+        this.processFile(this.files[resolved], resolved, output);
+    }
+
+    // System headers are not read; define the macros whose expansion the parser needs
+    // (e.g. PRId64 from <inttypes.h>) from the standard header table instead
+    defineHeaderValues(path) {
+        const header = typeof C_STANDARD_HEADERS !== 'undefined' ? C_STANDARD_HEADERS[path] : null;
+        Object.entries((header && header.values) || {}).forEach(([name, text]) => {
+            if (!this.macros.has(name)) this.define(name, text);
+        });
+    }
+
+    // Match "x.h" against the virtual files, by full name or by trailing path
+    resolveInclude(path) {
+        if (Object.prototype.hasOwnProperty.call(this.files, path)) return path;
+        const name = Object.keys(this.files).find(f => f.endsWith('/' + path));
+        return name || null;
+    }
+
+    // ---- #if evaluation ----
+
+    evaluateDirective(directive, tok) {
+        const body = this.bodyTokens(tok);
+        if (directive === 'ifdef' || directive === 'ifndef') {
+            const defined = body.length > 0 && this.macros.has(body[0].value);
+            return directive === 'ifdef' ? defined : !defined;
+        }
+
+        // Replace "defined X" / "defined(X)" before expanding macros
+        const replaced = [];
+        for (let i = 0; i < body.length; i++) {
+            if (body[i].value === 'defined') {
+                let name = body[i + 1];
+                let skip = 1;
+                if (name && name.value === '(') {
+                    name = body[i + 2];
+                    skip = 3;
+                }
+                const value = name && this.macros.has(name.value) ? '1' : '0';
+                replaced.push(Object.assign({}, body[i], { type: 'number', value }));
+                i += skip;
+                continue;
+            }
+            replaced.push(body[i]);
+        }
+
+        // Identifiers left after expansion evaluate to 0
+        const expanded = this.expand(replaced).map(t =>
+            t.type === 'identifier' || t.type === 'keyword' ? Object.assign({}, t, { type: 'number', value: '0' }) : t);
+        if (expanded.length === 0) {
+            this.error(`#${directive} with no expression`, tok);
+            return false;
+        }
+        const parser = new CParser(expanded);
+        const expr = parser.parseConditional();
+        if (parser.errors.length > 0 || !parser.atEnd()) {
+            this.error(`Invalid expression in #${directive}`, tok);
+            return false;
+        }
+        return this.evaluate(expr) !== 0;
+    }
+
+    // Integer arithmetic of #if expressions
+    evaluate(node) {
+        switch (node.kind) {
+            case 'NumberLiteral':
+            case 'CharLiteral':
+                return Math.trunc(node.value) || 0;
+            case 'UnaryExpr': {
+                const v = this.evaluate(node.argument);
+                return { '-': -v, '+': v, '!': v ? 0 : 1, '~': ~v }[node.operator] || 0;
+            }
+            case 'BinaryExpr': {
+                const l = this.evaluate(node.left);
+                if (node.operator === '&&') return l && this.evaluate(node.right) ? 1 : 0;
+                if (node.operator === '||') return l || this.evaluate(node.right) ? 1 : 0;
+                const r = this.evaluate(node.right);
+                switch (node.operator) {
+                    case '+': return l + r;
+                    case '-': return l - r;
+                    case '*': return l * r;
+                    case '/': return r === 0 ? 0 : Math.trunc(l / r);
+                    case '%': return r === 0 ? 0 : l % r;
+                    case '<<': return l << r;
+                    case '>>': return l >> r;
+                    case '&': return l & r;
+                    case '|': return l | r;
+                    case '^': return l ^ r;
+                    case '<': return l < r ? 1 : 0;
+                    case '>': return l > r ? 1 : 0;
+                    case '<=': return l <= r ? 1 : 0;
+                    case '>=': return l >= r ? 1 : 0;
+                    case '==': return l === r ? 1 : 0;
+                    case '!=': return l !== r ? 1 : 0;
+                    default: return 0;
+                }
+            }
+            case 'ConditionalExpr':
+                return this.evaluate(node.test) ? this.evaluate(node.consequent) : this.evaluate(node.alternate);
+            default:
+                return 0;
+        }
+    }
+
+    // ---- Macro expansion ----
+
+    // Expand every macro in a token list. Each token carries a hide set of the
+    // macros it came from, so a macro is never expanded inside itself.
+    expand(tokens) {
+        const input = tokens.slice();
+        const output = [];
+        let i = 0;
+        while (i < input.length) {
+            const tok = input[i];
+            const macro = (tok.type === 'identifier' || tok.type === 'keyword') ? this.macros.get(tok.value) : null;
+            if (!macro || (tok.hideSet && tok.hideSet.has(tok.value))) {
+                output.push(this.builtin(tok));
+                i++;
+                continue;
+            }
+
+            if (macro.params === null) {
+                const replacement = this.substitute(macro, null, tok);
+                input.splice(i, 1, ...replacement);
+                continue;
+            }
+
+            // Function-like macro name without '(' is an ordinary identifier
+            if (!input[i + 1] || input[i + 1].value !== '(') {
+                output.push(tok);
+                i++;
+                continue;
+            }
+            const args = this.collectArguments(input, i + 1);
+            if (!args) {
+                this.error(`Unterminated argument list for macro '${macro.name}'`, tok);
+                output.push(tok);
+                i++;
+                continue;
+            }
+            const replacement = this.substitute(macro, args.values, tok);
+            input.splice(i, args.end - i + 1, ...replacement);
+        }
+        return output;
+    }
+
+    // __LINE__ and __FILE__ take the position where they are used
+    builtin(tok) {
+        if (tok.value === '__LINE__') return Object.assign({}, tok, { type: 'number', value: String(tok.line) });
+        if (tok.value === '__FILE__') return Object.assign({}, tok, { type: 'string', value: `"${tok.file || ''}"` });
+        return tok;
+    }
+
+    // Split "(a, (b, c), d)" into argument token lists; returns { values, end }
+    collectArguments(tokens, openIdx) {
+        const values = [[]];
+        let depth = 0;
+        for (let i = openIdx; i < tokens.length; i++) {
+            const value = tokens[i].value;
+            if (value === '(') {
+                depth++;
+                if (depth === 1) continue;
+            } else if (value === ')') {
+                depth--;
+                if (depth === 0) {
+                    if (values.length === 1 && values[0].length === 0) values.pop();
+                    return { values, end: i };
+                }
+            } else if (value === ',' && depth === 1) {
+                values.push([]);
+                continue;
+            }
+            values[values.length - 1].push(tokens[i]);
+        }
+        return null;
+    }
+
+    // Build a macro's replacement list for one use at `site`
+    substitute(macro, args, site) {
+        const hideSet = new Set(site.hideSet || []);
+        hideSet.add(macro.name);
+        const paramIndex = (name) => {
+            if (!macro.params) return -1;
+            if (name === '__VA_ARGS__' && macro.variadic) return macro.params.length;
+            return macro.params.indexOf(name);
+        };
+        const argTokens = (index) => {
+            if (!args) return [];
+            if (index === macro.params.length) {
+                // __VA_ARGS__: remaining arguments, comma separated
+                const rest = args.slice(index);
+                const joined = [];
+                rest.forEach((arg, n) => {
+                    if (n > 0) joined.push(Object.assign({}, site, { type: 'punctuator', value: ',' }));
+                    joined.push(...arg);
+                });
+                return joined;
+            }
+            return args[index] || [];
+        };
+        const place = (t) => Object.assign({}, t, {
+            line: site.line, col: site.col, endLine: site.endLine, endCol: site.endCol,
+            start: site.start, end: site.end, file: site.file, spaceBefore: t.spaceBefore,
+            hideSet, macro: macro.name
+        });
+
+        const result = [];
+        const body = macro.body;
+        for (let i = 0; i < body.length; i++) {
+            const tok = body[i];
+            const next = body[i + 1];
+
+            // # param -> string literal of the argument's spelling
+            if (tok.value === '#' && macro.params && next && paramIndex(next.value) !== -1) {
+                const text = argTokens(paramIndex(next.value))
+                    .map((t, n) => (n > 0 && t.spaceBefore ? ' ' : '') + t.value).join('');
+                result.push(place({ type: 'string', value: JSON.stringify(text), spaceBefore: tok.spaceBefore }));
+                i++;
+                continue;
+            }
+
+            // a ## b -> one token made of both spellings
+            if (next && next.value === '##') {
+                const left = paramIndex(tok.value) !== -1 ? argTokens(paramIndex(tok.value)) : [tok];
+                const rightTok = body[i + 2];
+                const right = rightTok ? (paramIndex(rightTok.value) !== -1 ? argTokens(paramIndex(rightTok.value)) : [rightTok]) : [];
+                const leftText = left.length > 0 ? left[left.length - 1].value : '';
+                const rightText = right.length > 0 ? right[0].value : '';
+                left.slice(0, -1).forEach(t => result.push(place(t)));
+                const pasted = new CLexer(leftText + rightText, site.file).tokenize();
+                pasted.forEach(t => result.push(place(t)));
+                right.slice(1).forEach(t => result.push(place(t)));
+                i += 2;
+                continue;
+            }
+
+            const index = paramIndex(tok.value);
+            if (index !== -1) {
+                // Arguments are fully expanded before substitution and keep their own position
+                this.expand(argTokens(index)).forEach(t => result.push(Object.assign({}, t, { hideSet: new Set([...(t.hideSet || []), ...hideSet]) })));
+                continue;
+            }
+            result.push(place(tok));
+        }
+        return result;
+    }
+}
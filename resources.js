@@ -0,0 +1,406 @@
+/*
+ * PHASE 5: RESOURCE ANALYSIS
+ *
+ * Pairs calls that acquire a resource with the calls that release it
+ * (fopen/fclose, socket/close, pthread_mutex_lock/unlock, ...), following
+ * the handles through one function the way CHeapAnalysis follows memory.
+ * Each acquiring call is a site; a lock is one site per locked object
+ * ("&queue->lock"). A tracked handle (a local variable whose address is
+ * never taken) holds the set of sites it may refer to, or 'none' when it is
+ * known to hold no resource (NULL, -1, a failed acquire). Each site has the
+ * set of states it may be in:
+ *   'held'     - acquired and still owned by this function
+ *   'released' - passed to its release function
+ *   'escaped'  - handed to code we cannot see (returned, stored, passed on)
+ *   'unheld'   - a lock not taken on some path that reaches here
+ * A state is { handles: Map symbol -> Set, sites: Map site -> Set }, or null
+ * where the code cannot be reached.
+ */
+
+// Acquire/release pairs. The handle is the acquiring call's result, or with
+// `argument` the object that argument points to (a lock); the release
+// function takes it as argument `releaseArgument` (default 0). `failure` is
+// what the acquiring call returns when it fails: NULL or -1.
+const C_RESOURCE_PAIRS = [
+    { acquire: ['fopen', 'fdopen', 'tmpfile'], release: ['fclose'], resource: 'file', failure: 'NULL' },
+    { acquire: ['popen'], release: ['pclose'], resource: 'pipe', failure: 'NULL' },
+    { acquire: ['opendir', 'fdopendir'], release: ['closedir'], resource: 'directory stream', failure: 'NULL' },
+    { acquire: ['socket', 'accept', 'open', 'creat', 'dup'], release: ['close'], resource: 'file descriptor', failure: -1 },
+    { acquire: ['pthread_mutex_lock'], release: ['pthread_mutex_unlock'], resource: 'mutex lock', argument: 0 }
+];
+
+// Library functions that use a handle passed to them but never keep or release it
+const C_HANDLE_USING_FUNCTIONS = new Set([
+    'fprintf', 'vfprintf', 'fscanf', 'fgets', 'fputs', 'fgetc', 'fputc', 'getc', 'putc', 'ungetc',
+    'fread', 'fwrite', 'fseek', 'ftell', 'rewind', 'feof', 'ferror', 'clearerr', 'fflush', 'fileno', 'setvbuf',
+    'readdir', 'rewinddir', 'read', 'write', 'lseek', 'fstat', 'fsync', 'ioctl', 'fcntl',
+    'send', 'recv', 'sendto', 'recvfrom', 'bind', 'listen', 'connect', 'accept', 'shutdown', 'setsockopt', 'getsockopt'
+]);
+
+class CResourceAnalysis extends CDataFlowAnalysis {
+    // options.pairs: acquire/release pairs (C_RESOURCE_PAIRS plus any the user configured)
+    // options.evaluate: constant value of an expression, or null
+    constructor(cfg, options = {}) {
+        super(cfg, {
+            direction: 'forward',
+            boundary: () => ({ handles: new Map(), sites: new Map() }),
+            initial: () => null,
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => this.join(states),
+            equals: (a, b) => this.sameState(a, b),
+            edge: (edge, state) => this.alongEdge(edge, state)
+        });
+        this.evaluate = options.evaluate || (() => null);
+        this.acquirers = new Map();   // function name -> pair
+        this.releasers = new Map();
+        (options.pairs || C_RESOURCE_PAIRS).forEach(pair => {
+            [].concat(pair.acquire).forEach(name => this.acquirers.set(name, pair));
+            [].concat(pair.release).forEach(name => this.releasers.set(name, pair));
+        });
+        this.sites = new Map();       // acquiring CallExpr, or lock text -> site, stable across iterations
+
+        const addressTaken = new Set();
+        this.effects.forEach(events => events.forEach(event => {
+            if (event.kind === 'address') addressTaken.add(event.symbol);
+        }));
+        this.isTracked = (symbol) => !!symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter') &&
+            symbol.scope.kind !== 'file' && !symbol.storage.includes('static') && !symbol.storage.includes('extern') &&
+            (symbol.type.isPointer() || symbol.type.isInteger()) && !addressTaken.has(symbol);
+
+        // Locks this function takes somewhere; unlocking any other lock is the caller's business
+        this.lockedHere = new Set();
+        cfg.blocks.forEach(block => block.nodes.forEach(node => CParser.walk(node, {
+            CallExpr: (call) => {
+                const pair = this.pairOf(call, this.acquirers);
+                if (pair && pair.argument !== undefined && call.args[pair.argument]) this.lockedHere.add(CParser.print(call.args[pair.argument]));
+            }
+        })));
+    }
+
+    pairOf(call, table) {
+        return call.callee.kind === 'Identifier' && table.has(call.callee.name) ? table.get(call.callee.name) : null;
+    }
+
+    // ---- States ----
+
+    join(states) {
+        const live = states.filter(Boolean);
+        if (!live.length) return null;
+        const result = this.copy(live[0]);
+        live.slice(1).forEach(state => {
+            result.handles.forEach((targets, symbol) => {
+                if (state.handles.has(symbol)) {
+                    state.handles.get(symbol).forEach(target => targets.add(target));
+                } else {
+                    result.handles.delete(symbol);
+                }
+            });
+            state.sites.forEach((statuses, site) => {
+                if (!result.sites.has(site)) result.sites.set(site, new Set());
+                statuses.forEach(status => result.sites.get(site).add(status));
+            });
+        });
+        // A lock taken on some paths only may not be held
+        result.sites.forEach((statuses, site) => {
+            if (site.kind === 'lock' && live.some(state => !state.sites.has(site))) statuses.add('unheld');
+        });
+        return result;
+    }
+
+    sameState(a, b) {
+        if (!a || !b) return a === b;
+        const sameMap = (x, y) => x.size === y.size && [...x].every(([key, set]) =>
+            y.has(key) && y.get(key).size === set.size && [...set].every(item => y.get(key).has(item)));
+        return sameMap(a.handles, b.handles) && sameMap(a.sites, b.sites);
+    }
+
+    copy(state) {
+        const handles = new Map();
+        const sites = new Map();
+        state.handles.forEach((targets, symbol) => handles.set(symbol, new Set(targets)));
+        state.sites.forEach((statuses, site) => sites.set(site, new Set(statuses)));
+        return { handles, sites };
+    }
+
+    replaceState(state, next) {
+        state.handles = next.handles;
+        state.sites = next.sites;
+    }
+
+    // if (!fp) / fd < 0: on the branch where the acquire failed there is nothing to release
+    alongEdge(edge, state) {
+        if (!state || !edge.block.condition || (edge.label !== 'true' && edge.label !== 'false')) return state;
+        return this.refine(edge.block.condition, edge.label === 'true', state);
+    }
+
+    // { symbol, failed } when `test` is true exactly when a handle did (failed) or did not fail:
+    // fp, !fp, fp == NULL, fd < 0, fd == -1, fd >= 0
+    failureCheck(test) {
+        const isPointer = (symbol) => this.isTracked(symbol) && symbol.type.isPointer();
+        const check = CNullPointerAnalysis.nullCheck(test, isPointer, this.evaluate);
+        if (check) return { symbol: check.symbol, failed: check.isNull };
+        if (test.kind !== 'BinaryExpr' || !C_SWAPPED_COMPARISON[test.operator]) return null;
+        const descriptor = (expr) => {
+            if (expr.kind === 'AssignExpr' && expr.operator === '=') expr = expr.left;
+            return expr.kind === 'Identifier' && this.isTracked(expr.symbol) && expr.symbol.type.isInteger() ? expr.symbol : null;
+        };
+        let [symbol, operator, bound] = [descriptor(test.left), test.operator, test.right];
+        if (!symbol) [symbol, operator, bound] = [descriptor(test.right), C_SWAPPED_COMPARISON[test.operator], test.left];
+        if (!symbol) return null;
+        const value = this.evaluate(bound);
+        const failed = { '<': 0, '<=': -1, '==': -1 };
+        const succeeded = { '>=': 0, '>': -1, '!=': -1 };
+        if (failed[operator] === value) return { symbol, failed: true };
+        if (succeeded[operator] === value) return { symbol, failed: false };
+        return null;
+    }
+
+    refine(test, truth, state) {
+        const check = this.failureCheck(test);
+        if (!check || !state.handles.has(check.symbol)) return state;
+        const targets = state.handles.get(check.symbol);
+        const result = this.copy(state);
+        if (check.failed === truth) {
+            // The handle holds none of its sites here: its only site failed to acquire, and so did
+            // any other one no second handle refers to
+            targets.forEach(target => {
+                if (target === 'none') return;
+                const shared = [...state.handles].some(([symbol, others]) => symbol !== check.symbol && others.has(target));
+                if (targets.size === 1 || !shared) result.sites.delete(target);
+            });
+            result.handles.set(check.symbol, new Set(['none']));
+        } else {
+            const remaining = new Set([...targets].filter(target => target !== 'none'));
+            if (targets.size > 0 && remaining.size === 0) return null;
+            result.handles.set(check.symbol, remaining);
+        }
+        return result;
+    }
+
+    // ---- Transfer ----
+
+    // Run the block from `state`, calling visit(event) for each problem found:
+    //   { kind: 'double-release' | 'unacquired-release' | 'overwritten' | 'discarded',
+    //     node, site, symbol, pair, definite }
+    replay(block, state, visit = null) {
+        if (!state) return null;
+        const current = this.copy(state);
+        this.visitor = visit;
+        block.nodes.forEach(node => this.execute(node, current));
+        this.visitor = null;
+        return current;
+    }
+
+    report(event) {
+        if (this.visitor) this.visitor(event);
+    }
+
+    execute(node, state) {
+        switch (node.kind) {
+            case 'Declaration':
+                node.declarators.forEach(declarator => {
+                    const targets = declarator.init ? this.value(declarator.init, state) : null;
+                    if (this.isTracked(declarator.symbol)) {
+                        this.store(declarator.symbol, targets, state, declarator);
+                    } else {
+                        this.escape(targets, state);
+                    }
+                });
+                return;
+            case 'ExprStmt': {
+                let expr = node.expression;
+                while (expr.kind === 'CastExpr') expr = expr.argument;
+                const targets = this.value(node.expression, state);
+                if (expr.kind === 'CallExpr' && targets) {
+                    targets.forEach(site => {
+                        if (site === 'none') return;
+                        this.report({ kind: 'discarded', node: expr, site, pair: site.pair, definite: true });
+                        state.sites.delete(site);
+                    });
+                }
+                return;
+            }
+            case 'ReturnStmt':
+                if (node.argument) this.escape(this.value(node.argument, state), state);
+                return;
+            case 'EmptyStmt':
+            case 'BreakStmt':
+            case 'ContinueStmt':
+            case 'GotoStmt':
+                return;
+            default:
+                this.value(node, state);
+        }
+    }
+
+    siteFor(key, make) {
+        if (!this.sites.has(key)) this.sites.set(key, make());
+        return this.sites.get(key);
+    }
+
+    // Assign `targets` to a tracked handle; a resource only it referred to can no longer be released
+    store(symbol, targets, state, node) {
+        const old = state.handles.get(symbol);
+        if (old) {
+            old.forEach(site => {
+                if (site === 'none' || !state.sites.has(site) || (targets && targets.has(site))) return;
+                const statuses = state.sites.get(site);
+                const heldElsewhere = [...state.handles].some(([other, set]) => other !== symbol && set.has(site));
+                if (heldElsewhere || statuses.size !== 1 || !statuses.has('held')) return;
+                this.report({ kind: 'overwritten', node, site, symbol, pair: site.pair, definite: true });
+                state.sites.delete(site);
+            });
+        }
+        if (targets) {
+            state.handles.set(symbol, new Set(targets));
+        } else {
+            state.handles.delete(symbol);
+        }
+    }
+
+    // The handle leaves our sight: someone else may release it
+    escape(targets, state) {
+        if (!targets) return;
+        targets.forEach(site => {
+            if (site !== 'none' && state.sites.has(site) && !state.sites.get(site).has('released')) {
+                state.sites.set(site, new Set(['escaped']));
+            }
+        });
+    }
+
+    release(call, pair, state) {
+        let arg = call.args[pair.releaseArgument || 0];
+        if (!arg) return;
+        const name = call.callee.name;
+        if (pair.argument !== undefined) {
+            this.value(arg, state);
+            const key = CParser.print(arg);
+            if (!this.lockedHere.has(key)) return;
+            const site = this.siteFor(key, () => ({ kind: 'lock', key, pair, node: call }));
+            const statuses = state.sites.get(site);
+            if (!statuses || statuses.has('unheld') || statuses.has('released')) {
+                const kind = statuses && statuses.has('released') ? 'double-release' : 'unacquired-release';
+                const definite = !statuses || (statuses.size === 1 && !statuses.has('held'));
+                this.report({ kind, node: call, site, symbol: null, pair, definite, release: name });
+            }
+            state.sites.set(site, new Set(['released']));
+            return;
+        }
+        const targets = this.value(arg, state);
+        if (!targets) return;
+        while (arg.kind === 'CastExpr') arg = arg.argument;
+        const symbol = arg.kind === 'Identifier' ? arg.symbol : null;
+        if (targets.has('none')) {
+            this.report({ kind: 'unacquired-release', node: call, site: null, symbol, pair, definite: targets.size === 1, release: name });
+        }
+        targets.forEach(site => {
+            if (site === 'none' || !state.sites.has(site)) return;
+            const statuses = state.sites.get(site);
+            if (statuses.has('released')) {
+                this.report({ kind: 'double-release', node: call, site, symbol, pair, definite: statuses.size === 1 && targets.size === 1, release: name });
+            }
+            state.sites.set(site, new Set(['released']));
+        });
+    }
+
+    // Resources an expression may refer to (null if unknown), applying its effects to `state`
+    value(expr, state) {
+        switch (expr.kind) {
+            case 'Identifier': {
+                if (this.isTracked(expr.symbol)) return state.handles.has(expr.symbol) ? new Set(state.handles.get(expr.symbol)) : null;
+                return expr.name === 'NULL' ? new Set(['none']) : null;
+            }
+            case 'NumberLiteral':
+            case 'UnaryExpr':
+                if (this.evaluate(expr) === -1) return new Set(['none']);
+                if (expr.kind === 'UnaryExpr') this.value(expr.argument, state);
+                return null;
+            case 'CastExpr':
+                return this.value(expr.argument, state);
+            case 'CommaExpr':
+                return expr.expressions.map(e => this.value(e, state)).pop();
+            case 'CallExpr':
+                return this.call(expr, state);
+            case 'AssignExpr': {
+                const targets = this.value(expr.right, state);
+                const left = expr.left;
+                if (left.kind === 'Identifier' && this.isTracked(left.symbol)) {
+                    this.store(left.symbol, expr.operator === '=' ? targets : null, state, expr);
+                    return expr.operator === '=' ? targets : null;
+                }
+                this.value(left, state);
+                this.escape(targets, state);
+                return null;
+            }
+            case 'UpdateExpr':
+                this.value(expr.argument, state);
+                if (expr.argument.kind === 'Identifier' && this.isTracked(expr.argument.symbol)) {
+                    state.handles.delete(expr.argument.symbol);
+                }
+                return null;
+            case 'ConditionalExpr': {
+                this.value(expr.test, state);
+                const whenTrue = this.refine(expr.test, true, this.copy(state));
+                const whenFalse = this.refine(expr.test, false, this.copy(state));
+                const a = whenTrue ? this.value(expr.consequent, whenTrue) : null;
+                const b = whenFalse ? this.value(expr.alternate, whenFalse) : null;
+                const joined = this.join([whenTrue, whenFalse]);
+                if (joined) this.replaceState(state, joined);
+                if (a && b) return new Set([...a, ...b]);
+                // n ? fopen(n, "r") : stdin - a handle we do not track holds none of our resources
+                const known = a || b;
+                return known && [...known].some(target => target !== 'none') ? new Set([...known, 'none']) : null;
+            }
+            case 'SizeofExpr':
+                return null;
+            case 'BinaryExpr':
+            case 'IndexExpr':
+            case 'MemberExpr':
+                // Comparing a handle or reading through it neither releases it nor hands it on
+                CParser.children(expr).forEach(child => this.value(child, state));
+                return null;
+            default:
+                CParser.children(expr).forEach(child => {
+                    if (child.kind !== 'TypeName') this.escape(this.value(child, state), state);
+                });
+                return null;
+        }
+    }
+
+    call(expr, state) {
+        const name = expr.callee.kind === 'Identifier' ? expr.callee.name : null;
+        if (!name) this.value(expr.callee, state);
+        const released = this.pairOf(expr, this.releasers);
+        if (released) {
+            this.release(expr, released, state);
+            expr.args.forEach((arg, i) => {
+                if (i !== (released.releaseArgument || 0)) this.value(arg, state);
+            });
+            return null;
+        }
+        const acquired = this.pairOf(expr, this.acquirers);
+        expr.args.forEach(arg => {
+            const targets = this.value(arg, state);
+            if (!acquired && !C_HANDLE_USING_FUNCTIONS.has(name)) this.escape(targets, state);
+        });
+        if (!acquired) return null;
+        if (acquired.argument !== undefined) {
+            const arg = expr.args[acquired.argument];
+            if (!arg) return null;
+            const key = CParser.print(arg);
+            state.sites.set(this.siteFor(key, () => ({ kind: 'lock', key, pair: acquired, node: expr })), new Set(['held']));
+            return null;
+        }
+        const site = this.siteFor(expr, () => ({ kind: 'handle', pair: acquired, acquirer: name, node: expr }));
+        state.sites.set(site, new Set(['held']));
+        return new Set([site]);
+    }
+
+    // Sites that may still be held (not released, not handed on) when control leaves along `edge`
+    heldAt(edge) {
+        const state = this.out.get(edge.block);
+        if (!state) return [];
+        return [...state.sites].filter(([, statuses]) => statuses.has('held'))
+            .map(([site, statuses]) => ({ site, definite: statuses.size === 1 }));
+    }
+}
@@ -0,0 +1,62 @@
+/*
+ * PHASE 4: SEMANTIC ANALYSIS - UNSAFE LIBRARY FUNCTIONS
+ *
+ * Library functions that cannot be used safely, or only with care most
+ * callers do not take, with the weakness they cause (a CWE identifier) and
+ * what to use instead:
+ *   gets(buf)     ->  CWE-242, fgets(buf, sizeof buf, stdin)
+ *   atoi(text)    ->  CWE-20, strtol() with its end pointer checked
+ * Teams can ban more functions, or replace the guidance for these ones.
+ */
+
+// Banned functions: why, the weakness, how bad a call is and what to use instead
+const C_UNSAFE_FUNCTIONS = {
+    gets: { cwe: 'CWE-242', severity: 'critical', reason: 'it cannot limit the input to the size of the buffer (it was removed in C11)',
+            replacement: 'fgets(buffer, size, stdin), which stops at the buffer size' },
+    strcpy: { cwe: 'CWE-120', severity: 'warning', reason: 'it copies without checking the size of the destination',
+              replacement: 'snprintf(dest, sizeof dest, "%s", src), which truncates instead of overflowing' },
+    strcat: { cwe: 'CWE-120', severity: 'warning', reason: 'it appends without checking the space left in the destination',
+              replacement: 'strncat(dest, src, sizeof dest - strlen(dest) - 1), or snprintf into a fresh buffer' },
+    sprintf: { cwe: 'CWE-120', severity: 'warning', reason: 'it writes output of any length into the destination',
+               replacement: 'snprintf(dest, sizeof dest, ...), which stops at the buffer size' },
+    vsprintf: { cwe: 'CWE-120', severity: 'warning', reason: 'it writes output of any length into the destination',
+                replacement: 'vsnprintf(dest, sizeof dest, ...), which stops at the buffer size' },
+    atoi: { cwe: 'CWE-20', severity: 'warning', reason: 'it cannot report text that is not a number, and overflows are undefined behavior',
+            replacement: 'strtol(text, &end, 10), checking end and errno' },
+    atol: { cwe: 'CWE-20', severity: 'warning', reason: 'it cannot report text that is not a number, and overflows are undefined behavior',
+            replacement: 'strtol(text, &end, 10), checking end and errno' },
+    atoll: { cwe: 'CWE-20', severity: 'warning', reason: 'it cannot report text that is not a number, and overflows are undefined behavior',
+             replacement: 'strtoll(text, &end, 10), checking end and errno' },
+    atof: { cwe: 'CWE-20', severity: 'warning', reason: 'it cannot report text that is not a number',
+            replacement: 'strtod(text, &end), checking end and errno' },
+    rand: { cwe: 'CWE-338', severity: 'info', reason: 'its numbers are predictable, so they must not protect anything',
+            replacement: 'a cryptographic source such as getrandom() or /dev/urandom for keys, tokens and passwords' },
+    tmpnam: { cwe: 'CWE-377', severity: 'warning', reason: 'another process can create the file between choosing the name and opening it',
+              replacement: 'mkstemp(), which creates and opens the file in one step' },
+    tempnam: { cwe: 'CWE-377', severity: 'warning', reason: 'another process can create the file between choosing the name and opening it',
+               replacement: 'mkstemp(), which creates and opens the file in one step' },
+    mktemp: { cwe: 'CWE-377', severity: 'warning', reason: 'another process can create the file between choosing the name and opening it',
+              replacement: 'mkstemp(), which creates and opens the file in one step' }
+};
+
+class CUnsafeFunctions {
+    // custom: { name: entry } in the form of C_UNSAFE_FUNCTIONS; the fields given
+    // override the built-in entry, and false allows a built-in function again
+    constructor(custom = {}) {
+        this.entries = new Map();
+        Object.keys(C_UNSAFE_FUNCTIONS).forEach(name => this.entries.set(name, C_UNSAFE_FUNCTIONS[name]));
+        Object.keys(custom).forEach(name => {
+            if (!custom[name]) {
+                this.entries.delete(name);
+                return;
+            }
+            this.entries.set(name, Object.assign({ cwe: 'CWE-676', severity: 'warning', reason: 'it is on the banned list' },
+                C_UNSAFE_FUNCTIONS[name], custom[name]));
+        });
+    }
+
+    // { cwe, severity, reason, replacement } of a banned function, or null
+    lookup(name) {
+        return this.entries.get(name) || null;
+    }
+}
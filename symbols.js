@@ -0,0 +1,224 @@
+/*
+ * PHASE 3: SYMBOL TABLE MANAGEMENT
+ *
+ * Builds nested scopes over the AST (file, function, block and for-init
+ * scopes), declares every variable, parameter, function, typedef and
+ * enumerator in the scope it belongs to, and resolves each Identifier to its
+ * declaration (node.symbol); declarators and parameters point at the symbol
+ * they declare the same way. Declarations that hide an outer variable are
+ * collected in `shadowed`.
+ *
+ * Symbol fields:
+ *   name, kind ('variable' | 'parameter' | 'function' | 'typedef' | 'enumerator'),
+ *   type (CType), derived (pointer/array/function layers), storage, scope,
+ *   node, declaration, file, line, col, range, hasInit, isDefinition,
+ *   references, value (enumerators only)
+ */
+
+class CScope {
+    constructor(kind, parent, node) {
+        this.kind = kind;          // 'file' | 'function' | 'block' | 'for'
+        this.parent = parent;
+        this.node = node;
+        this.symbols = new Map();
+        this.children = [];
+        if (parent) parent.children.push(this);
+    }
+
+    // Find a name here or in an enclosing scope
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.symbols.has(name)) return scope.symbols.get(name);
+        }
+        return null;
+    }
+}
+
+class CSymbolTable {
+    // options.types: the CTypes instance that builds declaration types
+    constructor(options = {}) {
+        this.fileScope = null;
+        this.current = null;
+        this.scopes = [];
+        this.symbols = [];
+        this.shadowed = [];   // { symbol, outer }
+        this.types = options.types || new CTypes();
+        this.types.lookupTypedef = (name) => {
+            const symbol = (this.current || this.fileScope).lookup(name);
+            return symbol && symbol.kind === 'typedef' ? symbol.type : null;
+        };
+    }
+
+    build(ast) {
+        this.fileScope = this.pushScope('file', ast);
+        ast.body.forEach(node => this.visit(node));
+        this.popScope();
+        return this;
+    }
+
+    pushScope(kind, node) {
+        this.current = new CScope(kind, this.current, node);
+        this.scopes.push(this.current);
+        return this.current;
+    }
+
+    popScope() {
+        this.current = this.current.parent;
+    }
+
+    withScope(kind, node, fn) {
+        this.pushScope(kind, node);
+        fn();
+        this.popScope();
+    }
+
+    visit(node) {
+        if (!node) return;
+        switch (node.kind) {
+            case 'FunctionDef':
+                this.visitFunction(node);
+                return;
+            case 'Declaration':
+                this.visitDeclaration(node);
+                return;
+            case 'EnumSpec': {
+                // Enumerators count up from 0, or from the last explicit value
+                let next = 0;
+                (node.enumerators || []).forEach(enumerator => {
+                    this.visit(enumerator.value);
+                    const symbol = this.makeSymbol(enumerator.name, 'enumerator', CType.integer('int'), null, enumerator, enumerator.range);
+                    const value = enumerator.value ? this.types.evaluate(enumerator.value) : next;
+                    symbol.value = Number.isInteger(value) ? value : null;
+                    next = (symbol.value === null ? next : symbol.value) + 1;
+                    this.declare(symbol);
+                });
+                return;
+            }
+            case 'TypeName':
+                CParser.children(node).forEach(child => this.visit(child));
+                this.types.fromTypeName(node);
+                return;
+            case 'CompoundStmt':
+                this.withScope('block', node, () => node.body.forEach(child => this.visit(child)));
+                return;
+            case 'ForStmt':
+                this.withScope('for', node, () => CParser.children(node).forEach(child => this.visit(child)));
+                return;
+            case 'Identifier':
+                this.resolve(node);
+                return;
+            default:
+                CParser.children(node).forEach(child => this.visit(child));
+        }
+    }
+
+    visitFunction(fn) {
+        this.visit(fn.specifiers);
+        const type = this.types.fromDeclarator(this.types.fromSpecifiers(fn.specifiers), fn.declarator);
+        const symbol = this.makeSymbol(fn.name, 'function', type, fn.specifiers, fn,
+            fn.declarator.nameRange || fn.range, fn.declarator);
+        symbol.isDefinition = true;
+        this.declare(symbol);
+
+        // Parameters and the outermost block of the body share the function scope
+        this.withScope('function', fn, () => {
+            const derivation = fn.declarator.derived.find(d => d.kind === 'FunctionDerivation');
+            if (derivation) derivation.params.forEach(param => this.declareParameter(param));
+            if (fn.body) fn.body.body.forEach(child => this.visit(child));
+        });
+    }
+
+    declareParameter(param) {
+        const declarator = param.declarator;
+        if (declarator) this.visitArraySizes(declarator);
+        if (!param.name) return;
+        const symbol = this.makeSymbol(param.name, 'parameter', this.types.parameterType(param), param.specifiers, param,
+            declarator && declarator.nameRange ? declarator.nameRange : param.range, declarator);
+        symbol.hasInit = true;
+        param.symbol = this.declare(symbol);
+    }
+
+    visitDeclaration(decl) {
+        this.visit(decl.specifiers);
+        const storage = decl.specifiers ? decl.specifiers.storage : [];
+        const base = this.types.fromSpecifiers(decl.specifiers);
+        decl.declarators.forEach(declarator => {
+            this.visitArraySizes(declarator);
+            this.visit(declarator.bitWidth);
+            // Struct members are not variables
+            if (!decl.isField && declarator.name) {
+                const first = declarator.derived[0];
+                const kind = storage.includes('typedef') ? 'typedef'
+                    : first && first.kind === 'FunctionDerivation' ? 'function' : 'variable';
+                const type = this.types.completeArray(this.types.fromDeclarator(base, declarator), declarator.init);
+                const symbol = this.makeSymbol(declarator.name, kind, type, decl.specifiers, declarator,
+                    declarator.nameRange || declarator.range, declarator);
+                symbol.declaration = decl;
+                symbol.hasInit = !!declarator.init;
+                symbol.isDefinition = kind === 'variable' && !storage.includes('extern');
+                declarator.symbol = this.declare(symbol);
+            }
+            // The name is in scope inside its own initializer
+            this.visit(declarator.init);
+        });
+    }
+
+    // Array sizes are expressions; function parameter lists belong to prototype scope
+    visitArraySizes(declarator) {
+        declarator.derived.forEach(d => {
+            if (d.kind === 'ArrayDerivation') this.visit(d.size);
+        });
+    }
+
+    makeSymbol(name, kind, type, specifiers, node, range, declarator = null) {
+        return {
+            name,
+            kind,
+            type,
+            derived: declarator ? declarator.derived : [],
+            storage: specifiers ? specifiers.storage : [],
+            scope: this.current,
+            node,
+            declaration: null,
+            file: node.file,
+            line: range.start.line,
+            col: range.start.col,
+            range,
+            hasInit: false,
+            isDefinition: false,
+            references: []
+        };
+    }
+
+    declare(symbol) {
+        const scope = this.current;
+        const existing = scope.symbols.get(symbol.name);
+        if (existing) {
+            // Redeclaration of the same entity (extern then definition, prototype then body):
+            // the symbol moves to the definition
+            if (symbol.isDefinition && !existing.isDefinition) {
+                ['type', 'node', 'declaration', 'file', 'line', 'col', 'range', 'storage', 'derived', 'hasInit', 'isDefinition']
+                    .forEach(field => { existing[field] = symbol[field]; });
+            }
+            return existing;
+        }
+
+        const isObject = symbol.kind === 'variable' || symbol.kind === 'parameter';
+        if (isObject && scope.kind !== 'file' && !symbol.storage.includes('extern') && scope.parent) {
+            const outer = scope.parent.lookup(symbol.name);
+            if (outer && (outer.kind === 'variable' || outer.kind === 'parameter')) {
+                this.shadowed.push({ symbol, outer });
+            }
+        }
+        scope.symbols.set(symbol.name, symbol);
+        this.symbols.push(symbol);
+        return symbol;
+    }
+
+    resolve(node) {
+        const symbol = this.current.lookup(node.name);
+        if (!symbol) return;
+        node.symbol = symbol;
+        symbol.references.push(node);
+    }
+}
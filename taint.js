@@ -0,0 +1,503 @@
+/*
+ * PHASE 5: TAINT ANALYSIS
+ *
+ * Follows untrusted input - what scanf, fgets, getchar, fread, ... read and
+ * the strings in main's argv - through one function into the places where
+ * it must not arrive unchecked: array indices, allocation sizes, loop bounds,
+ * format strings and shell commands. Each tracked variable (a local variable
+ * or parameter) that may hold input maps to a record
+ *   { source, trace, upper, lower }
+ * where trace is the [{ line, message }] steps from the input to here, and
+ * upper/lower say how the value has been bounds-checked: false when not at
+ * all, a number for a check against a constant, true for a check against
+ * something else (x < count). A state is a Map symbol -> record, or null
+ * where the code cannot be reached.
+ *
+ * Taint crosses function boundaries through summaries the caller provides:
+ * the parameters that receive input, and the functions that return it.
+ */
+
+// Functions that read untrusted input: into the arguments at `into` (all from
+// `intoRest` on), and/or as their result; `byte` results are EOF or an unsigned char
+const C_TAINT_SOURCES = {
+    scanf: { intoRest: 1 },
+    fscanf: { intoRest: 2 },
+    gets: { into: [0], result: true },
+    fgets: { into: [0], result: true },
+    getline: { into: [0] },
+    getdelim: { into: [0] },
+    fread: { into: [0] },
+    read: { into: [1] },
+    recv: { into: [1] },
+    recvfrom: { into: [1] },
+    getchar: { result: true, byte: true },
+    fgetc: { result: true, byte: true },
+    getc: { result: true, byte: true },
+    getenv: { result: true }
+};
+
+// Library functions passing input on: from the arguments at `from` (all from
+// `fromRest` on) into those at `into` / `intoRest`, and/or into their result.
+// Those that `overwrite` leave a buffer clean when what they copy is clean.
+const C_TAINT_PROPAGATORS = {
+    strcpy: { from: [1], into: [0], result: true, overwrite: true },
+    strncpy: { from: [1], into: [0], result: true, overwrite: true },
+    strcat: { from: [1], into: [0], result: true },
+    strncat: { from: [1], into: [0], result: true },
+    memcpy: { from: [1], into: [0], result: true },
+    memmove: { from: [1], into: [0], result: true },
+    sprintf: { fromRest: 1, into: [0], overwrite: true },
+    snprintf: { fromRest: 2, into: [0], overwrite: true },
+    sscanf: { from: [0], intoRest: 2 },
+    strdup: { from: [0], result: true },
+    strndup: { from: [0], result: true },
+    strchr: { from: [0], result: true },
+    strrchr: { from: [0], result: true },
+    strstr: { from: [0], result: true },
+    strtok: { from: [0], result: true },
+    atoi: { from: [0], result: true },
+    atol: { from: [0], result: true },
+    atoll: { from: [0], result: true },
+    atof: { from: [0], result: true },
+    strtol: { from: [0], result: true },
+    strtoul: { from: [0], result: true },
+    strtoll: { from: [0], result: true },
+    strtoull: { from: [0], result: true },
+    strtod: { from: [0], result: true },
+    strtof: { from: [0], result: true }
+};
+
+// What input must not reach unchecked. `bounded` sinks are safe once the value
+// has an upper bound (an index also needs a lower one); the others need a sanitizer.
+const C_TAINT_SINK_KINDS = {
+    index: { description: 'an array index', cwe: 'CWE-129', severity: 'error', bounded: true,
+             advice: 'check it against 0 and the array size before indexing' },
+    allocation: { description: 'an allocation size', cwe: 'CWE-789', severity: 'error', bounded: true,
+                  advice: 'reject sizes above a sensible maximum before allocating' },
+    loop: { description: 'a loop bound', cwe: 'CWE-606', severity: 'warning', bounded: true,
+            advice: 'limit it to a maximum before the loop' },
+    format: { description: 'a format string', cwe: 'CWE-134', severity: 'error', bounded: false,
+              advice: 'print it through a constant format: printf("%s", text)' },
+    command: { description: 'a shell command', cwe: 'CWE-78', severity: 'critical', bounded: false,
+               advice: 'never build commands from input; run a fixed program with execv() and pass the input as an argument' }
+};
+
+// Functions that must not receive input: the arguments at `args` are a sink of `kind`
+const C_TAINT_SINKS = Object.assign({
+    malloc: { args: [0], kind: 'allocation' },
+    calloc: { args: [0, 1], kind: 'allocation' },
+    realloc: { args: [1], kind: 'allocation' },
+    alloca: { args: [0], kind: 'allocation' },
+    system: { args: [0], kind: 'command' },
+    popen: { args: [0], kind: 'command' },
+    execl: { args: [0], kind: 'command' },
+    execlp: { args: [0], kind: 'command' },
+    execv: { args: [0], kind: 'command' },
+    execvp: { args: [0], kind: 'command' }
+}, ...Object.keys(C_FORMAT_FUNCTIONS).map(name => ({ [name]: { args: [C_FORMAT_FUNCTIONS[name].format], kind: 'format' } })));
+
+class CTaintAnalysis extends CDataFlowAnalysis {
+    // options.sources, options.propagators, options.sinks: in the form of the tables above
+    // options.sanitizers: Set of functions that validate their arguments and return clean values
+    // options.params: Map parameter index -> record, for parameters that receive input
+    // options.returns: Map function name -> record, for functions that return input
+    // options.evaluate: constant value of an expression, or null
+    // options.typeOf: type of an expression
+    constructor(cfg, options = {}) {
+        super(cfg, {
+            direction: 'forward',
+            boundary: () => this.entryState(),
+            initial: () => null,
+            transfer: (block, state) => this.replay(block, state),
+            meet: (states) => this.join(states),
+            equals: (a, b) => this.sameState(a, b),
+            edge: (edge, state) => this.alongEdge(edge, state)
+        });
+        this.sources = options.sources || C_TAINT_SOURCES;
+        this.propagators = options.propagators || C_TAINT_PROPAGATORS;
+        this.sinks = options.sinks || C_TAINT_SINKS;
+        this.sanitizers = options.sanitizers || new Set();
+        this.params = options.params || new Map();
+        this.returns = options.returns || new Map();
+        this.evaluate = options.evaluate || (() => null);
+        this.typeOf = options.typeOf || (() => CType.unknown());
+        this.isTracked = (symbol) => !!symbol && (symbol.kind === 'variable' || symbol.kind === 'parameter') &&
+            symbol.scope.kind !== 'file' && !symbol.storage.includes('static') && !symbol.storage.includes('extern');
+
+        // Comparisons deciding whether a loop goes round again
+        this.loopTests = new Set();
+        CParser.walk(cfg.fn.body, {
+            ForStmt: (node) => this.addLoopTest(node.test),
+            WhileStmt: (node) => this.addLoopTest(node.test),
+            DoWhileStmt: (node) => this.addLoopTest(node.test)
+        });
+    }
+
+    addLoopTest(test) {
+        if (!test) return;
+        CParser.walk(test, {
+            BinaryExpr: (node) => { if (['<', '<=', '>', '>='].includes(node.operator)) this.loopTests.add(node); }
+        });
+    }
+
+    // Parameters that receive input from a caller; main's argv holds the command line
+    entryState() {
+        const state = new Map();
+        const derivation = this.cfg.fn.declarator.derived.find(d => d.kind === 'FunctionDerivation');
+        const params = derivation ? derivation.params : [];
+        params.forEach((param, i) => {
+            if (!param.symbol) return;
+            if (this.params.has(i)) {
+                state.set(param.symbol, CTaintAnalysis.extend(this.params.get(i), this.lineOf(param),
+                    `received as '${param.symbol.name}' by ${this.cfg.fn.name}()`));
+            } else if (this.cfg.fn.name === 'main' && i === 1) {
+                state.set(param.symbol, CTaintAnalysis.record(`'${param.symbol.name}'`, this.lineOf(param), `command-line arguments in '${param.symbol.name}'`));
+            }
+        });
+        return state;
+    }
+
+    // ---- Records ----
+
+    static record(source, line, message, upper = false, lower = false) {
+        return { source, trace: [{ line, message }], upper, lower };
+    }
+
+    // The record with one more step; a step already on the trace is not repeated
+    static extend(record, line, message) {
+        if (record.trace.some(step => step.line === line && step.message === message)) return record;
+        return Object.assign({}, record, { trace: record.trace.concat({ line, message }) });
+    }
+
+    // The looser of two bounds: no check beats any check, an unknown bound beats a constant one
+    static looser(a, b, pick) {
+        if (a === false || b === false) return false;
+        if (a === true || b === true) return true;
+        return pick(a, b);
+    }
+
+    static merge(a, b) {
+        if (!a || !b) return a || b;
+        return Object.assign({}, a, {
+            upper: CTaintAnalysis.looser(a.upper, b.upper, Math.max),
+            lower: CTaintAnalysis.looser(a.lower, b.lower, Math.min)
+        });
+    }
+
+    lineOf(node) {
+        return node.range.start.line;
+    }
+
+    // ---- States ----
+
+    join(states) {
+        const live = states.filter(Boolean);
+        if (!live.length) return null;
+        const result = new Map(live[0]);
+        live.slice(1).forEach(state => state.forEach((record, symbol) => {
+            result.set(symbol, CTaintAnalysis.merge(result.get(symbol), record));
+        }));
+        return result;
+    }
+
+    sameState(a, b) {
+        if (!a || !b) return a === b;
+        return a.size === b.size && [...a].every(([symbol, record]) => {
+            const other = b.get(symbol);
+            return other && other.upper === record.upper && other.lower === record.lower;
+        });
+    }
+
+    replaceState(state, next) {
+        state.clear();
+        next.forEach((record, symbol) => state.set(symbol, record));
+    }
+
+    alongEdge(edge, state) {
+        if (!state || !edge.block.condition || (edge.label !== 'true' && edge.label !== 'false')) return state;
+        return this.refine(edge.block.condition, edge.label === 'true', state);
+    }
+
+    // The state in which `test` evaluates to `truth`: comparisons bound the input they test
+    refine(test, truth, state) {
+        if (!state) return null;
+        if (test.kind === 'BinaryExpr' && (test.operator === '&&' || test.operator === '||')) {
+            const both = (test.operator === '&&') === truth;
+            const first = this.refine(test.left, truth, state);
+            if (both) return this.refine(test.right, truth, first);
+            return this.join([first, this.refine(test.right, truth, this.refine(test.left, !truth, state))]);
+        }
+        if (test.kind === 'UnaryExpr' && test.operator === '!') return this.refine(test.argument, !truth, state);
+        if (test.kind !== 'BinaryExpr' || !C_NEGATED_COMPARISON[test.operator]) return state;
+        const operator = truth ? test.operator : C_NEGATED_COMPARISON[test.operator];
+        let result = state;
+        const bound = (side, op, other) => {
+            while (side.kind === 'CastExpr') side = side.argument;
+            if (side.kind !== 'Identifier' || !result.has(side.symbol)) return;
+            const record = result.get(side.symbol);
+            const value = this.evaluate(other);
+            const limit = Number.isInteger(value) ? value : true;
+            const tighter = (current, next, pick) => current === false || current === true ? next : next === true ? current : pick(current, next);
+            let { upper, lower } = record;
+            if (op === '<') upper = tighter(upper, limit === true ? true : limit - 1, Math.min);
+            if (op === '<=' || op === '==') upper = tighter(upper, limit, Math.min);
+            if (op === '>') lower = tighter(lower, limit === true ? true : limit + 1, Math.max);
+            if (op === '>=' || op === '==') lower = tighter(lower, limit, Math.max);
+            // x != EOF leaves a byte value
+            if (op === '!=' && limit !== true) {
+                if (lower === limit) lower = limit + 1;
+                if (upper === limit) upper = limit - 1;
+            }
+            if (upper === record.upper && lower === record.lower) return;
+            result = new Map(result);
+            result.set(side.symbol, Object.assign({}, record, { upper, lower }));
+        };
+        bound(test.left, operator, test.right);
+        bound(test.right, C_SWAPPED_COMPARISON[operator], test.left);
+        return result;
+    }
+
+    // ---- Transfer ----
+
+    // Run the block from `state`, calling visit(event) for
+    //   { kind: 'sink', node, sink, record }       input reaching a sink
+    //   { kind: 'argument', callee, index, record } input passed to a function
+    //   { kind: 'return', record }                 input returned
+    replay(block, state, visit = null) {
+        if (!state) return null;
+        const current = new Map(state);
+        this.visitor = visit;
+        block.nodes.forEach(node => this.execute(node, current));
+        this.visitor = null;
+        return current;
+    }
+
+    report(event) {
+        if (this.visitor) this.visitor(event);
+    }
+
+    execute(node, state) {
+        switch (node.kind) {
+            case 'Declaration':
+                node.declarators.forEach(declarator => {
+                    if (!declarator.init || !this.isTracked(declarator.symbol)) return;
+                    this.assign(declarator.symbol, this.value(declarator.init, state), declarator, state);
+                });
+                return;
+            case 'ExprStmt':
+                this.value(node.expression, state);
+                return;
+            case 'ReturnStmt':
+                if (node.argument) {
+                    const record = this.value(node.argument, state);
+                    if (record) this.report({ kind: 'return', record: CTaintAnalysis.extend(record, this.lineOf(node), `returned by ${this.cfg.fn.name}()`) });
+                }
+                return;
+            case 'EmptyStmt':
+            case 'BreakStmt':
+            case 'ContinueStmt':
+            case 'GotoStmt':
+                return;
+            default:
+                this.value(node, state);
+        }
+    }
+
+    assign(symbol, record, node, state) {
+        if (record) {
+            state.set(symbol, CTaintAnalysis.extend(record, this.lineOf(node), `stored in '${symbol.name}'`));
+        } else {
+            state.delete(symbol);
+        }
+    }
+
+    // The variable a function writes into through an argument: buf, &n, &s.field, buf + len
+    targetOf(arg) {
+        while (arg.kind === 'CastExpr') arg = arg.argument;
+        if (arg.kind === 'UnaryExpr' && arg.operator === '&') arg = arg.argument;
+        if (arg.kind === 'BinaryExpr' && arg.operator === '+') arg = arg.left;
+        while ((arg.kind === 'MemberExpr' && !arg.arrow) || arg.kind === 'IndexExpr') arg = arg.object;
+        return arg.kind === 'Identifier' && this.isTracked(arg.symbol) ? arg.symbol : null;
+    }
+
+    // A function writing the whole variable (buf, &n) replaces what it held;
+    // input in a variable that only part of was written stays there
+    taintTarget(arg, record, node, state, overwrite) {
+        const symbol = this.targetOf(arg);
+        if (!symbol || !record) return;
+        while (arg.kind === 'CastExpr') arg = arg.argument;
+        const whole = overwrite && (arg.kind === 'Identifier' || (arg.kind === 'UnaryExpr' && arg.operator === '&' && arg.argument.kind === 'Identifier'));
+        const written = CTaintAnalysis.extend(record, this.lineOf(node), `stored in '${symbol.name}'`);
+        state.set(symbol, whole ? written : CTaintAnalysis.merge(state.get(symbol), written));
+    }
+
+    // The record of the input an expression's value may hold (null if none), applying its effects to `state`
+    value(expr, state) {
+        switch (expr.kind) {
+            case 'Identifier':
+                return this.isTracked(expr.symbol) ? state.get(expr.symbol) || null : null;
+            case 'CastExpr':
+                return this.value(expr.argument, state);
+            case 'CallExpr':
+                return this.call(expr, state);
+            case 'UnaryExpr': {
+                const record = this.value(expr.argument, state);
+                return expr.operator === '!' || expr.operator === '&' ? null : record && this.loosened(record);
+            }
+            case 'IndexExpr': {
+                const object = this.value(expr.object, state);
+                const index = this.value(expr.index, state);
+                if (index) this.sink(expr.index, index, 'index', state, expr.object);
+                return object;
+            }
+            case 'MemberExpr':
+                return this.value(expr.object, state);
+            case 'AssignExpr': {
+                const right = this.value(expr.right, state);
+                if (expr.left.kind === 'Identifier' && this.isTracked(expr.left.symbol)) {
+                    const record = expr.operator === '=' ? right : CTaintAnalysis.merge(this.value(expr.left, state), right && this.loosened(right));
+                    this.assign(expr.left.symbol, record, expr, state);
+                    return record;
+                }
+                this.value(expr.left, state);
+                this.taintTarget(expr.left, right, expr, state, false);
+                return right;
+            }
+            case 'UpdateExpr':
+                return this.value(expr.argument, state);
+            case 'BinaryExpr':
+                return this.binary(expr, state);
+            case 'ConditionalExpr': {
+                this.value(expr.test, state);
+                const whenTrue = this.refine(expr.test, true, state);
+                const whenFalse = this.refine(expr.test, false, state);
+                const a = whenTrue ? new Map(whenTrue) : null;
+                const b = whenFalse ? new Map(whenFalse) : null;
+                const record = CTaintAnalysis.merge(a && this.value(expr.consequent, a), b && this.value(expr.alternate, b));
+                const joined = this.join([a, b]);
+                if (joined) this.replaceState(state, joined);
+                return record;
+            }
+            case 'CommaExpr':
+                return expr.expressions.map(e => this.value(e, state)).pop();
+            case 'SizeofExpr':
+            case 'StringLiteral':
+            case 'NumberLiteral':
+            case 'CharLiteral':
+                return null;
+            default:
+                CParser.children(expr).forEach(child => {
+                    if (child.kind !== 'TypeName') this.value(child, state);
+                });
+                return null;
+        }
+    }
+
+    // A value computed from input: it still holds input, but constant bounds no longer apply
+    loosened(record) {
+        return Object.assign({}, record, { upper: record.upper !== false, lower: record.lower !== false });
+    }
+
+    binary(expr, state) {
+        const { operator } = expr;
+        if (operator === '&&' || operator === '||') {
+            this.value(expr.left, state);
+            // The right operand only runs when the left one did not decide the result
+            const runsRight = this.refine(expr.left, operator === '&&', state);
+            if (runsRight) {
+                const afterRight = new Map(runsRight);
+                this.value(expr.right, afterRight);
+                this.replaceState(state, this.join([this.refine(expr.left, operator !== '&&', state), afterRight]));
+            }
+            return null;
+        }
+        const left = this.value(expr.left, state);
+        const right = this.value(expr.right, state);
+        if (this.loopTests.has(expr)) {
+            if (left) this.sink(expr.left, left, 'loop', state);
+            if (right) this.sink(expr.right, right, 'loop', state);
+        }
+        if (C_NEGATED_COMPARISON[operator]) return null;
+        const constant = this.evaluate(expr.right);
+        if (left && !right && Number.isInteger(constant)) {
+            const shift = (bound, by) => typeof bound === 'number' ? bound + by : bound;
+            if (operator === '+' || operator === '-') {
+                const by = operator === '+' ? constant : -constant;
+                return Object.assign({}, left, { upper: shift(left.upper, by), lower: shift(left.lower, by) });
+            }
+            // x % n stays below n; x & mask is within the mask
+            if (operator === '%' && constant > 0) {
+                return Object.assign({}, left, { upper: constant - 1, lower: typeof left.lower === 'number' && left.lower >= 0 ? 0 : 1 - constant });
+            }
+            if (operator === '&' && constant >= 0) return null;
+        }
+        const record = CTaintAnalysis.merge(left, right);
+        return record && this.loosened(record);
+    }
+
+    call(expr, state) {
+        const name = expr.callee.kind === 'Identifier' ? expr.callee.name : null;
+        if (!name) this.value(expr.callee, state);
+        const args = expr.args.map(arg => this.value(arg, state));
+        const line = this.lineOf(expr);
+
+        if (name && this.sanitizers.has(name)) {
+            expr.args.forEach(arg => {
+                const symbol = this.targetOf(arg);
+                if (symbol) state.delete(symbol);
+            });
+            return null;
+        }
+        const sink = name && this.sinks[name];
+        if (sink) {
+            (sink.args || []).forEach(i => {
+                if (args[i]) this.sink(expr.args[i], args[i], sink.kind, state, null, name);
+            });
+        }
+        args.forEach((record, i) => {
+            if (record && name) this.report({ kind: 'argument', callee: name, index: i, record: CTaintAnalysis.extend(record, line, `passed to ${name}()`) });
+        });
+        if (name && this.returns.has(name)) return this.returns.get(name);
+
+        const positions = (list, rest) => expr.args.map((arg, i) => i).filter(i => (list || []).includes(i) || (rest !== undefined && i >= rest));
+        const source = name && this.sources[name];
+        if (source) {
+            const record = source.byte
+                ? CTaintAnalysis.record(`${name}()`, line, `input from ${name}()`, 255, -1)
+                : CTaintAnalysis.record(`${name}()`, line, `input from ${name}()`);
+            positions(source.into, source.intoRest).forEach(i => this.taintTarget(expr.args[i], record, expr, state, true));
+            return source.result ? record : null;
+        }
+        const propagator = name && this.propagators[name];
+        if (propagator) {
+            const record = positions(propagator.from, propagator.fromRest).reduce((found, i) => CTaintAnalysis.merge(found, args[i]), null);
+            if (!record) {
+                if (propagator.overwrite) positions(propagator.into, propagator.intoRest).forEach(i => {
+                    const arg = expr.args[i];
+                    if (arg.kind === 'Identifier' && this.isTracked(arg.symbol)) state.delete(arg.symbol);
+                });
+                return null;
+            }
+            positions(propagator.into, propagator.intoRest).forEach(i => this.taintTarget(expr.args[i], record, expr, state, propagator.overwrite));
+            return propagator.result ? this.loosened(record) : null;
+        }
+        return null;
+    }
+
+    // Input arriving at a sink: reported unless a bounded sink has seen the checks it needs
+    sink(node, record, kind, state, array = null, callee = null) {
+        const type = this.typeOf(node);
+        if (kind === 'index') {
+            const arrayType = array ? this.typeOf(array) : null;
+            const size = arrayType && arrayType.isArray() ? arrayType.length : null;
+            const lowerOk = record.lower === true || (typeof record.lower === 'number' && record.lower >= 0) || type.isUnsigned();
+            const upperOk = record.upper === true || (typeof record.upper === 'number' && (size === null || record.upper < size));
+            if (lowerOk && upperOk) return;
+            this.report({ kind: 'sink', node, sink: kind, record, missing: upperOk ? 'lower' : lowerOk ? 'upper' : 'both', size, callee });
+            return;
+        }
+        const info = C_TAINT_SINK_KINDS[kind];
+        if (info && info.bounded && record.upper !== false) return;
+        this.report({ kind: 'sink', node, sink: kind, record, missing: info && info.bounded ? 'upper' : 'validation', size: null, callee });
+    }
+}
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer } = require('./load.js');
+
+const analyze = lines => new CAnalyzer().analyzeAndRefactor(lines.join('\n'));
+const loopLines = result => [...result.bugs].filter(bug => bug.type === 'InfiniteLoop').map(bug => bug.line);
+
+// The graph the analyzer built for function `name`
+const graphOf = (lines, name) => {
+    const analyzer = new CAnalyzer();
+    analyzer.analyzeOnly(lines.join('\n'));
+    return analyzer.cfgs.get(name);
+};
+
+test('statements after a return are unreachable, and a missing return falls off the end', () => {
+    const cfg = graphOf([
+        'int sign(int x) {',
+        '    if (x < 0) return -1;',
+        '    else if (x > 0) return 1;',
+        '    x = 0;',
+        '}'
+    ], 'sign');
+    assert.strictEqual(cfg.fallsOffEnd(), true);
+    const other = graphOf(['int one(void) {', '    return 1;', '    one();', '}'], 'one');
+    const [, dead] = other.fn.body.body;
+    assert.strictEqual(other.isReachable(dead), false);
+    assert.strictEqual(other.fallsOffEnd(), false);
+});
+
+test('a constant loop test has no false edge, so only break, return or exit() leave the loop', () => {
+    const cfg = graphOf([
+        '#include <stdlib.h>',
+        'void run(int c) {',
+        '    while (1) { if (c) break; }',
+        '    for (;;) { if (c) exit(1); }',
+        '}'
+    ], 'run');
+    const [first, second] = cfg.fn.body.body;
+    assert.strictEqual(cfg.leavesLoop(first), true);
+    assert.strictEqual(cfg.leavesLoop(second), true);
+    const spin = graphOf(['void spin(int c) {', '    while (1) { if (c) continue; }', '}'], 'spin');
+    assert.strictEqual(spin.leavesLoop(spin.fn.body.body[0]), false);
+    assert.strictEqual(spin.reachable.has(spin.exit), false);
+});
+
+test('a loop left by a break on a later line is not infinite, and Change Code keeps it', () => {
+    const result = analyze([
+        '#include <stdio.h>',
+        'int count(void) {',
+        '    int c, lines = 0;',
+        '    while (1) {',
+        '        c = getchar();',
+        '        if (c == 10) {',
+        '            lines++;',
+        '        }',
+        '        if (c == EOF) break;',
+        '    }',
+        '    for (;;) {',
+        '        break;',
+        '    }',
+        '    return lines;',
+        '}'
+    ]);
+    assert.deepStrictEqual(loopLines(result), []);
+    assert.match(result.refactoredCode, /while \(1\) \{/);
+    assert.match(result.refactoredCode, /if \(\w+ == EOF\) break;/);
+});
+
+test('loops nothing gets out of are reported and removed', () => {
+    const result = analyze([
+        'int spin(int n) {',
+        '    int s = 0;',
+        '    for (int i = 0; i >= 0; i++) s += i;',
+        '    while (n > 0) {',
+        '        s++;',
+        '    }',
+        '    return s;',
+        '}',
+        'void serve(void) {',
+        '    do {',
+        '        spin(1);',
+        '    } while (1);',
+        '}'
+    ]);
+    assert.deepStrictEqual(loopLines(result), [3, 4, 10]);
+    assert.doesNotMatch(result.refactoredCode, /for \(|while \(|do \{/);
+});
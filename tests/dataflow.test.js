@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer, CLiveVariables, CReachingDefinitions } = require('./load.js');
+
+const code = [
+    'int f(int a, int b, int c) {',
+    '    int x = 1;',
+    '    if (c) x = 2;',
+    '    b = x;',
+    '    return a + b;',
+    '}'
+].join('\n');
+
+const analyze = () => {
+    const analyzer = new CAnalyzer();
+    analyzer.analyzeOnly(code);
+    return { analyzer, cfg: analyzer.cfgs.get('f') };
+};
+
+test('a parameter written before it is read is not live on entry', () => {
+    const { cfg } = analyze();
+    const live = new CLiveVariables(cfg).solve();
+    assert.deepStrictEqual([...live.in.get(cfg.entry)].map(symbol => symbol.name).sort(), ['a', 'c']);
+});
+
+test('both assignments of a variable reach a use after an if', () => {
+    const { analyzer, cfg } = analyze();
+    const reaching = new CReachingDefinitions(cfg).solve();
+    const lines = [];
+    cfg.blocks.forEach(block => reaching.replay(block, reaching.in.get(block), (event, before) => {
+        if (event.kind === 'use' && event.symbol.name === 'x') {
+            CReachingDefinitions.definitionsOf(before, event.symbol).forEach(def => lines.push(analyzer.lineOf(def.node)));
+        }
+    }));
+    assert.deepStrictEqual(lines.sort(), [2, 3]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer } = require('./load.js');
+
+const leaks = lines => [...new CAnalyzer().analyzeOnly(lines.join('\n')).bugs].filter(bug => bug.type === 'MemoryLeak');
+
+test('a pointer checked for NULL owns no memory on the NULL branch', () => {
+    const found = leaks([
+        '#include <stdlib.h>',
+        'void first(int c) {',
+        '    char *p = NULL;',
+        '    if (c) p = malloc(8);',
+        '    if (p != NULL) free(p);',
+        '}',
+        'void second(int c) {',
+        '    char *p = c ? malloc(8) : NULL;',
+        '    if (!p) return;',
+        '    free(p);',
+        '}',
+        'void third(void) {',
+        '    char *p = malloc(8);',
+        '    char *q = p;',
+        '    if (!p) return;',
+        '    free(q);',
+        '}'
+    ]);
+    assert.strictEqual(found.length, 0, found.map(bug => bug.message).join('\n'));
+});
+
+test('memory still pointed to by another pointer is leaked when that one is not freed', () => {
+    const found = leaks([
+        '#include <stdlib.h>',
+        'void keep(int c) {',
+        '    char *q = malloc(8);',
+        '    char *p = q;',
+        '    if (c) p = NULL;',
+        '    if (!p) return;',
+        '    free(p);',
+        '}'
+    ]);
+    assert.deepStrictEqual(found.map(bug => bug.line), [6]);
+});
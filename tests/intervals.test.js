@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer, CInterval } = require('./load.js');
+
+// Spread into an array of this realm, so deepStrictEqual compares by value
+const divisionBugs = code => [...new CAnalyzer().analyzeOnly(code).bugs].filter(bug => bug.type === 'DivisionByZero');
+
+test('x != 0 leaves 0 out of the middle of an interval', () => {
+    const range = CInterval.of(-5, 5).intersect(CInterval.nonzero());
+    assert.strictEqual(range.contains(0), false);
+    assert.strictEqual(range.contains(-5), true);
+    assert.strictEqual(range.join(CInterval.of(1, 8)).contains(0), false);
+    assert.strictEqual(range.join(CInterval.constant(0)).contains(0), true);
+    assert.strictEqual(CInterval.of(0, 5).intersect(CInterval.nonzero()).lo, 1);
+});
+
+test('a divisor checked against 0 is safe although its range spans 0', () => {
+    const bugs = divisionBugs([
+        'int ratio(int n, int k) {',
+        '    int d = k % 6;',
+        '    int q = 0;',
+        '    if (d != 0) q = n / d;',
+        '    if (d) q += n % d;',
+        '    return q;',
+        '}'
+    ].join('\n'));
+    assert.strictEqual(bugs.length, 0, bugs.map(bug => bug.message).join('\n'));
+});
+
+test('the divisor may be zero again after the check or once it changes', () => {
+    const bugs = divisionBugs([
+        'int ratio(int n, int k) {',
+        '    int d = k % 6;',
+        '    int q = n / d;',
+        '    if (d != 0) {',
+        '        d = d + 1;',
+        '        q += n / d;',
+        '    }',
+        '    return q;',
+        '}'
+    ].join('\n'));
+    assert.deepStrictEqual(bugs.map(bug => bug.line), [3, 6]);
+});
+
+test('an unsigned value of unknown range indexes safely after % size', () => {
+    const bugs = [...new CAnalyzer().analyzeOnly([
+        '#include <stddef.h>',
+        'struct ent { unsigned hash; };',
+        'int bucket[16];',
+        'int get(size_t h, unsigned u, struct ent *e) {',
+        '    return bucket[h % 16] + bucket[u % 16] + bucket[e->hash % 16];',
+        '}',
+        'int signed_get(int k) {',
+        '    return bucket[k % 16];',
+        '}'
+    ].join('\n')).bugs].filter(bug => bug.type === 'ArrayOutOfBounds');
+    assert.deepStrictEqual(bugs.map(bug => bug.line), [8]);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CLexer } = require('./load.js');
+
+const lex = code => [...new CLexer(code, 'main.c').tokenize()];
+
+test('tokens carry their type, text and 1-based position', () => {
+    const tokens = lex('int x = 0x1F; // hi\nchar *s = "a\\n";');
+    assert.deepStrictEqual(tokens.map(t => `${t.type} ${t.value}`), [
+        'keyword int', 'identifier x', 'operator =', 'number 0x1F', 'punctuator ;', 'comment // hi',
+        'keyword char', 'operator *', 'identifier s', 'operator =', 'string "a\\n"', 'punctuator ;'
+    ]);
+    const s = tokens.find(t => t.value === 's');
+    assert.deepStrictEqual([s.line, s.col, s.endCol, s.file], [2, 7, 8, 'main.c']);
+});
+
+test('the longest operator wins', () => {
+    assert.deepStrictEqual(lex('x <<= y->z++;').map(t => t.value), ['x', '<<=', 'y', '->', 'z', '++', ';']);
+});
+
+test('a directive is one token, continued lines included', () => {
+    const [define, next] = lex('#define MAX(a, b) \\\n    ((a) > (b))\nint x;');
+    assert.strictEqual(define.type, 'preprocessor');
+    assert.strictEqual(define.directive, 'define');
+    assert.deepStrictEqual([define.line, define.endLine], [1, 2]);
+    assert.deepStrictEqual([next.value, next.line], ['int', 3]);
+});
@@ -0,0 +1,25 @@
+/*
+ * Loads the analyzer scripts in the order index.html lists them, into one
+ * context like the browser does, so tests can reach the global classes.
+ *   const { CAnalyzer } = require('./load.js');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+const scripts = [...html.matchAll(/<script src="([^"?]+)/g)].map(match => match[1]);
+
+// The page wiring at the end of analyzer.js only needs a document to register with
+const document = { addEventListener() {} };
+const context = vm.createContext({ console, document, BigInt, Map, Set, Math, JSON });
+scripts.forEach(script => {
+    vm.runInContext(fs.readFileSync(path.join(root, script), 'utf8'), context, { filename: script });
+});
+
+// Classes are not properties of the global object, so look each one up by name
+module.exports = new Proxy({}, {
+    get: (target, name) => vm.runInContext(name, context)
+});
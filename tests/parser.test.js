@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CParser, CPreprocessor } = require('./load.js');
+
+const parse = lines => {
+    const parser = new CParser(new CPreprocessor().preprocess(lines.join('\n'), 'main.c'));
+    return { ast: parser.parse(), errors: [...parser.errors] };
+};
+
+test('binary operators group by precedence and associativity', () => {
+    const { ast, errors } = parse(['int f(int a) { return a + 2 * 3 - 1; }']);
+    assert.strictEqual(errors.length, 0);
+    const sum = ast.body[0].body.body[0].argument;
+    assert.deepStrictEqual([sum.kind, sum.operator, sum.left.operator, sum.left.right.operator], ['BinaryExpr', '-', '+', '*']);
+    assert.strictEqual(CParser.print(sum), 'a + 2 * 3 - 1');
+});
+
+test('adjacent string literals are one literal', () => {
+    const { ast } = parse(['const char *s = "x" "y\\n";']);
+    const literal = ast.body[0].declarators[0].init;
+    assert.strictEqual(literal.kind, 'StringLiteral');
+    assert.strictEqual(literal.value, 'xy\n');
+});
+
+test('nodes know their range, with the end column exclusive', () => {
+    const { ast } = parse(['int f(void) {', '    return 42;', '}']);
+    const ret = ast.body[0].body.body[0];
+    assert.deepStrictEqual([ret.range.start.line, ret.range.start.col, ret.range.end.line, ret.range.end.col], [2, 5, 2, 15]);
+});
+
+test('a syntax error is recorded and the rest of the function is still parsed', () => {
+    const { ast, errors } = parse(['int f(void) {', '    int a = ;', '    int b = 2;', '    return b;', '}']);
+    assert.deepStrictEqual(errors.map(err => err.line), [2]);
+    assert.deepStrictEqual([...ast.body[0].body.body].map(stmt => stmt.kind), ['Declaration', 'Declaration', 'ReturnStmt']);
+});
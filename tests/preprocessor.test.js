@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer, CPreprocessor } = require('./load.js');
+
+const expand = (lines, files = {}) => {
+    const preprocessor = new CPreprocessor({ files });
+    return { preprocessor, tokens: [...preprocessor.preprocess(lines.join('\n'), 'main.c')] };
+};
+
+test('macros expand where they are used and remember their name', () => {
+    const { tokens } = expand([
+        '#define TWICE(x) ((x) * 2)',
+        '#define CAT(a, b) a ## b',
+        '#define STR(x) #x',
+        'int CAT(va, r1) = TWICE(3);',
+        'const char *n = STR(hi);'
+    ]);
+    assert.strictEqual(tokens.map(t => t.value).join(' '),
+        'int var1 = ( ( 3 ) * 2 ) ; const char * n = "hi" ;');
+    const star = tokens.find(t => t.value === '*');
+    assert.deepStrictEqual([star.line, star.col, star.macro], [4, 19, 'TWICE']);
+});
+
+test('#if takes one branch and records the lines it skips', () => {
+    const { preprocessor, tokens } = expand([
+        '#define LEVEL 2',
+        '#if LEVEL > 1 && defined(LEVEL)',
+        'int high;',
+        '#else',
+        'int low;',
+        '#endif'
+    ]);
+    assert.strictEqual(tokens.map(t => t.value).join(' '), 'int high ;');
+    assert.deepStrictEqual([...preprocessor.inactiveLines.get('main.c')], [5]);
+});
+
+test('an included header is read from the supplied files', () => {
+    const { preprocessor, tokens } = expand(['#include "util.h"', '#include "gone.h"', 'int x = ONE;'],
+        { 'util.h': '#define ONE 1\nint helper(void);' });
+    assert.strictEqual(tokens.map(t => t.value).join(' '), 'int helper ( void ) ; int x = 1 ;');
+    assert.strictEqual(tokens[0].file, 'util.h');
+    assert.deepStrictEqual([...preprocessor.includes].map(inc => inc.resolved), ['util.h', null]);
+    assert.deepStrictEqual([...preprocessor.errors].map(err => err.line), [2]);
+});
+
+test('<inttypes.h> format macros expand into the format string', () => {
+    const result = new CAnalyzer().analyzeAndRefactor([
+        '#include <stdio.h>',
+        '#include <inttypes.h>',
+        'int main(void) {',
+        '    int64_t v = 5;',
+        '    double d = 1.5;',
+        '    printf("%" PRId64 "\\n", v);',
+        '    printf("%" PRId64 "\\n", d);',
+        '    return 0;',
+        '}'
+    ].join('\n'));
+    const bugs = [...result.bugs];
+    const wrong = bugs.filter(bug => /SyntaxError|InvalidFormat|UnusedVariable|UnusedInclude/.test(bug.type));
+    assert.strictEqual(wrong.length, 0, wrong.map(bug => bug.message).join('\n'));
+    assert.deepStrictEqual(bugs.filter(bug => bug.type === 'FormatTypeMismatch').map(bug => bug.line), [7]);
+    assert.match(result.refactoredCode, /int64_t v = 5;/);
+});
+
+test('a variable used only on a line that failed to parse is kept as it is', () => {
+    const code = new CAnalyzer().analyzeAndRefactor([
+        '#include <stdio.h>',
+        'int main(void) {',
+        '    int v = 5;',
+        '    printf("%d\\n", NAME v);',
+        '    return 0;',
+        '}'
+    ].join('\n')).refactoredCode;
+    assert.match(code, /int v = 5;/);
+    assert.match(code, /NAME v\)/);
+});
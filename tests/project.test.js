@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer } = require('./load.js');
+
+const files = {
+    'main.c': [
+        '#include <stdio.h>',
+        '#include "calc.h"',
+        'int main(void) {',
+        '    printf("%d %d\\n", ratio(10), scale(2));',
+        '    return 0;',
+        '}'
+    ].join('\n'),
+    'calc.h': [
+        '#ifndef CALC_H',
+        '#define CALC_H',
+        'static inline int ratio(int x) {',
+        '    int zero = 0;',
+        '    return x / zero;',
+        '}',
+        'int scale(int x);',
+        '#endif'
+    ].join('\n'),
+    'calc.c': [
+        '#include "calc.h"',
+        'int scale(int x) {',
+        '    return x * 3 + ratio(x);',
+        '}'
+    ].join('\n')
+};
+
+test('bugs in the code of a header are reported once, in the header', () => {
+    const bugs = [...new CAnalyzer().analyzeProject(files).bugs];
+    const division = bugs.filter(bug => bug.type === 'DivisionByZero');
+    assert.deepStrictEqual(division.map(bug => `${bug.file}:${bug.line}`), ['calc.h:5']);
+});
+
+test('a static function of a header counts as called by the units including it', () => {
+    const bugs = [...new CAnalyzer().analyzeProject(files).bugs];
+    const unused = bugs.filter(bug => bug.type === 'UnusedFunction');
+    assert.strictEqual(unused.length, 0, unused.map(bug => bug.message).join('\n'));
+});
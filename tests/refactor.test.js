@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer } = require('./load.js');
+
+const refactor = lines => new CAnalyzer().analyzeAndRefactor(lines.join('\n')).refactoredCode;
+
+test('self-assignments are removed by statement, not by matching text', () => {
+    const code = refactor([
+        'struct buf { int size; };',
+        'void set(struct buf *p, int size, int *len, int n) {',
+        '    p->size = size;',
+        '    *len = n;',
+        '    n = n;',
+        '    *len = *len; p->size = size;',
+        '}'
+    ]);
+    assert.match(code, /p->size = size;/);
+    assert.match(code, /\*len = \w+;/);
+    assert.doesNotMatch(code, /\*len = \*len/);
+    assert.doesNotMatch(code, /^\s*(\w+) = \1;/m);
+});
+
+test('a local named in a macro body keeps its name', () => {
+    const code = refactor([
+        '#define BUMP() (n++)',
+        'int main(void) {',
+        '    int n = 0;',
+        '    BUMP();',
+        '    return n;',
+        '}'
+    ]);
+    assert.match(code, /int n = 0;/);
+    assert.match(code, /return n;/);
+});
+
+test('a NULL guard in a struct-returning function returns a compound literal', () => {
+    const code = refactor([
+        '#include <stdlib.h>',
+        'struct pt { int x; int y; };',
+        'struct pt make(int n) {',
+        '    struct pt p = {0, 0};',
+        '    int *b = malloc(n * sizeof(int));',
+        '    b[0] = 2;',
+        '    p.x = b[0];',
+        '    free(b);',
+        '    return p;',
+        '}'
+    ]);
+    assert.match(code, /return \(struct pt\)\{0\};/);
+    assert.doesNotMatch(code, /return \{0\};/);
+});
+
+test('no NULL guard follows a check that calls a function never returning', () => {
+    const code = refactor([
+        '#include <stdio.h>',
+        '#include <stdlib.h>',
+        'static void die(const char *msg);',
+        'int first(int n) {',
+        '    int *a = malloc(n * sizeof(int));',
+        '    if (!a) die("oom");',
+        '    a[0] = 1;',
+        '    int s = a[0];',
+        '    free(a);',
+        '    return s;',
+        '}',
+        'static void die(const char *msg) {',
+        '    fprintf(stderr, "%s\\n", msg);',
+        '    exit(1);',
+        '}'
+    ]);
+    assert.doesNotMatch(code, /== NULL/);
+});
+
+test('a case that falls through gets its break, and keeps the store the next case overwrote', () => {
+    const result = new CAnalyzer().analyzeAndRefactor([
+        'int pick(int k) {',
+        '    int r = 0;',
+        '    switch (k) {',
+        '    case 1:',
+        '        r = 1;',
+        '    case 2:',
+        '        r = 2;',
+        '        break;',
+        '    case 3:',
+        '        undefined_fn(k);',
+        '    default:',
+        '        r = 4;',
+        '    }',
+        '    return r;',
+        '}'
+    ].join('\n'));
+    assert.strictEqual([...result.bugs].filter(bug => bug.type === 'DeadStore').length, 0);
+    assert.match(result.refactoredCode, /= 1;\n\s*break;\n\s*case 2:/);
+    assert.match(result.refactoredCode, /case 3:\n\s*break;\n\s*default:/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer } = require('./load.js');
+
+const leaks = lines => [...new CAnalyzer().analyzeOnly(lines.join('\n')).bugs].filter(bug => bug.type === 'ResourceLeak');
+
+test('a handle checked for NULL holds nothing to release on the failure branch', () => {
+    const found = leaks([
+        '#include <stdio.h>',
+        'void first(const char *n) {',
+        '    FILE *f = n ? fopen(n, "r") : stdin;',
+        '    if (!f) return;',
+        '    fgetc(f);',
+        '    fclose(f);',
+        '}',
+        'void second(const char *n, int c) {',
+        '    FILE *f = NULL;',
+        '    if (c) f = fopen(n, "r");',
+        '    if (f) fclose(f);',
+        '}'
+    ]);
+    assert.strictEqual(found.length, 0, found.map(bug => bug.message).join('\n'));
+});
+
+test('a file kept open is reported, and a possible leak says it may not be released', () => {
+    const found = leaks([
+        '#include <stdio.h>',
+        'void scan(const char *n, int c) {',
+        '    FILE *f = fopen(n, "r");',
+        '    if (!f) return;',
+        '    if (c) fclose(f);',
+        '}'
+    ]);
+    assert.deepStrictEqual(found.map(bug => bug.message),
+        ['The file acquired by fopen() at line 3 may not be released before the end of \'scan\'']);
+});
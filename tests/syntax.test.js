@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer } = require('./load.js');
+
+const bugsOfType = (code, type) => [...new CAnalyzer().analyzeOnly(code.join('\n')).bugs].filter(bug => bug.type === type);
+
+test('an unclosed parenthesis does not hide later missing semicolons', () => {
+    const missing = bugsOfType([
+        '#include <stdio.h>',
+        'int main(void) {',
+        '    int a = 1;',
+        '    printf("%d\\n", (a + 1);',
+        '    a = 2',
+        '    a = 3;',
+        '    return a',
+        '}'
+    ], 'MissingSemicolon');
+    assert.deepStrictEqual(missing.map(bug => bug.line), [5, 7]);
+});
+
+test('a statement continued inside parentheses needs no semicolon', () => {
+    const missing = bugsOfType([
+        'int add(int a, int b) {',
+        '    int s = (a +',
+        '             b);',
+        '    for (int i = 0;',
+        '         i < b;',
+        '         i++)',
+        '        s++;',
+        '    return s;',
+        '}'
+    ], 'MissingSemicolon');
+    assert.strictEqual(missing.length, 0, missing.map(bug => bug.message).join('\n'));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAnalyzer, CParser, CTypes } = require('./load.js');
+
+const typeOfLiteral = raw => new CTypes().literalType(CParser.parseNumber(raw)).name;
+
+test('integer literals take the first type of their C11 candidate list', () => {
+    assert.strictEqual(typeOfLiteral('5'), 'int');
+    assert.strictEqual(typeOfLiteral('2147483648'), 'long');
+    assert.strictEqual(typeOfLiteral('9223372036854775808'), 'unsigned long long');
+});
+
+test('u and l suffixes narrow the list without skipping small types', () => {
+    assert.strictEqual(typeOfLiteral('5u'), 'unsigned int');
+    assert.strictEqual(typeOfLiteral('4000000000u'), 'unsigned int');
+    assert.strictEqual(typeOfLiteral('5ul'), 'unsigned long');
+    assert.strictEqual(typeOfLiteral('5ll'), 'long long');
+    assert.strictEqual(typeOfLiteral('5LLU'), 'unsigned long long');
+});
+
+test('hex and octal literals may be unsigned without a suffix', () => {
+    assert.strictEqual(typeOfLiteral('0x7FFFFFFF'), 'int');
+    assert.strictEqual(typeOfLiteral('0xFFFFFFFF'), 'unsigned int');
+    assert.strictEqual(typeOfLiteral('0x100000000'), 'long');
+    assert.strictEqual(typeOfLiteral('0xFFFFFFFFFFFFFFFF'), 'unsigned long');
+    assert.strictEqual(typeOfLiteral('037777777777'), 'unsigned int');
+});
+
+test('unsigned literals match %u and fit in unsigned int', () => {
+    const code = [
+        '#include <stdio.h>',
+        'int main(void) {',
+        '    unsigned x = 4000000000u;',
+        '    printf("%u %u\\n", 5u, x);',
+        '    return 0;',
+        '}'
+    ].join('\n');
+    const bugs = new CAnalyzer().analyzeOnly(code).bugs;
+    const wrong = bugs.filter(bug => /FormatTypeMismatch|IntegerTruncation/.test(bug.type));
+    assert.strictEqual(wrong.length, 0, wrong.map(bug => bug.message).join('\n'));
+});
@@ -0,0 +1,563 @@
+/*
+ * PHASE 4: TYPE SYSTEM
+ *
+ * CType describes a C type: void, integer, floating, pointer, array,
+ * function, struct/union and enum, each optionally qualified (const,
+ * volatile, restrict) and optionally carrying the typedef name it was
+ * written with. CTypes builds types from declaration specifiers and
+ * declarators, keeps the struct/union/enum tags, and computes the type of
+ * any expression (typeOf). Sizes follow the common LP64 model.
+ */
+
+// Canonical integer types: size in bytes, signedness and conversion rank
+const C_INTEGER_TYPES = {
+    '_Bool': { size: 1, signed: false, rank: 0 },
+    'char': { size: 1, signed: true, rank: 1 },
+    'signed char': { size: 1, signed: true, rank: 1 },
+    'unsigned char': { size: 1, signed: false, rank: 1 },
+    'short': { size: 2, signed: true, rank: 2 },
+    'unsigned short': { size: 2, signed: false, rank: 2 },
+    'int': { size: 4, signed: true, rank: 3 },
+    'unsigned int': { size: 4, signed: false, rank: 3 },
+    'long': { size: 8, signed: true, rank: 4 },
+    'unsigned long': { size: 8, signed: false, rank: 4 },
+    'long long': { size: 8, signed: true, rank: 5 },
+    'unsigned long long': { size: 8, signed: false, rank: 5 }
+};
+
+const C_FLOATING_TYPES = { 'float': 4, 'double': 8, 'long double': 16 };
+
+const C_POINTER_SIZE = 8;
+
+class CType {
+    constructor(kind, fields = {}) {
+        // 'void' | 'integer' | 'float' | 'pointer' | 'array' | 'function' |
+        // 'struct' | 'union' | 'enum' | 'unknown'
+        this.kind = kind;
+        this.qualifiers = [];
+        this.typedefName = null;
+        Object.assign(this, fields);
+    }
+
+    static void() { return new CType('void'); }
+    static integer(name) { return new CType('integer', { name }); }
+    static floating(name) { return new CType('float', { name }); }
+    static pointer(target) { return new CType('pointer', { target }); }
+    static array(element, length = null) { return new CType('array', { element, length }); }
+    static unknown(name = null) { return new CType('unknown', { name }); }
+
+    static func(returnType, params = [], variadic = false, unspecified = false) {
+        return new CType('function', { returnType, params, variadic, unspecified });
+    }
+
+    // struct/union/enum: `definition` is the one shared object for the tag
+    static tagged(kind, tag) {
+        const type = new CType(kind, { tag, members: null, enumerators: null });
+        type.definition = type;
+        return type;
+    }
+
+    // A copy with extra qualifiers (struct/union/enum types are shared, so copy the wrapper)
+    qualified(qualifiers) {
+        if (!qualifiers || qualifiers.length === 0) return this;
+        const copy = Object.assign(Object.create(CType.prototype), this);
+        copy.qualifiers = [...new Set(this.qualifiers.concat(qualifiers))];
+        return copy;
+    }
+
+    unqualified() {
+        if (this.qualifiers.length === 0) return this;
+        const copy = Object.assign(Object.create(CType.prototype), this);
+        copy.qualifiers = [];
+        return copy;
+    }
+
+    // A copy remembering the typedef name it was written as
+    named(typedefName) {
+        const copy = Object.assign(Object.create(CType.prototype), this);
+        copy.typedefName = typedefName;
+        return copy;
+    }
+
+    isConst() { return this.qualifiers.includes('const'); }
+    isVoid() { return this.kind === 'void'; }
+    isInteger() { return this.kind === 'integer' || this.kind === 'enum'; }
+    isFloating() { return this.kind === 'float'; }
+    isArithmetic() { return this.isInteger() || this.isFloating(); }
+    isPointer() { return this.kind === 'pointer'; }
+    isArray() { return this.kind === 'array'; }
+    isFunction() { return this.kind === 'function'; }
+    isScalar() { return this.isArithmetic() || this.isPointer(); }
+    isRecord() { return this.kind === 'struct' || this.kind === 'union'; }
+    isKnown() { return this.kind !== 'unknown'; }
+
+    isUnsigned() {
+        return this.kind === 'integer' && !C_INTEGER_TYPES[this.name].signed;
+    }
+
+    // char, signed char, unsigned char
+    isCharacter() {
+        return this.kind === 'integer' && /char$/.test(this.name);
+    }
+
+    // char * or char[]: something that holds a C string
+    isString() {
+        const target = this.pointee();
+        return !!target && target.isCharacter();
+    }
+
+    // What a pointer points to, or an array's element type
+    pointee() {
+        if (this.kind === 'pointer') return this.target;
+        if (this.kind === 'array') return this.element;
+        return null;
+    }
+
+    // Arrays and functions used as values become pointers
+    decay() {
+        if (this.kind === 'array') return CType.pointer(this.element);
+        if (this.kind === 'function') return CType.pointer(this);
+        return this;
+    }
+
+    // Size in bytes, or null for incomplete and unknown types
+    size() {
+        switch (this.kind) {
+            case 'integer': return C_INTEGER_TYPES[this.name].size;
+            case 'enum': return 4;
+            case 'float': return C_FLOATING_TYPES[this.name];
+            case 'pointer': return C_POINTER_SIZE;
+            case 'array': {
+                const element = this.element.size();
+                return this.length === null || element === null ? null : element * this.length;
+            }
+            case 'struct':
+            case 'union': {
+                const members = this.recordMembers();
+                if (!members) return null;
+                let size = 0;
+                let align = 1;
+                for (const member of members) {
+                    const memberSize = member.type.size();
+                    if (memberSize === null) return null;
+                    const memberAlign = member.type.alignment();
+                    align = Math.max(align, memberAlign);
+                    if (this.kind === 'union') {
+                        size = Math.max(size, memberSize);
+                    } else {
+                        size = Math.ceil(size / memberAlign) * memberAlign + memberSize;
+                    }
+                }
+                return Math.ceil(size / align) * align;
+            }
+            default: return null;
+        }
+    }
+
+    alignment() {
+        if (this.kind === 'array') return this.element.alignment();
+        if (this.isRecord()) {
+            return (this.recordMembers() || []).reduce((a, m) => Math.max(a, m.type.alignment()), 1);
+        }
+        return Math.min(this.size() || 1, 16);
+    }
+
+    // Members of a struct/union, or null while it is incomplete. Qualified copies
+    // share `definition`, which is completed when the member list is seen.
+    recordMembers() {
+        return this.isRecord() ? this.definition.members : null;
+    }
+
+    // Member of a struct/union by name
+    member(name) {
+        const members = this.recordMembers();
+        const found = members ? members.find(m => m.name === name) : null;
+        return found ? found.type : null;
+    }
+
+    // Same type, ignoring qualifiers and typedef names
+    equals(other) {
+        if (!other || this.kind !== other.kind) return false;
+        switch (this.kind) {
+            case 'integer':
+            case 'float': return this.name === other.name;
+            case 'pointer': return this.target.equals(other.target);
+            case 'array': return this.element.equals(other.element);
+            case 'struct':
+            case 'union':
+            case 'enum': return this.definition === other.definition;
+            case 'function':
+                return this.returnType.equals(other.returnType) && this.params.length === other.params.length &&
+                    this.params.every((p, i) => p.equals(other.params[i]));
+            default: return this.kind !== 'unknown';
+        }
+    }
+
+    // C spelling: "const char *", "int [10]", "int (*)(int, char *)", "size_t"
+    toString() {
+        return this.declare('');
+    }
+
+    // Spell the type around a declarator text, the way C declarations read
+    declare(inner) {
+        const quals = this.qualifiers.join(' ');
+        if (this.typedefName) {
+            return [quals, this.typedefName, inner].filter(Boolean).join(' ');
+        }
+        switch (this.kind) {
+            case 'pointer': {
+                const text = `*${quals ? quals + (inner ? ' ' : '') : ''}${inner}`;
+                const wrap = this.target.typedefName === null && (this.target.isArray() || this.target.isFunction());
+                return this.target.declare(wrap ? `(${text})` : text);
+            }
+            case 'array':
+                return this.element.declare(`${inner}[${this.length === null ? '' : this.length}]`);
+            case 'function': {
+                const params = this.params.map(p => p.toString());
+                if (this.variadic) params.push('...');
+                if (params.length === 0 && !this.unspecified) params.push('void');
+                return this.returnType.declare(`${inner}(${params.join(', ')})`);
+            }
+            default: {
+                const base = this.baseName();
+                return [quals, base, inner].filter(Boolean).join(' ');
+            }
+        }
+    }
+
+    baseName() {
+        switch (this.kind) {
+            case 'void': return 'void';
+            case 'integer':
+            case 'float': return this.name;
+            case 'struct':
+            case 'union':
+            case 'enum': return `${this.kind} ${this.tag || '<anonymous>'}`;
+            default: return this.name || '<unknown>';
+        }
+    }
+}
+
+// What the usual library typedefs stand for (FILE and DIR stay incomplete structs)
+const C_BUILTIN_TYPEDEF_TYPES = {
+    'size_t': () => CType.integer('unsigned long'),
+    'ssize_t': () => CType.integer('long'),
+    'ptrdiff_t': () => CType.integer('long'),
+    'wchar_t': () => CType.integer('int'),
+    'bool': () => CType.integer('_Bool'),
+    'int8_t': () => CType.integer('signed char'),
+    'int16_t': () => CType.integer('short'),
+    'int32_t': () => CType.integer('int'),
+    'int64_t': () => CType.integer('long'),
+    'uint8_t': () => CType.integer('unsigned char'),
+    'uint16_t': () => CType.integer('unsigned short'),
+    'uint32_t': () => CType.integer('unsigned int'),
+    'uint64_t': () => CType.integer('unsigned long'),
+    'intptr_t': () => CType.integer('long'),
+    'uintptr_t': () => CType.integer('unsigned long'),
+    'intmax_t': () => CType.integer('long'),
+    'uintmax_t': () => CType.integer('unsigned long'),
+    'time_t': () => CType.integer('long'),
+    'clock_t': () => CType.integer('long'),
+    'off_t': () => CType.integer('long'),
+    'pid_t': () => CType.integer('int'),
+    'sig_atomic_t': () => CType.integer('int'),
+    'socklen_t': () => CType.integer('unsigned int'),
+    'pthread_t': () => CType.integer('unsigned long'),
+    'FILE': () => CType.tagged('struct', '_IO_FILE'),
+    'DIR': () => CType.tagged('struct', '__dirstream'),
+    'fpos_t': () => CType.tagged('struct', '_G_fpos_t'),
+    'pthread_mutex_t': () => CType.tagged('union', 'pthread_mutex_t'),
+    'va_list': () => CType.pointer(CType.void())
+};
+
+class CTypes {
+    // options.evaluate: constant value of an expression (array sizes, enumerators)
+    // options.lookupTypedef: type of a typedef name visible where it is used
+    constructor(options = {}) {
+        this.evaluate = options.evaluate || (() => null);
+        this.lookupTypedef = options.lookupTypedef || (() => null);
+        this.tags = new Map();   // 'struct node' -> shared CType, completed when its body is seen
+        this.builtins = new Map();
+    }
+
+    // ---- Types from declarations ----
+
+    // Base type of declaration specifiers (cached on the DeclSpec node)
+    fromSpecifiers(spec) {
+        if (!spec) return CType.integer('int');   // implicit int
+        if (spec.ctype) return spec.ctype;
+        let type;
+        if (spec.record) {
+            type = this.recordType(spec.record);
+        } else if (spec.enumSpec) {
+            type = this.enumType(spec.enumSpec);
+        } else if (spec.typedefName) {
+            type = this.typedefType(spec.typedefName);
+        } else {
+            type = this.basicType(spec.typeSpecifiers);
+        }
+        spec.ctype = type.qualified(spec.qualifiers.filter(q => q !== '_Atomic'));
+        return spec.ctype;
+    }
+
+    // int, unsigned long, long double, ... from the keywords in any order
+    basicType(keywords) {
+        const count = (word) => keywords.filter(k => k === word).length;
+        if (count('void')) return CType.void();
+        if (count('_Bool')) return CType.integer('_Bool');
+        if (count('float')) return CType.floating('float');
+        if (count('double')) return CType.floating(count('long') ? 'long double' : 'double');
+        const unsigned = count('unsigned') > 0;
+        let name;
+        if (count('char')) {
+            name = unsigned ? 'unsigned char' : count('signed') ? 'signed char' : 'char';
+            return CType.integer(name);
+        }
+        if (count('short')) name = 'short';
+        else if (count('long') >= 2) name = 'long long';
+        else if (count('long')) name = 'long';
+        else name = 'int';
+        return CType.integer(unsigned ? `unsigned ${name}` : name);
+    }
+
+    typedefType(name) {
+        const declared = this.lookupTypedef(name);
+        if (declared) return declared.named(name);
+        if (C_BUILTIN_TYPEDEF_TYPES[name]) {
+            if (!this.builtins.has(name)) this.builtins.set(name, C_BUILTIN_TYPEDEF_TYPES[name]().named(name));
+            return this.builtins.get(name);
+        }
+        return CType.unknown(name);
+    }
+
+    // struct/union: one shared type per tag, filled in when the member list appears
+    recordType(record) {
+        const key = record.name ? `${record.tag} ${record.name}` : null;
+        let type = key ? this.tags.get(key) : null;
+        if (!type) {
+            type = CType.tagged(record.tag, record.name);
+            if (key) this.tags.set(key, type);
+        }
+        if (record.members && !record.ctype) {
+            record.ctype = type;
+            type.members = [];
+            record.members.forEach(decl => {
+                const base = this.fromSpecifiers(decl.specifiers);
+                decl.declarators.forEach(declarator => {
+                    type.members.push({
+                        name: declarator.name,
+                        type: this.fromDeclarator(base, declarator),
+                        bitWidth: declarator.bitWidth ? this.evaluate(declarator.bitWidth) : null,
+                        line: declarator.range.start.line
+                    });
+                });
+                // Anonymous struct/union members expose their fields directly
+                if (decl.declarators.length === 0 && base.isRecord() && base.recordMembers()) {
+                    type.members.push(...base.recordMembers());
+                }
+            });
+        }
+        return type;
+    }
+
+    enumType(enumSpec) {
+        const key = enumSpec.name ? `enum ${enumSpec.name}` : null;
+        let type = key ? this.tags.get(key) : null;
+        if (!type) {
+            type = CType.tagged('enum', enumSpec.name);
+            if (key) this.tags.set(key, type);
+        }
+        if (enumSpec.enumerators && !type.enumerators) type.enumerators = enumSpec.enumerators.map(e => e.name);
+        return type;
+    }
+
+    // Apply a declarator's derivations to the base type. `derived` lists them from
+    // the name outward, so the outermost (last) is applied to the base first.
+    fromDeclarator(base, declarator) {
+        if (!declarator) return base;
+        let type = base;
+        for (let i = declarator.derived.length - 1; i >= 0; i--) {
+            const d = declarator.derived[i];
+            if (d.kind === 'PointerDerivation') {
+                type = CType.pointer(type).qualified(d.qualifiers.filter(q => q !== '_Atomic'));
+            } else if (d.kind === 'ArrayDerivation') {
+                const length = d.size ? this.evaluate(d.size) : null;
+                type = CType.array(type, Number.isInteger(length) && length >= 0 ? length : null);
+            } else if (d.kind === 'FunctionDerivation') {
+                type = this.functionType(type, d);
+            }
+        }
+        return type;
+    }
+
+    functionType(returnType, derivation) {
+        const params = derivation.params
+            .filter(p => !(p.specifiers && !p.declarator && this.fromSpecifiers(p.specifiers).isVoid()))
+            .map(p => this.parameterType(p));
+        return CType.func(returnType, params, derivation.variadic, derivation.unspecified);
+    }
+
+    // Array and function parameters are really pointers
+    parameterType(param) {
+        const type = this.fromDeclarator(this.fromSpecifiers(param.specifiers), param.declarator);
+        return type.isArray() || type.isFunction() ? type.decay() : type;
+    }
+
+    fromTypeName(typeName) {
+        if (typeName.ctype) return typeName.ctype;
+        typeName.ctype = this.fromDeclarator(this.fromSpecifiers(typeName.specifiers), typeName.declarator);
+        return typeName.ctype;
+    }
+
+    // "int a[] = {1, 2, 3}" and "char s[] = "abc"" take their length from the initializer
+    completeArray(type, init) {
+        if (!type.isArray() || type.length !== null || !init) return type;
+        if (init.kind === 'InitList' && init.elements.every(e => e.designators.length === 0)) {
+            return CType.array(type.element, init.elements.length);
+        }
+        if (init.kind === 'StringLiteral' && type.element.isCharacter()) {
+            return CType.array(type.element, init.value.length + 1);
+        }
+        return type;
+    }
+
+    // ---- Types of expressions ----
+
+    // Integer promotion: everything narrower than int becomes int
+    promote(type) {
+        if (type.kind === 'enum') return CType.integer('int');
+        if (type.kind === 'integer' && C_INTEGER_TYPES[type.name].rank < C_INTEGER_TYPES.int.rank) {
+            return CType.integer('int');
+        }
+        return type.unqualified();
+    }
+
+    // Usual arithmetic conversions for a binary operator
+    usualArithmetic(a, b) {
+        if (a.isFloating() || b.isFloating()) {
+            const rank = (t) => t.isFloating() ? C_FLOATING_TYPES[t.name] : 0;
+            return (rank(a) >= rank(b) ? a : b).unqualified();
+        }
+        const left = this.promote(a);
+        const right = this.promote(b);
+        if (left.name === right.name) return left;
+        const l = C_INTEGER_TYPES[left.name];
+        const r = C_INTEGER_TYPES[right.name];
+        if (l.signed === r.signed) return l.rank >= r.rank ? left : right;
+        const [unsignedType, signedType] = l.signed ? [right, left] : [left, right];
+        const u = C_INTEGER_TYPES[unsignedType.name];
+        const s = C_INTEGER_TYPES[signedType.name];
+        if (u.rank >= s.rank) return unsignedType;
+        if (s.size > u.size) return signedType;
+        return CType.integer(`unsigned ${signedType.name}`);
+    }
+
+    // Type of an expression (cached on the node)
+    typeOf(expr) {
+        if (!expr) return CType.unknown();
+        if (!expr.ctype) expr.ctype = this.computeType(expr);
+        return expr.ctype;
+    }
+
+    computeType(expr) {
+        switch (expr.kind) {
+            case 'NumberLiteral': return this.literalType(expr);
+            case 'CharLiteral': return CType.integer('int');
+            case 'StringLiteral': return CType.array(CType.integer('char'), expr.value.length + 1);
+            case 'Identifier': {
+                const symbol = expr.symbol;
+                if (!symbol) return CType.unknown();
+                return symbol.kind === 'enumerator' ? CType.integer('int') : symbol.type;
+            }
+            case 'BinaryExpr': return this.binaryType(expr);
+            case 'AssignExpr': return this.typeOf(expr.left).unqualified();
+            case 'UnaryExpr': {
+                const arg = this.typeOf(expr.argument);
+                switch (expr.operator) {
+                    case '&': return CType.pointer(arg);
+                    case '*': {
+                        const target = arg.decay().pointee();
+                        return target || CType.unknown();
+                    }
+                    case '!': return CType.integer('int');
+                    default: return arg.isArithmetic() ? this.promote(arg) : arg;
+                }
+            }
+            case 'UpdateExpr': return this.typeOf(expr.argument).unqualified();
+            case 'SizeofExpr': return this.typedefType('size_t');
+            case 'CastExpr': return this.fromTypeName(expr.typeName);
+            case 'CompoundLiteral': return this.completeArray(this.fromTypeName(expr.typeName), expr.init);
+            case 'CallExpr': {
+                const callee = this.typeOf(expr.callee).decay();
+                const fn = callee.isPointer() ? callee.target : null;
+                return fn && fn.isFunction() ? fn.returnType : CType.unknown();
+            }
+            case 'IndexExpr': {
+                const object = this.typeOf(expr.object).decay();
+                const index = this.typeOf(expr.index).decay();
+                const target = object.isPointer() ? object.target : index.isPointer() ? index.target : null;
+                return target || CType.unknown();
+            }
+            case 'MemberExpr': {
+                let object = this.typeOf(expr.object);
+                if (expr.arrow) object = object.decay().pointee() || CType.unknown();
+                return object.member(expr.member) || CType.unknown();
+            }
+            case 'ConditionalExpr': {
+                const a = this.typeOf(expr.consequent);
+                const b = this.typeOf(expr.alternate);
+                if (a.isArithmetic() && b.isArithmetic()) return this.usualArithmetic(a, b);
+                return a.isKnown() ? a.decay() : b.decay();
+            }
+            case 'CommaExpr': return this.typeOf(expr.expressions[expr.expressions.length - 1]);
+            default: return CType.unknown();
+        }
+    }
+
+    literalType(literal) {
+        const suffix = (literal.suffix || '').toLowerCase();
+        if (literal.isFloat) {
+            if (suffix.includes('f')) return CType.floating('float');
+            if (suffix.includes('l')) return CType.floating('long double');
+            return CType.floating('double');
+        }
+        // C11 6.4.4.1: the first type of the suffix's list that can hold the value;
+        // octal and hex literals may also take the unsigned type of each rank
+        const unsigned = suffix.includes('u');
+        const longs = (suffix.match(/l/g) || []).length;
+        const decimal = !/^0[0-9a-z]/i.test(literal.raw);
+        const candidates = ['int', 'long', 'long long'].slice(longs).reduce((list, name) => {
+            if (!unsigned) list.push(name);
+            if (unsigned || !decimal) list.push(`unsigned ${name}`);
+            return list;
+        }, []);
+        const value = CIntegerArithmetic.literalValue(literal);
+        const name = value === null ? candidates[0]
+            : candidates.find(candidate => CIntegerArithmetic.fits(value, CType.integer(candidate)));
+        // Too large for every candidate: compilers use the widest unsigned type
+        return CType.integer(name || 'unsigned long long');
+    }
+
+    binaryType(expr) {
+        const left = this.typeOf(expr.left).decay();
+        const right = this.typeOf(expr.right).decay();
+        switch (expr.operator) {
+            case '<': case '>': case '<=': case '>=': case '==': case '!=':
+            case '&&': case '||':
+                return CType.integer('int');
+            case '<<': case '>>':
+                return left.isArithmetic() ? this.promote(left) : CType.unknown();
+            case '+':
+                if (left.isPointer() && right.isInteger()) return left;
+                if (left.isInteger() && right.isPointer()) return right;
+                break;
+            case '-':
+                if (left.isPointer() && right.isPointer()) return this.typedefType('ptrdiff_t');
+                if (left.isPointer() && right.isInteger()) return left;
+                break;
+        }
+        if (left.isArithmetic() && right.isArithmetic()) return this.usualArithmetic(left, right);
+        return CType.unknown();
+    }
+}